@@ -242,6 +242,7 @@ async function initializeExtension() {
   SpeechService.initialize() // Inicializa o serviço de reconhecimento de voz
   observeForTextArea()
   document.addEventListener('keydown', handleShortcutListener)
+  document.addEventListener('keydown', handleCommandPaletteShortcut, true)
 
   // Event listener global para botões de modais
   document.addEventListener('click', async e => {
@@ -358,9 +359,15 @@ async function initializeExtension() {
   await checkVersionAndShowWhatsNew()
   await checkVersionAndShowWhatsNew()
 
+  // Carrega o calendário de expediente (tempos das pendências e variável de dias úteis)
+  ensureBusinessCalendarLoaded()
+
   // Inicializa a verificação de pendências
   await initializePendingBadge()
 
+  // Lembretes ativos do chamado aberto
+  renderTicketRemindersBadge()
+
   // Verifica se deve abrir o painel de pendências automaticamente (via URL param)
   const urlParams = new URLSearchParams(window.location.search)
   if (
@@ -996,7 +1003,7 @@ function setupSolutionObserver(textArea) {
           g => g.id === data.defaultGreetingId
         )
         if (defaultGreeting) {
-          userGreeting = await resolveVariablesInText(defaultGreeting.content)
+          userGreeting = await renderTemplate(defaultGreeting.content, { interactive: false })
         }
       }
 
@@ -1005,7 +1012,7 @@ function setupSolutionObserver(textArea) {
           c => c.id === data.defaultClosingId
         )
         if (defaultClosing) {
-          userClosing = await resolveVariablesInText(defaultClosing.content)
+          userClosing = await renderTemplate(defaultClosing.content, { interactive: false })
         }
       }
 
@@ -1113,36 +1120,212 @@ function setupUserSelectionListener(textArea) {
  */
 
 // --- STOPWATCH LOGIC ---
+// O cronômetro mede o tempo do chamado aberto na aba (fora de um chamado, o tempo geral do
+// dia). Cada trecho é gravado no histórico de tempo (time-ledger.js), e o estado de cada
+// chamado fica em `stopwatchState` no storage, para continuar após recarregar a página.
+
+/**
+ * Intervalo em que o trecho em andamento é gravado no histórico.
+ */
+const STOPWATCH_CHECKPOINT_INTERVAL_MS = 60 * 1000
+
+/**
+ * Espera antes de pausar ao perder o foco: o foco pode ter ido para um iframe da própria
+ * página (ex: o editor do trâmite).
+ */
+const STOPWATCH_FOCUS_CHECK_DELAY_MS = 300
 
 let stopwatchInterval = null
+let stopwatchTicket = { ticketId: '', client: '', subject: '' }
+let stopwatchLoggedMs = 0 // Tempo já gravado no histórico, sem o trecho em andamento
+let stopwatchLastCheckpoint = 0
+let stopwatchAutoTracking = false
+let stopwatchLedgerQueue = Promise.resolve()
 let stopwatchState = {
+  entryId: null,
   startTime: null,
-  accumulatedTime: 0,
   isRunning: false,
-  lastActiveDate: null
+  manuallyPaused: false // Pausado pelo analista: o controle automático não reinicia
 }
 
 /**
- * Inicializa o cronômetro lendo do storage e verificando reset diário.
+ * Inicializa o cronômetro para o chamado da página, restaurando o trecho em andamento.
  */
 async function initializeStopwatch() {
-  const data = await chrome.storage.local.get(['stopwatchState'])
-  if (data.stopwatchState) {
-    stopwatchState = data.stopwatchState
+  const ticketId = (await _getRequestNumberLogic()) || ''
+  stopwatchTicket = {
+    ticketId,
+    client: ticketId ? _getPageFieldText('#td\\:cliente a') || _getPageFieldText('#td\\:cliente') : '',
+    subject: ticketId ? _getPageFieldText('#td\\:assunto') : ''
   }
 
-  const today = new Date().toISOString().split('T')[0]
+  const [data, settings] = await Promise.all([chrome.storage.local.get(['stopwatchState']), getSettings()])
+  let savedStates = data.stopwatchState || {}
+  if ('accumulatedTime' in savedStates) {
+    savedStates = await _migrateLegacyStopwatchState(savedStates)
+  }
+  stopwatchAutoTracking = !!ticketId && settings.preferences?.enableAutoTimeTracking !== false
 
-  // Reset diário se a data mudou
-  if (stopwatchState.lastActiveDate !== today) {
-    resetStopwatch()
-  } else {
-    // Restaura o estado
-    if (stopwatchState.isRunning) {
-      startStopwatchTicker()
-    }
+  if (savedStates[ticketId]) {
+    stopwatchState = { ...stopwatchState, ...savedStates[ticketId] }
+  }
+  if (stopwatchState.isRunning && stopwatchAutoTracking) {
+    // A aba foi fechada sem pausar: o trecho termina no último registro gravado no histórico
+    stopwatchState = { entryId: null, startTime: null, isRunning: false, manuallyPaused: false }
+    saveStopwatchState()
+  }
+  await refreshStopwatchLoggedTime()
+
+  if (stopwatchState.isRunning) {
+    startStopwatchTicker()
+  } else if (stopwatchAutoTracking && !stopwatchState.manuallyPaused && _isStopwatchTabActive()) {
+    startStopwatch()
+  }
+  updateStopwatchDisplay()
+  updateStopwatchIcon()
+  _setupStopwatchAutoTracking()
+}
+
+/**
+ * Converte o estado do cronômetro anterior ao histórico (um único contador diário) em um
+ * ajuste de hoje, sem chamado.
+ * @param {object} legacyState - O estado antigo ({ accumulatedTime, startTime, ... }).
+ * @returns {Promise<object>} O novo mapa de estados (vazio).
+ */
+async function _migrateLegacyStopwatchState(legacyState) {
+  let elapsed = legacyState.accumulatedTime || 0
+  if (legacyState.isRunning && legacyState.startTime) elapsed += Date.now() - legacyState.startTime
+  if (legacyState.lastActiveDate === new Date().toISOString().split('T')[0]) {
+    await addTimeLedgerAdjustment({ ticketId: '', client: '', subject: '' }, elapsed)
+  }
+  await chrome.storage.local.set({ stopwatchState: {} })
+  return {}
+}
+
+/**
+ * Inicia e pausa o cronômetro sozinho conforme a aba do chamado ganha ou perde o foco.
+ */
+function _setupStopwatchAutoTracking() {
+  const handleFocusChange = () => {
+    setTimeout(() => {
+      if (!stopwatchAutoTracking) return
+      const isActive = _isStopwatchTabActive()
+      if (isActive && !stopwatchState.isRunning && !stopwatchState.manuallyPaused) {
+        startStopwatch()
+      } else if (!isActive && stopwatchState.isRunning) {
+        pauseStopwatch(false)
+      }
+    }, STOPWATCH_FOCUS_CHECK_DELAY_MS)
+  }
+  document.addEventListener('visibilitychange', handleFocusChange)
+  window.addEventListener('focus', handleFocusChange)
+  window.addEventListener('blur', handleFocusChange)
+
+  window.addEventListener('pagehide', () => {
+    if (!stopwatchState.isRunning) return
+    if (stopwatchAutoTracking) pauseStopwatch(false)
+    else _checkpointStopwatch()
+  })
+}
+
+function _isStopwatchTabActive() {
+  return document.visibilityState === 'visible' && document.hasFocus()
+}
+
+/**
+ * Liga ou desliga o controle automático (opção do relatório de tempo).
+ * @param {boolean} enabled - Se o controle automático está ligado.
+ */
+function setStopwatchAutoTracking(enabled) {
+  stopwatchAutoTracking = enabled && !!stopwatchTicket.ticketId
+  if (stopwatchAutoTracking && !stopwatchState.isRunning && _isStopwatchTabActive()) {
+    stopwatchState.manuallyPaused = false
+    startStopwatch()
+  }
+}
+
+/**
+ * Tempo exibido no cronômetro: o total do chamado (de hoje, fora de um chamado) mais o
+ * trecho em andamento. Usado também pela variável [tempo].
+ * @returns {number} O tempo em milissegundos.
+ */
+function getStopwatchElapsedMs() {
+  let totalMilliseconds = stopwatchLoggedMs
+  if (stopwatchState.isRunning && stopwatchState.startTime) {
+    totalMilliseconds += Date.now() - stopwatchState.startTime
+  }
+  return totalMilliseconds
+}
+
+/**
+ * Relê do histórico o tempo já registrado para o chamado da página.
+ */
+async function refreshStopwatchLoggedTime() {
+  const entries = await getTimeLedgerEntries()
+  stopwatchLoggedMs = getTimeLedgerTicketTotal(
+    entries.filter(entry => entry.id !== stopwatchState.entryId),
+    stopwatchTicket.ticketId
+  )
+}
+
+/**
+ * Enfileira uma gravação no histórico, para que o trecho salvo a cada minuto e uma pausa
+ * simultânea não sobrescrevam um ao outro.
+ * @param {Function} task - A gravação.
+ * @returns {Promise<void>}
+ */
+function _queueStopwatchLedgerWrite(task) {
+  stopwatchLedgerQueue = stopwatchLedgerQueue.then(task).catch(error => {
+    console.error('SGD - PowerTools: Erro ao gravar o histórico de tempo:', error)
+  })
+  return stopwatchLedgerQueue
+}
+
+/**
+ * Monta o lançamento do trecho em andamento até o momento informado.
+ * @param {number} end - Fim do trecho.
+ * @returns {object} O lançamento.
+ */
+function _buildStopwatchEntry(end) {
+  return {
+    id: stopwatchState.entryId,
+    ...stopwatchTicket,
+    date: getTimeLedgerDateKey(stopwatchState.startTime),
+    start: stopwatchState.startTime,
+    end,
+    durationMs: end - stopwatchState.startTime,
+    source: 'timer'
+  }
+}
+
+/**
+ * Grava no histórico o trecho em andamento. Se ele atravessou a meia-noite, fecha o trecho
+ * no fim do dia e continua em um novo lançamento, para que cada dia some o seu tempo.
+ * @param {number} now - O momento do registro.
+ */
+async function _checkpointStopwatch(now = Date.now()) {
+  if (!stopwatchState.isRunning || !stopwatchState.startTime) return
+  stopwatchLastCheckpoint = now
+
+  const entries = []
+  const nextMidnight = timestamp => {
+    const date = new Date(timestamp)
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime()
+  }
+  for (let dayEnd = nextMidnight(stopwatchState.startTime); dayEnd <= now; dayEnd = nextMidnight(dayEnd)) {
+    entries.push(_buildStopwatchEntry(dayEnd))
+    stopwatchState.startTime = dayEnd
+    stopwatchState.entryId = `time-${crypto.randomUUID()}`
+  }
+  entries.push(_buildStopwatchEntry(now))
+  if (entries.length > 1) saveStopwatchState()
+
+  await _queueStopwatchLedgerWrite(async () => {
+    for (const entry of entries) await saveTimeLedgerEntry(entry)
+  })
+  if (entries.length > 1) {
+    await refreshStopwatchLoggedTime()
     updateStopwatchDisplay()
-    updateStopwatchIcon()
   }
 }
 
@@ -1155,42 +1338,57 @@ function toggleStopwatch() {
 }
 
 function startStopwatch() {
-  stopwatchState.isRunning = true
-  stopwatchState.startTime = Date.now()
-  stopwatchState.lastActiveDate = new Date().toISOString().split('T')[0]
+  if (stopwatchState.isRunning) return
+  const now = Date.now()
+  stopwatchState = {
+    entryId: `time-${crypto.randomUUID()}`,
+    startTime: now,
+    isRunning: true,
+    manuallyPaused: false
+  }
+  stopwatchLastCheckpoint = now
 
   saveStopwatchState()
   startStopwatchTicker()
   updateStopwatchIcon()
 }
 
-function pauseStopwatch() {
+/**
+ * Pausa o cronômetro e grava o trecho no histórico.
+ * @param {boolean} isManual - Pausa feita pelo analista (o controle automático não reinicia
+ *   até ele iniciar de novo). false nas pausas automáticas.
+ */
+async function pauseStopwatch(isManual = true) {
   if (!stopwatchState.isRunning) return
 
-  // Acumula o tempo decorrido no segmento atual
-  const now = Date.now()
-  stopwatchState.accumulatedTime += now - stopwatchState.startTime
-  stopwatchState.startTime = null // Reseta o início do segmento
-  stopwatchState.isRunning = false
+  const entry = _buildStopwatchEntry(Date.now())
+  stopwatchLoggedMs += entry.durationMs
+  stopwatchState = { entryId: null, startTime: null, isRunning: false, manuallyPaused: isManual }
 
   saveStopwatchState()
   stopStopwatchTicker()
   updateStopwatchDisplay() // Garante que mostre o valor exato final
   updateStopwatchIcon()
+
+  await _queueStopwatchLedgerWrite(() => saveTimeLedgerEntry(entry))
 }
 
+/**
+ * Zera o tempo do chamado (fora de um chamado, o de hoje), removendo os lançamentos.
+ */
 function resetStopwatch() {
-  stopwatchState = {
-    startTime: null,
-    accumulatedTime: 0,
-    isRunning: false,
-    lastActiveDate: new Date().toISOString().split('T')[0]
-  }
-  saveStopwatchState()
-  stopStopwatchTicker()
-  stopStopwatchTicker()
-  updateStopwatchDisplay()
-  updateStopwatchIcon()
+  const scope = stopwatchTicket.ticketId
+    ? `do chamado <strong>${escapeHTML(stopwatchTicket.ticketId)}</strong>`
+    : 'de hoje sem chamado'
+  showConfirmDialog(`Zerar o tempo ${scope}? Os registros serão removidos do histórico de tempo.`, async () => {
+    stopwatchState = { entryId: null, startTime: null, isRunning: false, manuallyPaused: true }
+    stopwatchLoggedMs = 0
+    saveStopwatchState()
+    stopStopwatchTicker()
+    updateStopwatchDisplay()
+    updateStopwatchIcon()
+    await _queueStopwatchLedgerWrite(() => clearTimeLedgerTicket(stopwatchTicket.ticketId))
+  })
 }
 
 function setStopwatchTime() {
@@ -1205,12 +1403,7 @@ function setStopwatchTime() {
   }
 
   // Prepara o input
-  let currentMs = stopwatchState.accumulatedTime
-  if (stopwatchState.isRunning && stopwatchState.startTime) {
-    currentMs += Date.now() - stopwatchState.startTime
-  }
-
-  timerInput.value = formatTime(currentMs)
+  timerInput.value = formatTime(getStopwatchElapsedMs())
 
   // Alterna visibilidade
   timerText.style.display = 'none'
@@ -1237,9 +1430,10 @@ function handleStopwatchInputComplete(save = true) {
   if (save) {
     const milliseconds = parseTimeString(timerInput.value)
     if (milliseconds !== null) {
-      stopwatchState.accumulatedTime = milliseconds
-      stopwatchState.isRunning = false
-      saveStopwatchState()
+      // A correção entra no histórico como ajuste manual da diferença
+      const delta = milliseconds - getStopwatchElapsedMs()
+      stopwatchLoggedMs += delta
+      _queueStopwatchLedgerWrite(() => addTimeLedgerAdjustment(stopwatchTicket, delta))
     } else {
       // Opcional: mostrar erro discreto ou apenas não salvar
     }
@@ -1272,7 +1466,12 @@ function parseTimeString(timeString) {
 
 function startStopwatchTicker() {
   stopStopwatchTicker() // Evita múltiplos intervalos
-  stopwatchInterval = setInterval(updateStopwatchDisplay, 1000)
+  stopwatchInterval = setInterval(() => {
+    if (Date.now() - stopwatchLastCheckpoint >= STOPWATCH_CHECKPOINT_INTERVAL_MS) {
+      _checkpointStopwatch()
+    }
+    updateStopwatchDisplay()
+  }, 1000)
   updateStopwatchDisplay() // Atualiza imediatamente
 }
 
@@ -1296,6 +1495,9 @@ function updateStopwatchIcon() {
 
   if (wrapper) {
     wrapper.classList.toggle('is-running', stopwatchState.isRunning)
+    wrapper.title = stopwatchTicket.ticketId
+      ? `Tempo no chamado ${stopwatchTicket.ticketId}`
+      : 'Tempo de hoje sem chamado'
   }
 }
 
@@ -1303,11 +1505,7 @@ function updateStopwatchDisplay() {
   const timerText = document.getElementById('fab-timer-text')
   if (!timerText) return
 
-  let totalMilliseconds = stopwatchState.accumulatedTime
-
-  if (stopwatchState.isRunning && stopwatchState.startTime) {
-    totalMilliseconds += Date.now() - stopwatchState.startTime
-  }
+  const totalMilliseconds = getStopwatchElapsedMs()
 
   // Atualiza as cores baseadas no tempo
   // 1 hora = 3.600.000 ms
@@ -1322,7 +1520,7 @@ function updateStopwatchDisplay() {
 }
 
 function formatTime(milliseconds) {
-  const totalSeconds = Math.floor(milliseconds / 1000)
+  const totalSeconds = Math.floor(Math.max(milliseconds, 0) / 1000)
   const hours = Math.floor(totalSeconds / 3600)
   const minutes = Math.floor((totalSeconds % 3600) / 60)
   const seconds = totalSeconds % 60
@@ -1331,8 +1529,18 @@ function formatTime(milliseconds) {
   return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`
 }
 
-function saveStopwatchState() {
-  chrome.storage.local.set({ stopwatchState })
+/**
+ * Salva o estado do chamado da página no mapa `stopwatchState` (por número do chamado).
+ * Chamados parados sem pausa manual não precisam de estado e são removidos.
+ */
+async function saveStopwatchState() {
+  const { ticketId } = stopwatchTicket
+  const snapshot = { ...stopwatchState }
+  const data = await chrome.storage.local.get(['stopwatchState'])
+  const savedStates = data.stopwatchState || {}
+  if (snapshot.isRunning || snapshot.manuallyPaused) savedStates[ticketId] = snapshot
+  else delete savedStates[ticketId]
+  await chrome.storage.local.set({ stopwatchState: savedStates })
 }
 
 // ----------------------
@@ -1417,6 +1625,7 @@ async function createFloatingActionButtons() {
         <input type="text" id="fab-timer-input" class="fab-timer-input" style="display: none;" placeholder="00:00:00" />
         <button type="button" id="fab-timer-reset" class="stopwatch-btn" title="Zerar">↺</button>
         <button type="button" id="fab-timer-set" class="stopwatch-btn" title="Definir Tempo">✎</button>
+        <button type="button" id="fab-timer-report" class="stopwatch-btn" title="Relatório de Tempo">📊</button>
     `
   }
 
@@ -1516,9 +1725,10 @@ function setupFabListeners() {
       return
     }
 
-    // Verifica botões de controle (Reset / Set)
+    // Verifica botões de controle (Reset / Set / Relatório)
     const resetBtn = e.target.closest('#fab-timer-reset')
     const setBtn = e.target.closest('#fab-timer-set')
+    const reportBtn = e.target.closest('#fab-timer-report')
 
     if (resetBtn) {
       e.stopPropagation()
@@ -1526,6 +1736,9 @@ function setupFabListeners() {
     } else if (setBtn) {
       e.stopPropagation()
       setStopwatchTime()
+    } else if (reportBtn) {
+      e.stopPropagation()
+      openTimeLedgerModal()
     }
   })
 
@@ -2270,11 +2483,9 @@ async function updateNotificationStatus() {
       });
     }
  
-    const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000
     const nowMs = Date.now()
     const lastReadTime = data.warningsLastReadTime || 0
  
-    const nowIso = new Date().toISOString()
     const unreadWarnings = rawWarnings.filter(w => {
       if (typeof isUserRecipient === 'function' && !isUserRecipient(w, currentUser)) return false
       if (w.isTest && !data.infoDevMode && !w.onlySelf) return false
@@ -2284,19 +2495,12 @@ async function updateNotificationStatus() {
       if (!subscribed.includes(wChannel) || !isAllowed) return false;
       
       if (w.archived) return false
-      if (w.publishedAt && nowIso < w.publishedAt) return false
- 
       if (!w.date) return false
-      const wTime = new Date(w.date).getTime()
- 
-      let isExpired = false
-      if (w.expiresAt) {
-        isExpired = nowMs > new Date(w.expiresAt).getTime()
-      } else {
-        isExpired = nowMs - wTime >= SEVEN_DAYS_MS
-      }
  
-      return !isExpired && wTime > lastReadTime
+      // Agendamento, expiração e janelas dos recorrentes (warning-rules.js): cada nova
+      // janela volta a contar como não lida
+      const schedule = getWarningScheduleState(w, nowMs)
+      return schedule.state === 'live' && schedule.liveSince > lastReadTime
     })
     const unreadCount = unreadWarnings.length
     const hasUnreadWarning = unreadCount > 0
@@ -2354,24 +2558,16 @@ async function checkAndShowPendingWarningToasts() {
     const subscribed = data.subscribedChannels ? [...data.subscribedChannels] : [...currentChannels];
 
     const nowMs = Date.now();
-    const nowIso = new Date().toISOString();
-    const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000;
 
     for (const w of rawWarnings) {
       if (w.archived) continue;
       if (w.isTest && !data.infoDevMode && !w.onlySelf) continue;
-      if (w.publishedAt && nowIso < w.publishedAt) continue;
-
       if (!w.date) continue;
-      const wTime = new Date(w.date).getTime();
 
-      let isExpired = false;
-      if (w.expiresAt) {
-        isExpired = nowMs > new Date(w.expiresAt).getTime();
-      } else {
-        isExpired = nowMs - wTime >= SEVEN_DAYS_MS;
-      }
-      if (isExpired) continue;
+      // Agendamento, expiração e janelas dos recorrentes (warning-rules.js)
+      const schedule = getWarningScheduleState(w, nowMs);
+      if (schedule.state !== 'live') continue;
+      const wTime = schedule.liveSince;
 
       const wChannel = w.channel || 'Geral';
       const isAllowed = window.sgdPermissions?.allowedChannels?.includes(wChannel) ?? (window.sgdPermissions?.isEditor ? true : wChannel === 'Geral');
@@ -2473,6 +2669,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Adicionada nova condição para atualizar o badge
   if (message.action === 'UPDATE_NOTIFICATION_BADGE') {
     updateNotificationStatus()
+    renderTicketRemindersBadge()
   }
 
   // Exibe notificação in-page quando um lembrete dispara
@@ -2505,6 +2702,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
   }
 
+  // Novos trâmites nos atendimentos seguidos (verificação do Service Worker)
+  if (message.action === 'FOLLOWED_ATTENDANCES_UPDATED') {
+    refreshFollowedAttendancesSection()
+  }
+
   // Acionado pelo Service Worker (alarme de 15min)
   if (message.action === 'TRIGGER_PENDING_CHECK') {
     console.log('Main: Recebido pedido de verificação de pendências.')
@@ -2519,6 +2721,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           message: `Você tem ${result.newCount} nova(s) pendência(s). Total: ${result.total}`
         })
       }
+
+      // Lembretes vinculados a chamados que saíram da lista ou receberam trâmite
+      const { completed = [], updated = [] } = result.ticketReminders || {}
+      if (completed.length > 0 || updated.length > 0) {
+        const lines = [
+          ...completed.map(reminder => `✅ Chamado ${reminder.ticketId} saiu da lista: "${reminder.title}" concluído`),
+          ...updated.map(reminder => `💬 Novo trâmite no chamado ${reminder.ticketId}: "${reminder.title}"`)
+        ]
+        chrome.runtime.sendMessage({
+          action: 'SHOW_GENERIC_NOTIFICATION',
+          title: 'Lembretes dos Chamados',
+          message: lines.join('\n')
+        })
+      }
     })
   }
 })
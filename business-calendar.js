@@ -0,0 +1,626 @@
+/**
+ * @file business-calendar.js
+ * Calendário de expediente usado nos tempos e SLAs das pendências: horário de trabalho
+ * por dia da semana (o intervalo entre os períodos é o almoço), feriados nacionais fixos,
+ * feriados móveis calculados a partir da Páscoa e feriados regionais vinculados à
+ * unidade/região do analista (permissions-service.js).
+ *
+ * O calendário base pode ser publicado por um Editor Master no RTDB; cada analista pode
+ * ajustar localmente o horário, os feriados móveis, a região e incluir feriados extras.
+ *
+ * Estrutura no RTDB:
+ *   /business_calendar = { workingHours, holidays, movableHolidays, regions, updatedAt, updatedBy }
+ *   /metadata/business_calendar_version = ISO
+ */
+
+const RTDB_BUSINESS_CALENDAR_PATH = '/business_calendar'
+const RTDB_BUSINESS_CALENDAR_VERSION_PATH = '/metadata/business_calendar_version'
+const BUSINESS_CALENDAR_CHECK_INTERVAL_MS = 60 * 60 * 1000
+const BUSINESS_CALENDAR_REGION_NONE = '__none__'
+
+/**
+ * Feriados móveis, em dias a partir do Domingo de Páscoa.
+ */
+const MOVABLE_HOLIDAYS = {
+  'carnaval-segunda': { name: 'Carnaval (segunda-feira)', offset: -48 },
+  'carnaval-terca': { name: 'Carnaval (terça-feira)', offset: -47 },
+  'sexta-santa': { name: 'Sexta-feira Santa', offset: -2 },
+  'corpus-christi': { name: 'Corpus Christi', offset: 60 }
+}
+
+const WEEKDAY_NAMES = [
+  'Domingo',
+  'Segunda-feira',
+  'Terça-feira',
+  'Quarta-feira',
+  'Quinta-feira',
+  'Sexta-feira',
+  'Sábado'
+]
+
+const DEFAULT_WORKING_PERIODS = [
+  { start: '08:00', end: '12:00' },
+  { start: '13:30', end: '18:00' }
+]
+
+/**
+ * Calendário usado enquanto nenhum calendário foi publicado no RTDB.
+ * - workingHours: períodos de trabalho por dia da semana (0 = domingo).
+ * - holidays: datas "MM-DD" (todo ano) ou "AAAA-MM-DD" (data única).
+ * - regions: { chave: { name, units: [nomes de unidade], holidays, movableHolidays } }.
+ */
+const DEFAULT_BUSINESS_CALENDAR = {
+  workingHours: {
+    0: [],
+    1: DEFAULT_WORKING_PERIODS,
+    2: DEFAULT_WORKING_PERIODS,
+    3: DEFAULT_WORKING_PERIODS,
+    4: DEFAULT_WORKING_PERIODS,
+    5: DEFAULT_WORKING_PERIODS,
+    6: []
+  },
+  holidays: [
+    { date: '01-01', name: 'Confraternização Universal' },
+    { date: '04-21', name: 'Tiradentes' },
+    { date: '05-01', name: 'Dia do Trabalho' },
+    { date: '09-07', name: 'Independência do Brasil' },
+    { date: '10-12', name: 'Nossa Senhora Aparecida' },
+    { date: '11-02', name: 'Finados' },
+    { date: '11-15', name: 'Proclamação da República' },
+    { date: '11-20', name: 'Dia Nacional de Zumbi e da Consciência Negra' },
+    { date: '12-25', name: 'Natal' }
+  ],
+  movableHolidays: Object.keys(MOVABLE_HOLIDAYS),
+  regions: {}
+}
+
+/**
+ * Calendário em uso, resolvido por loadBusinessCalendar(). Mantido em memória porque
+ * os cálculos de tempo (parsePendingPage) são síncronos.
+ */
+let activeBusinessCalendar = null
+let businessCalendarLoadPromise = null
+
+/**
+ * Normaliza textos para comparar nomes de unidades e regiões.
+ * @param {string} text - O texto.
+ * @returns {string} O texto sem acentos, em minúsculas.
+ */
+function _normalizeCalendarText(text) {
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+}
+
+/**
+ * Converte "HH:MM" em minutos desde a meia-noite.
+ * @param {string} time - O horário.
+ * @returns {number|null} Os minutos, ou null se inválido.
+ */
+function _parseCalendarTime(time) {
+  const match = String(time || '').match(/^(\d{1,2}):(\d{2})$/)
+  if (!match) return null
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10)
+  return minutes >= 0 && minutes <= 24 * 60 ? minutes : null
+}
+
+/**
+ * Calcula o Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher).
+ * @param {number} year - O ano.
+ * @returns {Date} A data da Páscoa (meia-noite, horário local).
+ */
+function getEasterDate(year) {
+  const a = year % 19
+  const b = Math.floor(year / 100)
+  const c = year % 100
+  const d = Math.floor(b / 4)
+  const e = b % 4
+  const f = Math.floor((b + 8) / 25)
+  const g = Math.floor((b - f + 1) / 3)
+  const h = (19 * a + b - d - g + 15) % 30
+  const i = Math.floor(c / 4)
+  const k = c % 4
+  const l = (32 + 2 * e + 2 * i - h - k) % 7
+  const m = Math.floor((a + 11 * h + 22 * l) / 451)
+  const month = Math.floor((h + l - 7 * m + 114) / 31)
+  const day = ((h + l - 7 * m + 114) % 31) + 1
+  return new Date(year, month - 1, day)
+}
+
+/**
+ * Formata uma data como "AAAA-MM-DD" (horário local).
+ * @param {Date} date - A data.
+ * @returns {string} A chave da data.
+ */
+function _getCalendarDateKey(date) {
+  const mm = String(date.getMonth() + 1).padStart(2, '0')
+  const dd = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${mm}-${dd}`
+}
+
+/**
+ * Encontra a região do analista: a escolhida manualmente, a região cadastrada no
+ * registro de permissões ou a que lista a unidade do analista.
+ * @param {object} regions - As regiões do calendário.
+ * @param {object} userInfo - { regionKey, regiao, unidade }.
+ * @returns {string|null} A chave da região ou null.
+ */
+function resolveBusinessRegion(regions, { regionKey, regiao, unidade }) {
+  const entries = Object.entries(regions || {})
+  if (regionKey === BUSINESS_CALENDAR_REGION_NONE) return null
+  if (regionKey && regions[regionKey]) return regionKey
+
+  const normalizedRegiao = _normalizeCalendarText(regiao)
+  if (normalizedRegiao) {
+    const byRegion = entries.find(
+      ([key, region]) =>
+        _normalizeCalendarText(key) === normalizedRegiao ||
+        _normalizeCalendarText(region.name) === normalizedRegiao
+    )
+    if (byRegion) return byRegion[0]
+  }
+
+  const normalizedUnidade = _normalizeCalendarText(unidade)
+  if (normalizedUnidade) {
+    const byUnit = entries.find(([, region]) =>
+      (region.units || []).some(unit => {
+        const normalizedUnit = _normalizeCalendarText(unit)
+        return normalizedUnit && normalizedUnidade.includes(normalizedUnit)
+      })
+    )
+    if (byUnit) return byUnit[0]
+  }
+  return null
+}
+
+/**
+ * Monta o calendário em uso a partir do calendário base e dos ajustes do analista.
+ * @param {object} baseCalendar - O calendário publicado (ou o padrão).
+ * @param {object} overrides - { workingHours, movableHolidays, extraHolidays, regionKey }.
+ * @param {object} userInfo - { regiao, unidade }.
+ * @returns {object} O calendário resolvido.
+ */
+function buildBusinessCalendar(baseCalendar, overrides = {}, userInfo = {}) {
+  const base = { ...DEFAULT_BUSINESS_CALENDAR, ...(baseCalendar || {}) }
+  const regions = base.regions || {}
+  const regionKey = resolveBusinessRegion(regions, {
+    regionKey: overrides.regionKey,
+    regiao: userInfo.regiao,
+    unidade: userInfo.unidade
+  })
+  const region = regionKey ? regions[regionKey] : null
+
+  const sourceHours = overrides.workingHours || base.workingHours
+  const workingPeriods = {}
+  for (let weekday = 0; weekday < 7; weekday++) {
+    workingPeriods[weekday] = (sourceHours[weekday] || [])
+      .map(period => ({
+        start: _parseCalendarTime(period.start),
+        end: _parseCalendarTime(period.end)
+      }))
+      .filter(period => period.start !== null && period.end !== null && period.end > period.start)
+      .sort((a, b) => a.start - b.start)
+  }
+
+  const movableIds = new Set([
+    ...(overrides.movableHolidays || base.movableHolidays || []),
+    ...((region && region.movableHolidays) || [])
+  ])
+
+  return {
+    workingPeriods,
+    holidays: [
+      ...(base.holidays || []),
+      ...((region && region.holidays) || []),
+      ...(overrides.extraHolidays || [])
+    ],
+    movableHolidays: [...movableIds].filter(id => MOVABLE_HOLIDAYS[id]),
+    regionKey,
+    regionName: region ? region.name || regionKey : null,
+    holidaysByYear: {}
+  }
+}
+
+/**
+ * Lista os feriados de um ano no calendário em uso.
+ * @param {number} year - O ano.
+ * @param {object} [calendar] - Calendário resolvido (padrão: o calendário em uso).
+ * @returns {Map<string, string>} Mapa "AAAA-MM-DD" -> nome do feriado.
+ */
+function getHolidaysForYear(year, calendar = getActiveBusinessCalendar()) {
+  if (calendar.holidaysByYear[year]) return calendar.holidaysByYear[year]
+
+  const holidays = new Map()
+  calendar.holidays.forEach(holiday => {
+    const date = String(holiday.date || '')
+    if (/^\d{2}-\d{2}$/.test(date)) holidays.set(`${year}-${date}`, holiday.name)
+    else if (date.startsWith(`${year}-`)) holidays.set(date, holiday.name)
+  })
+
+  const easter = getEasterDate(year)
+  calendar.movableHolidays.forEach(id => {
+    const date = new Date(easter)
+    date.setDate(date.getDate() + MOVABLE_HOLIDAYS[id].offset)
+    holidays.set(_getCalendarDateKey(date), MOVABLE_HOLIDAYS[id].name)
+  })
+
+  calendar.holidaysByYear[year] = holidays
+  return holidays
+}
+
+/**
+ * Retorna o calendário em uso (o padrão, até loadBusinessCalendar concluir).
+ * @returns {object} O calendário resolvido.
+ */
+function getActiveBusinessCalendar() {
+  if (!activeBusinessCalendar) {
+    activeBusinessCalendar = buildBusinessCalendar(DEFAULT_BUSINESS_CALENDAR)
+  }
+  return activeBusinessCalendar
+}
+
+/**
+ * Retorna o nome do feriado de uma data, se houver.
+ * @param {Date|number} date - A data.
+ * @returns {string|null} O nome do feriado ou null.
+ */
+function getHolidayName(date) {
+  const d = new Date(date)
+  return getHolidaysForYear(d.getFullYear()).get(_getCalendarDateKey(d)) || null
+}
+
+/**
+ * Verifica se a data é dia útil: o dia da semana tem expediente e não é feriado.
+ * @param {Date|number} date - A data.
+ * @returns {boolean}
+ */
+function isBusinessDay(date) {
+  const d = new Date(date)
+  const calendar = getActiveBusinessCalendar()
+  if (calendar.workingPeriods[d.getDay()].length === 0) return false
+  return !getHolidayName(d)
+}
+
+/**
+ * Avança uma data em N dias úteis (ignora dias sem expediente e feriados).
+ * @param {Date|number} date - Data de partida.
+ * @param {number} days - Quantidade de dias úteis a somar.
+ * @returns {Date} Nova data, mantendo o horário da data de partida (em dias corridos se
+ *   o calendário não tiver nenhum dia útil no próximo ano).
+ */
+function addBusinessDays(date, days) {
+  const result = new Date(date)
+  const total = Math.max(0, parseInt(days, 10) || 0)
+  let remaining = total
+  let daysWithoutWork = 0
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1)
+    if (isBusinessDay(result)) {
+      remaining--
+      daysWithoutWork = 0
+    } else if (++daysWithoutWork >= 366) {
+      const fallback = new Date(date)
+      fallback.setDate(fallback.getDate() + total)
+      return fallback
+    }
+  }
+  return result
+}
+
+/**
+ * Soma o tempo de expediente entre dois instantes, descontando noites, intervalos
+ * de almoço, dias sem expediente e feriados.
+ * @param {number} startTs - Início (timestamp).
+ * @param {number} endTs - Fim (timestamp).
+ * @returns {number} O tempo útil em milissegundos.
+ */
+function calculateBusinessTimeMs(startTs, endTs) {
+  if (!Number.isFinite(startTs) || !Number.isFinite(endTs)) return 0
+  if (endTs <= startTs) return 0
+
+  const calendar = getActiveBusinessCalendar()
+  let sum = 0
+  const day = new Date(startTs)
+  day.setHours(0, 0, 0, 0)
+
+  while (day.getTime() < endTs) {
+    const periods = calendar.workingPeriods[day.getDay()]
+    if (periods.length > 0 && !getHolidayName(day)) {
+      periods.forEach(period => {
+        const periodStart = new Date(day)
+        periodStart.setHours(0, period.start, 0, 0)
+        const periodEnd = new Date(day)
+        periodEnd.setHours(0, period.end, 0, 0)
+        const overlapStart = Math.max(startTs, periodStart.getTime())
+        const overlapEnd = Math.min(endTs, periodEnd.getTime())
+        if (overlapEnd > overlapStart) sum += overlapEnd - overlapStart
+      })
+    }
+    day.setDate(day.getDate() + 1)
+  }
+  return sum
+}
+
+/**
+ * Duração média de um dia de expediente, usada para converter tempo útil em dias úteis.
+ * @returns {number} Milissegundos de expediente em um dia útil típico.
+ */
+function getAverageWorkingDayMs() {
+  const calendar = getActiveBusinessCalendar()
+  const dailyMinutes = Object.values(calendar.workingPeriods)
+    .map(periods => periods.reduce((total, p) => total + (p.end - p.start), 0))
+    .filter(minutes => minutes > 0)
+  if (dailyMinutes.length === 0) return 24 * 60 * 60 * 1000
+  const average = dailyMinutes.reduce((a, b) => a + b, 0) / dailyMinutes.length
+  return average * 60 * 1000
+}
+
+/**
+ * Converte o tempo útil entre dois instantes em dias úteis completos.
+ * @param {number} startTs - Início (timestamp).
+ * @param {number} endTs - Fim (timestamp).
+ * @returns {number} Os dias úteis completos.
+ */
+function calculateBusinessDays(startTs, endTs) {
+  return Math.floor(calculateBusinessTimeMs(startTs, endTs) / getAverageWorkingDayMs())
+}
+
+/**
+ * Avança um instante em tempo de expediente (ex: "+1h útil" às 17h30 cai às 8h30 do
+ * próximo dia útil).
+ * @param {Date|number} date - Data de partida.
+ * @param {number} ms - Tempo útil a somar, em milissegundos.
+ * @returns {Date} A nova data (a própria data de partida se não houver expediente no próximo ano).
+ */
+function addBusinessTimeMs(date, ms) {
+  const calendar = getActiveBusinessCalendar()
+  const startTs = new Date(date).getTime()
+  let remaining = Math.max(0, ms)
+  const day = new Date(startTs)
+  day.setHours(0, 0, 0, 0)
+
+  for (let i = 0; i < 366; i++) {
+    const periods = calendar.workingPeriods[day.getDay()]
+    if (periods.length > 0 && !getHolidayName(day)) {
+      for (const period of periods) {
+        const periodStart = new Date(day)
+        periodStart.setHours(0, period.start, 0, 0)
+        const periodEnd = new Date(day)
+        periodEnd.setHours(0, period.end, 0, 0)
+        const from = Math.max(startTs, periodStart.getTime())
+        if (from >= periodEnd.getTime()) continue
+        if (from + remaining <= periodEnd.getTime()) return new Date(from + remaining)
+        remaining -= periodEnd.getTime() - from
+      }
+    }
+    day.setDate(day.getDate() + 1)
+  }
+  return new Date(startTs)
+}
+
+/**
+ * Início do expediente do próximo dia útil (depois do dia da data informada).
+ * @param {Date|number} date - Data de referência.
+ * @returns {Date} O início do primeiro período de trabalho do próximo dia útil.
+ */
+function getNextBusinessDayStart(date) {
+  const calendar = getActiveBusinessCalendar()
+  const result = addBusinessDays(date, 1)
+  const periods = calendar.workingPeriods[result.getDay()]
+  result.setHours(0, periods.length > 0 ? periods[0].start : 0, 0, 0)
+  return result
+}
+
+// --- EDIÇÃO DO CALENDÁRIO ---
+
+/**
+ * Normaliza o horário de trabalho (objeto ou array vindo do RTDB) para o formato
+ * { 0..6: [{ start, end }] }, descartando períodos inválidos.
+ * @param {object|Array} workingHours - O horário de trabalho.
+ * @returns {object} O horário normalizado.
+ */
+function normalizeWorkingHours(workingHours) {
+  const source = workingHours || {}
+  const normalized = {}
+  for (let weekday = 0; weekday < 7; weekday++) {
+    normalized[weekday] = (source[weekday] || [])
+      .filter(period => {
+        const start = _parseCalendarTime(period && period.start)
+        const end = _parseCalendarTime(period && period.end)
+        return start !== null && end !== null && end > start
+      })
+      .map(period => ({ start: period.start, end: period.end }))
+  }
+  return normalized
+}
+
+/**
+ * Verifica se o horário de trabalho tem ao menos um dia da semana com expediente.
+ * @param {object|Array} workingHours - O horário de trabalho.
+ * @returns {boolean}
+ */
+function hasWorkingWeekday(workingHours) {
+  return Object.values(normalizeWorkingHours(workingHours)).some(periods => periods.length > 0)
+}
+
+/**
+ * Converte linhas "DD/MM Nome" (todo ano) ou "DD/MM/AAAA Nome" (data única) em feriados.
+ * @param {string} text - O texto, um feriado por linha.
+ * @returns {{holidays: Array<{date: string, name: string}>, invalidLines: string[]}}
+ */
+function parseHolidayLines(text) {
+  const holidays = []
+  const invalidLines = []
+  String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .forEach(line => {
+      const match = line.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?\s*[-–]?\s*(.*)$/)
+      const day = match ? parseInt(match[1], 10) : 0
+      const month = match ? parseInt(match[2], 10) : 0
+      if (!match || day < 1 || day > 31 || month < 1 || month > 12) {
+        invalidLines.push(line)
+        return
+      }
+      const mmdd = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+      holidays.push({
+        date: match[3] ? `${match[3]}-${mmdd}` : mmdd,
+        name: match[4].trim() || 'Feriado'
+      })
+    })
+  return { holidays, invalidLines }
+}
+
+/**
+ * Formata feriados no formato de linhas aceito por parseHolidayLines.
+ * @param {Array<{date: string, name: string}>} holidays - Os feriados.
+ * @returns {string} Um feriado por linha.
+ */
+function formatHolidayLines(holidays) {
+  return (holidays || [])
+    .map(holiday => {
+      const parts = String(holiday.date || '').split('-')
+      const date =
+        parts.length === 3 ? `${parts[2]}/${parts[1]}/${parts[0]}` : `${parts[1]}/${parts[0]}`
+      return `${date} ${holiday.name || ''}`.trim()
+    })
+    .join('\n')
+}
+
+// --- CALENDÁRIO PUBLICADO E AJUSTES LOCAIS ---
+// O RTDB é lido e escrito por readRtdbPath/writeRtdbPath (storage.js): a sincronização e a
+// publicação só rodam nas páginas de conteúdo; o Service Worker usa apenas o cache local.
+
+/**
+ * Baixa o calendário publicado quando o nó de versão mudou (verificado no máximo
+ * uma vez por hora, salvo `forceRefresh`).
+ * @param {boolean} forceRefresh - Ignora o intervalo e a versão em cache.
+ * @returns {Promise<boolean>} True se o calendário publicado foi atualizado.
+ */
+async function syncPublishedBusinessCalendar(forceRefresh = false) {
+  try {
+    const storage = await chrome.storage.local.get([
+      'businessCalendarVersion',
+      'businessCalendarCheckedAt'
+    ])
+    const now = Date.now()
+    if (
+      !forceRefresh &&
+      now - (storage.businessCalendarCheckedAt || 0) < BUSINESS_CALENDAR_CHECK_INTERVAL_MS
+    ) {
+      return false
+    }
+
+    const version = await readRtdbPath(`${RTDB_BUSINESS_CALENDAR_VERSION_PATH}.json`)
+    await chrome.storage.local.set({ businessCalendarCheckedAt: now })
+    if (!forceRefresh && version === storage.businessCalendarVersion) return false
+
+    const calendar = await readRtdbPath(`${RTDB_BUSINESS_CALENDAR_PATH}.json`)
+    await chrome.storage.local.set({
+      publishedBusinessCalendar: calendar || null,
+      businessCalendarVersion: version || null
+    })
+    return true
+  } catch (error) {
+    console.warn('SGD - PowerTools: Falha ao sincronizar o calendário de expediente.', error)
+    return false
+  }
+}
+
+/**
+ * Recupera os ajustes locais do analista.
+ * @returns {Promise<object>} { workingHours, movableHolidays, extraHolidays, regionKey }.
+ */
+async function getBusinessCalendarOverrides() {
+  const storage = await chrome.storage.local.get('businessCalendarOverrides')
+  return storage.businessCalendarOverrides || {}
+}
+
+/**
+ * Salva os ajustes locais do analista e recarrega o calendário em uso.
+ * @param {object} overrides - Os ajustes (objeto vazio restaura o calendário publicado).
+ */
+async function saveBusinessCalendarOverrides(overrides) {
+  if (overrides.workingHours && !hasWorkingWeekday(overrides.workingHours)) {
+    throw new Error('O horário de trabalho precisa ter ao menos um dia com expediente.')
+  }
+  await chrome.storage.local.set({ businessCalendarOverrides: overrides })
+  await loadBusinessCalendar()
+}
+
+/**
+ * Publica o calendário base da equipe (apenas Editores Master).
+ * @param {object} calendar - { workingHours, holidays, movableHolidays, regions }.
+ */
+async function publishBusinessCalendar(calendar) {
+  if (!window.sgdPermissions?.isMaster) {
+    throw new Error('Apenas Editores Master podem publicar o calendário.')
+  }
+  if (!hasWorkingWeekday(calendar.workingHours)) {
+    throw new Error('O horário de trabalho precisa ter ao menos um dia com expediente.')
+  }
+  const now = new Date().toISOString()
+  const published = {
+    workingHours: calendar.workingHours,
+    holidays: calendar.holidays || [],
+    movableHolidays: calendar.movableHolidays || [],
+    regions: calendar.regions || {},
+    updatedAt: now,
+    updatedBy: window.sgdPermissions.currentUser || ''
+  }
+  await writeRtdbPath(`${RTDB_BUSINESS_CALENDAR_PATH}.json`, 'PUT', published)
+  await writeRtdbPath(`${RTDB_BUSINESS_CALENDAR_VERSION_PATH}.json`, 'PUT', now)
+  await chrome.storage.local.set({
+    publishedBusinessCalendar: published,
+    businessCalendarVersion: now
+  })
+  await loadBusinessCalendar()
+}
+
+/**
+ * Resolve o calendário em uso a partir do calendário publicado (em cache), dos
+ * ajustes locais e da unidade/região do analista.
+ * @returns {Promise<object>} O calendário resolvido.
+ */
+async function loadBusinessCalendar() {
+  const storage = await chrome.storage.local.get([
+    'publishedBusinessCalendar',
+    'businessCalendarOverrides',
+    'userUnidade',
+    'userRegiao'
+  ])
+  activeBusinessCalendar = buildBusinessCalendar(
+    storage.publishedBusinessCalendar || DEFAULT_BUSINESS_CALENDAR,
+    storage.businessCalendarOverrides || {},
+    { unidade: storage.userUnidade, regiao: storage.userRegiao }
+  )
+  return activeBusinessCalendar
+}
+
+/**
+ * Garante que o calendário em uso foi carregado (e sincronizado, se necessário)
+ * antes de cálculos de tempo.
+ * @returns {Promise<object>} O calendário resolvido.
+ */
+function ensureBusinessCalendarLoaded() {
+  if (!businessCalendarLoadPromise) {
+    businessCalendarLoadPromise = syncPublishedBusinessCalendar().then(loadBusinessCalendar)
+  }
+  return businessCalendarLoadPromise
+}
+
+// Recarrega o calendário quando outra aba publica, ajusta ou a unidade do analista muda.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return
+  const relevantKeys = [
+    'publishedBusinessCalendar',
+    'businessCalendarOverrides',
+    'userUnidade',
+    'userRegiao'
+  ]
+  if (relevantKeys.some(key => changes[key])) loadBusinessCalendar()
+})
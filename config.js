@@ -89,16 +89,24 @@ window.addEventListener('sgd-debug-command', (event) => {
 const DEV_MODE_KEY = 'developerModeEnabled'
 const DATA_VERSION = 3
 const STORAGE_KEY = 'quickMessagesData'
+const QUICK_MESSAGES_HISTORY_KEY = 'quickMessagesHistoryData'
 const NOTES_STORAGE_KEY = 'editorNotesData'
 const REMINDERS_STORAGE_KEY = 'remindersData'
 const SETTINGS_STORAGE_KEY = 'extensionSettingsData'
 const USER_RESPONSE_SAMPLES_KEY = 'userResponseSamples'
 const MAX_RESPONSE_SAMPLES = 30
 const FAB_POSITION_KEY = 'fabPositionData'
+const COMMAND_PALETTE_USAGE_KEY = 'commandPaletteUsage'
+const EDITOR_HISTORY_KEY = 'editorHistoryData'
+const MAX_EDITOR_HISTORY_TICKETS = 20
+const EDITOR_DRAFTS_KEY = 'editorDraftsData'
+const MAX_EDITOR_DRAFTS = 50
+const EDITOR_DRAFT_RETENTION_DAYS = 30
 const GREETINGS_CLOSINGS_KEY = 'greetingsAndClosingsData'
 const FOLLOWED_ATTENDANCES_KEY = 'followedAttendancesData'
 const LAST_SEEN_VERSION_KEY = 'lastSeenVersion'
 const PENDING_MINOR_NOTES_KEY = 'pendingMinorNotes'
+const TIME_LEDGER_STORAGE_KEY = 'timeLedgerData'
 
 // Permissões de Editores (Firebase Realtime Database)
 const RTDB_PERMISSIONS_BASE_URL = 'https://sgd-extension-default-rtdb.firebaseio.com/permissions'
@@ -181,9 +189,22 @@ const DEFAULT_SETTINGS = {
     enableDuplicateChecker: false, // Habilita a verificação de atendimentos duplicados por padrão desativado
     enableTeamManagement: false, // Habilita o gerenciamento de Equipe AT na guia Controle de Acesso por padrão desativado
     rememberLastClassification: false, // Lembrar e preencher automaticamente a última classificação selecionada (desativado por padrão)
-    enableAutoCapitalize: true // Capitaliza automaticamente a primeira letra de frases ao digitar (habilitado por padrão)
+    enableAutoCapitalize: true, // Capitaliza automaticamente a primeira letra de frases ao digitar (habilitado por padrão)
+    messageHistoryLimit: 10, // Quantidade de versões anteriores mantidas por trâmite
+    trashRetentionDays: 30, // Dias que trâmites e categorias excluídos permanecem na lixeira
+    enableRichPaste: true, // Mantém a formatação ao colar do Word, Outlook, Teams e Excel
+    pasteTablesAs: 'table', // Tabelas coladas: 'table' (tabela do SGD) ou 'text' (texto alinhado)
+    enableSlaNotifications: true, // Notifica pendências perto do estouro ou com o SLA estourado
+    bulkOpenTabsLimit: 10, // Máximo de abas abertas em segundo plano por vez nas ações em lote das pendências
+    enableFollowedNotifications: true, // Notifica novos trâmites nos atendimentos seguidos
+    enableReminderEscalation: true, // Renotifica lembretes de prioridade alta ignorados
+    reminderEscalationMinutes: 15, // Minutos sem resposta entre cada nível de escalonamento
+    reminderEscalationChannel: '', // Canal de avisos da equipe avisado no último nível ('' = nenhum)
+    enableAutoTimeTracking: true // Cronômetro inicia/pausa sozinho ao entrar/sair da aba do chamado
   },
-  pinnedAIButtons: []
+  snoozePresets: ['15min', '1h', '1h-business', 'tomorrow-8h', 'next-business-day'], // Opções do "Adiar Lembrete" (snooze-service.js)
+  pinnedAIButtons: [],
+  customVariables: [] // Constantes do usuário para os trâmites: [{ name, value, description }]
 }
 
 let currentEditorTheme = 'padrao'
@@ -45,6 +45,7 @@ function insertAtCursor(textArea, text, userOptions = {}) {
 
   textToInsert = textToInsert.replace(/<br\s*\/?>/gi, '\n')
 
+  markEditorHistoryOperation(textArea, 'Inserção')
   textArea.value =
     value.substring(0, selectionStart) +
     textToInsert +
@@ -276,6 +277,11 @@ function updatePreview(textArea) {
 
   let rawHtml = textArea.value
 
+  // No modo Markdown o textarea guarda Markdown: renderiza no HTML do SGD.
+  if (textArea.dataset.markdownMode === 'true') {
+    rawHtml = markdownToSgdHtml(rawHtml)
+  }
+
   // Converte as quebras de linha do textarea para a tag <br>
   rawHtml = rawHtml.replace(/\n/g, '<br>')
 
@@ -377,3 +383,281 @@ function handleImagePaste(e, textArea) {
   // Lê o arquivo de imagem como Data URL (Base64).
   reader.readAsDataURL(imageFile);
 }
+
+// --- NORMALIZAÇÃO DE CONTEÚDO COLADO (Word, Outlook, Teams, Excel) ---
+
+/**
+ * Identifica a origem de um HTML da área de transferência pelas marcas que cada
+ * aplicativo deixa no conteúdo.
+ * @param {string} html - O conteúdo "text/html" colado.
+ * @returns {'excel'|'word'|'outlook'|'teams'|'html'} A origem detectada.
+ */
+function detectClipboardSource(html) {
+  if (/urn:schemas-microsoft-com:office:excel|ProgId"?\s+content="?Excel/i.test(html)) {
+    return 'excel'
+  }
+  if (/urn:schemas-microsoft-com:office:word|ProgId"?\s+content="?Word/i.test(html)) {
+    // O Outlook clássico usa o mesmo motor do Word; diferencia pelo gerador.
+    return /Microsoft Outlook|class="?OutlookMessageHeader/i.test(html) ? 'outlook' : 'word'
+  }
+  if (/class="?(?:x_)?(?:elementToProof|ContentPasted)|id="?Signature|divRplyFwdMsg/i.test(html)) {
+    return 'outlook'
+  }
+  if (/itemprop="?copy-paste-block|data-tid=|teams\.microsoft\.com/i.test(html)) {
+    return 'teams'
+  }
+  return /mso-/i.test(html) ? 'word' : 'html'
+}
+
+/**
+ * Remove os redirecionadores de proteção de links do Microsoft 365
+ * (Safe Links e Defender for Cloud Apps), devolvendo a URL original.
+ * @param {string} url - A URL colada.
+ * @returns {string} A URL sem o redirecionador.
+ */
+function unwrapProtectedLink(url) {
+  if (!url) return url
+  try {
+    const parsed = new URL(url)
+    if (/(^|\.)safelinks\.protection\.outlook\.com$/i.test(parsed.hostname)) {
+      const original = parsed.searchParams.get('url')
+      return original ? unwrapProtectedLink(original) : url
+    }
+    if (/\.mcas\.ms$/i.test(parsed.hostname)) {
+      // Ex.: https://site.com.mcas.ms/pagina → https://site.com/pagina
+      parsed.hostname = parsed.hostname.replace(/\.mcas\.ms$/i, '')
+      parsed.searchParams.delete('McasTsid')
+      parsed.searchParams.delete('McasCtx')
+      return parsed.toString()
+    }
+  } catch (error) {
+    return url
+  }
+  return url
+}
+
+/**
+ * Extrai o estilo inline de um elemento em minúsculas e sem espaços, para os testes
+ * de "mso-list", "font-weight" etc.
+ * @param {Element} element - O elemento.
+ * @returns {string} O estilo normalizado.
+ */
+function _getCompactStyle(element) {
+  return (element.getAttribute('style') || '').toLowerCase().replace(/\s+/g, '')
+}
+
+/**
+ * Converte as células de uma tabela colada em texto alinhado por colunas.
+ * Usa espaços não separáveis e fonte monoespaçada para o alinhamento sobreviver
+ * à exibição do SGD.
+ * @param {string[][]} rows - O texto de cada célula.
+ * @returns {string} As linhas da tabela em texto.
+ */
+function _formatTableAsAlignedText(rows) {
+  const columns = Math.max(...rows.map(row => row.length))
+  const widths = Array.from({ length: columns }, (_, index) =>
+    Math.max(...rows.map(row => (row[index] || '').length))
+  )
+  return rows
+    .map(row => {
+      const line = widths
+        .map((width, index) => (row[index] || '').padEnd(width, '\u00a0'))
+        .join('\u00a0\u00a0')
+        .replace(/\u00a0+$/, '')
+      return `<span style="font-family: monospace;">${escapeHTML(line)}</span>`
+    })
+    .join('\n')
+}
+
+/**
+ * Converte um nó do HTML colado para o formato do trâmite (HTML em linha com \n).
+ * @param {Node} node - O nó a converter.
+ * @param {object} context - { source, tablesAs: 'table'|'text', listDepth: number }.
+ * @returns {string} O conteúdo convertido.
+ */
+function _clipboardNodeToSgdHtml(node, context) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeHTML(node.textContent.replace(/[ \t\r\n]+/g, ' '))
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return ''
+
+  const tag = node.tagName.toLowerCase()
+  const style = _getCompactStyle(node)
+  const children = (childContext = context) =>
+    Array.from(node.childNodes)
+      .map(child => _clipboardNodeToSgdHtml(child, childContext))
+      .join('')
+  const indent = level => '&nbsp;'.repeat(level * 4)
+
+  // Marcadores de lista do Word ("·", "1.", "o") já são tratados no parágrafo.
+  if (style.includes('mso-list:ignore')) return ''
+
+  switch (tag) {
+    case 'style':
+    case 'script':
+    case 'meta':
+    case 'title':
+    case 'xml':
+    case 'o:p':
+      return ''
+    case 'br':
+      return '\n'
+    case 'b':
+    case 'strong':
+      return /font-weight:(normal|400)/.test(style) ? children() : `<b>${children()}</b>`
+    case 'i':
+    case 'em':
+      return `<i>${children()}</i>`
+    case 'u':
+      return `<u>${children()}</u>`
+    case 's':
+    case 'strike':
+    case 'del':
+      return `<s>${children()}</s>`
+    case 'a': {
+      const href = unwrapProtectedLink(node.getAttribute('href') || '')
+      if (!href || href.startsWith('#') || !isValidUrl(href)) return children()
+      return `<a href="${escapeHTML(href)}" target="_blank">${children()}</a>`
+    }
+    case 'img': {
+      // Imagens do Word/Outlook apontam para arquivos temporários locais (file:///, cid:).
+      const src = node.getAttribute('src') || ''
+      if (!/^(https?:|data:image\/)/i.test(src)) return ''
+      return `<img src="${escapeHTML(src)}" alt="${escapeHTML(node.getAttribute('alt') || '')}">`
+    }
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return `\n<b>${children().trim()}</b>\n`
+    case 'ul':
+    case 'ol': {
+      const items = Array.from(node.children).filter(child => child.tagName === 'LI')
+      const start = parseInt(node.getAttribute('start'), 10) || 1
+      const lines = items.map((item, index) => {
+        const marker = tag === 'ol' ? `${start + index}.` : '&bull;'
+        const content = _clipboardNodeToSgdHtml(item, {
+          ...context,
+          listDepth: context.listDepth + 1
+        })
+        return `${indent(context.listDepth)}${marker} ${content.trim()}`
+      })
+      return `\n${lines.join('\n')}\n`
+    }
+    case 'table': {
+      const rows = Array.from(node.rows || []).filter(row => row.cells.length > 0)
+      if (rows.length === 0) return ''
+      // Uma única célula (ex.: copiada do Excel) é colada como texto.
+      if (rows.length === 1 && rows[0].cells.length === 1) {
+        return _clipboardNodeToSgdHtml(rows[0].cells[0], context).trim()
+      }
+
+      if (context.tablesAs === 'text') {
+        const textRows = rows.map(row =>
+          Array.from(row.cells).map(cell => cell.textContent.replace(/\s+/g, ' ').trim())
+        )
+        return `\n${_formatTableAsAlignedText(textRows)}\n`
+      }
+
+      const cellRows = rows.map(row =>
+        Array.from(row.cells).map(cell =>
+          _clipboardNodeToSgdHtml(cell, context).replace(/\s*\n+\s*/g, ' ').trim()
+        )
+      )
+      const hasHeader = rows[0].querySelector('th') !== null
+      return `\n${buildSgdTableHtml(hasHeader ? cellRows[0] : null, hasHeader ? cellRows.slice(1) : cellRows)}\n`
+    }
+    case 'p':
+    case 'div':
+    case 'li':
+    case 'tr':
+    case 'blockquote': {
+      // Parágrafos de lista do Word: <p style="mso-list:l0 level2 lfo1">
+      const msoList = style.match(/mso-list:l\d+level(\d+)/)
+      if (msoList && tag === 'p' && ['word', 'outlook'].includes(context.source)) {
+        const markerElement = node.querySelector('[style*="mso-list" i]')
+        const markerText = (markerElement?.textContent || '').replace(/\s+/g, '').trim()
+        const marker = /^(\d+|[a-z]{1,3})[.)]$/i.test(markerText) ? markerText : '&bull;'
+        return `\n${indent(parseInt(msoList[1], 10) - 1)}${marker} ${children().trim()}\n`
+      }
+      return `\n${children()}\n`
+    }
+    default: {
+      // Formatação aplicada por estilo (comum no Outlook e no Teams).
+      let content = children()
+      if (!content.trim()) return content
+      if (/font-weight:(bold|[6-9]00)/.test(style)) content = `<b>${content}</b>`
+      if (style.includes('font-style:italic')) content = `<i>${content}</i>`
+      if (style.includes('text-decoration:underline')) content = `<u>${content}</u>`
+      return content
+    }
+  }
+}
+
+/**
+ * Normaliza o HTML colado de Word, Outlook, Teams, Excel ou páginas web para o
+ * formato do trâmite: mantém negrito, itálico, sublinhado, links, listas e tabelas,
+ * descarta estilos "mso-", classes e redirecionadores de links.
+ * @param {string} html - O conteúdo "text/html" da área de transferência.
+ * @param {object} [options] - { tablesAs: 'table'|'text' }.
+ * @returns {string} O conteúdo pronto para o textarea.
+ */
+function normalizeClipboardHtml(html, options = {}) {
+  // Trechos do Word/Outlook vêm com comentários condicionais (<!--[if ...]>) e
+  // marcadores "StartFragment"; o DOMParser os transforma em comentários ignorados.
+  const doc = new DOMParser().parseFromString(html, 'text/html')
+  const content = _clipboardNodeToSgdHtml(doc.body, {
+    source: detectClipboardSource(html),
+    tablesAs: options.tablesAs === 'text' ? 'text' : 'table',
+    listDepth: 0
+  })
+
+  const normalized = content
+    .split('\n')
+    .map(line => line.replace(/^ +| +$/g, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+
+  // Os recuos de listas ficam como &nbsp; (o sanitizeHtml também serializa assim os
+  // espaços não separáveis das tabelas), para o SGD não colapsar os espaços.
+  return sanitizeHtml(normalized)
+}
+
+/**
+ * Trata a colagem de texto no editor. Conteúdo formatado ("text/html") é normalizado
+ * por {@link normalizeClipboardHtml}; no modo Markdown o resultado (ou um texto com
+ * tags HTML) é convertido para Markdown. Ctrl+Shift+V continua colando texto puro.
+ * @param {ClipboardEvent} e - O evento de colar.
+ * @param {HTMLTextAreaElement} textArea - O textarea de destino.
+ */
+async function handleRichPaste(e, textArea) {
+  if (!e.clipboardData) return
+
+  const html = e.clipboardData.getData('text/html')
+  const text = e.clipboardData.getData('text/plain')
+  const isMarkdownMode = textArea.dataset.markdownMode === 'true'
+  // Texto puro com tags (ex.: trâmite copiado do textarea fora do modo Markdown).
+  const textWithTags = /<\/?[a-z][^>]*>/i.test(text) ? text : ''
+  if (!html && !(isMarkdownMode && textWithTags)) return
+
+  // O evento precisa ser cancelado de forma síncrona, antes de ler as preferências.
+  e.preventDefault()
+  const selection = { start: textArea.selectionStart, end: textArea.selectionEnd }
+
+  let content = textWithTags
+  if (html) {
+    const { preferences } = await getSettings()
+    if (preferences.enableRichPaste !== false) {
+      content = normalizeClipboardHtml(html, { tablesAs: preferences.pasteTablesAs })
+    }
+    // Desativado ou sem conteúdo aproveitável: mesmo resultado da colagem nativa.
+    if (!content || !content.trim()) content = text
+  }
+  if (isMarkdownMode) content = sgdHtmlToMarkdown(content.replace(/\n/g, '<br>'))
+
+  textArea.setSelectionRange(selection.start, selection.end)
+  insertAtCursor(textArea, content)
+}
@@ -4,46 +4,191 @@
  * Carregado por: manifest.json (content_scripts), antes de app.js e main.js
  */
 
-function createHistoryManager(initialState) {
-  let history = [initialState]
-  let position = 0
+// --- HISTÓRICO DE EDIÇÃO (DESFAZER/REFAZER) ---
+
+const HISTORY_MAX_OPERATIONS = 200 // Operações mantidas em memória
+const HISTORY_PERSISTED_OPERATIONS = 50 // Operações salvas por atendimento
+const HISTORY_GROUP_WINDOW_MS = 1000 // Digitação contínua dentro deste intervalo vira uma operação
+
+/**
+ * Gerenciadores de histórico por textarea, para que inserções feitas por outros
+ * módulos (insertAtCursor, replaceTextPart, IA) possam marcar suas operações.
+ */
+const editorHistoryManagers = new WeakMap()
+
+/**
+ * Cria o gerenciador de histórico de um textarea. Em vez de guardar o texto inteiro a
+ * cada alteração, registra operações ({ start, removed, inserted }) com a seleção de
+ * antes e depois, agrupando rajadas de digitação e de apagamento.
+ * @param {string} initialValue - O conteúdo atual do textarea.
+ * @param {object|null} savedHistory - Histórico serializado por `toJSON()`.
+ */
+function createHistoryManager(initialValue, savedHistory = null) {
+  let undoStack = savedHistory ? savedHistory.undo.slice() : []
+  let redoStack = savedHistory ? savedHistory.redo.slice() : []
+  let lastValue = savedHistory ? savedHistory.value : initialValue
+  let pendingLabel = null // Próxima operação é isolada (não se agrupa com a digitação)
+
+  const diff = (oldValue, newValue) => {
+    const maxPrefix = Math.min(oldValue.length, newValue.length)
+    let prefix = 0
+    while (prefix < maxPrefix && oldValue[prefix] === newValue[prefix]) prefix++
+
+    const maxSuffix = maxPrefix - prefix
+    let suffix = 0
+    while (
+      suffix < maxSuffix &&
+      oldValue[oldValue.length - 1 - suffix] === newValue[newValue.length - 1 - suffix]
+    ) {
+      suffix++
+    }
+
+    return {
+      start: prefix,
+      removed: oldValue.slice(prefix, oldValue.length - suffix),
+      inserted: newValue.slice(prefix, newValue.length - suffix)
+    }
+  }
+
+  const canMerge = (previous, operation) => {
+    if (!previous || previous.kind !== operation.kind || previous.label) return false
+    if (operation.time - previous.time > HISTORY_GROUP_WINDOW_MS) return false
+
+    if (operation.kind === 'typing') {
+      // Um novo grupo começa a cada palavra, como nos editores de texto.
+      const startsNewWord = /\s$/.test(previous.inserted) && /^\S/.test(operation.inserted)
+      return (
+        !previous.removed &&
+        !operation.removed &&
+        previous.start + previous.inserted.length === operation.start &&
+        !startsNewWord
+      )
+    }
+    if (operation.kind === 'delete') {
+      // Backspace (avança para trás) ou Delete (mantém a posição)
+      return (
+        !previous.inserted &&
+        !operation.inserted &&
+        (operation.start + operation.removed.length === previous.start ||
+          operation.start === previous.start)
+      )
+    }
+    return false
+  }
 
   return {
-    add(state) {
-      // Se o ponteiro não estiver no final, remove o histórico futuro (redo)
-      if (position < history.length - 1) {
-        history = history.slice(0, position + 1)
+    /**
+     * Registra a diferença entre o último conteúdo conhecido e o novo.
+     * @param {string} newValue - O conteúdo atual do textarea.
+     * @param {object} details - { kind, selectionBefore, selectionAfter }.
+     * @returns {boolean} Se uma operação foi registrada.
+     */
+    record(newValue, details = {}) {
+      if (newValue === lastValue) return false
+
+      const operation = {
+        ...diff(lastValue, newValue),
+        kind: pendingLabel ? 'other' : details.kind || 'other',
+        label: pendingLabel,
+        selectionBefore: details.selectionBefore || null,
+        selectionAfter: details.selectionAfter || null,
+        time: Date.now()
       }
-      // Evita adicionar estados duplicados consecutivos
-      if (history[position] === state) {
-        return
+      pendingLabel = null
+      lastValue = newValue
+      redoStack = []
+
+      const previous = undoStack[undoStack.length - 1]
+      if (canMerge(previous, operation)) {
+        if (operation.kind === 'typing') {
+          previous.inserted += operation.inserted
+        } else if (operation.start === previous.start) {
+          previous.removed += operation.removed
+        } else {
+          previous.start = operation.start
+          previous.removed = operation.removed + previous.removed
+        }
+        previous.selectionAfter = operation.selectionAfter
+        previous.time = operation.time
+        return true
       }
-      history.push(state)
-      position = history.length - 1
 
-      // Limita o tamanho do histórico para não consumir muita memória
-      if (history.length > 50) {
-        history.shift()
-        position--
-      }
+      undoStack.push(operation)
+      if (undoStack.length > HISTORY_MAX_OPERATIONS) undoStack.shift()
+      return true
+    },
+    /**
+     * Isola a próxima operação registrada (usado por inserções programáticas).
+     * @param {string} label - Descrição da operação (ex.: "Resposta da IA").
+     */
+    markNextOperation(label) {
+      pendingLabel = label || 'Alteração'
     },
     undo() {
-      if (position > 0) {
-        position--
-        return history[position]
+      const operation = undoStack.pop()
+      if (!operation) return null // Não há mais o que desfazer
+      lastValue =
+        lastValue.slice(0, operation.start) +
+        operation.removed +
+        lastValue.slice(operation.start + operation.inserted.length)
+      redoStack.push(operation)
+      const fallback = operation.start + operation.removed.length
+      return {
+        value: lastValue,
+        selection: operation.selectionBefore || { start: fallback, end: fallback }
       }
-      return null // Não há mais o que desfazer
     },
     redo() {
-      if (position < history.length - 1) {
-        position++
-        return history[position]
+      const operation = redoStack.pop()
+      if (!operation) return null // Não há mais o que refazer
+      lastValue =
+        lastValue.slice(0, operation.start) +
+        operation.inserted +
+        lastValue.slice(operation.start + operation.removed.length)
+      undoStack.push(operation)
+      const fallback = operation.start + operation.inserted.length
+      return {
+        value: lastValue,
+        selection: operation.selectionAfter || { start: fallback, end: fallback }
+      }
+    },
+    /**
+     * Serializa o histórico para o storage, limitado às operações mais recentes.
+     * @returns {{value: string, undo: object[], redo: object[]}}
+     */
+    toJSON() {
+      return {
+        value: lastValue,
+        undo: undoStack.slice(-HISTORY_PERSISTED_OPERATIONS),
+        redo: redoStack.slice(-HISTORY_PERSISTED_OPERATIONS)
       }
-      return null // Não há mais o que refazer
     }
   }
 }
 
+/**
+ * Marca a próxima alteração de um textarea como uma operação isolada no histórico,
+ * para que um Ctrl+Z desfaça a inserção inteira e não a misture com a digitação.
+ * @param {HTMLTextAreaElement} textArea - O textarea que será alterado.
+ * @param {string} label - Descrição da operação.
+ */
+function markEditorHistoryOperation(textArea, label) {
+  const history = textArea && editorHistoryManagers.get(textArea)
+  if (history) history.markNextOperation(label)
+}
+
+/**
+ * Monta a chave que identifica o atendimento aberto: tipo do formulário (prefixo
+ * do ID do textarea, ex.: "sscForm") e número da solicitação.
+ * @param {HTMLTextAreaElement} textArea - O textarea do editor.
+ * @returns {Promise<string>} A chave, ex.: "sscForm:123456" ou "cadSscForm:novo".
+ */
+async function getEditorTicketKey(textArea) {
+  const formType = (textArea.id || 'editor').split(':')[0]
+  const requestNumber = await _getRequestNumberLogic()
+  return `${formType}:${requestNumber || 'novo'}`
+}
+
 // --- INICIALIZAÇÃO ROBUSTA (MutationObserver) ---
 
 let lastKnownTextAreaValue = ''
@@ -184,7 +329,7 @@ async function addGreetingAndClosing(
         g => g.id === data.defaultGreetingId
       )
       if (defaultGreeting) {
-        greeting = await resolveVariablesInText(defaultGreeting.content)
+        greeting = await renderTemplate(defaultGreeting.content, { interactive: false })
       }
     }
 
@@ -193,7 +338,7 @@ async function addGreetingAndClosing(
         c => c.id === data.defaultClosingId
       )
       if (defaultClosing) {
-        closing = await resolveVariablesInText(defaultClosing.content)
+        closing = await renderTemplate(defaultClosing.content, { interactive: false })
       }
     }
   }
@@ -520,6 +665,10 @@ async function initializeEditorInstance(textArea, instanceId, options = {}) {
         }
       })
     }
+    if (instanceId === 'main' && (await getMarkdownModeState())) {
+      setMarkdownMode(textArea, true)
+    }
+    setupMarkdownSubmitConversion(textArea)
     updatePreview(textArea)
   }
 
@@ -551,6 +700,7 @@ async function initializeEditorInstance(textArea, instanceId, options = {}) {
 
   if (instanceId === 'main') {
     addSgdActionButtons(masterContainer)
+    setupDraftAutosave(textArea, masterContainer)
     setupSolutionObserver(textArea)
     setupUserSelectionListener(textArea)
     setupSituationListener(textArea)
@@ -735,7 +885,7 @@ async function createEditorToolbarHtml(instanceId, options = {}) {
       includeQuickStepsDropdown &&
       buttonsVisibility.quickSteps
       ? `<div class="dropdown">
-        <button type="button" data-action="quick-steps" class="shine-effect" title="Trâmites Rápidos">⚡</button>
+        <button type="button" data-action="quick-steps" class="shine-effect" title="Trâmites Rápidos (Ctrl+K para buscar)">⚡</button>
         <div class="dropdown-content quick-steps-dropdown"></div>
       </div>`
       : ''
@@ -747,6 +897,7 @@ async function createEditorToolbarHtml(instanceId, options = {}) {
         <button type="button" class="shine-effect" title="Lembretes">⏰</button>
         <div class="dropdown-content">
           <button type="button" data-action="new-reminder">📅 Novo Lembrete</button>
+          <button type="button" data-action="new-ticket-reminder">🎫 Lembrete deste Chamado</button>
           <button type="button" data-action="manage-reminders">⏳ Gerenciar Lembretes</button>
         </div>
       </div>
@@ -778,7 +929,8 @@ async function createEditorToolbarHtml(instanceId, options = {}) {
   }
 
   const togglePreviewHtml = includePreview
-    ? `<button type="button" data-action="toggle-preview" class="shine-effect" title="Mostrar Visualização (Ctrl+Alt+V)">👁️</button>`
+    ? `<button type="button" data-action="toggle-preview" class="shine-effect" title="Mostrar Visualização (Ctrl+Alt+V)">👁️</button>
+       <button type="button" data-action="toggle-markdown" class="shine-effect markdown-toggle-btn" title="Ativar modo Markdown (Ctrl+Alt+M)">M↓</button>`
     : ''
 
   const isSscPage = window.location.pathname.includes('/sgsc/faces/ssc.html')
@@ -1022,7 +1174,7 @@ async function performAutoFill(textArea) {
       g => g.id === data.defaultGreetingId
     )
     if (defaultGreeting) {
-      greetingContent = await resolveVariablesInText(defaultGreeting.content)
+      greetingContent = await renderTemplate(defaultGreeting.content, { interactive: false })
     }
   }
 
@@ -1031,7 +1183,7 @@ async function performAutoFill(textArea) {
       c => c.id === data.defaultClosingId
     )
     if (defaultClosing) {
-      closingContent = await resolveVariablesInText(defaultClosing.content)
+      closingContent = await renderTemplate(defaultClosing.content, { interactive: false })
     }
   }
 
@@ -1347,6 +1499,10 @@ function replaceTextPart(textArea, type, newContent) {
   }
 
   if (newText && newText !== fullText) {
+    markEditorHistoryOperation(
+      textArea,
+      type === 'greetings' ? 'Troca de saudação' : 'Troca de encerramento'
+    )
     textArea.value = newText
     textArea.dispatchEvent(new Event('input', { bubbles: true }))
   }
@@ -1368,22 +1524,89 @@ function setupEditorInstanceListeners(
   if (!textArea) return
 
   // --- Inicialização do Gerenciador de Histórico ---
-  const history = createHistoryManager(textArea.value)
-  let debounceTimeout
+  let history = createHistoryManager(textArea.value)
+  editorHistoryManagers.set(textArea, history)
+  let ticketKey = null
+  let persistTimeout
+  let lastSelection = {
+    start: textArea.selectionStart,
+    end: textArea.selectionEnd
+  }
   let performingUndoRedo = false // Flag para evitar loop no listener de input
 
+  const rememberSelection = () => {
+    lastSelection = { start: textArea.selectionStart, end: textArea.selectionEnd }
+  }
+  ;['keyup', 'mouseup', 'select', 'focus'].forEach(eventName =>
+    textArea.addEventListener(eventName, rememberSelection)
+  )
+
+  const persistHistory = () => {
+    if (!ticketKey) return
+    clearTimeout(persistTimeout)
+    persistTimeout = setTimeout(() => {
+      saveEditorHistory(ticketKey, history.toJSON())
+    }, 1000)
+  }
+
   /**
-   * Atualiza o valor do textarea com um estado do histórico.
-   * @param {string | null} newState - O novo conteúdo para o textarea.
+   * Registra no histórico a alteração mais recente do textarea.
+   * @param {string} [inputType] - O `inputType` do evento de input, se houver.
    */
-  const updateTextAreaState = newState => {
-    if (newState === null) return
+  const recordHistory = inputType => {
+    let kind = 'other'
+    if (inputType === 'insertText') kind = 'typing'
+    else if (inputType === 'deleteContentBackward' || inputType === 'deleteContentForward') {
+      kind = 'delete'
+    }
+    const recorded = history.record(textArea.value, {
+      kind,
+      selectionBefore: lastSelection,
+      selectionAfter: { start: textArea.selectionStart, end: textArea.selectionEnd }
+    })
+    rememberSelection()
+    if (recorded) persistHistory()
+  }
+
+  // O histórico é salvo por atendimento: se a página recarregar (postback do JSF),
+  // o conteúdo anterior continua disponível via Ctrl+Z.
+  if (instanceId === 'main') {
+    getEditorTicketKey(textArea).then(async key => {
+      ticketKey = key
+      const saved = await getEditorHistory(key)
+      if (!saved) return
+      const restored = createHistoryManager(textArea.value, saved)
+      if (saved.value !== textArea.value) {
+        restored.markNextOperation('Recarregamento da página')
+        restored.record(textArea.value)
+      }
+      history = restored
+      editorHistoryManagers.set(textArea, history)
+    })
+
+    // O trâmite gravado não precisa mais do histórico.
+    onSgdActionSubmit(textArea, () => {
+      if (!ticketKey) return
+      clearTimeout(persistTimeout)
+      saveEditorHistory(ticketKey, null)
+    })
+  }
+
+  /**
+   * Aplica o resultado de um desfazer/refazer, restaurando também a seleção.
+   * @param {{value: string, selection: {start: number, end: number}} | null} state
+   */
+  const updateTextAreaState = state => {
+    if (state === null) return
     performingUndoRedo = true // Ativa a flag
     const currentScrollTop = textArea.scrollTop
-    textArea.value = newState
+    textArea.value = state.value
+    textArea.setSelectionRange(state.selection.start, state.selection.end)
+    rememberSelection()
     // Dispara o evento de input para que o preview seja atualizado
     textArea.dispatchEvent(new Event('input', { bubbles: true }))
     textArea.scrollTop = currentScrollTop
+    persistHistory()
     // Reseta a flag após a atualização do DOM
     requestAnimationFrame(() => {
       performingUndoRedo = false
@@ -1392,17 +1615,11 @@ function setupEditorInstanceListeners(
 
   // --- Listeners do Textarea ---
   if (includePreview) {
-    textArea.addEventListener('input', () => {
+    textArea.addEventListener('input', e => {
       updatePreview(textArea)
       lastKnownTextAreaValue = textArea.value
 
-      // Adiciona o estado ao histórico com um debounce para não salvar a cada tecla
-      if (!performingUndoRedo) {
-        clearTimeout(debounceTimeout)
-        debounceTimeout = setTimeout(() => {
-          history.add(textArea.value)
-        }, 400) // Aguarda 400ms de inatividade para salvar
-      }
+      if (!performingUndoRedo) recordHistory(e.inputType)
 
       // Ajusta a altura do textarea no modo vertical
       const masterContainer = textArea.closest('.editor-master-container')
@@ -1420,6 +1637,9 @@ function setupEditorInstanceListeners(
         if (textArea.value !== lastKnownTextAreaValue) {
           lastKnownTextAreaValue = textArea.value
           updatePreview(textArea)
+          // Alteração feita sem evento de input (ex.: scripts do próprio SGD)
+          history.markNextOperation('Alteração externa')
+          recordHistory()
         }
       }, 1000)
     }
@@ -1434,17 +1654,17 @@ function setupEditorInstanceListeners(
     const key = e.key.toLowerCase()
 
     // --- LÓGICA DE UNDO/REDO ---
-    if (ctrl && !alt && !shift) {
-      if (key === 'z') {
+    if (ctrl && !alt) {
+      if (key === 'z' && !shift) {
         e.preventDefault()
-        const prevState = history.undo()
-        updateTextAreaState(prevState)
+        recordHistory() // Garante que alterações ainda não registradas entrem no histórico
+        updateTextAreaState(history.undo())
         return
       }
-      if (key === 'y') {
+      if (key === 'y' || (key === 'z' && shift)) {
         e.preventDefault()
-        const nextState = history.redo()
-        updateTextAreaState(nextState)
+        recordHistory()
+        updateTextAreaState(history.redo())
         return
       }
     }
@@ -1481,6 +1701,10 @@ function setupEditorInstanceListeners(
           e.preventDefault()
           if (includePreview) togglePreview(textArea)
           return
+        case 'm':
+          e.preventDefault()
+          if (includePreview) toggleMarkdownMode(textArea)
+          return
       }
     }
 
@@ -1493,7 +1717,8 @@ function setupEditorInstanceListeners(
 
   textArea.addEventListener('keydown', handleKeydown)
 
-  // --- Listener para colar imagens ---
+  // --- Listeners para colar conteúdo formatado e imagens ---
+  textArea.addEventListener('paste', e => handleRichPaste(e, textArea))
   textArea.addEventListener('paste', e => handleImagePaste(e, textArea))
 
   // --- Listeners da Toolbar (Delegação de Eventos) ---
@@ -1666,8 +1891,10 @@ function setupEditorInstanceListeners(
         const data = await getGreetingsAndClosings(currentGcClassification)
         const item = data[type]?.find(i => i.id === itemId)
         if (item) {
-          const resolvedContent = await resolveVariablesInText(item.content)
-          replaceTextPart(textArea, type, resolvedContent)
+          const resolvedContent = await renderTemplate(item.content)
+          if (resolvedContent !== null) {
+            replaceTextPart(textArea, type, resolvedContent)
+          }
         }
         // Deixa o menu fechar
         return
@@ -1764,12 +1991,18 @@ function setupEditorInstanceListeners(
       case 'toggle-preview':
         if (includePreview) togglePreview(textArea)
         break
+      case 'toggle-markdown':
+        if (includePreview) toggleMarkdownMode(textArea)
+        break
       case 'toggle-notes':
         toggleNotesPanel()
         break
       case 'new-reminder':
         openNewReminderModal()
         break
+      case 'new-ticket-reminder':
+        openTicketReminderModal()
+        break
       case 'manage-reminders':
         openRemindersManagementModal()
         break
@@ -1996,26 +2229,262 @@ async function togglePreview(textArea) {
   }
 }
 
-function addSgdActionButtons(masterContainer) {
-  const actionButtonIds = [
-    'cadSscForm:btnSalvar',
-    'cadSscForm:gravarVisualizar',
-    'cadSscForm:inserir',
-    'cadSscForm:btnTramitar',
-    'sscForm:gravarTramiteBtn',
-    'sscForm:btnSalvarContinuar',
-    'sscForm:btnTramitar',
-    'ssForm:gravarTramiteBtn',
-    'ssForm:btnTramitar'
-  ]
+// --- RASCUNHOS AUTOMÁTICOS ---
+
+const DRAFT_AUTOSAVE_DELAY_MS = 1500
+
+/**
+ * Nomes exibidos para os tipos de formulário (prefixo do ID do textarea).
+ */
+const DRAFT_FORM_LABELS = {
+  sscForm: 'SSC',
+  cadSscForm: 'Nova SSC',
+  ssForm: 'SS',
+  ocorrenciaForm: 'Ocorrência'
+}
+
+/**
+ * Retorna o conteúdo do textarea no formato do SGD (HTML), mesmo no modo Markdown.
+ * @param {HTMLTextAreaElement} textArea - O textarea do editor.
+ * @returns {string} O conteúdo em HTML.
+ */
+function getEditorHtmlContent(textArea) {
+  return textArea.dataset.markdownMode === 'true'
+    ? markdownToSgdHtml(textArea.value)
+    : textArea.value
+}
+
+/**
+ * Gera o resumo em texto de um rascunho para listagens.
+ * @param {string} content - O conteúdo do rascunho (HTML do SGD).
+ * @param {number} maxLength - Tamanho máximo do resumo.
+ * @returns {string} O resumo em texto puro.
+ */
+function getDraftPreviewText(content, maxLength) {
+  const text = sgdHtmlToMarkdown(content.replace(/\n/g, '<br>'), {
+    keepInlineHtml: false
+  }).replace(/\s+/g, ' ')
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text
+}
+
+/**
+ * Salva continuamente o conteúdo do editor principal como rascunho do atendimento,
+ * oferece a restauração ao voltar para o mesmo atendimento e remove o rascunho
+ * quando o trâmite é gravado.
+ * @param {HTMLTextAreaElement} textArea - O textarea principal.
+ * @param {HTMLElement} masterContainer - O contêiner do editor.
+ */
+async function setupDraftAutosave(textArea, masterContainer) {
+  const ticketKey = await getEditorTicketKey(textArea)
+  const [formType, requestNumber] = ticketKey.split(':')
+  let saveTimeout
+  // Enquanto o banner estiver aberto, o rascunho salvo não pode ser sobrescrito
+  // (ex.: pela saudação preenchida automaticamente).
+  let awaitingRestoreDecision = false
+
+  const saveDraft = () => {
+    if (awaitingRestoreDecision) return
+    const content = getEditorHtmlContent(textArea)
+    if (!content.trim()) {
+      deleteEditorDraft(ticketKey)
+      return
+    }
+    saveEditorDraft(ticketKey, {
+      content,
+      formType,
+      requestNumber: requestNumber === 'novo' ? '' : requestNumber,
+      subject: (document.getElementById('td:assunto')?.textContent || '').trim(),
+      url: window.location.href
+    })
+  }
+
+  textArea.addEventListener('input', () => {
+    clearTimeout(saveTimeout)
+    saveTimeout = setTimeout(saveDraft, DRAFT_AUTOSAVE_DELAY_MS)
+  })
+  // Salva imediatamente se a aba for fechada ou a sessão expirar com o texto pendente.
+  window.addEventListener('pagehide', () => {
+    clearTimeout(saveTimeout)
+    saveDraft()
+  })
+
+  onSgdActionSubmit(textArea, () => {
+    clearTimeout(saveTimeout)
+    awaitingRestoreDecision = true // Descarta salvamentos pendentes
+    masterContainer.querySelector('.draft-restore-banner')?.remove()
+    deleteEditorDraft(ticketKey)
+  })
+
+  const draft = await getEditorDraft(ticketKey)
+  if (!draft || !draft.content.trim() || draft.content === getEditorHtmlContent(textArea)) {
+    return
+  }
 
+  awaitingRestoreDecision = true
+  const banner = document.createElement('div')
+  banner.className = 'draft-restore-banner'
+  banner.innerHTML = `
+    <p>
+      <strong>💾 Rascunho encontrado</strong>
+      <span class="draft-restore-meta">salvo em ${escapeHTML(
+        new Date(draft.updatedAt).toLocaleString('pt-BR')
+      )}</span>
+      <span class="draft-restore-preview">${escapeHTML(
+        getDraftPreviewText(draft.content, 140)
+      )}</span>
+    </p>
+    <button type="button" class="action-btn action-btn-themed draft-restore-btn">Restaurar</button>
+    <button type="button" class="dismiss-warning-btn draft-discard-btn">Descartar</button>
+  `
+  masterContainer.insertBefore(
+    banner,
+    masterContainer.querySelector('.editor-content-wrapper')
+  )
+
+  const closeBanner = () => {
+    banner.remove()
+    awaitingRestoreDecision = false
+  }
+
+  banner.querySelector('.draft-restore-btn').addEventListener('click', () => {
+    closeBanner()
+    markEditorHistoryOperation(textArea, 'Restauração de rascunho')
+    textArea.value =
+      textArea.dataset.markdownMode === 'true'
+        ? sgdHtmlToMarkdown(draft.content.replace(/\n/g, '<br>'))
+        : draft.content
+    textArea.dispatchEvent(new Event('input', { bubbles: true }))
+    textArea.focus()
+    showNotification('Rascunho restaurado.', 'success')
+  })
+
+  banner.querySelector('.draft-discard-btn').addEventListener('click', () => {
+    closeBanner()
+    deleteEditorDraft(ticketKey)
+    // O conteúdo atual passa a ser o rascunho deste atendimento.
+    saveDraft()
+  })
+}
+
+/**
+ * IDs dos botões de gravação/trâmite do SGD replicados na toolbar do editor.
+ */
+const SGD_ACTION_BUTTON_IDS = [
+  'cadSscForm:btnSalvar',
+  'cadSscForm:gravarVisualizar',
+  'cadSscForm:inserir',
+  'cadSscForm:btnTramitar',
+  'sscForm:gravarTramiteBtn',
+  'sscForm:btnSalvarContinuar',
+  'sscForm:btnTramitar',
+  'ssForm:gravarTramiteBtn',
+  'ssForm:btnTramitar'
+]
+
+/**
+ * Atualiza o botão do modo Markdown conforme o estado do textarea.
+ * @param {HTMLTextAreaElement} textArea - O textarea associado.
+ */
+function updateMarkdownToggleButton(textArea) {
+  const instanceId = textArea.dataset.enhanced
+  const toggleButton = document.querySelector(
+    `#editor-container-${instanceId} [data-action="toggle-markdown"]`
+  )
+  if (!toggleButton) return
+
+  const isEnabled = textArea.dataset.markdownMode === 'true'
+  toggleButton.classList.toggle('active-formatting-btn', isEnabled)
+  toggleButton.title = isEnabled
+    ? 'Desativar modo Markdown (Ctrl+Alt+M)'
+    : 'Ativar modo Markdown (Ctrl+Alt+M)'
+}
+
+/**
+ * Liga ou desliga o modo Markdown de um textarea, convertendo o conteúdo atual.
+ * Ao ligar, o HTML do trâmite vira Markdown; ao desligar, volta para o HTML do SGD.
+ * @param {HTMLTextAreaElement} textArea - O textarea associado.
+ * @param {boolean} isEnabled - O novo estado.
+ */
+function setMarkdownMode(textArea, isEnabled) {
+  const wasEnabled = textArea.dataset.markdownMode === 'true'
+  if (wasEnabled === isEnabled) return
+
+  if (isEnabled) {
+    textArea.value = sgdHtmlToMarkdown(textArea.value.replace(/\n/g, '<br>'))
+    textArea.dataset.markdownMode = 'true'
+  } else {
+    textArea.value = markdownToSgdHtml(textArea.value)
+    delete textArea.dataset.markdownMode
+  }
+
+  updateMarkdownToggleButton(textArea)
+  textArea.dispatchEvent(new Event('input', { bubbles: true }))
+}
+
+/**
+ * Alterna o modo Markdown e salva a preferência.
+ * @param {HTMLTextAreaElement} textArea - O textarea associado.
+ */
+async function toggleMarkdownMode(textArea) {
+  const isEnabled = textArea.dataset.markdownMode !== 'true'
+  setMarkdownMode(textArea, isEnabled)
+  showNotification(
+    isEnabled
+      ? 'Modo Markdown ativado. O texto será convertido para HTML ao salvar.'
+      : 'Modo Markdown desativado.',
+    'info'
+  )
+
+  if (textArea.dataset.enhanced === 'main') {
+    await saveMarkdownModeState(isEnabled)
+  }
+}
+
+/**
+ * Garante que o SGD receba HTML: antes de qualquer botão de gravação do formulário
+ * (original ou clonado na toolbar), o Markdown é convertido e o modo é desligado
+ * nesta página. A preferência salva não é alterada.
+ * @param {HTMLTextAreaElement} textArea - O textarea associado.
+ */
+function setupMarkdownSubmitConversion(textArea) {
+  const form = textArea.form || textArea.closest('form')
+  if (!form || form.dataset.markdownSubmitHook === 'true') return
+  form.dataset.markdownSubmitHook = 'true'
+
+  const convert = () => setMarkdownMode(textArea, false)
+
+  onSgdActionSubmit(textArea, convert)
+  form.addEventListener('submit', convert, true)
+}
+
+/**
+ * Executa `callback` quando um botão de gravação/trâmite do SGD é clicado, antes do
+ * envio. Os botões clonados na toolbar acionam o original e também são cobertos.
+ * @param {HTMLTextAreaElement} textArea - O textarea do formulário observado.
+ * @param {Function} callback - Função executada no clique.
+ */
+function onSgdActionSubmit(textArea, callback) {
+  const form = textArea.form || textArea.closest('form')
+  if (!form) return
+
+  form.addEventListener(
+    'click',
+    e => {
+      const button = e.target.closest('input, button')
+      if (button && SGD_ACTION_BUTTON_IDS.includes(button.id)) callback()
+    },
+    true
+  )
+}
+
+function addSgdActionButtons(masterContainer) {
   const toolbar = masterContainer.querySelector('.editor-toolbar')
   if (!toolbar) return
 
   const actionGroup = document.createElement('div')
   actionGroup.className = 'sgd-toolbar-action-group'
 
-  actionButtonIds.forEach(id => {
+  SGD_ACTION_BUTTON_IDS.forEach(id => {
     const originalButton = document.getElementById(id)
 
     if (originalButton && !originalButton.disabled) {
@@ -2040,6 +2509,8 @@ function addSgdActionButtons(masterContainer) {
         // --- LÓGICA DE COLETA DE AMOSTRAS ---
         const textArea = getTargetTextArea()
         if (textArea) {
+          // O clique no botão original também converte, mas a amostra deve ser HTML.
+          setMarkdownMode(textArea, false)
           const content = textArea.value.trim()
           // Salva se o conteúdo for relevante para treinar a IA
           if (content.length > 150) {
@@ -2112,7 +2583,8 @@ function setupBasicEditorKeyboardShortcuts(textArea) {
 
   textArea.addEventListener('keydown', handleKeydown)
 
-  // Listener para colar imagens
+  // Listeners para colar conteúdo formatado e imagens
+  textArea.addEventListener('paste', e => handleRichPaste(e, textArea))
   textArea.addEventListener('paste', e => handleImagePaste(e, textArea))
 }
 
@@ -2172,8 +2644,10 @@ async function createQuickChangePopup(type, triggerElement) {
       const item = items.find(i => i.id === itemId)
       if (item) {
         const textArea = getTargetTextArea()
-        const resolvedContent = await resolveVariablesInText(item.content)
-        replaceTextPart(textArea, type, resolvedContent)
+        const resolvedContent = await renderTemplate(item.content)
+        if (resolvedContent !== null) {
+          replaceTextPart(textArea, type, resolvedContent)
+        }
       }
       popup.remove()
       document.removeEventListener('click', closePopup, true)
@@ -2264,12 +2738,15 @@ async function createInteractiveChangePopup(targetSpan) {
       const newItem = items.find(i => i.id === newItemId)
       if (newItem) {
         // Gera o novo HTML com o span correto
-        const newContentHtml = await processAndWrapText(
-          newItem,
-          type.slice(0, -1)
-        )
-        // Chama a função de substituição
-        replaceInteractiveText(type.slice(0, -1), currentId, newContentHtml)
+        const resolvedContent = await renderTemplate(newItem.content)
+        if (resolvedContent !== null) {
+          const interactiveType = type.slice(0, -1)
+          const newContentHtml =
+            `<span data-interactive-type="${interactiveType}" data-item-id="${newItem.id}">` +
+            `${resolvedContent}</span>`
+          // Chama a função de substituição
+          replaceInteractiveText(interactiveType, currentId, newContentHtml)
+        }
       }
       popup.remove()
       document.removeEventListener('click', closePopup, true)
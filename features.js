@@ -1152,6 +1152,7 @@ async function handleAICompleteDraft(textArea) {
     if (message.action === 'rascunhoCompleto') {
       chrome.runtime.onMessage.removeListener(onResponse)
       desligarLoading()
+      markEditorHistoryOperation(textArea, 'Resposta da IA')
       textArea.value = message.data
       textArea.dispatchEvent(new Event('input', { bubbles: true }))
       showNotification('Texto melhorado com sucesso!', 'success')
@@ -1187,6 +1188,48 @@ async function handleAICompleteDraft(textArea) {
   }
 }
 
+/**
+ * Envia o rascunho atual (com o contexto do atendimento) diretamente para uma chain
+ * escolhida pelo analista, sem passar pela roteadora. Usado pela paleta de comandos.
+ * @param {HTMLTextAreaElement} textArea - O textarea do editor.
+ * @param {string} chainKey - Chave do AI_CHAINS (service-worker.js).
+ */
+async function handleAIChainDraft(textArea, chainKey) {
+  const currentDraft = getEditorContent(textArea)
+  if (!currentDraft.trim()) {
+    showNotification(
+      'Digite um rascunho ou algumas ideias antes de usar a IA.',
+      'info'
+    )
+    return
+  }
+
+  showNotification(`Enviando para "${chainKey}"... ⏳`, 'info', 8000)
+
+  const onResponse = message => {
+    if (message.action === 'rascunhoCompleto') {
+      chrome.runtime.onMessage.removeListener(onResponse)
+      markEditorHistoryOperation(textArea, 'Resposta da IA')
+      textArea.value = message.data
+      textArea.dispatchEvent(new Event('input', { bubbles: true }))
+      showNotification('Texto atualizado com a resposta da IA!', 'success')
+    } else if (message.action === 'rascunhoErro') {
+      chrome.runtime.onMessage.removeListener(onResponse)
+      showNotification(message.data, 'error')
+    }
+  }
+
+  chrome.runtime.onMessage.addListener(onResponse)
+
+  const { rawContent } = extractPageContentForAI()
+  registrarUsoFeatures(`Chain: ${chainKey}`)
+  chrome.runtime.sendMessage({
+    action: 'melhorarComChain',
+    chainKey,
+    prompt: montarPromptRascunho(rawContent, currentDraft)
+  })
+}
+
 // --- LÓGICA DE ATALHOS (Posição Fixa, Navegação por Teclado e Filtro) ---
 
 /**
@@ -1272,9 +1315,8 @@ async function handleShortcutListener(e) {
   if (directInsertItem) {
     e.preventDefault()
     e.stopPropagation()
-    const resolvedContent = await resolveVariablesInText(
-      directInsertItem.content
-    )
+    const resolvedContent = await renderTemplate(directInsertItem.content)
+    if (resolvedContent === null) return
     insertAtCursor(targetTextArea, resolvedContent, { prefixNewLine: true })
     return // Atalho processado, encerra a função.
   }
@@ -1388,14 +1430,18 @@ function showShortcutPopup(textArea, messages) {
     if (filteredMessages.length === 0 || !filteredMessages[index]) return
 
     const message = filteredMessages[index]
-    if (message) {
-      const resolvedContent = await resolveVariablesInText(message.message)
-      insertAtCursor(textArea, resolvedContent)
-    }
 
+    // O popup é removido antes de processar o modelo: enquanto ele existir, o listener
+    // de teclado captura as teclas e impediria o preenchimento do formulário de campos.
     if (targetContainer.contains(popup) || isBasicEditor) {
       popup.remove()
     }
+
+    if (message) {
+      const resolvedContent = await renderTemplate(message.message)
+      if (resolvedContent === null) return
+      insertAtCursor(textArea, resolvedContent)
+    }
   }
 
   const navigatePopup = async e => {
@@ -1519,6 +1565,300 @@ function showShortcutPopup(textArea, messages) {
   })
 }
 
+// --- PALETA DE COMANDOS (Ctrl+K) ---
+
+// Ações da toolbar que não fazem sentido na paleta (abrem menus ou mudam o layout).
+const COMMAND_PALETTE_IGNORED_ACTIONS = [
+  'list',
+  'move-toolbar',
+  'theme-menu-button',
+  'share-extension'
+]
+
+/**
+ * Verifica se o elemento é um dos textareas alvo do SGD (TARGET_TEXTAREA_SELECTORS).
+ * @param {Element} element - O elemento focado.
+ * @returns {boolean}
+ */
+function isCommandPaletteTarget(element) {
+  return (
+    !!element &&
+    element.tagName === 'TEXTAREA' &&
+    TARGET_TEXTAREA_SELECTORS.some(selector => element.matches(selector))
+  )
+}
+
+/**
+ * Listener global do atalho Ctrl+K. Registrado em fase de captura para ter
+ * prioridade sobre os atalhos de categoria.
+ * @param {KeyboardEvent} e - O evento de teclado.
+ */
+function handleCommandPaletteShortcut(e) {
+  if (!e.ctrlKey || e.altKey || e.shiftKey || e.metaKey) return
+  if (e.key.toLowerCase() !== 'k') return
+  if (!isCommandPaletteTarget(document.activeElement)) return
+  if (document.querySelector('.editor-modal')) return
+
+  e.preventDefault()
+  e.stopPropagation()
+  openCommandPalette(document.activeElement)
+}
+
+/**
+ * Calcula o bônus de ranking de um item a partir do uso frequente e recente.
+ * @param {{count: number, lastUsed: number}|undefined} usage - Estatística do item.
+ * @returns {number}
+ */
+function getCommandPaletteUsageBoost(usage) {
+  if (!usage) return 0
+  const ageHours = (Date.now() - usage.lastUsed) / (60 * 60 * 1000)
+  return Math.log2(1 + usage.count) * 10 + 30 * Math.exp(-ageHours / 72)
+}
+
+/**
+ * Monta a lista de itens da paleta: trâmites (pessoais e da equipe), saudações,
+ * encerramentos, chains de IA e ações da toolbar do editor.
+ * @param {HTMLTextAreaElement} textArea - O textarea alvo.
+ * @returns {Promise<Array<object>>} Itens com { key, icon, title, subtitle, body, run }.
+ */
+async function buildCommandPaletteItems(textArea) {
+  const items = []
+
+  const insertTemplate = async content => {
+    const resolvedContent = await renderTemplate(content)
+    if (resolvedContent === null) return false
+    insertAtCursor(textArea, resolvedContent)
+    return true
+  }
+
+  // 1. Trâmites Rápidos (pessoais e catálogos da equipe)
+  const [data, teamData] = await Promise.all([getStoredData(), getTeamCatalogData()])
+  const categoryNames = new Map(
+    [...data.categories, ...teamData.categories].map(cat => [cat.id, cat.name])
+  )
+  ;[...data.messages, ...teamData.messages].forEach(message => {
+    items.push({
+      key: `message:${message.id}`,
+      icon: message.readOnly ? '👥' : '⚡',
+      title: message.title,
+      subtitle: categoryNames.get(message.categoryId) || 'Trâmite',
+      body: message.message,
+      run: () => insertTemplate(message.message)
+    })
+  })
+
+  // 2. Saudações e Encerramentos (da classificação selecionada no menu 🔄)
+  const classification =
+    typeof currentGcClassification !== 'undefined' ? currentGcClassification : 'solution'
+  const gcData = await getGreetingsAndClosings(classification)
+  const gcTypes = [
+    { type: 'greetings', icon: '👋', label: 'Saudação' },
+    { type: 'closings', icon: '🤝', label: 'Encerramento' }
+  ]
+  gcTypes.forEach(({ type, icon, label }) => {
+    ;(gcData[type] || []).forEach(item => {
+      items.push({
+        key: `${type}:${item.id}`,
+        icon,
+        title: item.title,
+        subtitle: label,
+        body: item.content,
+        run: async () => {
+          const resolvedContent = await renderTemplate(item.content)
+          if (resolvedContent === null) return false
+          replaceTextPart(textArea, type, resolvedContent)
+          return true
+        }
+      })
+    })
+  })
+
+  // 3. Chains de IA (AI_CHAINS do service-worker.js)
+  try {
+    const chains = await chrome.runtime.sendMessage({ action: 'getAiChains' })
+    Object.keys(chains || {}).forEach(chainKey => {
+      items.push({
+        key: `ai-chain:${chainKey}`,
+        icon: '🤖',
+        title: chainKey,
+        subtitle: 'Chain de IA',
+        body: 'Envia o rascunho atual e o contexto do atendimento para esta chain e substitui o texto pela resposta.',
+        run: () => handleAIChainDraft(textArea, chainKey)
+      })
+    })
+  } catch (error) {
+    console.warn('SGD - PowerTools: Chains de IA indisponíveis na paleta.', error)
+  }
+
+  // 4. Ações da toolbar do editor deste textarea
+  const editorContainer = textArea
+    .closest('.editor-master-container')
+    ?.querySelector('.editor-container')
+  if (editorContainer) {
+    const seenActions = new Set()
+    editorContainer.querySelectorAll('button[data-action]').forEach(button => {
+      const action = button.dataset.action
+      if (seenActions.has(action) || COMMAND_PALETTE_IGNORED_ACTIONS.includes(action)) return
+      if (button.closest('[style*="display: none"]') || button.style.display === 'none') return
+      seenActions.add(action)
+      const label = (button.title || button.textContent || action).trim()
+      items.push({
+        key: `action:${action}`,
+        icon: '🛠️',
+        title: label,
+        subtitle: 'Ação da barra de ferramentas',
+        body: '',
+        run: () => {
+          textArea.focus()
+          button.click()
+        }
+      })
+    })
+  }
+
+  return items
+}
+
+/**
+ * Abre a paleta de comandos para o textarea: busca aproximada por título e conteúdo,
+ * ranking por uso recente/frequente, pré-visualização e inserção com Enter.
+ * @param {HTMLTextAreaElement} textArea - O textarea alvo.
+ */
+async function openCommandPalette(textArea) {
+  if (document.getElementById('command-palette-modal')) return
+
+  const [items, usage] = await Promise.all([
+    buildCommandPaletteItems(textArea),
+    getCommandPaletteUsage()
+  ])
+
+  const modal = document.createElement('div')
+  modal.id = 'command-palette-modal'
+  modal.className = 'editor-modal'
+  applyCurrentTheme(modal)
+  modal.innerHTML = `
+    <div class="se-modal-content command-palette">
+      <input type="text" class="command-palette-input" placeholder="Buscar trâmites, saudações, chains de IA e ações..." autocomplete="off">
+      <div class="command-palette-body">
+        <div class="command-palette-results" role="listbox"></div>
+        <div class="command-palette-preview"></div>
+      </div>
+      <div class="command-palette-footer">↑↓ navegar · Enter inserir · Esc fechar</div>
+    </div>
+  `
+  document.body.appendChild(modal)
+
+  const input = modal.querySelector('.command-palette-input')
+  const resultsContainer = modal.querySelector('.command-palette-results')
+  const previewArea = modal.querySelector('.command-palette-preview')
+  let results = []
+  let activeIndex = 0
+
+  const close = () => {
+    modal.remove()
+    textArea.focus()
+  }
+
+  const renderPreview = () => {
+    const item = results[activeIndex]
+    if (!item) {
+      previewArea.innerHTML = ''
+      return
+    }
+    // Mesmo formato de prévia do Painel de Trâmites (conteúdo do próprio usuário)
+    previewArea.innerHTML = `
+      <h5>${item.icon} ${escapeHTML(item.title)}</h5>
+      <small>${escapeHTML(item.subtitle)}</small>
+      <div class="command-palette-preview-content">${item.body ? item.body.replace(/\n/g, '<br>') : ''
+      }</div>
+    `
+  }
+
+  const setActive = index => {
+    const rows = resultsContainer.querySelectorAll('.command-palette-item')
+    if (rows.length === 0) return
+    activeIndex = (index + rows.length) % rows.length
+    rows.forEach((row, i) => row.classList.toggle('active-item', i === activeIndex))
+    rows[activeIndex].scrollIntoView({ block: 'nearest' })
+    renderPreview()
+  }
+
+  const search = () => {
+    const query = input.value.trim()
+    results = items
+      .map(item => {
+        const boost = getCommandPaletteUsageBoost(usage[item.key])
+        if (!query) return { item, score: boost }
+        // O título pesa mais que o conteúdo; o conteúdo é comparado sem HTML.
+        const titleScore = fuzzyMatchScore(query, item.title) * 2
+        const bodyScore = item.body
+          ? fuzzyMatchScore(query, item.body.replace(/<[^>]*>/g, ' '))
+          : 0
+        const score = Math.max(titleScore, bodyScore)
+        return { item, score: score > 0 ? score + boost : 0 }
+      })
+      .filter(({ score }) => !query || score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 50)
+      .map(({ item }) => item)
+
+    resultsContainer.innerHTML =
+      results.length > 0
+        ? results
+          .map(
+            (item, index) => `
+            <div class="command-palette-item" role="option" data-index="${index}">
+              <span class="command-palette-icon">${item.icon}</span>
+              <span class="command-palette-title">${escapeHTML(item.title)}</span>
+              <span class="command-palette-subtitle">${escapeHTML(item.subtitle)}</span>
+            </div>`
+          )
+          .join('')
+        : '<div class="command-palette-empty">Nenhum resultado encontrado</div>'
+    setActive(0)
+    if (results.length === 0) renderPreview()
+  }
+
+  const runItem = async index => {
+    const item = results[index]
+    if (!item) return
+    close()
+    const result = await item.run()
+    if (result !== false) recordCommandPaletteUsage(item.key)
+  }
+
+  input.addEventListener('input', search)
+  input.addEventListener('keydown', e => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActive(activeIndex + (e.key === 'ArrowDown' ? 1 : -1))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      runItem(activeIndex)
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      e.stopPropagation()
+      close()
+    }
+  })
+  resultsContainer.addEventListener('mousemove', e => {
+    const row = e.target.closest('.command-palette-item')
+    if (row && parseInt(row.dataset.index, 10) !== activeIndex) {
+      setActive(parseInt(row.dataset.index, 10))
+    }
+  })
+  resultsContainer.addEventListener('click', e => {
+    const row = e.target.closest('.command-palette-item')
+    if (row) runItem(parseInt(row.dataset.index, 10))
+  })
+  modal.addEventListener('mousedown', e => {
+    if (e.target === modal) close()
+  })
+
+  search()
+  input.focus()
+}
+
 /**
  * Inicia o processo de importação de trâmites a partir de um arquivo JSON.
  * @param {File} file - O arquivo JSON selecionado pelo usuário.
@@ -1542,6 +1882,21 @@ function importQuickMessages(file, onCompleteCallback) {
 
       const migratedData = await runDataMigration(data)
 
+      // Regras de tags automáticas das pendências que acompanham o backup
+      if (data.pendingTagRules) {
+        const importedRules = await importTagRulesBackup(data.pendingTagRules)
+        if (importedRules > 0) {
+          showNotification(
+            `${importedRules} regra(s) de tags automáticas importada(s).`,
+            'success'
+          )
+        }
+        if (migratedData.messages.length === 0) {
+          if (onCompleteCallback) onCompleteCallback()
+          return
+        }
+      }
+
       await openImportSelectionModal(migratedData, onCompleteCallback)
     } catch (error) {
       console.error('Erro ao importar arquivo:', error)
@@ -1562,8 +1917,11 @@ async function exportQuickMessages(modal) {
   const selectedMessageIds = Array.from(
     modal.querySelectorAll('.export-item-checkbox:checked')
   ).map(cb => cb.dataset.messageId)
+  const tagRulesBackup = modal.querySelector('#export-tag-rules-checkbox')?.checked
+    ? await buildTagRulesBackup()
+    : null
 
-  if (selectedMessageIds.length === 0) {
+  if (selectedMessageIds.length === 0 && !tagRulesBackup) {
     showNotification('Nenhum trâmite selecionado para exportar.', 'info')
     return
   }
@@ -1589,6 +1947,9 @@ async function exportQuickMessages(modal) {
     categories: Array.from(categoriesToExport.values()),
     messages: messagesToExport
   }
+  if (tagRulesBackup) {
+    exportData.pendingTagRules = tagRulesBackup
+  }
 
   const blob = new Blob([JSON.stringify(exportData, null, 2)], {
     type: 'application/json'
@@ -1605,7 +1966,9 @@ async function exportQuickMessages(modal) {
   URL.revokeObjectURL(url)
 
   showNotification(
-    `${messagesToExport.length} trâmite(s) exportado(s) com sucesso!`,
+    tagRulesBackup
+      ? `${messagesToExport.length} trâmite(s) e ${tagRulesBackup.rules.length} regra(s) de tags exportados com sucesso!`
+      : `${messagesToExport.length} trâmite(s) exportado(s) com sucesso!`,
     'success'
   )
 }
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ * @file followed-watcher.js
+ * Monitoramento dos atendimentos seguidos: lê os trâmites da página do chamado e compara
+ * com os já vistos (hash por trâmite) para detectar os novos.
+ *
+ * Carregado pelo Service Worker via importScripts. Como lá não existe DOMParser, os
+ * trâmites são extraídos do HTML como texto, com as mesmas regras de `extrairTramites`
+ * (sugestor-ss/sugestor-ss.js).
+ */
+
+const FOLLOWED_TIMELINE_LIMIT = 50
+const FOLLOWED_EXCERPT_LENGTH = 200
+
+/**
+ * Situações que não representam movimentação para o analista (mesma lista do Sugestor SS).
+ */
+const FOLLOWED_IGNORED_SITUATIONS = ['troca de responsável', 'alteração no formulário']
+
+/**
+ * Marcador da assinatura padrão, removida da descrição (removerAssinaturaDescricao).
+ */
+const FOLLOWED_SIGNATURE_MARKER = 'A IA treinada com o melhor'
+
+const FOLLOWED_NAMED_ENTITIES = {
+  nbsp: '\u00a0',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  ordm: 'º',
+  ordf: 'ª',
+  aacute: 'á',
+  agrave: 'à',
+  acirc: 'â',
+  atilde: 'ã',
+  eacute: 'é',
+  ecirc: 'ê',
+  iacute: 'í',
+  oacute: 'ó',
+  ocirc: 'ô',
+  otilde: 'õ',
+  uacute: 'ú',
+  ccedil: 'ç',
+  Aacute: 'Á',
+  Agrave: 'À',
+  Acirc: 'Â',
+  Atilde: 'Ã',
+  Eacute: 'É',
+  Ecirc: 'Ê',
+  Iacute: 'Í',
+  Oacute: 'Ó',
+  Ocirc: 'Ô',
+  Otilde: 'Õ',
+  Uacute: 'Ú',
+  Ccedil: 'Ç'
+}
+
+/**
+ * Decodifica as entidades HTML mais comuns nas páginas do SGD.
+ * @param {string} text - O texto com entidades.
+ * @returns {string} O texto decodificado.
+ */
+function _decodeFollowedEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match
+    }
+    return FOLLOWED_NAMED_ENTITIES[entity] ?? match
+  })
+}
+
+/**
+ * Converte um trecho de HTML em texto, mantendo as quebras de linha.
+ * @param {string} html - O HTML.
+ * @returns {string} O texto.
+ */
+function _followedHtmlToText(html) {
+  const text = String(html || '')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+  return _decodeFollowedEntities(text)
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+/**
+ * Encontra o fechamento de uma tag considerando o aninhamento (ex: tabelas dentro da
+ * descrição do trâmite).
+ * @param {string} html - O HTML.
+ * @param {string} tag - O nome da tag.
+ * @param {number} start - Posição logo após a tag de abertura.
+ * @returns {{contentEnd: number, end: number}} Fim do conteúdo e fim da tag de fechamento.
+ */
+function _findFollowedClosingTag(html, tag, start) {
+  const pattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi')
+  pattern.lastIndex = start
+  let depth = 1
+  let match
+  while ((match = pattern.exec(html))) {
+    depth += match[1] ? -1 : 1
+    if (depth === 0) return { contentEnd: match.index, end: pattern.lastIndex }
+  }
+  return { contentEnd: html.length, end: html.length }
+}
+
+/**
+ * Lista as células do trecho, na ordem do documento (inclui as aninhadas, como o
+ * querySelectorAll('td') do Sugestor SS).
+ * @param {string} html - O HTML da tabela.
+ * @returns {Array<{html: string, start: number, end: number}>} As células.
+ */
+function _listFollowedCells(html) {
+  const cells = []
+  const pattern = /<td\b[^>]*>/gi
+  let match
+  while ((match = pattern.exec(html))) {
+    const { contentEnd, end } = _findFollowedClosingTag(html, 'td', pattern.lastIndex)
+    cells.push({ html: html.slice(pattern.lastIndex, contentEnd), start: match.index, end })
+  }
+  return cells
+}
+
+/**
+ * Extrai os trâmites do HTML da página do chamado.
+ * @param {string} html - O HTML da página.
+ * @returns {Array<{numero: string, data: string, situacao: string, responsavel: string, descricao: string}>}
+ */
+function extractTramitesFromHtml(html) {
+  const tramites = []
+  const tablePattern = /<table\b[^>]*\bid\s*=\s*["']id_tramite_[^"']*["'][^>]*>/gi
+  let match
+  while ((match = tablePattern.exec(html))) {
+    const { contentEnd } = _findFollowedClosingTag(html, 'table', tablePattern.lastIndex)
+    const tableHtml = html.slice(tablePattern.lastIndex, contentEnd)
+    const cells = _listFollowedCells(tableHtml)
+
+    // Valor = próxima célula após a do rótulo (nextElementSibling no Sugestor SS)
+    const getCellAfterLabel = label => {
+      const labelCell = cells.find(cell => _followedHtmlToText(cell.html).startsWith(label))
+      if (!labelCell) return null
+      return cells.find(cell => cell.start >= labelCell.end) || null
+    }
+    const getValueAfterLabel = label => {
+      const cell = getCellAfterLabel(label)
+      return (cell && _followedHtmlToText(cell.html).replace(/\s+/g, ' ')) || 'N/A'
+    }
+
+    const entrada = getValueAfterLabel('Entrada:')
+    const dateMatch = entrada.match(/\d{2}\/\d{2}\/\d{2} \d{2}:\d{2}/)
+    const descCell = getCellAfterLabel('Descrição:')
+    let descricao = descCell ? _followedHtmlToText(descCell.html) : ''
+    const signatureIndex = descricao.indexOf(FOLLOWED_SIGNATURE_MARKER)
+    if (signatureIndex > -1) descricao = descricao.slice(0, signatureIndex).trim()
+    const imgMatch = tableHtml.match(/<img\b[^>]*\btitle\s*=\s*["']([^"']*)["']/i)
+
+    tramites.push({
+      numero: getValueAfterLabel('Número:'),
+      data: dateMatch ? dateMatch[0] : entrada,
+      situacao: imgMatch ? _decodeFollowedEntities(imgMatch[1]).trim() || 'N/A' : 'N/A',
+      responsavel: getValueAfterLabel('Usuário:'),
+      descricao
+    })
+  }
+
+  return tramites.filter(tramite => {
+    const situacao = tramite.situacao.toLowerCase()
+    if (FOLLOWED_IGNORED_SITUATIONS.some(ignored => situacao.includes(ignored))) return false
+    if (situacao === 'em análise' && !tramite.descricao.trim()) return false
+    return true
+  })
+}
+
+/**
+ * Gera o hash que identifica um trâmite entre as verificações.
+ * @param {object} tramite - O trâmite.
+ * @returns {string} O hash.
+ */
+function hashFollowedTramite(tramite) {
+  return String(
+    simpleHash(`${tramite.numero}|${tramite.data}|${tramite.situacao}|${tramite.responsavel}|${tramite.descricao}`)
+  )
+}
+
+/**
+ * Converte a data do trâmite ("dd/mm/aa hh:mm") em timestamp, para ordenar a linha do tempo.
+ * @param {string} data - A data do trâmite.
+ * @returns {number} O timestamp, ou 0 quando não reconhecida.
+ */
+function _parseFollowedTramiteDate(data) {
+  const match = String(data || '').match(/(\d{2})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2})/)
+  if (!match) return 0
+  const [, day, month, year, hours, minutes] = match.map(Number)
+  return new Date(2000 + year, month - 1, day, hours, minutes).getTime()
+}
+
+/**
+ * Compara os trâmites lidos com os já vistos do atendimento seguido.
+ *
+ * Na primeira verificação (sem hashes salvos) todos os trâmites viram a base e nenhum é
+ * considerado novo, para não notificar o histórico inteiro do chamado.
+ *
+ * @param {object} attendance - O atendimento seguido (storage.js).
+ * @param {Array<object>} tramites - Os trâmites lidos (extractTramitesFromHtml).
+ * @param {number} now - Timestamp da verificação.
+ * @returns {{hashes: string[], newEntries: Array<object>, isBaseline: boolean}} Os novos
+ *   trâmites vêm do mais recente para o mais antigo.
+ */
+function diffFollowedTramites(attendance, tramites, now = Date.now()) {
+  const hashes = tramites.map(hashFollowedTramite)
+  const isBaseline = !Array.isArray(attendance.tramiteHashes)
+  if (isBaseline) return { hashes, newEntries: [], isBaseline }
+
+  const known = new Set(attendance.tramiteHashes)
+  const newEntries = tramites
+    .map((tramite, index) => ({ tramite, hash: hashes[index] }))
+    .filter(({ hash }) => !known.has(hash))
+    .map(({ tramite, hash }) => ({
+      hash,
+      numero: tramite.numero,
+      data: tramite.data,
+      situacao: tramite.situacao,
+      responsavel: tramite.responsavel,
+      excerpt:
+        tramite.descricao.length > FOLLOWED_EXCERPT_LENGTH
+          ? `${tramite.descricao.slice(0, FOLLOWED_EXCERPT_LENGTH).trim()}...`
+          : tramite.descricao,
+      detectedAt: now
+    }))
+    .sort((a, b) => _parseFollowedTramiteDate(b.data) - _parseFollowedTramiteDate(a.data))
+  return { hashes, newEntries, isBaseline }
+}
+
+/**
+ * Busca a página do atendimento seguido com os cookies da sessão e extrai os trâmites.
+ *
+ * Uma página sem nenhum trâmite reconhecido (layout alterado, página de erro ou de login
+ * respondida com 200) é tratada como erro: quem chama mantém os hashes já vistos, em vez
+ * de trocá-los por uma lista vazia e notificar o histórico inteiro na próxima leitura.
+ *
+ * @param {object} attendance - O atendimento seguido.
+ * @returns {Promise<Array<object>>} Os trâmites.
+ */
+async function fetchFollowedTramites(attendance) {
+  const response = await fetch(attendance.url, { credentials: 'include', cache: 'no-cache' })
+  if (!response.ok) {
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('Sessão expirada. Por favor, faça login novamente no SGD.')
+    }
+    throw new Error(`Erro ao acessar o SGD: ${response.status}`)
+  }
+  const html = await response.text()
+  const tramites = extractTramitesFromHtml(html)
+  if (tramites.length === 0) {
+    if (/<input\b[^>]*type\s*=\s*["']password["']/i.test(html)) {
+      throw new Error('Você não está logado no SGD. Por favor, faça login.')
+    }
+    throw new Error('Nenhum trâmite encontrado na página do atendimento.')
+  }
+  return tramites
+}
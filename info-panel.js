@@ -101,6 +101,9 @@ async function openInfoPanel(initialTabId = 'pending') {
 
   const allSections = [
     { id: 'pending', icon: '⏳', label: 'Pendências' },
+    { id: 'analytics', icon: '📈', label: 'Análise de Pendências' },
+    { id: 'drafts', icon: '💾', label: 'Rascunhos' },
+    { id: 'followed', icon: '👁️', label: 'Atendimentos Seguidos' },
     { id: 'team-status', icon: '👥', label: 'Equipe AT' },
     { id: 'instabilities', icon: '🚨', label: 'Instabilidades' },
     { id: 'notices', icon: '📢', label: 'Avisos' },
@@ -129,6 +132,9 @@ async function openInfoPanel(initialTabId = 'pending') {
     // Seções públicas
     const publicSections = [
       'pending',
+      'analytics',
+      'drafts',
+      'followed',
       'instabilities',
       'notices',
       'forms',
@@ -249,6 +255,9 @@ async function openInfoPanel(initialTabId = 'pending') {
         targetSection.classList.add('active')
 
         if (targetId === 'pending') loadPendingItems(targetSection)
+        if (targetId === 'analytics') loadPendingAnalytics(targetSection)
+        if (targetId === 'drafts') loadDrafts(targetSection)
+        if (targetId === 'followed') loadFollowedAttendances(targetSection)
         if (targetId === 'forms') loadForms(targetSection, 'forms')
         if (targetId === 'ai-chains') {
           loadForms(targetSection, 'ai')
@@ -415,6 +424,21 @@ async function openInfoPanel(initialTabId = 'pending') {
       })
     }
 
+    const slaRulesBtn = pendingSection.querySelector('#pending-sla-rules-btn')
+    if (slaRulesBtn) {
+      slaRulesBtn.addEventListener('click', () => openSlaRulesModal(pendingSection))
+    }
+
+    const sourcesBtn = pendingSection.querySelector('#pending-sources-btn')
+    if (sourcesBtn) {
+      sourcesBtn.addEventListener('click', () => openPendingSourcesModal(pendingSection))
+    }
+
+    const tagRulesBtn = pendingSection.querySelector('#pending-tag-rules-btn')
+    if (tagRulesBtn) {
+      tagRulesBtn.addEventListener('click', () => openTagRulesModal(pendingSection))
+    }
+
     // Configurar listeners para os filtros
     const searchInput = pendingSection.querySelector('#pending-search')
     const statusFilter = pendingSection.querySelector('#pending-status-filter')
@@ -698,6 +722,8 @@ async function openInfoPanel(initialTabId = 'pending') {
 // Variável global para armazenar os itens pendentes carregados
 let allPendingItems = []
 let filteredPendingItems = []
+// IDs das pendências marcadas para as ações em lote
+let selectedPendingIds = new Set()
 let allPendingTabs = null
 let activePendingTabId = 'all'
 let acOnlyShowTeamAT = false
@@ -734,6 +760,8 @@ document.addEventListener('click', e => {
 // Cache para tags
 let availableTagsCache = []
 let pendingTagsMapCache = {}
+// Cache das regras de SLA (sla-service.js)
+let slaRulesCache = DEFAULT_SLA_RULES
 
 // Throttle em memória para evitar relatos duplicados de instabilidade (chave: system.id, valor: timestamp)
 const systemReportCooldownMap = new Map()
@@ -988,6 +1016,12 @@ function applyPendingFilters(sectionElement) {
 
   if (!container || allPendingItems.length === 0) return
 
+  // A seleção em lote só mantém pendências que ainda estão na guia atual
+  const currentIds = new Set(allPendingItems.map(item => item.id))
+  selectedPendingIds = new Set(
+    [...selectedPendingIds].filter(id => currentIds.has(id))
+  )
+
   // Obter valores dos filtros
   const searchText = (
     sectionElement.querySelector('#pending-search')?.value || ''
@@ -1005,7 +1039,7 @@ function applyPendingFilters(sectionElement) {
   )?.checked
 
   const sortOption =
-    sectionElement.querySelector('#pending-sort')?.value || 'dias-desc'
+    sectionElement.querySelector('#pending-sort')?.value || 'sla-asc'
 
   // Aplicar filtros
   let filteredItems = allPendingItems.filter(item => {
@@ -1034,16 +1068,12 @@ function applyPendingFilters(sectionElement) {
       }
     }
 
-    // Filtro de Tags
+    // Filtro de Tags (manuais e automáticas)
     if (tagFilter) {
-      const itemTags = pendingTagsMapCache[item.id] || []
-      if (!itemTags.includes(tagFilter)) {
-        return false
-      }
-    }
-
-    if (tagFilter) {
-      const itemTags = pendingTagsMapCache[item.id] || []
+      const itemTags = [
+        ...(pendingTagsMapCache[item.id] || []),
+        ...(item.autoTagIds || [])
+      ]
       if (!itemTags.includes(tagFilter)) {
         return false
       }
@@ -1056,15 +1086,10 @@ function applyPendingFilters(sectionElement) {
       }
     }
 
-    // Filtro de Críticos (>40h ou >2 dias estimados)
+    // Filtro de Críticos (na janela de alerta da regra de SLA ou estourados)
     if (criticalFilter) {
-      const isCriticalPrecise =
-        item.hoursSinceUpdate !== null && item.hoursSinceUpdate >= 40
-      const isCriticalEstimated =
-        item.estimatedDaysSinceUpdate !== null &&
-        item.estimatedDaysSinceUpdate > 2
-
-      if (!isCriticalPrecise && !isCriticalEstimated) {
+      const sla = getPendingItemSla(item)
+      if (!sla || ['normal', 'notice'].includes(sla.level)) {
         return false
       }
     }
@@ -1072,7 +1097,10 @@ function applyPendingFilters(sectionElement) {
     return true
   })
 
-  // Aplicar ordenação
+  // Aplicar ordenação (o SLA é avaliado uma vez por item, não a cada comparação)
+  const slaByItemId = new Map(
+    filteredItems.map(item => [item.id, getPendingItemSla(item)])
+  )
   filteredItems.sort((a, b) => {
     const diasA = parseInt(a.dias) || 0
     const diasB = parseInt(b.dias) || 0
@@ -1080,6 +1108,15 @@ function applyPendingFilters(sectionElement) {
     const tramitesB = parseInt(b.qtdTramites) || 0
 
     switch (sortOption) {
+      case 'sla-asc': {
+        // Menor tempo restante primeiro; pendências sem regra/tempo vão para o fim
+        const slaA = slaByItemId.get(a.id)
+        const slaB = slaByItemId.get(b.id)
+        const remainingA = slaA ? slaA.remainingHours : Infinity
+        const remainingB = slaB ? slaB.remainingHours : Infinity
+        if (remainingA === remainingB) return diasB - diasA
+        return remainingA - remainingB
+      }
       case 'dias-desc':
         return diasB - diasA
       case 'dias-asc':
@@ -1136,7 +1173,25 @@ function applyPendingFilters(sectionElement) {
         openTagManager(this, this.dataset.pendingId)
       })
     })
+
+    container.querySelectorAll('.ip-ticket-reminder-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const item = allPendingItems.find(pending => pending.id === btn.dataset.pendingId)
+        if (item) openPendingTicketReminderModal(item)
+      })
+    })
+
+    container.querySelectorAll('.ip-pending-select').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const pendingId = checkbox.dataset.pendingId
+        if (checkbox.checked) selectedPendingIds.add(pendingId)
+        else selectedPendingIds.delete(pendingId)
+        checkbox.closest('.ip-pending-card').classList.toggle('selected', checkbox.checked)
+        updatePendingBulkBar(sectionElement)
+      })
+    })
   }
+  updatePendingBulkBar(sectionElement)
   const openAllBtn = sectionElement.querySelector('#open-all-pending-btn')
   if (openAllBtn) {
     const uniqueResponsibleSet = new Set(
@@ -1231,9 +1286,10 @@ async function loadPendingItems(sectionElement) {
       
     manageSiteFilterWarning(sectionElement, currentActiveTab)
 
-    // Carregar Tags e Mapa
+    // Carregar Tags, Mapa e Regras de SLA
     availableTagsCache = await getAvailableTags()
     pendingTagsMapCache = await getPendingTagsMap()
+    slaRulesCache = await getSlaRules()
 
     // Atualiza o select de filtro de tags caso ele já tenha sido renderizado (refresh)
     const tagFilterSelect = sectionElement.querySelector('#pending-tag-filter')
@@ -1284,6 +1340,8 @@ async function loadPendingItems(sectionElement) {
     }
 
     if (activeItems.length === 0) {
+      selectedPendingIds.clear()
+      updatePendingBulkBar(sectionElement)
       container.innerHTML = `
                 <div class="ip-empty-state">
                     <span style="font-size: 24px;">🎉</span>
@@ -1322,11 +1380,13 @@ function renderPendingTabs(sectionElement) {
   
   tabsContainer.innerHTML = allPendingTabs.map(tab => {
     const isActive = tab.id === activePendingTabId
+    // Fontes nomeadas (pending-sources.js) que falharam continuam com a guia, sinalizada
+    const title = tab.error ? `${tab.name} — erro: ${tab.error}` : tab.name
     return `
-      <button class="ip-pending-tab-btn ${isActive ? 'active' : ''}" 
-              data-tab-id="${tab.id}" 
-              title="${escapeHTML(tab.name)}">
-        ${escapeHTML(tab.name)} <span>(${tab.items.length})</span>
+      <button class="ip-pending-tab-btn ${isActive ? 'active' : ''} ${tab.error ? 'has-error' : ''}" 
+              data-tab-id="${escapeHTML(tab.id)}" 
+              title="${escapeHTML(title)}">
+        ${tab.error ? '⚠️ ' : ''}${escapeHTML(tab.name)} <span>(${tab.items.length})</span>
       </button>
     `
   }).join('')
@@ -1502,6 +1562,19 @@ function formatHoursToHHMM(decimalHours) {
   return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`
 }
 
+/**
+ * Avalia a pendência com as regras de SLA e as tags em cache.
+ * @param {object} item - A pendência.
+ * @returns {object|null} O resultado de evaluatePendingSla.
+ */
+function getPendingItemSla(item) {
+  return evaluatePendingSla(
+    item,
+    slaRulesCache,
+    getPendingItemTagIds(item, availableTagsCache, pendingTagsMapCache)
+  )
+}
+
 /**
  * Cria o HTML para um card de pendência.
  * ATUALIZADO: Suporte a SLA nulo (traço).
@@ -1540,9 +1613,22 @@ function createPendingCard(item, showResponsible = false) {
     }
   })
 
+  // Tags aplicadas pelas regras automáticas (tag-rules-service.js)
+  const autoTagIds = new Set()
+  ;(item.autoTagIds || []).forEach(id => {
+    if (renderedTagIds.has(id)) return
+    const def = availableTagsCache.find(t => t.id === id)
+    if (def) {
+      tagsRenderList.push(def)
+      renderedTagIds.add(def.id)
+      autoTagIds.add(def.id)
+    }
+  })
+
   const tagsHtml = tagsRenderList
     .map(tagDef => {
-      return `<span class="ip-tag-badge" style="background-color: ${tagDef.color}20; color: ${tagDef.color}; border-color: ${tagDef.color}40;">${escapeHTML(tagDef.name)}</span>`
+      const isAuto = autoTagIds.has(tagDef.id)
+      return `<span class="ip-tag-badge ${isAuto ? 'auto' : ''}" ${isAuto ? 'title="Aplicada por regra de tag automática"' : ''} style="background-color: ${tagDef.color}20; color: ${tagDef.color}; border-color: ${tagDef.color}40;">${escapeHTML(tagDef.name)}</span>`
     })
     .join('')
 
@@ -1554,11 +1640,10 @@ function createPendingCard(item, showResponsible = false) {
       : ''
 
   // --- LÓGICA DE SLA VISUAL ---
+  // Cores e ícones pelo tempo restante na regra de SLA que se aplica (sla-service.js)
+  const sla = getPendingItemSla(item)
   let slaBadgeHtml = ''
   let slaClass = ''
-  let icon = ''
-  let styleClass = ''
-  let tooltip = ''
 
   // Visualização baseada na precisão do tempo
   const showHours =
@@ -1570,63 +1655,60 @@ function createPendingCard(item, showResponsible = false) {
   const showDays =
     !showHours && typeof item.estimatedDaysSinceUpdate === 'number'
 
-  if (showHours) {
-    const hours = Math.floor(item.hoursSinceUpdate)
-    const exactTime = formatHoursToHHMM(item.hoursSinceUpdate)
-
-    if (hours >= 72) {
-      icon = '☠️'
-      styleClass = 'fatal'
-      slaClass = 'border-fatal-time'
-      tooltip = `Atrasado (${hours - 48}h além do prazo) | Tempo: ${exactTime}`
-    } else if (hours >= 48) {
-      icon = '💣'
-      styleClass = 'critical'
-      slaClass = 'border-critical-time'
-      tooltip = `Estourado há ${hours - 48} horas | Tempo: ${exactTime}`
-    } else if (hours >= 44) {
-      icon = '🔥'
-      styleClass = 'urgent'
-      slaClass = 'border-urgent-time'
-      tooltip = `Faltam ${48 - hours} horas para o prazo | Tempo: ${exactTime}`
-    } else if (hours >= 40) {
-      icon = '⏳'
-      styleClass = 'warning'
-      slaClass = 'border-warning-time'
-      tooltip = `Atenção: ${hours} horas corridas | Tempo: ${exactTime}`
-    } else if (hours >= 30) {
-      icon = '👀'
-      styleClass = 'notice'
-      slaClass = 'border-notice-time'
-      tooltip = `Fique atento (${hours}h) | Tempo: ${exactTime}`
+  if (sla && (showHours || showDays)) {
+    const levelIcons = {
+      fatal: '☠️',
+      critical: '💣',
+      urgent: '🔥',
+      warning: '⏳',
+      notice: '👀',
+      normal: '✅'
+    }
+    const remainingTime = formatHoursToHHMM(Math.abs(sla.remainingHours))
+    const deadlineText =
+      sla.remainingHours > 0
+        ? `Faltam ${remainingTime} úteis para o prazo`
+        : `Estourado há ${remainingTime} úteis`
+    const tooltip = `${deadlineText} | Regra: ${sla.rule.name} (${describeSlaRule(
+      sla.rule,
+      availableTagsCache
+    )}) | Tempo: ${formatHoursToHHMM(sla.elapsedHours)}`
+    slaClass = `border-${sla.level}-time`
+
+    if (showHours) {
+      slaBadgeHtml = `<span class="ip-time-badge ${sla.level}" title="${escapeHTML(tooltip)}">${levelIcons[sla.level]
+        } ${Math.floor(sla.elapsedHours)}h</span>`
     } else {
-      icon = '✅'
-      styleClass = 'normal'
-      slaClass = 'border-normal-time'
-      tooltip = `Dentro do prazo (${hours}h) | Tempo: ${exactTime}`
-    }
-
-    slaBadgeHtml = `<span class="ip-time-badge ${styleClass}" title="${tooltip}">${icon} ${hours}h</span>`
+      // Estimativa em DIAS (Visão para Usuário Comum)
+      const days = Math.max(0, item.estimatedDaysSinceUpdate)
+      slaBadgeHtml = `<span class="ip-time-badge ${sla.level}" title="${escapeHTML(
+        `Dias úteis desde o último trâmite | ${tooltip}`
+      )}" style="opacity: 0.6;">${days}D</span>`
+    }
+  } else if (showHours) {
+    // Nenhuma regra de SLA se aplica: exibe apenas o tempo decorrido
+    const hours = Math.floor(item.hoursSinceUpdate)
+    slaBadgeHtml = `<span class="ip-time-badge normal" title="Sem regra de SLA | Tempo: ${formatHoursToHHMM(
+      item.hoursSinceUpdate
+    )}">⏱️ ${hours}h</span>`
   } else if (showDays) {
-    // Estimativa em DIAS (Visão para Usuário Comum)
     const days = Math.max(0, item.estimatedDaysSinceUpdate)
-    icon = '≈'
-    styleClass = 'notice'
-    tooltip = 'Dias corridos desde o último trâmite'
-    slaBadgeHtml = `<span class="ip-time-badge ${styleClass}" title="${tooltip}" style="opacity: 0.6;">${days}D</span>`
+    slaBadgeHtml = `<span class="ip-time-badge notice" title="Dias úteis desde o último trâmite" style="opacity: 0.6;">${days}D</span>`
   } else if (developerMode) {
     // Caso SLA Indefinido (Solicitação Antiga)
     // Exibe traço e remove borda colorida de urgência (Somente em DEV)
-    slaClass = ''
-    tooltip = 'Solicitação antiga: cronômetro preciso não iniciado.'
+    const tooltip = 'Solicitação antiga: cronômetro preciso não iniciado.'
     slaBadgeHtml = `<span class="ip-time-badge normal" title="${tooltip}" style="opacity: 0.6; filter: grayscale(1);">⏱️ -</span>`
   }
 
+  const isSelected = selectedPendingIds.has(item.id)
+
   return `
-        <div class="ip-pending-card ${statusClass}" data-id="${item.id}">
+        <div class="ip-pending-card ${statusClass} ${slaClass} ${isSelected ? 'selected' : ''}" data-id="${item.id}">
             <div class="ip-pending-header">
                 <div class="ip-pending-id-row" style="width: 100%; justify-content: space-between;">
                     <div style="display: flex; align-items: center; gap: 8px;">
+                        <input type="checkbox" class="ip-pending-select" data-pending-id="${escapeHTML(item.id)}" ${isSelected ? 'checked' : ''} title="Selecionar para ações em lote">
                         <span class="ip-pending-id" title="N.º da Solicitação: ${escapeHTML(item.id)}">${escapeHTML(item.id)}</span>
                         ${slaBadgeHtml}
                         <span class="ip-meta-item" title="Dias em aberto">📅 ${escapeHTML(item.dias)}d</span>
@@ -1635,6 +1717,7 @@ function createPendingCard(item, showResponsible = false) {
                     <div style="display: flex; align-items: center; gap: 4px;">
                          <div class="ip-tags-container">${tagsHtml}</div>
                          <button class="ip-add-tag-btn" title="Gerenciar Tags" data-pending-id="${item.id}">🏷️</button>
+                         <button class="ip-ticket-reminder-btn" title="Criar lembrete vinculado a este chamado" data-pending-id="${escapeHTML(item.id)}">⏰</button>
                          ${responsibleHtml}
                     </div>
                 </div>
@@ -1662,6 +1745,345 @@ function createPendingCard(item, showResponsible = false) {
     `
 }
 
+// #region Ações em lote das pendências
+/**
+ * Retorna as pendências da guia atual marcadas para as ações em lote.
+ * @returns {Array<object>}
+ */
+function getSelectedPendingItems() {
+  return allPendingItems.filter(item => selectedPendingIds.has(item.id))
+}
+
+/**
+ * Renderiza a barra de ações em lote com a contagem da seleção atual.
+ * @param {HTMLElement} sectionElement - A seção de pendências.
+ */
+function updatePendingBulkBar(sectionElement) {
+  const bar = sectionElement.querySelector('#pending-bulk-bar')
+  if (!bar) return
+
+  if (allPendingItems.length === 0) {
+    bar.style.display = 'none'
+    return
+  }
+
+  const count = selectedPendingIds.size
+  const disabled = count === 0 ? 'disabled' : ''
+  bar.style.display = ''
+  bar.innerHTML = `
+      <span class="ip-bulk-count"><strong>${count}</strong> selecionada(s)</span>
+      <button type="button" class="ip-bulk-btn" data-bulk="select-all" title="Selecionar todas as pendências filtradas">Selecionar filtradas</button>
+      <button type="button" class="ip-bulk-btn" data-bulk="clear" ${disabled}>Limpar</button>
+      <span class="ip-bulk-separator"></span>
+      <button type="button" class="ip-bulk-btn" data-bulk="tags" ${disabled} title="Adicionar ou remover tags">🏷️ Tags</button>
+      <button type="button" class="ip-bulk-btn" data-bulk="reminder" ${disabled} title="Criar um lembrete para cada pendência">⏰ Lembrete</button>
+      <button type="button" class="ip-bulk-btn" data-bulk="follow" ${disabled} title="Seguir os atendimentos">👁️ Seguir</button>
+      <button type="button" class="ip-bulk-btn" data-bulk="copy" ${disabled} title="Copiar a lista de links formatada para o Teams">📋 Copiar para Teams</button>
+      <button type="button" class="ip-bulk-btn" data-bulk="open" ${disabled} title="Abrir em abas de segundo plano, respeitando o limite por vez">↗️ Abrir em 2º plano</button>
+  `
+
+  bar.querySelectorAll('.ip-bulk-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      switch (button.dataset.bulk) {
+        case 'select-all':
+          filteredPendingItems.forEach(item => selectedPendingIds.add(item.id))
+          applyPendingFilters(sectionElement)
+          break
+        case 'clear':
+          selectedPendingIds.clear()
+          applyPendingFilters(sectionElement)
+          break
+        case 'tags':
+          openPendingBulkTagsModal(sectionElement)
+          break
+        case 'reminder':
+          openPendingBulkReminderModal(sectionElement)
+          break
+        case 'follow':
+          followSelectedPendings()
+          break
+        case 'copy':
+          copySelectedPendingsForTeams()
+          break
+        case 'open':
+          openSelectedPendingsInBackground(sectionElement)
+          break
+      }
+    })
+  })
+}
+
+/**
+ * Abre o modal para adicionar ou remover tags de todas as pendências selecionadas.
+ * @param {HTMLElement} sectionElement - A seção de pendências.
+ */
+function openPendingBulkTagsModal(sectionElement) {
+  const items = getSelectedPendingItems()
+  if (items.length === 0) return
+
+  const renderTags = () =>
+    availableTagsCache
+      .map(tag => {
+        const taggedCount = items.filter(item =>
+          (pendingTagsMapCache[item.id] || []).includes(tag.id)
+        ).length
+        return `
+        <div class="ip-bulk-tag-row">
+          <span class="ip-tag-badge" style="background-color: ${tag.color}20; color: ${tag.color}; border-color: ${tag.color}40;">${escapeHTML(tag.name)}</span>
+          <span class="ip-bulk-tag-count">${taggedCount} de ${items.length}</span>
+          <button type="button" class="ip-sla-action" data-tag-id="${escapeHTML(tag.id)}" data-mode="add" ${taggedCount === items.length ? 'disabled' : ''}>Adicionar</button>
+          <button type="button" class="ip-sla-action" data-tag-id="${escapeHTML(tag.id)}" data-mode="remove" ${taggedCount === 0 ? 'disabled' : ''}>Remover</button>
+        </div>`
+      })
+      .join('')
+
+  const modal = createModal(
+    `🏷️ Tags de ${items.length} pendência(s)`,
+    `
+      <p class="ip-sla-hint">As tags automáticas (Prioridade e Em SS) continuam vindo da lista do SGD.</p>
+      <div id="ip-bulk-tags-list">${renderTags()}</div>
+    `,
+    null,
+    { isManagementModal: true, showShareButton: false }
+  )
+
+  const list = modal.querySelector('#ip-bulk-tags-list')
+  list.addEventListener('click', async e => {
+    const button = e.target.closest('.ip-sla-action')
+    if (!button) return
+    const shouldHave = button.dataset.mode === 'add'
+    const changedCount = await setPendingTagForItems(
+      items.map(item => item.id),
+      button.dataset.tagId,
+      shouldHave
+    )
+    pendingTagsMapCache = await getPendingTagsMap()
+    list.innerHTML = renderTags()
+    applyPendingFilters(sectionElement)
+    showNotification(
+      `Tag ${shouldHave ? 'adicionada a' : 'removida de'} ${changedCount} pendência(s).`,
+      'success'
+    )
+  })
+
+  modal.style.zIndex = '10003'
+  document.body.appendChild(modal)
+}
+
+/**
+ * Abre o modal que cria um lembrete para cada pendência selecionada.
+ * @param {HTMLElement} sectionElement - A seção de pendências.
+ */
+function openPendingBulkReminderModal(sectionElement) {
+  const items = getSelectedPendingItems()
+  if (items.length === 0) return
+
+  const now = new Date()
+  const minDateTime = getLocalDateTimeString(now)
+  const defaultDateTime = getLocalDateTimeString(new Date(now.getTime() + 60 * 60 * 1000))
+
+  const modal = createModal(
+    `⏰ Lembretes para ${items.length} pendência(s)`,
+    `
+     <div class="form-group">
+        <label for="bulk-reminder-title">Título*</label>
+        <input type="text" id="bulk-reminder-title" value="Retomar pendência" required>
+        <small>O número da pendência é acrescentado ao título; o assunto vai na descrição. Cada lembrete é concluído quando a pendência sair da lista.</small>
+     </div>
+     <div class="form-row">
+       <div class="form-group">
+          <label for="bulk-reminder-datetime">Data e Hora do Alerta*</label>
+          <input type="datetime-local" id="bulk-reminder-datetime" min="${minDateTime}" value="${defaultDateTime}" required>
+       </div>
+       <div class="form-group">
+          <label for="bulk-reminder-priority">Prioridade</label>
+          <select id="bulk-reminder-priority">
+              <option value="low">Baixa</option>
+              <option value="medium" selected>Média</option>
+              <option value="high">Alta</option>
+          </select>
+       </div>
+     </div>
+    `,
+    async (modalContent, closeModal) => {
+      const title = modalContent.querySelector('#bulk-reminder-title').value.trim()
+      const dateTime = modalContent.querySelector('#bulk-reminder-datetime').value
+      const priority = modalContent.querySelector('#bulk-reminder-priority').value
+
+      if (!title || !dateTime) {
+        showNotification('Título e Data/Hora são obrigatórios.', 'error')
+        return
+      }
+
+      let createdCount = 0
+      let lastError = null
+      // Sequencial: saveReminder lê e regrava o mapa inteiro de lembretes
+      for (const item of items) {
+        try {
+          await saveReminder({
+            title: `${title} ${item.id}`,
+            dateTime,
+            description: item.subject,
+            url: item.link !== '#' ? item.link : '',
+            priority,
+            ticketId: item.id,
+            ticketLastTramite: item.dataUltimoTramite
+          })
+          createdCount++
+        } catch (error) {
+          lastError = error
+        }
+      }
+
+      if (createdCount === 0) {
+        showNotification(`Erro ao agendar: ${lastError?.message}`, 'error')
+        return
+      }
+      showNotification(
+        lastError
+          ? `${createdCount} de ${items.length} lembretes agendados. Erro: ${lastError.message}`
+          : `${createdCount} lembrete(s) agendado(s) com sucesso!`,
+        lastError ? 'warning' : 'success'
+      )
+      closeModal()
+    }
+  )
+
+  modal.addEventListener('keydown', e => e.stopPropagation())
+  modal.style.zIndex = '10003'
+  document.body.appendChild(modal)
+}
+
+/**
+ * Abre o modal de novo lembrete vinculado à pendência (concluído quando ela sair da lista).
+ * @param {object} item - A pendência.
+ */
+function openPendingTicketReminderModal(item) {
+  const modal = openNewReminderModal(null, {
+    initialTitle: `Retomar pendência ${item.id}`,
+    initialDescription: item.subject,
+    url: item.link !== '#' ? item.link : '',
+    ticketId: item.id,
+    ticketLastTramite: item.dataUltimoTramite
+  })
+  modal.addEventListener('keydown', e => e.stopPropagation())
+  modal.style.zIndex = '10003'
+}
+
+/**
+ * Hash inicial de uma pendência seguida a partir da lista (data e quantidade de trâmites).
+ * @param {object} item - A pendência.
+ * @returns {string}
+ */
+function getPendingItemContentHash(item) {
+  return String(simpleHash(`${item.dataUltimoTramite}|${item.qtdTramites}`))
+}
+
+/**
+ * Passa a seguir os atendimentos das pendências selecionadas.
+ */
+async function followSelectedPendings() {
+  const items = getSelectedPendingItems().filter(item => item.link && item.link !== '#')
+  if (items.length === 0) {
+    showNotification('As pendências selecionadas não têm link para seguir.', 'warning')
+    return
+  }
+
+  const followed = await getFollowedAttendances()
+  const newItems = items.filter(item => !followed[item.id])
+  let followedCount = 0
+  for (const item of newItems) {
+    try {
+      await saveFollowedAttendance({
+        id: item.id,
+        subject: item.subject,
+        url: item.link,
+        lastContentHash: getPendingItemContentHash(item),
+        status: 'monitoring'
+      })
+      followedCount++
+    } catch (error) {
+      console.error(`Erro ao seguir a pendência ${item.id}:`, error)
+    }
+  }
+
+  const alreadyCount = items.length - newItems.length
+  showNotification(
+    `${followedCount} atendimento(s) seguido(s)${alreadyCount > 0 ? ` (${alreadyCount} já seguido(s))` : ''}.`,
+    followedCount > 0 || alreadyCount > 0 ? 'success' : 'error'
+  )
+}
+
+/**
+ * Copia as pendências selecionadas como lista de links (HTML para o Teams e texto simples).
+ */
+async function copySelectedPendingsForTeams() {
+  const items = getSelectedPendingItems()
+  if (items.length === 0) return
+
+  const html = `<ul>${items
+    .map(
+      item =>
+        `<li><a href="${escapeHTML(item.link)}">${escapeHTML(item.id)}</a> — ${escapeHTML(item.subject)}</li>`
+    )
+    .join('')}</ul>`
+  const text = items.map(item => `• ${item.id} — ${item.subject}\n  ${item.link}`).join('\n')
+
+  try {
+    if (typeof ClipboardItem === 'function') {
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          'text/html': new Blob([html], { type: 'text/html' }),
+          'text/plain': new Blob([text], { type: 'text/plain' })
+        })
+      ])
+    } else {
+      await navigator.clipboard.writeText(text)
+    }
+    showNotification(`${items.length} link(s) copiado(s) para colar no Teams.`, 'success')
+  } catch (error) {
+    console.error('Erro ao copiar a lista de pendências:', error)
+    showNotification('Erro ao copiar a lista de pendências.', 'error')
+  }
+}
+
+/**
+ * Abre as pendências selecionadas em abas de segundo plano, no máximo
+ * `preferences.bulkOpenTabsLimit` por vez. As abertas saem da seleção, então
+ * um novo clique abre o próximo lote.
+ * @param {HTMLElement} sectionElement - A seção de pendências.
+ */
+async function openSelectedPendingsInBackground(sectionElement) {
+  const items = getSelectedPendingItems().filter(item => item.link && item.link !== '#')
+  if (items.length === 0) return
+
+  const settings = await getSettings()
+  const limit = Math.max(1, parseInt(settings.preferences?.bulkOpenTabsLimit, 10) || 10)
+  const batch = items.slice(0, limit)
+
+  try {
+    await sendBackgroundMessage({
+      action: 'OPEN_BACKGROUND_TABS',
+      urls: batch.map(item => item.link)
+    })
+  } catch (error) {
+    showNotification(`Erro ao abrir as abas: ${error.message}`, 'error')
+    return
+  }
+
+  batch.forEach(item => selectedPendingIds.delete(item.id))
+  applyPendingFilters(sectionElement)
+
+  const remaining = items.length - batch.length
+  showNotification(
+    remaining > 0
+      ? `${batch.length} aba(s) aberta(s). ${remaining} continuam selecionadas para o próximo lote.`
+      : `${batch.length} aba(s) aberta(s) em segundo plano.`,
+    'success'
+  )
+}
+// #endregion
+
 // #region Avisos (Warnings)
 /**
  * Carrega e renderiza os avisos.
@@ -1837,22 +2259,17 @@ async function loadWarnings(sectionElement, forceRefresh = false) {
     let warnings = await window.warningsService.getWarnings(forceRefresh)
     const isEditor = !!(developerMode || window.sgdPermissions?.isEditor)
     const nowMs = Date.now()
-    const nowIso = new Date().toISOString()
-    const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000
 
-    // Mapeia e classifica os avisos com flags de estado
+    // Mapeia e classifica os avisos com flags de estado (agendamento: warning-rules.js)
     const classified = warnings.map(w => {
-      const isArchived = !!w.archived
-      const isExpired = w.expiresAt 
-        ? (nowMs > new Date(w.expiresAt).getTime())
-        : (w.date ? (nowMs - new Date(w.date).getTime() >= SEVEN_DAYS_MS) : false)
-      const isScheduled = w.publishedAt ? (nowIso < w.publishedAt) : false
-
+      const schedule = getWarningScheduleState(w, nowMs)
       return {
         ...w,
-        isArchived,
-        isExpired,
-        isScheduled
+        schedule,
+        isArchived: !!w.archived,
+        isExpired: schedule.state === 'expired',
+        // Recorrentes fora da janela ficam com os agendados: só editores os veem
+        isScheduled: schedule.state === 'scheduled' || schedule.state === 'waiting'
       }
     })
 
@@ -1890,15 +2307,14 @@ async function loadWarnings(sectionElement, forceRefresh = false) {
       return true
     })
 
-    // [NOVO] Filtro de Avisos Direcionados a Colaboradores Específicos
+    // [NOVO] Filtro de Público (colaboradores específicos, região e perfil)
     warnings = warnings.filter(w => {
       if (isEditor) return true; // Editor vê todos
-      if (w.targetUsers && Array.isArray(w.targetUsers) && w.targetUsers.length > 0) {
-        if (!activeUserName) return false;
-        const normCurrentUser = normalizeName(activeUserName);
-        return w.targetUsers.some(u => normalizeName(u) === normCurrentUser);
-      }
-      return true;
+      return matchesWarningAudience(w, {
+        currentUser: activeUserName,
+        region: window.sgdPermissions?.region,
+        isEditor: false
+      });
     })
 
     // --- 2. Filtro de Ignorados (Storage) ---
@@ -2983,15 +3399,28 @@ function createWarningCard(warning, metrics = {}) {
     `
   }
 
+  // Estado do agendamento, recorrência e público (warning-rules.js), apenas para editores
   let scheduleHtml = ''
   if (developerMode || window.sgdPermissions?.isEditor) {
-    if (warning.publishedAt) {
-      const pDate = new Date(warning.publishedAt).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })
-      scheduleHtml += `<span style="color: #e67e22; font-weight: bold; margin-right: 10px;" title="Agendado para esta data">📅 Agendado: ${pDate}</span>`
-    }
-    if (warning.expiresAt) {
-      const eDate = new Date(warning.expiresAt).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })
-      scheduleHtml += `<span style="color: #e74c3c; font-weight: bold;" title="Expira nesta data">⏳ Expira: ${eDate}</span>`
+    const formatScheduleDate = value => new Date(value).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })
+    const schedule = warning.schedule || getWarningScheduleState(warning)
+    const stateInfo = WARNING_SCHEDULE_STATES[schedule.state]
+    const stateColors = { scheduled: '#e67e22', live: '#27ae60', waiting: '#8e44ad', expired: '#e74c3c' }
+    const stateDetail = {
+      scheduled: schedule.nextStart ? `publica em ${formatScheduleDate(schedule.nextStart)}` : '',
+      live: schedule.liveUntil ? `até ${formatScheduleDate(schedule.liveUntil)}` : '',
+      waiting: schedule.nextStart ? `próxima janela em ${formatScheduleDate(schedule.nextStart)}` : '',
+      expired: warning.expiresAt ? `em ${formatScheduleDate(warning.expiresAt)}` : ''
+    }[schedule.state]
+    scheduleHtml += `<span style="color: ${stateColors[schedule.state]}; font-weight: bold; margin-right: 10px;" title="Estado do agendamento">${stateInfo.icon} ${stateInfo.label}${stateDetail ? `: ${stateDetail}` : ''}</span>`
+
+    if (isRecurringWarning(warning)) {
+      const windowMinutes = warning.recurrenceDurationMinutes || WARNING_DEFAULT_WINDOW_MINUTES
+      scheduleHtml += `<span style="color: var(--text-color-muted); font-weight: bold; margin-right: 10px;" title="Recorrência">🔁 ${escapeHTML(describeRecurrenceRule(warning.recurrence))} · ${windowMinutes} min no ar</span>`
+    }
+    const audienceText = describeWarningAudience(warning)
+    if (audienceText) {
+      scheduleHtml += `<span style="color: var(--text-color-muted); font-weight: bold;" title="Público do aviso">🎯 ${escapeHTML(audienceText)}</span>`
     }
   }
 
@@ -3386,6 +3815,29 @@ function openCreateWarningModal(existingWarning = null) {
   const publishedAtVal = isEdit ? formatDateForInput(existingWarning.publishedAt) : ''
   const expiresAtVal = isEdit ? formatDateForInput(existingWarning.expiresAt) : ''
 
+  // Recorrência (regras prontas de recurrence-service.js) e público por região e perfil
+  const recurrenceVal = isEdit ? normalizeRecurrenceRule(existingWarning.recurrence) : null
+  const recurrenceKey = getRecurrencePresetKey(recurrenceVal)
+  const recurrenceDurationVal = isEdit && existingWarning.recurrenceDurationMinutes
+    ? existingWarning.recurrenceDurationMinutes
+    : WARNING_DEFAULT_WINDOW_MINUTES
+  const recurrenceOptions = [
+    `<option value="none" ${recurrenceKey === 'none' ? 'selected' : ''}>Não repete</option>`,
+    ...Object.entries(RECURRENCE_PRESETS).map(([key, preset]) =>
+      `<option value="${key}" ${recurrenceKey === key ? 'selected' : ''}>${preset.label}</option>`),
+    recurrenceKey === 'custom'
+      ? `<option value="custom" selected>${escapeHTML(describeRecurrenceRule(recurrenceVal))}</option>`
+      : ''
+  ].join('')
+  const targetRegionsVal = isEdit && Array.isArray(existingWarning.targetRegions) ? existingWarning.targetRegions : []
+  const targetRolesVal = isEdit && Array.isArray(existingWarning.targetRoles) ? existingWarning.targetRoles : []
+  const audienceCheckboxes = (name, options, selected) => Object.entries(options)
+    .map(([value, label]) => `
+      <label style="display: inline-flex; align-items: center; gap: 4px; margin-right: 12px; font-size: 12px; cursor: pointer;">
+        <input type="checkbox" name="${name}" value="${value}" ${selected.includes(value) ? 'checked' : ''} style="width: auto; margin: 0;"> ${label}
+      </label>`)
+    .join('')
+
   const fieldStyle =
     'display: block; width: 100%; margin-bottom: 12px; padding: 8px; border: 1px solid var(--border-color); border-radius: 4px; background: var(--background-main); color: var(--text-color-main);'
 
@@ -3470,6 +3922,23 @@ function openCreateWarningModal(existingWarning = null) {
                 </div>
             </div>
 
+            <div style="display: flex; gap: 15px; margin-bottom: 12px;">
+                <div style="flex: 2;">
+                    <label style="display:block; margin-bottom:4px; font-size:12px;">🔁 Repetir (a partir da publicação agendada)</label>
+                    <select id="warn-recurrence" style="${fieldStyle}">${recurrenceOptions}</select>
+                </div>
+                <div style="flex: 1;">
+                    <label style="display:block; margin-bottom:4px; font-size:12px;">Duração de cada janela (min)</label>
+                    <input type="number" id="warn-recurrence-duration" min="1" step="1" style="${fieldStyle}" value="${recurrenceDurationVal}" ${recurrenceKey === 'none' ? 'disabled' : ''}>
+                </div>
+            </div>
+
+            <div style="margin-bottom: 12px; padding: 10px; background-color: var(--background-secondary); border-radius: 4px; border: 1px dashed var(--border-color);">
+                <label style="display:block; margin-bottom:6px; font-size:12px; font-weight: 600;">🎯 Público (nenhum marcado = todos do canal)</label>
+                <div style="margin-bottom: 4px;">${audienceCheckboxes('warn-target-region', WARNING_REGIONS, targetRegionsVal)}</div>
+                <div>${audienceCheckboxes('warn-target-role', WARNING_ROLES, targetRolesVal)}</div>
+            </div>
+
             <div style="display: flex; gap: 15px; margin-bottom: 12px;">
                 <div style="flex: 1; padding: 10px; background-color: var(--background-secondary); border: 1px solid var(--border-color); border-radius: 4px; display: flex; flex-direction: column;">
                     <div class="form-checkbox-group" style="margin-top: 0;">
@@ -3877,6 +4346,12 @@ function openCreateWarningModal(existingWarning = null) {
     }
   })
 
+  // A duração da janela só vale para avisos recorrentes
+  const recurrenceSelect = modal.querySelector('#warn-recurrence')
+  recurrenceSelect.addEventListener('change', () => {
+    modal.querySelector('#warn-recurrence-duration').disabled = recurrenceSelect.value === 'none'
+  })
+
   function renderTags() {
     tagsContainer.querySelectorAll('.user-tag').forEach(tag => tag.remove())
     selectedUsers.forEach(user => {
@@ -3996,6 +4471,17 @@ function openCreateWarningModal(existingWarning = null) {
     const publishedAt = publishedAtInput ? new Date(publishedAtInput).toISOString() : null
     const expiresAt = expiresAtInput ? new Date(expiresAtInput).toISOString() : null
 
+    const recurrenceSelection = modal.querySelector('#warn-recurrence').value
+    const recurrence = recurrenceSelection === 'custom'
+      ? recurrenceVal
+      : normalizeRecurrenceRule(recurrenceSelection)
+    const recurrenceDurationMinutes = recurrence
+      ? parseInt(modal.querySelector('#warn-recurrence-duration').value, 10) || 0
+      : null
+    const checkedValues = name => Array.from(modal.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value)
+    const targetRegions = checkedValues('warn-target-region')
+    const targetRoles = checkedValues('warn-target-role')
+
     if (!title || !textContent) {
       alert('Preencha título e mensagem.')
       return
@@ -4006,6 +4492,12 @@ function openCreateWarningModal(existingWarning = null) {
       return
     }
 
+    const rulesError = validateWarningRules({ publishedAt, expiresAt, recurrence, recurrenceDurationMinutes, targetRegions, targetRoles })
+    if (rulesError) {
+      alert(rulesError)
+      return
+    }
+
     saveBtn.disabled = true
     saveBtn.textContent = 'Salvando...'
 
@@ -4024,7 +4516,11 @@ function openCreateWarningModal(existingWarning = null) {
           channel,
           publishedAt,
           expiresAt,
+          recurrence,
+          recurrenceDurationMinutes,
           targetUsers,
+          targetRegions,
+          targetRoles,
           archived: existingWarning.archived || false,
           date
         })
@@ -4041,7 +4537,11 @@ function openCreateWarningModal(existingWarning = null) {
           channel,
           publishedAt,
           expiresAt,
+          recurrence,
+          recurrenceDurationMinutes,
           targetUsers,
+          targetRegions,
+          targetRoles,
           archived: false,
           date: new Date().toISOString()
         })
@@ -4167,6 +4667,454 @@ fetch('http://127.0.0.1:7242/ingest/25d49048-d157-41a6-b992-3f42235cf282', {
 }).catch(() => { })
 // #endregion
 
+/**
+ * Abre o modal das regras de SLA das pendências. As regras são avaliadas na ordem da
+ * lista: a primeira que se aplica à pendência define os limites de alerta e de estouro.
+ * @param {HTMLElement} sectionElement - A seção de pendências (reaplica os filtros ao salvar).
+ */
+async function openSlaRulesModal(sectionElement) {
+  let rules = (await getSlaRules()).map(rule => ({ ...rule }))
+  const settings = await getSettings()
+  const notificationsEnabled = settings.preferences?.enableSlaNotifications !== false
+
+  const renderMatchValue = (rule, index) => {
+    if (rule.matchType === 'all') return ''
+    if (rule.matchType === 'tag') {
+      return `<select class="ip-sla-input" data-index="${index}" data-field="matchValue">
+        ${availableTagsCache
+          .map(
+            tag =>
+              `<option value="${escapeHTML(tag.id)}" ${tag.id === rule.matchValue ? 'selected' : ''}>${escapeHTML(
+                tag.name
+              )}</option>`
+          )
+          .join('')}
+      </select>`
+    }
+    const placeholder = rule.matchType === 'system' ? 'Ex: Folha' : 'Ex: Dúvida'
+    return `<input type="text" class="ip-sla-input" data-index="${index}" data-field="matchValue" value="${escapeHTML(
+      rule.matchValue || ''
+    )}" placeholder="${placeholder}">`
+  }
+
+  const renderRules = () => {
+    const list = modal.querySelector('#ip-sla-rules-list')
+    list.innerHTML = rules
+      .map(
+        (rule, index) => `
+        <div class="ip-sla-rule ${rule.enabled === false ? 'disabled' : ''}">
+          <input type="checkbox" class="ip-sla-input" data-index="${index}" data-field="enabled" ${rule.enabled !== false ? 'checked' : ''
+          } title="Regra ativa">
+          <input type="text" class="ip-sla-input ip-sla-name" data-index="${index}" data-field="name" value="${escapeHTML(
+            rule.name || ''
+          )}" placeholder="Nome da regra">
+          <select class="ip-sla-input" data-index="${index}" data-field="matchType">
+            ${Object.entries(SLA_MATCH_TYPES)
+              .map(
+                ([type, label]) =>
+                  `<option value="${type}" ${rule.matchType === type ? 'selected' : ''}>${label}</option>`
+              )
+              .join('')}
+          </select>
+          ${renderMatchValue(rule, index)}
+          <label>Alerta <input type="number" min="1" class="ip-sla-input ip-sla-hours" data-index="${index}" data-field="warningHours" value="${rule.warningHours}">h</label>
+          <label>Prazo <input type="number" min="1" class="ip-sla-input ip-sla-hours" data-index="${index}" data-field="breachHours" value="${rule.breachHours}">h</label>
+          <button type="button" class="ip-sla-action" data-action="up" data-index="${index}" title="Aumentar prioridade" ${index === 0 ? 'disabled' : ''
+          }>▲</button>
+          <button type="button" class="ip-sla-action" data-action="down" data-index="${index}" title="Diminuir prioridade" ${index === rules.length - 1 ? 'disabled' : ''
+          }>▼</button>
+          <button type="button" class="ip-sla-action" data-action="remove" data-index="${index}" title="Excluir regra">🗑️</button>
+        </div>`
+      )
+      .join('')
+  }
+
+  const modal = createModal(
+    '⏱️ Regras de SLA',
+    `
+      <p class="ip-sla-hint">As horas são úteis (calendário de expediente). A primeira regra ativa que se aplica à pendência define o prazo; ajuste a prioridade com ▲/▼.</p>
+      <div id="ip-sla-rules-list"></div>
+      <button type="button" id="ip-sla-add-btn" class="action-btn small-btn">+ Adicionar Regra</button>
+      <div class="form-checkbox-group" style="margin-top: 12px;">
+        <input type="checkbox" id="ip-sla-notifications" ${notificationsEnabled ? 'checked' : ''}>
+        <label for="ip-sla-notifications">Notificar no Windows quando uma pendência entrar na janela de alerta ou estourar o prazo</label>
+      </div>
+    `,
+    async (modalContent, closeModal) => {
+      const invalidRule = rules.find(
+        rule =>
+          !String(rule.name || '').trim() ||
+          !(rule.breachHours > 0) ||
+          !(rule.warningHours > 0) ||
+          rule.warningHours > rule.breachHours ||
+          (rule.matchType !== 'all' && !String(rule.matchValue || '').trim())
+      )
+      if (invalidRule) {
+        showNotification(
+          'Preencha nome, critério e horas de todas as regras (o alerta não pode passar do prazo).',
+          'error'
+        )
+        return
+      }
+
+      await saveSlaRules(rules.map(rule => ({ ...rule, name: rule.name.trim() })))
+      const currentSettings = await getSettings()
+      currentSettings.preferences = {
+        ...currentSettings.preferences,
+        enableSlaNotifications: modalContent.querySelector('#ip-sla-notifications').checked
+      }
+      await saveSettings(currentSettings)
+
+      slaRulesCache = await getSlaRules()
+      if (sectionElement && allPendingItems.length > 0) applyPendingFilters(sectionElement)
+      showNotification('Regras de SLA salvas!', 'success')
+      closeModal()
+    }
+  )
+
+  const list = modal.querySelector('#ip-sla-rules-list')
+
+  list.addEventListener('change', e => {
+    const input = e.target.closest('.ip-sla-input')
+    if (!input) return
+    const rule = rules[parseInt(input.dataset.index, 10)]
+    const field = input.dataset.field
+    if (field === 'enabled') rule.enabled = input.checked
+    else if (field === 'warningHours' || field === 'breachHours') {
+      rule[field] = parseFloat(input.value) || 0
+    } else rule[field] = input.value
+
+    if (field === 'matchType') {
+      rule.matchValue = input.value === 'tag' ? availableTagsCache[0]?.id || '' : ''
+      renderRules()
+    }
+  })
+
+  list.addEventListener('input', e => {
+    const input = e.target.closest('.ip-sla-input[type="text"]')
+    if (input) rules[parseInt(input.dataset.index, 10)][input.dataset.field] = input.value
+  })
+
+  list.addEventListener('click', e => {
+    const button = e.target.closest('.ip-sla-action')
+    if (!button) return
+    const index = parseInt(button.dataset.index, 10)
+    if (button.dataset.action === 'remove') {
+      rules.splice(index, 1)
+    } else {
+      const target = button.dataset.action === 'up' ? index - 1 : index + 1
+      ;[rules[index], rules[target]] = [rules[target], rules[index]]
+    }
+    renderRules()
+  })
+
+  // Evita que os atalhos da página do SGD interceptem a digitação nos campos
+  modal.addEventListener('keydown', e => e.stopPropagation())
+
+  modal.querySelector('#ip-sla-add-btn').addEventListener('click', () => {
+    rules.push({
+      id: `sla-${Date.now()}`,
+      name: '',
+      matchType: 'classification',
+      matchValue: '',
+      warningHours: 6,
+      breachHours: 8,
+      enabled: true
+    })
+    renderRules()
+  })
+
+  modal.style.zIndex = '10003'
+  document.body.appendChild(modal)
+  renderRules()
+}
+
+/**
+ * Abre o modal das regras de tags automáticas, com a prévia (simulação) de quais pendências
+ * atuais cada regra atingiria. Nada é aplicado até salvar.
+ * @param {HTMLElement} sectionElement - A seção de pendências (reaplica os filtros ao salvar).
+ */
+async function openTagRulesModal(sectionElement) {
+  let rules = (await getTagRules()).map(rule => ({ ...rule }))
+  // Todas as pendências carregadas (guia "Todas" quando há várias guias)
+  const currentItems = allPendingTabs ? allPendingTabs[0].items : allPendingItems
+
+  const renderConditionInput = (rule, index, field) => {
+    const isNumber = field === 'minAgeDays'
+    const placeholders = {
+      keywords: 'Ex: nota fiscal, sped',
+      client: 'Ex: Contabilidade',
+      classification: 'Ex: Dúvida',
+      minAgeDays: 'Ex: 10',
+      responsible: 'Ex: Maria'
+    }
+    return `<label class="ip-tag-rule-condition">${TAG_RULE_CONDITIONS[field]}
+        <input type="${isNumber ? 'number' : 'text'}" ${isNumber ? 'min="0"' : ''} class="ip-sla-input ${isNumber ? 'ip-sla-hours' : ''}" data-index="${index}" data-field="${field}" value="${escapeHTML(
+          String(rule[field] ?? '')
+        )}" placeholder="${placeholders[field]}">
+      </label>`
+  }
+
+  const renderPreview = () => {
+    const preview = previewTagRules(currentItems, rules)
+    modal.querySelectorAll('.ip-tag-rule-preview').forEach(previewEl => {
+      const rule = rules[parseInt(previewEl.dataset.index, 10)]
+      if (!hasTagRuleConditions(rule)) {
+        previewEl.textContent = 'Preencha ao menos uma condição.'
+        return
+      }
+      const hits = preview.get(rule.id) || []
+      const ids = hits.slice(0, 10).map(item => item.id).join(', ')
+      previewEl.textContent =
+        hits.length === 0
+          ? `Nenhuma das ${currentItems.length} pendências atuais seria marcada.`
+          : `Marcaria ${hits.length} pendência(s): ${ids}${hits.length > 10 ? ` e mais ${hits.length - 10}` : ''}`
+    })
+  }
+
+  const renderRules = () => {
+    const list = modal.querySelector('#ip-tag-rules-list')
+    if (rules.length === 0) {
+      list.innerHTML = '<p class="ip-sla-hint">Nenhuma regra cadastrada.</p>'
+      return
+    }
+    list.innerHTML = rules
+      .map(
+        (rule, index) => `
+        <div class="ip-sla-rule ip-tag-rule ${rule.enabled === false ? 'disabled' : ''}">
+          <input type="checkbox" class="ip-sla-input" data-index="${index}" data-field="enabled" ${rule.enabled !== false ? 'checked' : ''
+          } title="Regra ativa">
+          <input type="text" class="ip-sla-input ip-sla-name" data-index="${index}" data-field="name" value="${escapeHTML(
+            rule.name || ''
+          )}" placeholder="Nome da regra">
+          <select class="ip-sla-input" data-index="${index}" data-field="tagId" title="Tag aplicada">
+            ${availableTagsCache
+              .map(
+                tag =>
+                  `<option value="${escapeHTML(tag.id)}" ${tag.id === rule.tagId ? 'selected' : ''}>${escapeHTML(tag.name)}</option>`
+              )
+              .join('')}
+          </select>
+          <button type="button" class="ip-sla-action" data-action="remove" data-index="${index}" title="Excluir regra">🗑️</button>
+          <div class="ip-tag-rule-conditions">
+            ${Object.keys(TAG_RULE_CONDITIONS)
+              .map(field => renderConditionInput(rule, index, field))
+              .join('')}
+          </div>
+          <div class="ip-tag-rule-preview" data-index="${index}"></div>
+        </div>`
+      )
+      .join('')
+    renderPreview()
+  }
+
+  const modal = createModal(
+    '🤖 Regras de Tags Automáticas',
+    `
+      <p class="ip-sla-hint">A tag é aplicada quando a pendência atende a <strong>todas</strong> as condições preenchidas. Palavras no assunto aceitam várias, separadas por vírgula (basta uma). A prévia usa as ${currentItems.length} pendências carregadas no Painel.</p>
+      <div id="ip-tag-rules-list"></div>
+      <button type="button" id="ip-tag-rules-add-btn" class="action-btn small-btn">+ Adicionar Regra</button>
+    `,
+    async (modalContent, closeModal) => {
+      const invalidRule = rules.find(
+        rule => !String(rule.name || '').trim() || !rule.tagId || !hasTagRuleConditions(rule)
+      )
+      if (invalidRule) {
+        showNotification('Preencha nome, tag e ao menos uma condição de todas as regras.', 'error')
+        return
+      }
+
+      await saveTagRules(rules.map(rule => ({ ...rule, name: rule.name.trim() })))
+
+      // Reaplica as regras nas pendências já carregadas, sem buscar a lista de novo
+      const savedRules = await getTagRules()
+      const loadedItems = allPendingTabs ? allPendingTabs.flatMap(tab => tab.items) : allPendingItems
+      loadedItems.forEach(item => {
+        item.autoTagIds = evaluateTagRules(item, savedRules)
+      })
+      if (sectionElement && allPendingItems.length > 0) applyPendingFilters(sectionElement)
+      showNotification('Regras de tags salvas!', 'success')
+      closeModal()
+    }
+  )
+
+  const list = modal.querySelector('#ip-tag-rules-list')
+
+  list.addEventListener('change', e => {
+    const input = e.target.closest('.ip-sla-input')
+    if (!input) return
+    const rule = rules[parseInt(input.dataset.index, 10)]
+    if (input.dataset.field === 'enabled') {
+      rule.enabled = input.checked
+      input.closest('.ip-tag-rule').classList.toggle('disabled', !input.checked)
+    } else {
+      rule[input.dataset.field] = input.value
+    }
+    renderPreview()
+  })
+
+  list.addEventListener('input', e => {
+    const input = e.target.closest('.ip-sla-input')
+    if (!input || input.type === 'checkbox' || input.tagName === 'SELECT') return
+    rules[parseInt(input.dataset.index, 10)][input.dataset.field] = input.value
+    renderPreview()
+  })
+
+  list.addEventListener('click', e => {
+    const button = e.target.closest('.ip-sla-action')
+    if (!button || button.dataset.action !== 'remove') return
+    rules.splice(parseInt(button.dataset.index, 10), 1)
+    renderRules()
+  })
+
+  // Evita que os atalhos da página do SGD interceptem a digitação nos campos
+  modal.addEventListener('keydown', e => e.stopPropagation())
+
+  modal.querySelector('#ip-tag-rules-add-btn').addEventListener('click', () => {
+    rules.push({
+      id: `tagrule-${Date.now()}`,
+      name: '',
+      tagId: availableTagsCache[0]?.id || '',
+      keywords: '',
+      client: '',
+      classification: '',
+      minAgeDays: '',
+      responsible: '',
+      enabled: true
+    })
+    renderRules()
+  })
+
+  modal.style.zIndex = '10003'
+  document.body.appendChild(modal)
+  renderRules()
+}
+
+/**
+ * Abre o modal das fontes de pendências. Cada fonte vira uma guia no Painel e é buscada
+ * sem alterar o filtro que o analista usa no SGD; sem fontes, valem as guias da lista.
+ * @param {HTMLElement} sectionElement - A seção de pendências (recarregada ao salvar).
+ */
+async function openPendingSourcesModal(sectionElement) {
+  let sources = (await getPendingSources()).map(source => ({ ...source }))
+
+  const renderSources = () => {
+    const list = modal.querySelector('#ip-pending-sources-list')
+    if (sources.length === 0) {
+      list.innerHTML = `<p class="ip-sla-hint">Nenhuma fonte configurada: o Painel usa as guias da lista de pendências do SGD.</p>`
+      return
+    }
+    list.innerHTML = sources
+      .map((source, index) => {
+        const type = PENDING_SOURCE_TYPES[source.type] || PENDING_SOURCE_TYPES.filtro
+        return `
+        <div class="ip-sla-rule ${source.enabled === false ? 'disabled' : ''}">
+          <input type="checkbox" class="ip-sla-input" data-index="${index}" data-field="enabled" ${source.enabled !== false ? 'checked' : ''
+          } title="Fonte ativa">
+          <input type="text" class="ip-sla-input ip-sla-name" data-index="${index}" data-field="name" value="${escapeHTML(
+            source.name || ''
+          )}" placeholder="Nome da guia">
+          <select class="ip-sla-input" data-index="${index}" data-field="type">
+            ${Object.entries(PENDING_SOURCE_TYPES)
+              .map(
+                ([key, info]) =>
+                  `<option value="${key}" ${source.type === key ? 'selected' : ''}>${info.label}</option>`
+              )
+              .join('')}
+          </select>
+          <input type="text" class="ip-sla-input ip-pending-source-value" data-index="${index}" data-field="value" value="${escapeHTML(
+            source.value || ''
+          )}" placeholder="${escapeHTML(type.placeholder)}" title="${escapeHTML(type.valueLabel)}">
+          <button type="button" class="ip-sla-action" data-action="up" data-index="${index}" title="Mover para a esquerda" ${index === 0 ? 'disabled' : ''
+          }>▲</button>
+          <button type="button" class="ip-sla-action" data-action="down" data-index="${index}" title="Mover para a direita" ${index === sources.length - 1 ? 'disabled' : ''
+          }>▼</button>
+          <button type="button" class="ip-sla-action" data-action="remove" data-index="${index}" title="Excluir fonte">🗑️</button>
+        </div>`
+      })
+      .join('')
+  }
+
+  const modal = createModal(
+    '🗂️ Fontes de Pendências',
+    `
+      <p class="ip-sla-hint">Cada fonte vira uma guia e é buscada separadamente, com os filtros do site zerados; o filtro que você deixou no SGD é restaurado logo depois. A guia "Todas" junta as fontes sem repetir atendimentos.</p>
+      <div id="ip-pending-sources-list"></div>
+      <button type="button" id="ip-pending-sources-add-btn" class="action-btn small-btn">+ Adicionar Fonte</button>
+    `,
+    async (modalContent, closeModal) => {
+      const cleaned = sources.map(source => ({
+        ...source,
+        name: String(source.name || '').trim(),
+        value: String(source.value || '').trim()
+      }))
+      const error = cleaned.map(validatePendingSource).find(Boolean)
+      if (error) {
+        showNotification(error, 'error')
+        return
+      }
+
+      await savePendingSources(cleaned)
+      activePendingTabId = 'all'
+      showNotification('Fontes de pendências salvas!', 'success')
+      closeModal()
+      if (sectionElement) loadPendingItems(sectionElement)
+    }
+  )
+
+  const list = modal.querySelector('#ip-pending-sources-list')
+
+  list.addEventListener('change', e => {
+    const input = e.target.closest('.ip-sla-input')
+    if (!input) return
+    const source = sources[parseInt(input.dataset.index, 10)]
+    const field = input.dataset.field
+    if (field === 'enabled') source.enabled = input.checked
+    else source[field] = input.value
+
+    if (field === 'type' || field === 'enabled') {
+      if (field === 'type') source.value = ''
+      renderSources()
+    }
+  })
+
+  list.addEventListener('input', e => {
+    const input = e.target.closest('.ip-sla-input[type="text"]')
+    if (input) sources[parseInt(input.dataset.index, 10)][input.dataset.field] = input.value
+  })
+
+  list.addEventListener('click', e => {
+    const button = e.target.closest('.ip-sla-action')
+    if (!button) return
+    const index = parseInt(button.dataset.index, 10)
+    if (button.dataset.action === 'remove') {
+      sources.splice(index, 1)
+    } else {
+      const target = button.dataset.action === 'up' ? index - 1 : index + 1
+      ;[sources[index], sources[target]] = [sources[target], sources[index]]
+    }
+    renderSources()
+  })
+
+  // Evita que os atalhos da página do SGD interceptem a digitação nos campos
+  modal.addEventListener('keydown', e => e.stopPropagation())
+
+  modal.querySelector('#ip-pending-sources-add-btn').addEventListener('click', () => {
+    sources.push({
+      id: `src-${Date.now()}`,
+      name: '',
+      type: 'filtro',
+      value: '',
+      enabled: true
+    })
+    renderSources()
+  })
+
+  modal.style.zIndex = '10003'
+  document.body.appendChild(modal)
+  renderSources()
+}
+
 /**
  * Abre o gerenciador de tags para um item específico.
  * @param {HTMLElement} btnElement Botão clicado
@@ -4487,6 +5435,499 @@ function refreshPendingCardUI(pendingId) {
 /**
  * Retorna o conteúdo HTML (mockado ou estrutura) para cada seção.
  */
+/**
+ * Lista os rascunhos salvos automaticamente pelo editor (ver setupDraftAutosave).
+ * @param {HTMLElement} sectionElement - A seção "Rascunhos" do painel.
+ */
+async function loadDrafts(sectionElement) {
+  const container = sectionElement.querySelector('#drafts-container')
+  if (!container) return
+
+  const drafts = await getEditorDrafts()
+  const entries = Object.entries(drafts).sort(
+    ([, a], [, b]) => b.updatedAt - a.updatedAt
+  )
+
+  if (entries.length === 0) {
+    container.innerHTML = `
+      <div class="ip-empty-state">
+        <span style="font-size: 24px;">💾</span>
+        <h4>Nenhum rascunho salvo</h4>
+        <p>O texto digitado nos trâmites é salvo aqui até ser gravado no SGD.</p>
+      </div>
+    `
+    return
+  }
+
+  container.innerHTML = entries
+    .map(([key, draft]) => {
+      const formLabel = DRAFT_FORM_LABELS[draft.formType] || draft.formType
+      const title = draft.requestNumber
+        ? `${formLabel} ${draft.requestNumber}`
+        : `${formLabel} (sem número)`
+      return `
+        <div class="ip-card ip-card-info ip-draft-card" data-draft-key="${escapeHTML(key)}">
+          <div class="ip-card-header">
+            <h4 class="ip-card-title">${escapeHTML(title)}</h4>
+            <span class="ip-card-badge badge-info">${escapeHTML(
+              new Date(draft.updatedAt).toLocaleString('pt-BR')
+            )}</span>
+          </div>
+          <div class="ip-card-content">
+            ${draft.subject ? `<div class="ip-draft-subject">${escapeHTML(draft.subject)}</div>` : ''}
+            <div class="ip-draft-preview">${escapeHTML(getDraftPreviewText(draft.content, 300))}</div>
+          </div>
+          <div class="ip-draft-actions">
+            ${draft.url ? `<button type="button" class="action-btn secondary-btn compact" data-draft-action="open">↗️ Abrir atendimento</button>` : ''}
+            <button type="button" class="action-btn secondary-btn compact" data-draft-action="copy">📋 Copiar texto</button>
+            <button type="button" class="action-btn secondary-btn compact" data-draft-action="delete">🗑️ Excluir</button>
+          </div>
+        </div>
+      `
+    })
+    .join('')
+
+  container.querySelectorAll('.ip-draft-card').forEach(card => {
+    const key = card.dataset.draftKey
+    const draft = drafts[key]
+
+    card.addEventListener('click', async e => {
+      const button = e.target.closest('[data-draft-action]')
+      if (!button) return
+
+      switch (button.dataset.draftAction) {
+        case 'open':
+          window.open(draft.url, '_blank')
+          break
+        case 'copy':
+          await navigator.clipboard.writeText(draft.content)
+          showNotification('Rascunho copiado para a área de transferência.', 'success')
+          break
+        case 'delete':
+          showConfirmDialog('Excluir este rascunho?', async () => {
+            await deleteEditorDraft(key)
+            loadDrafts(sectionElement)
+          })
+          break
+      }
+    })
+  })
+}
+
+const FOLLOWED_STATUS_LABELS = {
+  updated: { label: 'Novo trâmite', badge: 'badge-warning' },
+  monitoring: { label: 'Monitorando', badge: 'badge-info' },
+  concluded: { label: 'Concluído', badge: 'badge-success' }
+}
+
+/**
+ * Lista os atendimentos seguidos com a linha do tempo dos trâmites detectados pelo
+ * service worker (followed-watcher.js).
+ * @param {HTMLElement} sectionElement - A seção "Atendimentos Seguidos" do painel.
+ */
+async function loadFollowedAttendances(sectionElement) {
+  const container = sectionElement.querySelector('#followed-container')
+  if (!container) return
+
+  const settings = await getSettings()
+  const notifyCheckbox = sectionElement.querySelector('#followed-notifications')
+  if (notifyCheckbox && !notifyCheckbox.dataset.listenerSet) {
+    notifyCheckbox.checked = settings.preferences?.enableFollowedNotifications !== false
+    notifyCheckbox.addEventListener('change', async () => {
+      const currentSettings = await getSettings()
+      currentSettings.preferences = {
+        ...currentSettings.preferences,
+        enableFollowedNotifications: notifyCheckbox.checked
+      }
+      await saveSettings(currentSettings)
+    })
+    notifyCheckbox.dataset.listenerSet = 'true'
+  }
+
+  const checkBtn = sectionElement.querySelector('#followed-check-btn')
+  if (checkBtn && !checkBtn.dataset.listenerSet) {
+    checkBtn.addEventListener('click', async () => {
+      checkBtn.disabled = true
+      try {
+        const result = await sendBackgroundMessage({ action: 'CHECK_FOLLOWED_ATTENDANCES' })
+        showNotification(
+          result.updated > 0
+            ? `${result.updated} atendimento(s) com novos trâmites.`
+            : 'Nenhum trâmite novo nos atendimentos seguidos.',
+          result.updated > 0 ? 'success' : 'info'
+        )
+        loadFollowedAttendances(sectionElement)
+      } catch (error) {
+        showNotification(`Falha ao verificar: ${error.message}`, 'error')
+      } finally {
+        checkBtn.disabled = false
+      }
+    })
+    checkBtn.dataset.listenerSet = 'true'
+  }
+
+  const attendances = await getFollowedAttendances()
+  const statusOrder = { updated: 0, monitoring: 1, concluded: 2 }
+  const entries = Object.values(attendances).sort(
+    (a, b) =>
+      (statusOrder[a.status] ?? 1) - (statusOrder[b.status] ?? 1) ||
+      (b.updatedAt || b.addedAt || 0) - (a.updatedAt || a.addedAt || 0)
+  )
+
+  if (entries.length === 0) {
+    container.innerHTML = `
+      <div class="ip-empty-state">
+        <span style="font-size: 24px;">👁️</span>
+        <h4>Nenhum atendimento seguido</h4>
+        <p>Selecione pendências e use "Seguir" nas ações em lote para acompanhar os novos trâmites.</p>
+      </div>
+    `
+    return
+  }
+
+  container.innerHTML = entries
+    .map(attendance => {
+      const status = FOLLOWED_STATUS_LABELS[attendance.status] || FOLLOWED_STATUS_LABELS.monitoring
+      const lastSeenAt = attendance.lastSeenAt || 0
+      const timeline = attendance.timeline || []
+      const checkedInfo = attendance.lastError
+        ? `<span class="ip-followed-error">⚠️ ${escapeHTML(attendance.lastError)}</span>`
+        : !Array.isArray(attendance.tramiteHashes)
+          ? 'Aguardando a primeira verificação'
+          : `Verificado em ${escapeHTML(new Date(attendance.lastCheckedAt).toLocaleString('pt-BR'))}`
+      const timelineHtml =
+        timeline.length === 0
+          ? '<p class="ip-followed-empty">Nenhum trâmite novo desde que passou a seguir.</p>'
+          : `<ul class="ip-followed-timeline">${timeline
+              .map(
+                entry => `
+                  <li class="${entry.detectedAt > lastSeenAt ? 'is-new' : ''}">
+                    <div class="ip-followed-entry-header">
+                      <span class="ip-followed-entry-date">${escapeHTML(entry.data)}</span>
+                      <strong>${escapeHTML(entry.responsavel)}</strong>
+                      <span class="ip-followed-entry-situation">${escapeHTML(entry.situacao)}</span>
+                    </div>
+                    ${entry.excerpt ? `<div class="ip-followed-entry-excerpt">${escapeHTML(entry.excerpt)}</div>` : ''}
+                  </li>
+                `
+              )
+              .join('')}</ul>`
+
+      return `
+        <div class="ip-card ip-card-info ip-followed-card ${attendance.status === 'updated' ? 'is-updated' : ''}" data-attendance-id="${escapeHTML(attendance.id)}">
+          <div class="ip-card-header">
+            <h4 class="ip-card-title">Atendimento ${escapeHTML(attendance.id)}</h4>
+            <span class="ip-card-badge ${status.badge}">${status.label}</span>
+          </div>
+          <div class="ip-card-content">
+            <div class="ip-draft-subject">${escapeHTML(attendance.subject || '')}</div>
+            <div class="ip-followed-meta">${checkedInfo}</div>
+            ${timelineHtml}
+          </div>
+          <div class="ip-draft-actions">
+            <button type="button" class="action-btn secondary-btn compact" data-followed-action="open">↗️ Abrir atendimento</button>
+            ${attendance.status === 'updated' ? '<button type="button" class="action-btn secondary-btn compact" data-followed-action="seen">✔️ Marcar como visto</button>' : ''}
+            ${attendance.status === 'concluded'
+              ? '<button type="button" class="action-btn secondary-btn compact" data-followed-action="resume">▶️ Voltar a monitorar</button>'
+              : '<button type="button" class="action-btn secondary-btn compact" data-followed-action="conclude">🏁 Concluir</button>'}
+            <button type="button" class="action-btn secondary-btn compact" data-followed-action="unfollow">🗑️ Deixar de seguir</button>
+          </div>
+        </div>
+      `
+    })
+    .join('')
+
+  container.querySelectorAll('.ip-followed-card').forEach(card => {
+    const attendance = attendances[card.dataset.attendanceId]
+
+    card.addEventListener('click', async e => {
+      const button = e.target.closest('[data-followed-action]')
+      if (!button) return
+
+      switch (button.dataset.followedAction) {
+        case 'open':
+          window.open(attendance.url, '_blank')
+          if (attendance.status === 'updated') {
+            await markAttendanceStatus(attendance.id, 'monitoring')
+            loadFollowedAttendances(sectionElement)
+          }
+          break
+        case 'seen':
+        case 'resume':
+          await markAttendanceStatus(attendance.id, 'monitoring')
+          loadFollowedAttendances(sectionElement)
+          break
+        case 'conclude':
+          await markAttendanceStatus(attendance.id, 'concluded')
+          loadFollowedAttendances(sectionElement)
+          break
+        case 'unfollow':
+          showConfirmDialog(`Deixar de seguir o atendimento ${attendance.id}?`, async () => {
+            await removeFollowedAttendance(attendance.id)
+            loadFollowedAttendances(sectionElement)
+          })
+          break
+      }
+    })
+  })
+}
+
+/**
+ * Recarrega a linha do tempo quando o service worker detecta novos trâmites e a seção
+ * está aberta.
+ */
+function refreshFollowedAttendancesSection() {
+  const section = document.querySelector('#ip-section-followed.active')
+  if (section) loadFollowedAttendances(section)
+}
+
+/**
+ * Avisa ao carregar a página quando há atendimentos seguidos com trâmites ainda não vistos.
+ */
+async function initializeFollowedAttendancesPanel() {
+  const attendances = await getFollowedAttendances()
+  const updatedCount = Object.values(attendances).filter(
+    attendance => attendance.status === 'updated'
+  ).length
+  if (updatedCount === 0) return
+
+  showNotification(
+    `👁️ ${updatedCount} atendimento(s) seguido(s) com novos trâmites. Clique para ver.`,
+    'info',
+    8000,
+    () => openInfoPanel('followed')
+  )
+}
+
+/**
+ * Gera um gráfico de linha em SVG.
+ * @param {Array<{label: string, value: number|null}>} points - Os pontos (null = sem dado no dia).
+ * @param {object} options - { color, formatValue }.
+ * @returns {string} O HTML do gráfico.
+ */
+function renderAnalyticsLineChart(points, { color = '#0ea5e9', formatValue = v => v } = {}) {
+  const values = points.map(p => p.value).filter(v => typeof v === 'number')
+  if (values.length === 0) return '<p class="ip-analytics-empty">Sem dados no período.</p>'
+
+  const width = 600
+  const height = 160
+  const padding = 24
+  const max = Math.max(...values, 1)
+  const stepX = points.length > 1 ? (width - padding * 2) / (points.length - 1) : 0
+  const toY = value => height - padding - (value / max) * (height - padding * 2)
+
+  const coordinates = points
+    .map((point, index) =>
+      typeof point.value === 'number'
+        ? { x: padding + index * stepX, y: toY(point.value), point }
+        : null
+    )
+    .filter(Boolean)
+
+  const path = coordinates.map((c, i) => `${i === 0 ? 'M' : 'L'}${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ')
+  const dots = coordinates
+    .map(
+      c =>
+        `<circle cx="${c.x.toFixed(1)}" cy="${c.y.toFixed(1)}" r="3" fill="${color}"><title>${escapeHTML(
+          `${c.point.label}: ${formatValue(c.point.value)}`
+        )}</title></circle>`
+    )
+    .join('')
+
+  return `
+    <svg class="ip-analytics-chart" viewBox="0 0 ${width} ${height}" role="img">
+      <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" class="ip-analytics-axis"/>
+      <text x="${padding}" y="${padding - 8}" class="ip-analytics-label">${escapeHTML(String(formatValue(max)))}</text>
+      <text x="${padding}" y="${height - 6}" class="ip-analytics-label">${escapeHTML(points[0].label)}</text>
+      <text x="${width - padding}" y="${height - 6}" text-anchor="end" class="ip-analytics-label">${escapeHTML(
+    points[points.length - 1].label
+  )}</text>
+      <path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>
+      ${dots}
+    </svg>`
+}
+
+/**
+ * Gera o gráfico de barras de entradas e saídas por dia em SVG.
+ * @param {Array<{label: string, arrivals: number, exits: number}>} days - Os dias.
+ * @returns {string} O HTML do gráfico.
+ */
+function renderAnalyticsThroughputChart(days) {
+  if (days.every(day => day.arrivals === 0 && day.exits === 0)) {
+    return '<p class="ip-analytics-empty">Nenhuma entrada ou saída registrada no período.</p>'
+  }
+
+  const width = 600
+  const height = 160
+  const padding = 24
+  const max = Math.max(...days.map(day => Math.max(day.arrivals, day.exits)), 1)
+  const slot = (width - padding * 2) / days.length
+  const barWidth = Math.max(1, slot / 2 - 1)
+  const toHeight = value => (value / max) * (height - padding * 2)
+
+  const bars = days
+    .map((day, index) => {
+      const x = padding + index * slot
+      const arrivalsHeight = toHeight(day.arrivals)
+      const exitsHeight = toHeight(day.exits)
+      return `
+        <rect x="${x.toFixed(1)}" y="${(height - padding - arrivalsHeight).toFixed(1)}" width="${barWidth.toFixed(
+        1
+      )}" height="${arrivalsHeight.toFixed(1)}" class="ip-analytics-bar-arrivals"><title>${escapeHTML(
+        `${day.label}: ${day.arrivals} entrada(s)`
+      )}</title></rect>
+        <rect x="${(x + barWidth + 1).toFixed(1)}" y="${(height - padding - exitsHeight).toFixed(
+        1
+      )}" width="${barWidth.toFixed(1)}" height="${exitsHeight.toFixed(1)}" class="ip-analytics-bar-exits"><title>${escapeHTML(
+        `${day.label}: ${day.exits} saída(s)`
+      )}</title></rect>`
+    })
+    .join('')
+
+  return `
+    <svg class="ip-analytics-chart" viewBox="0 0 ${width} ${height}" role="img">
+      <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" class="ip-analytics-axis"/>
+      <text x="${padding}" y="${padding - 8}" class="ip-analytics-label">${max}</text>
+      <text x="${padding}" y="${height - 6}" class="ip-analytics-label">${escapeHTML(days[0].label)}</text>
+      <text x="${width - padding}" y="${height - 6}" text-anchor="end" class="ip-analytics-label">${escapeHTML(
+    days[days.length - 1].label
+  )}</text>
+      ${bars}
+    </svg>
+    <div class="ip-analytics-legend">
+      <span><i class="ip-analytics-bar-arrivals"></i> Entradas</span>
+      <span><i class="ip-analytics-bar-exits"></i> Saídas</span>
+    </div>`
+}
+
+/**
+ * Gera a distribuição por faixa de idade do retrato mais recente.
+ * @param {object|null} snapshot - O retrato.
+ * @returns {string} O HTML do gráfico.
+ */
+function renderAnalyticsAgingChart(snapshot) {
+  if (!snapshot || snapshot.total === 0) {
+    return '<p class="ip-analytics-empty">Sem pendências no último retrato.</p>'
+  }
+  const max = Math.max(...PENDING_AGE_BUCKETS.map(bucket => snapshot.byAge[bucket.id] || 0), 1)
+  return PENDING_AGE_BUCKETS.map(bucket => {
+    const count = snapshot.byAge[bucket.id] || 0
+    return `
+      <div class="ip-analytics-aging-row">
+        <span class="ip-analytics-aging-label">${bucket.label}</span>
+        <span class="ip-analytics-aging-track"><span class="ip-analytics-aging-fill" style="width: ${(
+        (count / max) *
+        100
+      ).toFixed(1)}%;"></span></span>
+        <strong>${count}</strong>
+      </div>`
+  }).join('')
+}
+
+/**
+ * Carrega e renderiza a seção "Análise de Pendências".
+ * @param {HTMLElement} sectionElement - O elemento da seção.
+ */
+async function loadPendingAnalytics(sectionElement) {
+  const container = sectionElement.querySelector('#analytics-container')
+  const periodSelect = sectionElement.querySelector('#analytics-period')
+  if (!container || !periodSelect) return
+
+  if (!sectionElement.dataset.analyticsBound) {
+    sectionElement.dataset.analyticsBound = 'true'
+    periodSelect.addEventListener('change', () => loadPendingAnalytics(sectionElement))
+    sectionElement.querySelector('#analytics-export-btn').addEventListener('click', async () => {
+      const { snapshots, events } = await getPendingAnalyticsData(parseInt(periodSelect.value, 10))
+      if (snapshots.length === 0 && events.length === 0) {
+        showNotification('Não há histórico no período selecionado.', 'warning')
+        return
+      }
+      // BOM para o Excel reconhecer a acentuação
+      const blob = new Blob(['\uFEFF' + buildPendingAnalyticsCsv(snapshots, events)], {
+        type: 'text/csv;charset=utf-8'
+      })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `analise_pendencias_${new Date().toISOString().slice(0, 10)}.csv`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+    })
+  }
+
+  container.innerHTML = `
+    <div class="ip-loading-container">
+      <div class="ip-spinner"></div>
+      <span>Carregando histórico...</span>
+    </div>`
+
+  try {
+    const periodDays = parseInt(periodSelect.value, 10)
+    const { snapshots, events } = await getPendingAnalyticsData(periodDays)
+    if (snapshots.length === 0) {
+      container.innerHTML = `
+        <div class="ip-empty-state">
+          <span style="font-size: 24px;">📈</span>
+          <h4>Ainda não há histórico</h4>
+          <p>O retrato da fila é registrado a cada verificação automática de pendências.</p>
+        </div>`
+      return
+    }
+
+    const { days, medianCloseHours, latestSnapshot } = buildPendingAnalytics(snapshots, events)
+    const chartDays = days.map(day => ({
+      ...day,
+      label: day.date.split('-').reverse().slice(0, 2).join('/')
+    }))
+    const totalArrivals = days.reduce((sum, day) => sum + day.arrivals, 0)
+    const totalExits = days.reduce((sum, day) => sum + day.exits, 0)
+    const formatHours = value => (typeof value === 'number' ? `${formatHoursToHHMM(value)}h` : '-')
+
+    container.innerHTML = `
+      <div class="ip-analytics-summary">
+        <div class="ip-analytics-stat"><span>Backlog atual</span><strong>${latestSnapshot.total}</strong></div>
+        <div class="ip-analytics-stat"><span>Entradas</span><strong>${totalArrivals}</strong></div>
+        <div class="ip-analytics-stat"><span>Saídas</span><strong>${totalExits}</strong></div>
+        <div class="ip-analytics-stat" title="Horas úteis entre a entrada e a saída da lista"><span>Mediana até a saída</span><strong>${formatHours(
+      medianCloseHours
+    )}</strong></div>
+      </div>
+      <div class="ip-analytics-grid">
+        <div class="ip-analytics-card">
+          <h4>Backlog ao longo do tempo</h4>
+          ${renderAnalyticsLineChart(
+      chartDays.map(day => ({ label: day.label, value: day.total })),
+      { color: '#0ea5e9' }
+    )}
+        </div>
+        <div class="ip-analytics-card">
+          <h4>Vazão (entradas x saídas)</h4>
+          ${renderAnalyticsThroughputChart(chartDays)}
+        </div>
+        <div class="ip-analytics-card">
+          <h4>Mediana do tempo até a saída (horas úteis)</h4>
+          ${renderAnalyticsLineChart(
+      chartDays.map(day => ({ label: day.label, value: day.medianCloseHours })),
+      { color: '#f59e0b', formatValue: formatHours }
+    )}
+        </div>
+        <div class="ip-analytics-card">
+          <h4>Idade das pendências (${escapeHTML(latestSnapshot.date.split('-').reverse().join('/'))})</h4>
+          ${renderAnalyticsAgingChart(latestSnapshot)}
+        </div>
+      </div>`
+  } catch (error) {
+    container.innerHTML = `
+      <div class="ip-error-state">
+        <span class="ip-error-icon">⚠️</span>
+        <h4>Erro ao carregar o histórico</h4>
+        <p>${escapeHTML(error.message)}</p>
+      </div>`
+  }
+}
+
 function getSectionContent(sectionId) {
   switch (sectionId) {
     case 'instabilities':
@@ -4589,6 +6030,58 @@ function getSectionContent(sectionId) {
         </ul>
       `
 
+    case 'analytics':
+      return `
+        <div class="ip-pending-header-row">
+          <p class="ip-section-desc" style="margin-bottom: 0;">Evolução da fila de pendências, registrada a cada verificação automática (tempos em horas úteis).</p>
+          <div style="display: flex; gap: 8px; align-items: center;">
+            <select id="analytics-period" class="ip-filter-select compact" title="Período">
+              <option value="30">Últimos 30 dias</option>
+              <option value="90">Últimos 90 dias</option>
+              <option value="180">Últimos 180 dias</option>
+              <option value="365">Último ano</option>
+            </select>
+            <button id="analytics-export-btn" class="action-btn secondary-btn compact" title="Exportar indicadores diários em CSV">⬇️ CSV</button>
+          </div>
+        </div>
+        <div id="analytics-container">
+          <div class="ip-loading-container">
+            <div class="ip-spinner"></div>
+            <span>Carregando histórico...</span>
+          </div>
+        </div>
+      `
+
+    case 'drafts':
+      return `
+        <p class="ip-section-desc">Textos digitados nos trâmites e ainda não gravados no SGD. São removidos ao gravar o trâmite ou após ${EDITOR_DRAFT_RETENTION_DAYS} dias.</p>
+        <div id="drafts-container" class="ip-grid">
+          <div class="ip-loading-container">
+            <div class="ip-spinner"></div>
+            <span>Carregando rascunhos...</span>
+          </div>
+        </div>
+      `
+
+    case 'followed':
+      return `
+        <div class="ip-pending-header-row">
+          <p class="ip-section-desc" style="margin-bottom: 0;">Novos trâmites dos atendimentos seguidos, verificados em segundo plano a cada 10 minutos.</p>
+          <div style="display: flex; gap: 8px; align-items: center;">
+            <label class="ip-followed-notify" title="Notificação do Windows a cada novo trâmite">
+              <input type="checkbox" id="followed-notifications"> Notificar
+            </label>
+            <button type="button" id="followed-check-btn" class="action-btn secondary-btn compact">🔄 Verificar agora</button>
+          </div>
+        </div>
+        <div id="followed-container" class="ip-followed-list">
+          <div class="ip-loading-container">
+            <div class="ip-spinner"></div>
+            <span>Carregando atendimentos seguidos...</span>
+          </div>
+        </div>
+      `
+
     case 'extensions':
       return `
         <div class="ip-section-header-row" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px; gap: 10px;">
@@ -4715,12 +6208,13 @@ function getSectionContent(sectionId) {
                             ${availableTagsCache.map(t => `<option value="${t.id}">${t.name}</option>`).join('')}
                         </select>
 
-                        <div class="form-checkbox-group" style="display:flex; align-items:center; margin-left:8px;" title="Mostrar apenas chamados com mais de 40h sem interação">
+                        <div class="form-checkbox-group" style="display:flex; align-items:center; margin-left:8px;" title="Mostrar apenas chamados na janela de alerta da regra de SLA ou com o prazo estourado">
                             <input type="checkbox" id="pending-critical-filter" style="width:16px; height:16px;">
-                            <label for="pending-critical-filter" style="color:#dc2626; font-weight:bold; font-size:12px; margin-left:4px; cursor:pointer;">⚠️ Críticos (>40h)</label>
+                            <label for="pending-critical-filter" style="color:#dc2626; font-weight:bold; font-size:12px; margin-left:4px; cursor:pointer;">⚠️ Críticos (SLA)</label>
                         </div>
 
                         <select id="pending-sort" class="ip-filter-select compact" title="Ordenar por">
+                            <option value="sla-asc">Prazo SLA</option>
                             <option value="dias-desc">Dias ▼</option>
                             <option value="dias-asc">Dias ▲</option>
                             <option value="tramites-desc">Trâmites ▼</option>
@@ -4731,11 +6225,15 @@ function getSectionContent(sectionId) {
                     </div>
                     <div class="ip-actions-group">
                         <button id="toggle-notification-btn" class="action-btn small-btn enhanced-btn" title="Carregando estado..." style="width: auto; height: 28px; padding: 0 10px; display: flex; align-items: center; justify-content: center; white-space: nowrap; font-size: 11px; line-height: 1;">🔔 <span style="margin-left: 4px;">Notificações</span></button>
+                        <button id="pending-sla-rules-btn" class="action-btn small-btn enhanced-btn compact" title="Regras de SLA">⏱️</button>
+                        <button id="pending-sources-btn" class="action-btn small-btn enhanced-btn compact" title="Fontes de pendências">🗂️</button>
+                        <button id="pending-tag-rules-btn" class="action-btn small-btn enhanced-btn compact" title="Regras de tags automáticas">🤖</button>
                         <button id="refresh-pending-btn" class="action-btn small-btn enhanced-btn compact" title="Atualizar lista">🔄</button>
                         <button id="open-all-pending-btn" class="action-btn small-btn enhanced-btn compact" title="Filtre por um único responsável para habilitar" disabled style="opacity: 0.5;">Abrir Todas</button>
                     </div>
                 </div>
             </div>
+            <div id="pending-bulk-bar" class="ip-pending-bulk-bar" style="display: none;"></div>
             <div id="pending-list-container" class="ip-grid">
                 <div class="ip-loading-container">
                     <div class="ip-spinner"></div>
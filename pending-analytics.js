@@ -0,0 +1,339 @@
+/**
+ * @file pending-analytics.js
+ * Histórico da fila de pendências para a seção "Análise de Pendências" do Painel.
+ *
+ * A cada verificação (checkNewPendings) é gravado, no IndexedDB, o retrato do dia
+ * (contagens por status, tag, responsável e faixa de idade) e os eventos de entrada e
+ * saída de pendências, derivados das mudanças em `pendingArrivalTimes`. Como os content
+ * scripts usam o IndexedDB da página, o banco fica na origem do SGD.
+ *
+ * Stores:
+ *   snapshots = { date: 'AAAA-MM-DD', takenAt, total, byStatus, byTag, byResponsible, byAge }
+ *   events    = { key, type: 'arrival'|'exit', id, ts, date, responsible, durationHours }
+ */
+
+const PENDING_ANALYTICS_DB_NAME = 'sgdPendingAnalytics'
+const PENDING_ANALYTICS_DB_VERSION = 1
+const PENDING_ANALYTICS_RETENTION_DAYS = 365
+
+/**
+ * Faixas de idade (em dias úteis desde o último trâmite) usadas na distribuição.
+ */
+const PENDING_AGE_BUCKETS = [
+  { id: 'ate-1d', label: 'Até 1 dia', maxDays: 1 },
+  { id: '1-2d', label: '1 a 2 dias', maxDays: 2 },
+  { id: '2-5d', label: '2 a 5 dias', maxDays: 5 },
+  { id: '5-10d', label: '5 a 10 dias', maxDays: 10 },
+  { id: '10d+', label: 'Mais de 10 dias', maxDays: Infinity }
+]
+
+let pendingAnalyticsDbPromise = null
+
+/**
+ * Abre (e cria, na primeira vez) o banco IndexedDB do histórico.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openPendingAnalyticsDb() {
+  if (!pendingAnalyticsDbPromise) {
+    pendingAnalyticsDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(PENDING_ANALYTICS_DB_NAME, PENDING_ANALYTICS_DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains('snapshots')) {
+          db.createObjectStore('snapshots', { keyPath: 'date' })
+        }
+        if (!db.objectStoreNames.contains('events')) {
+          const events = db.createObjectStore('events', { keyPath: 'key' })
+          events.createIndex('date', 'date')
+          events.createIndex('id', 'id')
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        pendingAnalyticsDbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return pendingAnalyticsDbPromise
+}
+
+/**
+ * Converte uma requisição IndexedDB em Promise.
+ * @param {IDBRequest} request - A requisição.
+ * @returns {Promise<any>} O resultado.
+ */
+function _idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Aguarda a conclusão de uma transação IndexedDB.
+ * @param {IDBTransaction} transaction - A transação.
+ * @returns {Promise<void>}
+ */
+function _idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Retorna a faixa de idade de uma pendência.
+ * @param {object} item - A pendência.
+ * @param {number} now - Timestamp de referência.
+ * @returns {string} O ID da faixa.
+ */
+function getPendingAgeBucket(item, now) {
+  const elapsedHours = getPendingElapsedHours(item, now) || 0
+  const days = (elapsedHours * 60 * 60 * 1000) / getAverageWorkingDayMs()
+  return PENDING_AGE_BUCKETS.find(bucket => days < bucket.maxDays).id
+}
+
+/**
+ * Soma 1 na chave do objeto de contagens.
+ * @param {object} counts - As contagens.
+ * @param {string} key - A chave.
+ */
+function _incrementCount(counts, key) {
+  counts[key] = (counts[key] || 0) + 1
+}
+
+/**
+ * Registra o retrato do dia e os eventos de entrada/saída de uma verificação.
+ * @param {Array<object>} items - Todas as pendências da lista (fetchPendingItems), apenas de
+ *   buscas completas: uma lista vazia ou parcial sobrescreveria o retrato do dia.
+ * @param {object} previousArrivalTimes - `pendingArrivalTimes` antes da verificação.
+ * @param {object} arrivalTimes - `pendingArrivalTimes` após a verificação.
+ * @param {number} now - Timestamp da verificação.
+ */
+async function recordPendingAnalytics(items, previousArrivalTimes, arrivalTimes, now = Date.now()) {
+  const storage = await chrome.storage.local.get(['pendingTags', 'pendingTagsMap'])
+  const tags = storage.pendingTags || []
+  const tagsMap = storage.pendingTagsMap || {}
+  const date = _getCalendarDateKey(new Date(now))
+
+  const snapshot = {
+    date,
+    takenAt: now,
+    total: items.length,
+    byStatus: {},
+    byTag: {},
+    byResponsible: {},
+    byAge: {}
+  }
+  items.forEach(item => {
+    _incrementCount(snapshot.byStatus, item.status || 'Sem status')
+    _incrementCount(snapshot.byResponsible, item.responsible || 'Desconhecido')
+    _incrementCount(snapshot.byAge, getPendingAgeBucket(item, now))
+    getPendingItemTagIds(item, tags, tagsMap).forEach(tagId => {
+      const tag = tags.find(t => t.id === tagId)
+      if (tag) _incrementCount(snapshot.byTag, tag.name)
+    })
+  })
+
+  const db = await openPendingAnalyticsDb()
+  const newEvents = []
+
+  // Sem histórico anterior (primeira verificação) não há como distinguir entradas.
+  if (Object.keys(previousArrivalTimes).length > 0) {
+    const itemsById = new Map(items.map(item => [item.id, item]))
+    Object.keys(arrivalTimes)
+      .filter(id => !previousArrivalTimes[id])
+      .forEach(id => {
+        newEvents.push({
+          key: `arrival:${id}:${date}`,
+          type: 'arrival',
+          id,
+          ts: now,
+          date,
+          responsible: itemsById.get(id)?.responsible || ''
+        })
+      })
+
+    // O tempo até a saída conta a partir da última entrada registrada (ou, para pendências
+    // anteriores ao histórico, do início da contagem em pendingArrivalTimes).
+    const exitedIds = Object.keys(previousArrivalTimes).filter(id => !arrivalTimes[id])
+    const readIndex = db.transaction('events', 'readonly').objectStore('events').index('id')
+    const arrivalsById = await Promise.all(exitedIds.map(id => _idbRequest(readIndex.getAll(id))))
+    exitedIds.forEach((id, index) => {
+      const lastArrival = arrivalsById[index]
+        .filter(event => event.type === 'arrival')
+        .sort((a, b) => b.ts - a.ts)[0]
+      const record = previousArrivalTimes[id]
+      const startTs = lastArrival ? lastArrival.ts : typeof record === 'object' ? record.ts : record
+      newEvents.push({
+        key: `exit:${id}:${date}`,
+        type: 'exit',
+        id,
+        ts: now,
+        date,
+        responsible: lastArrival?.responsible || '',
+        durationHours: Number.isFinite(startTs)
+          ? calculateBusinessTimeMs(startTs, now) / (1000 * 60 * 60)
+          : null
+      })
+    })
+  }
+
+  // Chaves determinísticas: verificações simultâneas em várias abas não duplicam eventos.
+  const transaction = db.transaction(['snapshots', 'events'], 'readwrite')
+  const done = _idbTransactionDone(transaction)
+  transaction.objectStore('snapshots').put(snapshot)
+  const eventsStore = transaction.objectStore('events')
+  newEvents.forEach(event => eventsStore.put(event))
+
+  await done
+  await prunePendingAnalytics()
+}
+
+/**
+ * Remove retratos e eventos mais antigos que o período de retenção (no máximo uma vez por dia).
+ */
+async function prunePendingAnalytics() {
+  const today = _getCalendarDateKey(new Date())
+  const storage = await chrome.storage.local.get('pendingAnalyticsPrunedAt')
+  if (storage.pendingAnalyticsPrunedAt === today) return
+
+  const cutoff = new Date()
+  cutoff.setDate(cutoff.getDate() - PENDING_ANALYTICS_RETENTION_DAYS)
+  const range = IDBKeyRange.upperBound(_getCalendarDateKey(cutoff), true)
+
+  const db = await openPendingAnalyticsDb()
+  const transaction = db.transaction(['snapshots', 'events'], 'readwrite')
+  transaction.objectStore('snapshots').delete(range)
+  const cursorRequest = transaction.objectStore('events').index('date').openCursor(range)
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result
+    if (!cursor) return
+    cursor.delete()
+    cursor.continue()
+  }
+  await _idbTransactionDone(transaction)
+  await chrome.storage.local.set({ pendingAnalyticsPrunedAt: today })
+}
+
+/**
+ * Lê os retratos e eventos dos últimos dias.
+ * @param {number} days - Quantidade de dias (incluindo hoje).
+ * @returns {Promise<{snapshots: Array<object>, events: Array<object>}>}
+ */
+async function getPendingAnalyticsData(days) {
+  const start = new Date()
+  start.setDate(start.getDate() - (days - 1))
+  const range = IDBKeyRange.lowerBound(_getCalendarDateKey(start))
+
+  const db = await openPendingAnalyticsDb()
+  const transaction = db.transaction(['snapshots', 'events'], 'readonly')
+  const [snapshots, events] = await Promise.all([
+    _idbRequest(transaction.objectStore('snapshots').getAll(range)),
+    _idbRequest(transaction.objectStore('events').index('date').getAll(range))
+  ])
+  return { snapshots, events }
+}
+
+/**
+ * Calcula a mediana de uma lista de números.
+ * @param {number[]} values - Os valores.
+ * @returns {number|null} A mediana ou null se vazia.
+ */
+function _median(values) {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Consolida os indicadores por dia: backlog, entradas, saídas e mediana do tempo até a
+ * saída (horas úteis).
+ * @param {Array<object>} snapshots - Os retratos diários.
+ * @param {Array<object>} events - Os eventos.
+ * @returns {{days: Array<object>, medianCloseHours: number|null, latestSnapshot: object|null}}
+ */
+function buildPendingAnalytics(snapshots, events) {
+  const byDate = new Map()
+  const getDay = date => {
+    if (!byDate.has(date)) {
+      byDate.set(date, { date, total: null, arrivals: 0, exits: 0, closeHours: [] })
+    }
+    return byDate.get(date)
+  }
+
+  snapshots.forEach(snapshot => {
+    getDay(snapshot.date).total = snapshot.total
+  })
+  events.forEach(event => {
+    const day = getDay(event.date)
+    if (event.type === 'arrival') day.arrivals++
+    if (event.type === 'exit') {
+      day.exits++
+      if (typeof event.durationHours === 'number') day.closeHours.push(event.durationHours)
+    }
+  })
+
+  const days = [...byDate.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => ({
+      date: day.date,
+      total: day.total,
+      arrivals: day.arrivals,
+      exits: day.exits,
+      medianCloseHours: _median(day.closeHours)
+    }))
+
+  const allCloseHours = events
+    .filter(event => event.type === 'exit' && typeof event.durationHours === 'number')
+    .map(event => event.durationHours)
+
+  const latestSnapshot = [...snapshots].sort((a, b) => b.date.localeCompare(a.date))[0] || null
+
+  return { days, medianCloseHours: _median(allCloseHours), latestSnapshot }
+}
+
+/**
+ * Monta o CSV (separado por ponto e vírgula, para abrir direto no Excel) dos indicadores diários.
+ * @param {Array<object>} snapshots - Os retratos diários.
+ * @param {Array<object>} events - Os eventos.
+ * @returns {string} O conteúdo CSV.
+ */
+function buildPendingAnalyticsCsv(snapshots, events) {
+  const { days } = buildPendingAnalytics(snapshots, events)
+  const snapshotsByDate = new Map(snapshots.map(snapshot => [snapshot.date, snapshot]))
+  const formatNumber = value =>
+    typeof value === 'number' ? value.toFixed(1).replace('.', ',') : ''
+
+  const header = [
+    'Data',
+    'Backlog',
+    'Entradas',
+    'Saídas',
+    'Mediana até a saída (h úteis)',
+    ...PENDING_AGE_BUCKETS.map(bucket => bucket.label)
+  ]
+  const rows = days.map(day => {
+    const snapshot = snapshotsByDate.get(day.date)
+    return [
+      day.date.split('-').reverse().join('/'),
+      day.total ?? '',
+      day.arrivals,
+      day.exits,
+      formatNumber(day.medianCloseHours),
+      ...PENDING_AGE_BUCKETS.map(bucket => (snapshot ? snapshot.byAge[bucket.id] || 0 : ''))
+    ]
+  })
+
+  return [header, ...rows]
+    .map(row =>
+      row.map(cell => {
+        const text = String(cell)
+        return /[;"\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+      }).join(';')
+    )
+    .join('\r\n')
+}
@@ -9,48 +9,7 @@
 const PENDING_ITEMS_URL =
   'https://sgd.dominiosistemas.com.br/sgpub/faces/filtro-listas.html'
 
-const HOLIDAYS = new Set([
-  '01-01',
-  '04-21',
-  '05-01',
-  '09-07',
-  '10-12',
-  '11-02',
-  '11-15',
-  '11-20',
-  '12-25'
-])
-
-function isBusinessDay(date) {
-  const d = new Date(date)
-  const day = d.getDay()
-  if (day === 0 || day === 6) return false
-  const mm = String(d.getMonth() + 1).padStart(2, '0')
-  const dd = String(d.getDate()).padStart(2, '0')
-  const key = `${mm}-${dd}`
-  return !HOLIDAYS.has(key)
-}
-
-function calculateBusinessTimeMs(startTs, endTs) {
-  if (!Number.isFinite(startTs) || !Number.isFinite(endTs)) return 0
-  if (endTs <= startTs) return 0
-  const dayMs = 24 * 60 * 60 * 1000
-  let sum = 0
-  const startDay = new Date(startTs)
-  startDay.setHours(0, 0, 0, 0)
-  let cur = startDay.getTime()
-  while (cur < endTs) {
-    const dayStart = cur
-    const dayEnd = dayStart + dayMs
-    const overlapStart = Math.max(startTs, dayStart)
-    const overlapEnd = Math.min(endTs, dayEnd)
-    if (overlapEnd > overlapStart && isBusinessDay(dayStart)) {
-      sum += overlapEnd - overlapStart
-    }
-    cur = dayEnd
-  }
-  return sum
-}
+// O calendário de expediente (isBusinessDay, calculateBusinessTimeMs...) vem de business-calendar.js.
 
 /**
  * Remove elementos span ocultos e retorna o texto limpo.
@@ -90,7 +49,7 @@ function getFiltroParam(url) {
   return match ? match[1] : null
 }
 
-function parsePendingPage(doc, arrivalTimes, now, arrivalTimesState) {
+function parsePendingPage(doc, arrivalTimes, now, arrivalTimesState, tagRules = []) {
   const dataTable = doc.querySelector('table.tablesorter')
 
   if (!dataTable) {
@@ -116,12 +75,22 @@ function parsePendingPage(doc, arrivalTimes, now, arrivalTimesState) {
     return { items: [], siteFilter: { active: false, name: null } }
   }
 
-  // Identificar índice da coluna "Responsável"
+  // Identificar índices das colunas "Responsável", "Classificação", "Sistema" e "Cliente"
   let responsibleColIndex = -1
+  let classificationColIndex = -1
+  let systemColIndex = -1
+  let clientColIndex = -1
   const headers = dataTable.querySelectorAll('thead th')
   headers.forEach((th, index) => {
-    if (th.innerText.toLowerCase().includes('responsável')) {
+    const headerText = th.innerText.toLowerCase()
+    if (headerText.includes('responsável')) {
       responsibleColIndex = index
+    } else if (headerText.includes('classifica')) {
+      classificationColIndex = index
+    } else if (headerText.includes('sistema')) {
+      systemColIndex = index
+    } else if (headerText.includes('cliente')) {
+      clientColIndex = index
     }
   })
 
@@ -300,6 +269,8 @@ function parsePendingPage(doc, arrivalTimes, now, arrivalTimesState) {
       let hoursSinceUpdate = null
       let timePrecision = null
       let estimatedDaysSinceUpdate = null
+      // Início da contagem de SLA (sla-service.js recalcula o tempo útil a partir dele)
+      let slaStartTs = null
 
       if (arrivalTimes[id]) {
         const record = arrivalTimes[id]
@@ -307,18 +278,19 @@ function parsePendingPage(doc, arrivalTimes, now, arrivalTimesState) {
           typeof record === 'object' && record?.ts ? record.ts : record
         const isPrecise = typeof record === 'object' ? !!record.precise : true
         const businessMs = calculateBusinessTimeMs(arrivalTs, now)
+        slaStartTs = arrivalTs
 
         if (isPrecise) {
           hoursSinceUpdate = Math.max(0, businessMs / (1000 * 60 * 60))
           timePrecision = 'preciso'
           estimatedDaysSinceUpdate = Math.max(
             0,
-            Math.floor(businessMs / (1000 * 60 * 60 * 24))
+            Math.floor(businessMs / getAverageWorkingDayMs())
           )
         } else {
           estimatedDaysSinceUpdate = Math.max(
             0,
-            Math.floor(businessMs / (1000 * 60 * 60 * 24))
+            Math.floor(businessMs / getAverageWorkingDayMs())
           )
           timePrecision = 'estimado'
         }
@@ -330,9 +302,10 @@ function parsePendingPage(doc, arrivalTimes, now, arrivalTimesState) {
           const y = parseInt(m[3], 10)
           const tramiteTs = new Date(y, mo, d).getTime()
           const businessMs = calculateBusinessTimeMs(tramiteTs, now)
+          slaStartTs = tramiteTs
           estimatedDaysSinceUpdate = Math.max(
             0,
-            Math.floor(businessMs / (1000 * 60 * 60 * 24))
+            Math.floor(businessMs / getAverageWorkingDayMs())
           )
           timePrecision = 'estimado'
         }
@@ -359,6 +332,20 @@ function parsePendingPage(doc, arrivalTimes, now, arrivalTimesState) {
         responsible = cells[responsibleColIndex].innerText.trim()
       }
 
+      // Classificação e Sistema (usados pelas regras de SLA)
+      const classification =
+        classificationColIndex > -1 && cells[classificationColIndex]
+          ? cells[classificationColIndex].innerText.trim()
+          : ''
+      const system =
+        systemColIndex > -1 && cells[systemColIndex]
+          ? cells[systemColIndex].innerText.trim()
+          : ''
+      const client =
+        clientColIndex > -1 && cells[clientColIndex]
+          ? cells[clientColIndex].innerText.trim()
+          : ''
+
       // Em SS
       const rowStyle = (row.getAttribute('style') || '').toLowerCase()
       const anchorStyle = anchor
@@ -376,7 +363,7 @@ function parsePendingPage(doc, arrivalTimes, now, arrivalTimesState) {
         status = cells[12].innerText.trim() || 'Sem status'
       }
 
-      pendingItems.push({
+      const item = {
         id,
         dataAbertura,
         dias,
@@ -386,12 +373,19 @@ function parsePendingPage(doc, arrivalTimes, now, arrivalTimesState) {
         link,
         status,
         responsible,
+        classification,
+        system,
+        client,
         isPrioritaria,
         isEmSS,
         hoursSinceUpdate,
         timePrecision,
-        estimatedDaysSinceUpdate
-      })
+        estimatedDaysSinceUpdate,
+        slaStartTs
+      }
+      // Tags automáticas (tag-rules-service.js)
+      item.autoTagIds = evaluateTagRules(item, tagRules)
+      pendingItems.push(item)
     } catch (err) {}
   })
 
@@ -401,14 +395,27 @@ function parsePendingPage(doc, arrivalTimes, now, arrivalTimesState) {
 /**
  * Busca e processa a lista de pendências.
  * @returns {Promise<object>} Uma promessa que resolve com um objeto contendo os itens e informações de abas.
+ *   `complete` é false quando alguma aba ou fonte falhou e a lista veio parcial.
  */
 async function fetchPendingItems() {
   try {
-    // 1. Carrega os tempos precisos salvos
+    // 1. Carrega o calendário de expediente, as regras de tags e os tempos precisos salvos
+    await ensureBusinessCalendarLoaded()
+    const tagRules = await getTagRules()
     const arrivalTimes = await getPendingArrivalTimes()
     const arrivalTimesState = { changed: false }
     const now = Date.now()
 
+    // 2. Fontes nomeadas (pending-sources.js): buscadas sem depender do filtro do site
+    const sources = (await getPendingSources()).filter(source => source.enabled !== false)
+    if (sources.length > 0) {
+      const sourcesResult = await fetchPendingSources(sources, arrivalTimes, now, arrivalTimesState, tagRules)
+      if (arrivalTimesState.changed) {
+        await savePendingArrivalTimes(arrivalTimes)
+      }
+      return sourcesResult
+    }
+
     const response = await fetch(PENDING_ITEMS_URL, {
       credentials: 'include', // Envia cookies de sessão
       cache: 'no-cache'
@@ -428,7 +435,7 @@ async function fetchPendingItems() {
     const doc = parser.parseFromString(htmlText, 'text/html')
 
     // Parse the current page
-    const primaryResult = parsePendingPage(doc, arrivalTimes, now, arrivalTimesState)
+    const primaryResult = parsePendingPage(doc, arrivalTimes, now, arrivalTimesState, tagRules)
 
     // Check if multiple tabs exist
     const tabElements = doc.querySelectorAll('#navigationTab ul li')
@@ -455,7 +462,8 @@ async function fetchPendingItems() {
             url: fullUrl,
             items: isCurrent ? primaryResult.items : [],
             siteFilter: isCurrent ? primaryResult.siteFilter : { active: false, name: null },
-            isCurrent: isCurrent
+            isCurrent: isCurrent,
+            error: null
           }
 
           tabs.push(tabObj)
@@ -469,12 +477,13 @@ async function fetchPendingItems() {
                 })
                 .then(text => {
                   const tabDoc = parser.parseFromString(text, 'text/html')
-                  const tabResult = parsePendingPage(tabDoc, arrivalTimes, now, arrivalTimesState)
+                  const tabResult = parsePendingPage(tabDoc, arrivalTimes, now, arrivalTimesState, tagRules)
                   tabObj.items = tabResult.items
                   tabObj.siteFilter = tabResult.siteFilter
                 })
                 .catch(err => {
                   console.error(`Erro ao carregar a aba ${name}:`, err)
+                  tabObj.error = err.message
                 })
             )
           }
@@ -486,15 +495,7 @@ async function fetchPendingItems() {
 
       // Create "Todas" (All) tab
       // Merge all items without duplication (by id)
-      const allItemsMap = new Map()
-      tabs.forEach(t => {
-        t.items.forEach(item => {
-          if (!allItemsMap.has(item.id)) {
-            allItemsMap.set(item.id, item)
-          }
-        })
-      })
-      const mergedItems = Array.from(allItemsMap.values())
+      const mergedItems = mergePendingTabItems(tabs)
 
       // Find if any tab has an active filter
       const anyTabHasFilter = tabs.some(t => t.siteFilter.active)
@@ -523,7 +524,8 @@ async function fetchPendingItems() {
       return {
         items: mergedItems, // For backwards compatibility
         siteFilter: allTabObj.siteFilter, // For backwards compatibility
-        tabs: finalTabs
+        tabs: finalTabs,
+        complete: tabs.every(t => !t.error)
       }
     } else {
       if (arrivalTimesState.changed) {
@@ -532,7 +534,8 @@ async function fetchPendingItems() {
       return {
         items: primaryResult.items,
         siteFilter: primaryResult.siteFilter,
-        tabs: null
+        tabs: null,
+        complete: true
       }
     }
   } catch (error) {
@@ -621,11 +624,12 @@ async function resetSiteFilter(targetUrl) {
 /**
  * Verifica se há novas pendências comparando com as últimas visualizadas.
  * Considera o filtro de responsável persistente definido pelo usuário.
- * @returns {Promise<{total: number, newCount: number, newItems: Array<object>}>}
+ * @returns {Promise<{total: number, newCount: number, newItems: Array<object>, ticketReminders: object}>}
+ *   `ticketReminders` traz os lembretes concluídos/atualizados por syncTicketReminders.
  */
 async function checkNewPendings() {
   try {
-    const { items: currentItems } = await fetchPendingItems()
+    const { items: currentItems, complete: isCompleteFetch, siteFilter } = await fetchPendingItems()
 
     // Recupera IDs vistos e a preferência de filtro de responsável
     const storage = await chrome.storage.local.get([
@@ -636,6 +640,7 @@ async function checkNewPendings() {
     const lastSeenIds = storage.lastSeenPendingIds || []
     const preferredResponsible = storage.preferredResponsible || ''
     const arrivalTimes = storage.pendingArrivalTimes || {}
+    const previousArrivalTimes = { ...arrivalTimes }
     let arrivalTimesChanged = false
 
     // Filtra os itens monitorados com base na preferência
@@ -697,8 +702,12 @@ async function checkNewPendings() {
       }
     })
 
+    // Lista vazia (sessão expirada, tela de login) ou parcial (fonte/aba com erro) não
+    // indica que os chamados ausentes saíram da fila
+    const hasFullList = currentItems.length > 0 && isCompleteFetch
+
     // Limpeza de IDs antigos
-    if (currentItems.length > 0) {
+    if (hasFullList) {
       const currentIdsSet = new Set(currentItems.map(i => i.id))
       Object.keys(arrivalTimes).forEach(storedId => {
         if (!currentIdsSet.has(storedId)) {
@@ -712,6 +721,21 @@ async function checkNewPendings() {
       await savePendingArrivalTimes(arrivalTimes)
     }
 
+    // Histórico da fila para a Análise de Pendências (pending-analytics.js)
+    if (hasFullList) {
+      recordPendingAnalytics(currentItems, previousArrivalTimes, arrivalTimes, now).catch(error =>
+        console.warn('PendingService: Falha ao registrar o histórico de pendências.', error)
+      )
+    }
+
+    // Lembretes vinculados aos chamados: conclui os que saíram da lista e marca novos trâmites
+    // (com filtro do site ativo, os chamados fora do filtro também faltam na lista)
+    const isCompleteList = hasFullList && !(siteFilter && siteFilter.active)
+    const ticketReminders = await syncTicketReminders(currentItems, now, isCompleteList).catch(error => {
+      console.warn('PendingService: Falha ao sincronizar os lembretes dos chamados.', error)
+      return { completed: [], updated: [] }
+    })
+
     // O total exibido na notificação deve refletir o que o usuário escolheu ver
     const resultData = {
       total: monitoredItems.length,
@@ -719,11 +743,24 @@ async function checkNewPendings() {
       newItems: newItems,
       // Importante: salvamos TODOS os IDs atuais (currentItems) para evitar que,
       // ao trocar de filtro, itens antigos de outros responsáveis apareçam como novos.
-      currentIds: currentItems.map(i => i.id)
+      currentIds: currentItems.map(i => i.id),
+      // Dados mínimos para o Service Worker avaliar as regras de SLA entre as verificações
+      slaItems: monitoredItems.map(item => ({
+        id: item.id,
+        subject: item.subject,
+        classification: item.classification,
+        system: item.system,
+        isPrioritaria: item.isPrioritaria,
+        isEmSS: item.isEmSS,
+        autoTagIds: item.autoTagIds,
+        slaStartTs: item.slaStartTs
+      })),
+      checkedAt: now
     }
 
     await savePendingResult(resultData)
-    return resultData
+    // Não é salvo: só a verificação que detectou a mudança deve avisar o usuário
+    return { ...resultData, ticketReminders }
   } catch (error) {
     console.error('PendingService: Erro ao verificar novas pendências:', error)
     return { total: 0, newCount: 0, newItems: [], error: error.message }
@@ -858,6 +895,9 @@ async function deleteCustomTag(tagId) {
   if (changed) {
     await chrome.storage.local.set({ pendingTagsMap: map })
   }
+
+  // Regras de tags automáticas que apontavam para a tag excluída
+  await removeTagRulesForTag(tagId)
 }
 
 /**
@@ -896,5 +936,38 @@ async function togglePendingTag(pendingId, tagId) {
   return currentTags
 }
 
+/**
+ * Adiciona ou remove uma tag de várias pendências de uma vez (ações em lote do Painel).
+ * @param {Array<string>} pendingIds IDs das pendências
+ * @param {string} tagId ID da tag
+ * @param {boolean} shouldHave true para adicionar, false para remover
+ * @returns {Promise<number>} Quantidade de pendências alteradas
+ */
+async function setPendingTagForItems(pendingIds, tagId, shouldHave) {
+  const map = await getPendingTagsMap()
+  let changedCount = 0
+
+  pendingIds.forEach(pendingId => {
+    const currentTags = map[pendingId] || []
+    const hasTag = currentTags.includes(tagId)
+    if (hasTag === shouldHave) return
+
+    const newTags = shouldHave
+      ? [...currentTags, tagId]
+      : currentTags.filter(t => t !== tagId)
+    if (newTags.length === 0) {
+      delete map[pendingId]
+    } else {
+      map[pendingId] = newTags
+    }
+    changedCount++
+  })
+
+  if (changedCount > 0) {
+    await chrome.storage.local.set({ pendingTagsMap: map })
+  }
+  return changedCount
+}
+
 // Inicializa as tags ao carregar o script (se não existir)
 initializeTags().catch(err => console.error('Erro ao inicializar tags:', err))
@@ -0,0 +1,481 @@
+/**
+ * @file pending-sources.js
+ * Fontes nomeadas de pendências: listas do SGD por filtro, SSCs pendentes de um cliente,
+ * listas de SS e de ocorrências. Cada fonte é buscada de forma independente, sem depender
+ * do filtro que o analista deixou selecionado no site.
+ *
+ * O SGD guarda os filtros das listas na sessão (JSF), então cada busca salva o estado
+ * atual do formulário, pesquisa com os parâmetros da fonte e devolve a sessão ao estado
+ * original (mesma técnica de buscarDocumentoSSCsPendentes em duplicate-checker.js).
+ */
+
+const PENDING_SOURCES_KEY = 'pendingSources'
+const PENDING_SOURCES_LOCK = 'sgd-pending-sources'
+const SGD_ORIGIN = 'https://sgd.dominiosistemas.com.br'
+
+/**
+ * Tipos de fonte disponíveis. `valueLabel` descreve o campo que o analista preenche.
+ */
+const PENDING_SOURCE_TYPES = {
+  filtro: {
+    label: 'Lista de pendências',
+    valueLabel: 'ID do filtro (vazio = lista padrão)',
+    placeholder: 'Ex: 3'
+  },
+  ssc: {
+    label: 'SSCs pendentes do cliente',
+    valueLabel: 'ID do cliente',
+    placeholder: 'Ex: 12345'
+  },
+  ss: {
+    label: 'Lista de SS',
+    valueLabel: 'URL da lista no SGD',
+    placeholder: `${SGD_ORIGIN}/sgsa/faces/...`
+  },
+  ocorrencia: {
+    label: 'Ocorrências',
+    valueLabel: 'URL da lista no SGD',
+    placeholder: `${SGD_ORIGIN}/...`
+  }
+}
+
+/**
+ * Campos do filtro das listas de pendências (filtro-listas.html) e seus valores neutros.
+ */
+const PENDING_LIST_FILTER_RESET = {
+  'filtrosForm:responsavel': '0',
+  'filtrosForm:sistema': '0',
+  'filtrosForm:modulo': '0',
+  'filtrosForm:topicoSuporte': '0',
+  'filtrosForm:situacao': '0',
+  'filtrosForm:classificacaoSSC': '0',
+  'filtrosForm:meioAcesso': '0',
+  'filtrosForm:origem': '0',
+  'filtrosForm:palavraChave': ''
+}
+
+/**
+ * Textos de cabeçalho (sem acentos, minúsculos) reconhecidos nas listas de SSC, SS e
+ * ocorrências. O primeiro campo que casa com o cabeçalho fica com a coluna; termos de
+ * até 3 letras precisam ser o cabeçalho inteiro ("ss" está dentro de "assunto").
+ */
+const PENDING_SOURCE_COLUMNS = {
+  dataUltimoTramite: ['ultimo tramite', 'ult. tramite', 'ult tramite'],
+  qtdTramites: ['tramites', 'qtd'],
+  dataAbertura: ['abertura', 'cadastro', 'data'],
+  dias: ['dias'],
+  subject: ['assunto', 'descricao', 'titulo'],
+  responsible: ['responsavel'],
+  status: ['situacao', 'status'],
+  classification: ['classifica'],
+  system: ['sistema'],
+  client: ['cliente', 'razao social'],
+  id: ['codigo', 'numero', 'ocorrencia', 'ssc', 'ss', 'id']
+}
+
+/**
+ * Prefixo dos IDs das fontes que não são SSC, para não colidirem na mesclagem.
+ */
+const PENDING_SOURCE_ID_PREFIX = {
+  ss: 'SS-',
+  ocorrencia: 'OC-'
+}
+
+/**
+ * Normaliza o número de chamado informado pelo analista para o ID usado na lista de
+ * pendências: SSC só com dígitos ou com o prefixo da fonte (ex: "ss-123" -> "SS-123").
+ * @param {string} value - O número digitado.
+ * @returns {string|null} O ID, ou null se o formato não é reconhecido.
+ */
+function normalizePendingTicketId(value) {
+  const match = String(value || '').trim().match(/^(?:([a-z]+)-)?(\d+)$/i)
+  if (!match) return null
+  if (!match[1]) return match[2]
+  const prefix = Object.values(PENDING_SOURCE_ID_PREFIX).find(
+    candidate => candidate === `${match[1].toUpperCase()}-`
+  )
+  return prefix ? `${prefix}${match[2]}` : null
+}
+
+/**
+ * Recupera as fontes configuradas. Sem fontes, o Painel usa as guias da própria lista
+ * de pendências do SGD (comportamento anterior).
+ * @returns {Promise<Array<{id: string, name: string, type: string, value: string, enabled: boolean}>>}
+ */
+async function getPendingSources() {
+  const data = await chrome.storage.local.get(PENDING_SOURCES_KEY)
+  return Array.isArray(data[PENDING_SOURCES_KEY]) ? data[PENDING_SOURCES_KEY] : []
+}
+
+/**
+ * Salva as fontes de pendências.
+ * @param {Array<object>} sources - As fontes, na ordem das guias.
+ */
+async function savePendingSources(sources) {
+  await chrome.storage.local.set({ [PENDING_SOURCES_KEY]: sources })
+}
+
+/**
+ * Valida uma fonte antes de salvar.
+ * @param {object} source - A fonte.
+ * @returns {string|null} A mensagem de erro ou null se a fonte for válida.
+ */
+function validatePendingSource(source) {
+  const value = String(source.value || '').trim()
+  if (!String(source.name || '').trim()) return 'Informe o nome de todas as fontes.'
+  if (!PENDING_SOURCE_TYPES[source.type]) return `Tipo de fonte inválido: ${source.type}`
+  if (source.type === 'filtro' && value && !/^\d+$/.test(value)) {
+    return `"${source.name}": o ID do filtro deve ser numérico.`
+  }
+  if (source.type === 'ssc' && !/^\d+$/.test(value)) {
+    return `"${source.name}": informe o ID numérico do cliente.`
+  }
+  if ((source.type === 'ss' || source.type === 'ocorrencia') && !value.startsWith(`${SGD_ORIGIN}/`)) {
+    return `"${source.name}": a URL deve ser uma página do SGD (${SGD_ORIGIN}/...).`
+  }
+  return null
+}
+
+/**
+ * Monta a requisição de uma fonte.
+ * @param {object} source - A fonte.
+ * @returns {{url: string, stateUrl: string, formId: string|null, reset: object}}
+ *   `stateUrl` é carregada sem os parâmetros da fonte, para capturar o filtro real do analista
+ *   (parâmetros como clienteID fazem o servidor pré-preencher o formulário).
+ */
+function getPendingSourceRequest(source) {
+  const value = String(source.value || '').trim()
+  switch (source.type) {
+    case 'filtro': {
+      const base = `${SGD_ORIGIN}/sgpub/faces/filtro-listas.html`
+      const url = value ? `${base}?filtro=${encodeURIComponent(value)}` : base
+      return { url, stateUrl: url, formId: 'filtrosForm', reset: PENDING_LIST_FILTER_RESET }
+    }
+    case 'ssc': {
+      const base = `${SGD_ORIGIN}/sgsc/faces/sscs-pendentes.html`
+      return {
+        url: `${base}?clienteID=${encodeURIComponent(value)}`,
+        stateUrl: base,
+        formId: 'relSscForm',
+        reset: { 'relSscForm:situacao': '0', 'relSscForm:responsavel': '0' }
+      }
+    }
+    default:
+      return { url: value, stateUrl: value.split('?')[0], formId: null, reset: {} }
+  }
+}
+
+/**
+ * Localiza o formulário JSF da lista (pelo ID ou pelo primeiro formulário com ViewState).
+ * @param {Document} doc - O documento.
+ * @param {string|null} formId - O ID do formulário, se conhecido.
+ * @returns {HTMLFormElement|null}
+ */
+function _findPendingSourceForm(doc, formId) {
+  if (formId) return doc.getElementById(formId)
+  const viewState = doc.querySelector('form [name="javax.faces.ViewState"]')
+  return viewState ? viewState.closest('form') : null
+}
+
+/**
+ * Adiciona aos parâmetros o botão de pesquisa do formulário (o JSF só executa a ação
+ * quando o nome do botão vai no POST).
+ * @param {URLSearchParams} params - Os parâmetros do POST.
+ * @param {HTMLFormElement} form - O formulário.
+ */
+function _setPendingSourceSubmit(params, form) {
+  const button =
+    form.querySelector('[id$=":atualizarBtn"]') ||
+    form.querySelector('[id$=":pesquisar"]') ||
+    form.querySelector('input[type="submit"], button[type="submit"]')
+  const name = button ? button.getAttribute('name') || button.id : `${form.id}:atualizarBtn`
+  if (name) params.set(name, button?.value || name)
+}
+
+/**
+ * Busca uma página do SGD com a sessão do analista.
+ * @param {string} url - A URL.
+ * @param {object} [init] - Opções extras do fetch.
+ * @returns {Promise<Document>}
+ */
+async function _fetchPendingSourceDocument(url, init = {}) {
+  const response = await fetch(url, { credentials: 'include', cache: 'no-cache', ...init })
+  if (!response.ok) {
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('Sessão expirada. Por favor, faça login novamente no SGD.')
+    }
+    throw new Error(`Erro ao acessar o SGD: ${response.status}`)
+  }
+  return new DOMParser().parseFromString(await response.text(), 'text/html')
+}
+
+/**
+ * Envia o formulário JSF por POST.
+ * @param {string} actionUrl - A action do formulário.
+ * @param {URLSearchParams} params - Os parâmetros.
+ * @returns {Promise<Document>}
+ */
+function _postPendingSourceForm(actionUrl, params) {
+  return _fetchPendingSourceDocument(actionUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  })
+}
+
+/**
+ * Busca o documento de uma fonte preservando o filtro que o analista deixou no SGD:
+ * 1. GET sem os parâmetros da fonte para capturar o estado do formulário;
+ * 2. GET + POST com os parâmetros da fonte e os filtros neutros;
+ * 3. POST de restauração com o estado capturado e o ViewState mais recente.
+ * @param {object} source - A fonte.
+ * @returns {Promise<Document>} O documento com o resultado da fonte.
+ */
+async function fetchPendingSourceDocument(source) {
+  const request = getPendingSourceRequest(source)
+
+  const stateDoc = await _fetchPendingSourceDocument(request.stateUrl)
+  const stateForm = _findPendingSourceForm(stateDoc, request.formId)
+
+  const doc =
+    request.url === request.stateUrl ? stateDoc : await _fetchPendingSourceDocument(request.url)
+  const form = _findPendingSourceForm(doc, request.formId)
+  // Página sem formulário de filtro: o GET já traz a lista e não mexe na sessão
+  if (!form) return doc
+
+  const actionUrl = form.getAttribute('action')
+    ? new URL(form.getAttribute('action'), request.url).href
+    : request.url
+
+  const searchParams = new URLSearchParams(new FormData(form))
+  Object.entries(request.reset).forEach(([name, value]) => {
+    if (searchParams.has(name)) searchParams.set(name, value)
+  })
+  _setPendingSourceSubmit(searchParams, form)
+  const resultDoc = await _postPendingSourceForm(actionUrl, searchParams)
+
+  // O ViewState enviado na pesquisa foi consumido pelo JSF; a restauração usa o novo
+  if (stateForm) {
+    const restoreParams = new URLSearchParams(new FormData(stateForm))
+    const viewState = resultDoc.querySelector('[name="javax.faces.ViewState"]')?.value
+    if (viewState) restoreParams.set('javax.faces.ViewState', viewState)
+    _setPendingSourceSubmit(restoreParams, stateForm)
+    try {
+      await _postPendingSourceForm(actionUrl, restoreParams)
+    } catch (error) {
+      console.warn(`PendingSources: Falha ao restaurar o filtro após a fonte "${source.name}".`, error)
+    }
+  }
+
+  return resultDoc
+}
+
+/**
+ * Normaliza o texto dos cabeçalhos.
+ * @param {string} text - O texto.
+ * @returns {string}
+ */
+function _normalizeSourceHeader(text) {
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+}
+
+/**
+ * Converte "dd/mm/aaaa" (a primeira data do texto) em timestamp.
+ * @param {string} text - O texto.
+ * @returns {number|null}
+ */
+function _parseSourceDate(text) {
+  const m = (text || '').match(/(\d{2})\/(\d{2})\/(\d{4})/)
+  if (!m) return null
+  return new Date(parseInt(m[3], 10), parseInt(m[2], 10) - 1, parseInt(m[1], 10)).getTime()
+}
+
+/**
+ * Lê as listas de SSC, SS e ocorrências (layout diferente da lista de pendências),
+ * identificando as colunas pelo cabeçalho.
+ * @param {Document} doc - O documento da fonte.
+ * @param {object} source - A fonte.
+ * @param {object} arrivalTimes - Mapa de tempos de chegada (pending-service.js).
+ * @param {number} now - Timestamp de referência.
+ * @param {{changed: boolean}} arrivalTimesState - Marca se o mapa foi alterado.
+ * @param {Array<object>} [tagRules] - Regras de tags automáticas (tag-rules-service.js).
+ * @returns {Array<object>} As pendências, no mesmo formato de parsePendingPage.
+ */
+function parsePendingSourceTable(doc, source, arrivalTimes, now, arrivalTimesState, tagRules = []) {
+  const dataTable = doc.querySelector('table.tablesorter, table.tableSorter')
+  if (!dataTable) {
+    if (doc.querySelector('input[type="password"]')) {
+      throw new Error('Você não está logado no SGD. Por favor, faça login.')
+    }
+    console.warn(`PendingSources: Tabela não encontrada na fonte "${source.name}".`)
+    return []
+  }
+
+  const columns = {}
+  dataTable.querySelectorAll('thead th').forEach((th, index) => {
+    const header = _normalizeSourceHeader(th.textContent)
+    const field = Object.keys(PENDING_SOURCE_COLUMNS).find(
+      key =>
+        columns[key] === undefined &&
+        PENDING_SOURCE_COLUMNS[key].some(p => (p.length > 3 ? header.includes(p) : header === p))
+    )
+    if (field) columns[field] = index
+  })
+
+  const cellText = (cells, field) =>
+    columns[field] !== undefined && cells[columns[field]]
+      ? cleanDateText(cells[columns[field]])
+      : ''
+  const prefix = PENDING_SOURCE_ID_PREFIX[source.type] || ''
+  const items = []
+
+  dataTable.querySelectorAll('tbody > tr').forEach(row => {
+    const cells = row.cells
+    const rawId = (cellText(cells, 'id') || (cells[0] ? cells[0].textContent : '')).trim()
+    const numericId = (rawId.match(/\d+/) || [])[0]
+    if (!numericId) return
+    const id = `${prefix}${numericId}`
+
+    const subjectCell = columns.subject !== undefined ? cells[columns.subject] : null
+    const anchor = (subjectCell && subjectCell.querySelector('a')) || row.querySelector('a[href]')
+    const href = anchor ? anchor.getAttribute('href') : null
+    const link = href ? new URL(href, getPendingSourceRequest(source).url).href : '#'
+
+    const dataAbertura = cellText(cells, 'dataAbertura')
+    const dataUltimoTramite = cellText(cells, 'dataUltimoTramite') || dataAbertura
+
+    // Novo trâmite reinicia a contagem, como na lista de pendências
+    const record = arrivalTimes[id]
+    if (record && typeof record === 'object' && record.lastTramiteDate === undefined) {
+      record.lastTramiteDate = dataUltimoTramite
+      arrivalTimesState.changed = true
+    } else if (record && typeof record === 'object' && record.lastTramiteDate !== dataUltimoTramite) {
+      record.ts = now
+      record.precise = true
+      record.lastTramiteDate = dataUltimoTramite
+      arrivalTimesState.changed = true
+    }
+    const arrivalTs = record ? (typeof record === 'object' ? record.ts : record) : null
+    const slaStartTs = arrivalTs || _parseSourceDate(dataUltimoTramite)
+    const isPrecise = !!arrivalTs && (typeof record !== 'object' || !!record.precise)
+    const businessMs = slaStartTs ? calculateBusinessTimeMs(slaStartTs, now) : null
+
+    const item = {
+      id,
+      dataAbertura,
+      dias: cellText(cells, 'dias'),
+      dataUltimoTramite,
+      qtdTramites: cellText(cells, 'qtdTramites'),
+      subject: (anchor && subjectCell ? anchor.textContent : cellText(cells, 'subject')).trim() || 'Sem assunto',
+      link,
+      status: cellText(cells, 'status') || 'Sem status',
+      responsible: cellText(cells, 'responsible') || 'Desconhecido',
+      classification: cellText(cells, 'classification'),
+      system: cellText(cells, 'system'),
+      client: cellText(cells, 'client'),
+      isPrioritaria: false,
+      isEmSS: source.type === 'ss',
+      hoursSinceUpdate: isPrecise ? Math.max(0, businessMs / (1000 * 60 * 60)) : null,
+      timePrecision: businessMs === null ? null : isPrecise ? 'preciso' : 'estimado',
+      estimatedDaysSinceUpdate:
+        businessMs === null ? null : Math.max(0, Math.floor(businessMs / getAverageWorkingDayMs())),
+      slaStartTs
+    }
+    item.autoTagIds = evaluateTagRules(item, tagRules)
+    items.push(item)
+  })
+
+  return items
+}
+
+/**
+ * Junta as pendências de várias guias sem repetir IDs (a primeira guia vence).
+ * @param {Array<{items: Array<object>}>} tabs - As guias.
+ * @returns {Array<object>} As pendências mescladas.
+ */
+function mergePendingTabItems(tabs) {
+  const itemsById = new Map()
+  tabs.forEach(tab => {
+    tab.items.forEach(item => {
+      if (!itemsById.has(item.id)) itemsById.set(item.id, item)
+    })
+  })
+  return Array.from(itemsById.values())
+}
+
+/**
+ * Executa a busca das fontes com exclusão mútua entre as abas do SGD: todas compartilham
+ * a mesma sessão JSF, e buscas simultâneas trocariam o ViewState umas das outras.
+ * @param {Function} task - A busca.
+ * @returns {Promise<any>}
+ */
+function _withPendingSourcesLock(task) {
+  if (navigator.locks && typeof navigator.locks.request === 'function') {
+    return navigator.locks.request(PENDING_SOURCES_LOCK, task)
+  }
+  return task()
+}
+
+/**
+ * Busca todas as fontes ativas, uma de cada vez, e monta as guias do Painel.
+ * Uma fonte com erro não impede as demais; o erro fica registrado na guia e o resultado
+ * sai com `complete: false`, para que a verificação periódica não trate os chamados
+ * dessa fonte como concluídos.
+ * @param {Array<object>} sources - As fontes ativas.
+ * @param {object} arrivalTimes - Mapa de tempos de chegada.
+ * @param {number} now - Timestamp de referência.
+ * @param {{changed: boolean}} arrivalTimesState - Marca se o mapa foi alterado.
+ * @param {Array<object>} [tagRules] - Regras de tags automáticas.
+ * @returns {Promise<{items: Array<object>, siteFilter: object, tabs: Array<object>|null,
+ *   complete: boolean, failedSources: string[]}>}
+ */
+async function fetchPendingSources(sources, arrivalTimes, now, arrivalTimesState, tagRules = []) {
+  const noFilter = { active: false, name: null }
+
+  const tabs = await _withPendingSourcesLock(async () => {
+    const sourceTabs = []
+    for (const source of sources) {
+      const tab = {
+        id: `source-${source.id}`,
+        name: source.name,
+        url: getPendingSourceRequest(source).url,
+        items: [],
+        siteFilter: noFilter,
+        isCurrent: false,
+        error: null
+      }
+      try {
+        const doc = await fetchPendingSourceDocument(source)
+        tab.items =
+          source.type === 'filtro'
+            ? parsePendingPage(doc, arrivalTimes, now, arrivalTimesState, tagRules).items
+            : parsePendingSourceTable(doc, source, arrivalTimes, now, arrivalTimesState, tagRules)
+      } catch (error) {
+        console.error(`PendingSources: Erro ao carregar a fonte "${source.name}":`, error)
+        tab.error = error.message
+      }
+      sourceTabs.push(tab)
+    }
+    return sourceTabs
+  })
+
+  // Se nenhuma fonte respondeu, o erro (ex: sessão expirada) vai para o Painel
+  if (tabs.every(tab => tab.error)) throw new Error(tabs[0].error)
+
+  const items = mergePendingTabItems(tabs)
+  const failedSources = tabs.filter(tab => tab.error).map(tab => tab.name)
+  const complete = failedSources.length === 0
+  if (tabs.length === 1) return { items, siteFilter: noFilter, tabs: null, complete, failedSources }
+
+  return {
+    items,
+    siteFilter: noFilter,
+    tabs: [{ id: 'all', name: 'Todas', url: null, items, siteFilter: noFilter }, ...tabs],
+    complete,
+    failedSources
+  }
+}
@@ -26,6 +26,7 @@
     editorsList: [],      // Lista de editores [{id, name, addedAt, addedBy, allowedChannels, role}]
     viewersList: [],      // Lista de visualizadores [{id, name, firstSeen, lastSeen, allowedChannels}]
     allowedChannels: [],  // Canais permitidos para o usuário atual
+    region: null,         // Região do usuário atual ('sul' | 'sudeste'), usada no público dos avisos
     channels: []          // Lista de canais carregados dinamicamente
   }
 
@@ -633,6 +634,21 @@
       })
       window.sgdPermissions.isDevMode = false
     }
+
+    // Região cadastrada no registro do analista (feriados regionais do calendário de expediente)
+    // e a região resolvida pela unidade (público dos avisos, lido também pelo Service Worker)
+    const matchedRecord = matchedEditor || matchedViewer
+    const regionStorage = await chrome.storage.local.get(['remoteConfig', 'userUnidade'])
+    const currentUserRegion = resolveUserRegion(
+      (matchedRecord && matchedRecord.regiao) || '',
+      (matchedRecord && matchedRecord.unidade) || regionStorage.userUnidade,
+      regionStorage.remoteConfig || {}
+    )
+    await chrome.storage.local.set({
+      userRegiao: (matchedRecord && matchedRecord.regiao) || '',
+      currentUserRegion
+    })
+    window.sgdPermissions.region = currentUserRegion
     
     window.sgdPermissions.allowedChannels = allowed
     window.sgdPermissions.role = role
@@ -1750,29 +1766,34 @@
       }
     }
     
-    if (userRegion === 'sudeste') return urlSudeste
-    if (userRegion === 'sul') return urlSul
-    
     // 2. Se não temos no Firebase, tentar ler do cache local
     if (!userUnidade) {
       const cachedUserInfo = await chrome.storage.local.get(['userUnidade'])
       userUnidade = cachedUserInfo.userUnidade
     }
     
-    // 3. Mapeamento da unidade ou fallback por palavra-chave na unidade
-    if (userUnidade) {
-      const unitRegionMap = remoteConfig.iagente_unidade_regiao || {}
-      const mappedRegion = unitRegionMap[userUnidade.trim()]
-      if (mappedRegion === 'sudeste') return urlSudeste
-      if (mappedRegion === 'sul') return urlSul
-      
-      const lowerUnit = userUnidade.toLowerCase()
-      const sudesteKeywords = ['campinas', 'sao paulo', 'são paulo', 'sp', 'rio de janeiro', 'rj', 'belo horizonte', 'mg', 'espirito santo', 'espírito santo', 'es', 'sudeste']
-      const isSudeste = sudesteKeywords.some(keyword => lowerUnit.includes(keyword))
-      if (isSudeste) return urlSudeste
-    }
-    
-    return urlSul
+    return resolveUserRegion(userRegion, userUnidade, remoteConfig) === 'sudeste' ? urlSudeste : urlSul
+  }
+
+  /**
+   * Resolve a região do analista: a cadastrada no Firebase ou, sem ela, o mapeamento da
+   * unidade (remoteConfig.iagente_unidade_regiao) ou palavras-chave no nome da unidade.
+   * @param {string} regiao - Região cadastrada ('sul' | 'sudeste' | '').
+   * @param {string} unidade - Unidade do analista.
+   * @param {object} remoteConfig - Configuração remota.
+   * @returns {'sul'|'sudeste'} A região (padrão: sul).
+   */
+  function resolveUserRegion(regiao, unidade, remoteConfig) {
+    if (regiao === 'sul' || regiao === 'sudeste') return regiao
+    if (!unidade) return 'sul'
+
+    const unitRegionMap = remoteConfig.iagente_unidade_regiao || {}
+    const mappedRegion = unitRegionMap[unidade.trim()]
+    if (mappedRegion === 'sul' || mappedRegion === 'sudeste') return mappedRegion
+
+    const lowerUnit = unidade.toLowerCase()
+    const sudesteKeywords = ['campinas', 'sao paulo', 'são paulo', 'sp', 'rio de janeiro', 'rj', 'belo horizonte', 'mg', 'espirito santo', 'espírito santo', 'es', 'sudeste']
+    return sudesteKeywords.some(keyword => lowerUnit.includes(keyword)) ? 'sudeste' : 'sul'
   }
 
   async function invalidateFormsCache() {
@@ -161,7 +161,8 @@ function createMessageElement(message, editorContainer) {
 
     // insertAtCursor lida com a inserção correta (WYSIWYG ou Textarea).
     if (targetTextArea) {
-      const resolvedContent = await resolveVariablesInText(message.message)
+      const resolvedContent = await renderTemplate(message.message)
+      if (resolvedContent === null) return
       insertAtCursor(targetTextArea, resolvedContent)
     } else {
       console.error(
@@ -583,6 +584,175 @@ function handleTramiteImportFile(file, modal) {
   reader.readAsText(file)
 }
 
+// --- VARIÁVEIS DE MODELO (Menu "Inserir Variável" e Autocomplete) ---
+
+/**
+ * Trechos do motor de modelos oferecidos no menu "Inserir Variável".
+ */
+const TEMPLATE_SNIPPETS = [
+  {
+    token: '{{?Número da versão}}',
+    label: 'Campo a Preencher',
+    description: 'Abre um formulário para preencher o valor antes de inserir o trâmite'
+  },
+  {
+    token: '{{#se sistema=Folha}}Texto exibido apenas para Folha{{/se}}',
+    label: 'Bloco Condicional',
+    description:
+      'Exibe o texto apenas quando o campo da página corresponder (=, != ou ~ para "contém")'
+  }
+]
+
+/**
+ * Gera os botões do menu "Inserir Variável" a partir do registro de variáveis
+ * (text-processor.js), incluindo as constantes definidas pelo usuário.
+ * @returns {Promise<string>} O HTML dos botões.
+ */
+async function renderVariableInserterButtons() {
+  const catalog = await getTemplateVariablesCatalog()
+  return [...catalog, ...TEMPLATE_SNIPPETS]
+    .map(v => {
+      const hint = v.preview
+        ? `${v.description} — Ex.: ${v.preview}`
+        : v.description
+      return `<button type="button" data-variable="${escapeHTML(
+        v.token
+      )}" title="${escapeHTML(hint)}">${escapeHTML(v.label)} <small>${escapeHTML(
+        v.token
+      )}</small></button>`
+    })
+    .join('')
+}
+
+/**
+ * Habilita o autocomplete de variáveis em um textarea: ao digitar "[" é exibida
+ * a lista de variáveis com descrição e prévia do valor.
+ * @param {HTMLTextAreaElement} textArea - O textarea do modal.
+ */
+function attachVariableAutocomplete(textArea) {
+  if (!textArea || textArea.dataset.variableAutocomplete === 'true') return
+  textArea.dataset.variableAutocomplete = 'true'
+
+  let popup = null
+  let filteredItems = []
+  let activeIndex = 0
+  let catalogPromise = null
+
+  const closePopup = () => {
+    if (popup) popup.remove()
+    popup = null
+    filteredItems = []
+  }
+
+  const getQuery = () => {
+    const before = textArea.value.slice(0, textArea.selectionStart)
+    const match = before.match(/\[([\w+-]*)$/)
+    return match ? match[1].toLowerCase() : null
+  }
+
+  const applyItem = item => {
+    const cursor = textArea.selectionStart
+    const before = textArea.value.slice(0, cursor).replace(/\[[\w+-]*$/, '')
+    const after = textArea.value.slice(cursor)
+    textArea.value = before + item.token + after
+    const newPosition = before.length + item.token.length
+    textArea.setSelectionRange(newPosition, newPosition)
+    closePopup()
+    textArea.dispatchEvent(new Event('input', { bubbles: true }))
+    textArea.focus()
+  }
+
+  const setActive = index => {
+    if (!popup) return
+    const rows = popup.querySelectorAll('.variable-autocomplete-item')
+    rows.forEach(row => row.classList.remove('active-item'))
+    activeIndex = (index + rows.length) % rows.length
+    if (rows[activeIndex]) {
+      rows[activeIndex].classList.add('active-item')
+      rows[activeIndex].scrollIntoView({ block: 'nearest' })
+    }
+  }
+
+  const renderPopup = () => {
+    if (!popup) {
+      popup = document.createElement('div')
+      popup.className = 'variable-autocomplete'
+      popup.setAttribute('role', 'listbox')
+      applyCurrentTheme(popup)
+      // mousedown (e não click) para que o textarea não perca o foco antes da seleção.
+      popup.addEventListener('mousedown', e => {
+        e.preventDefault()
+        const row = e.target.closest('.variable-autocomplete-item')
+        if (row) applyItem(filteredItems[parseInt(row.dataset.index, 10)])
+      })
+      ;(textArea.closest('.editor-modal') || document.body).appendChild(popup)
+    }
+
+    popup.innerHTML = filteredItems
+      .map(
+        (item, index) => `
+        <div class="variable-autocomplete-item" role="option" data-index="${index}">
+          <div class="variable-autocomplete-main">
+            <span class="variable-autocomplete-token">${escapeHTML(item.token)}</span>
+            <span class="variable-autocomplete-label">${escapeHTML(item.label)}</span>
+          </div>
+          <div class="variable-autocomplete-desc">${escapeHTML(item.description)}${item.preview ? ` — <i>${escapeHTML(item.preview)}</i>` : ''
+          }</div>
+        </div>`
+      )
+      .join('')
+
+    const rect = textArea.getBoundingClientRect()
+    popup.style.left = `${Math.round(rect.left)}px`
+    popup.style.top = `${Math.round(Math.min(rect.bottom, window.innerHeight - 220))}px`
+    popup.style.width = `${Math.round(Math.min(rect.width, 420))}px`
+    setActive(0)
+  }
+
+  const updatePopup = async () => {
+    const query = getQuery()
+    if (query === null) {
+      closePopup()
+      return
+    }
+    if (!catalogPromise) catalogPromise = getTemplateVariablesCatalog()
+    const catalog = await catalogPromise
+    filteredItems = catalog.filter(
+      item =>
+        item.token.toLowerCase().includes(query) ||
+        normalizeName(item.label).includes(normalizeName(query))
+    )
+    if (filteredItems.length === 0) {
+      closePopup()
+      return
+    }
+    renderPopup()
+  }
+
+  textArea.addEventListener('input', updatePopup)
+  textArea.addEventListener('blur', closePopup)
+  textArea.addEventListener(
+    'keydown',
+    e => {
+      if (!popup) return
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        e.stopPropagation()
+        setActive(activeIndex + (e.key === 'ArrowDown' ? 1 : -1))
+      } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault()
+        e.stopPropagation()
+        if (filteredItems[activeIndex]) applyItem(filteredItems[activeIndex])
+      } else if (e.key === 'Escape') {
+        e.preventDefault()
+        e.stopPropagation()
+        closePopup()
+      }
+    },
+    true
+  )
+}
+
 /**
  * Abre o modal para adicionar ou editar uma mensagem rápida.
  * @param {object | null} data - Os dados da mensagem para edição, ou um objeto com categoryId para pré-selecionar, ou null para adicionar nova.
@@ -604,6 +774,7 @@ async function openMessageModal(data = null) {
 
   // Generate a unique ID for this modal editor instance
   const modalInstanceId = `modal-${Date.now()}`
+  const variableButtonsHtml = await renderVariableInserterButtons()
 
   /**
    * Valida os campos do modal e salva o trâmite (nova mensagem ou edição existente).
@@ -797,10 +968,7 @@ async function openMessageModal(data = null) {
                 <div class="dropdown">
                     <button type="button" class="action-btn small-btn">Inserir Variável ▼</button>
                     <div class="dropdown-content variable-inserter">
-                        <button type="button" data-variable="[usuario]">Nome do Usuário</button>
-                        <button type="button" data-variable="[saudacao]">Saudação (Bom dia/Boa tarde/Boa noite)</button>
-                        <button type="button" data-variable="[finalizacao]">Finalização (dia/semana)</button>
-                        <button type="button" data-variable="[solicitacao]">Número da Solicitação</button>
+                        ${variableButtonsHtml}
                     </div>
                 </div>
             </div>
@@ -870,6 +1038,7 @@ async function openMessageModal(data = null) {
       includeUsername: false,
       includeQuickStepsDropdown: false
     })
+    attachVariableAutocomplete(modalTextArea)
   }
 
   // Listener para mostrar/esconder campos de nova categoria.
@@ -1004,8 +1173,9 @@ async function openManagementModal() {
     // const categoriesSuccess = await saveAllCategoryChanges(modalContent)
     const visibilitySuccess = await saveButtonVisibilitySettings(modalContent)
     const preferencesSuccess = await savePreferencesSettings(modalContent)
+    const customVariablesSuccess = await saveCustomVariablesSettings(modalContent)
 
-    if (visibilitySuccess && preferencesSuccess) {
+    if (visibilitySuccess && preferencesSuccess && customVariablesSuccess) {
       // Removido categoriesSuccess da condição
       // Atualiza a barra de ferramentas e elementos globais em tempo real
       if (typeof applyAllVisibilitySettings === 'function') {
@@ -1257,6 +1427,36 @@ async function openManagementModal() {
                     <label for="enable-auto-capitalize">Capitalizar automaticamente a primeira letra de frases ao digitar</label>
                 </div>
                 <hr style="margin: 15px 0;">
+                <h5>Colar Conteúdo Formatado</h5>
+                <div class="form-checkbox-group">
+                    <input type="checkbox" id="enable-rich-paste" ${preferences.enableRichPaste !== false ? 'checked' : ''}>
+                    <label for="enable-rich-paste">Manter negrito, itálico, links, listas e tabelas ao colar do Word, Outlook, Teams e Excel (Ctrl+Shift+V cola sem formatação)</label>
+                </div>
+                <div class="radio-inline-group">
+                    <div class="form-radio-group">
+                        <input type="radio" id="paste-tables-table" name="pasteTablesAs" value="table" ${preferences.pasteTablesAs !== 'text' ? 'checked' : ''}>
+                        <label for="paste-tables-table">Colar tabelas como tabela</label>
+                    </div>
+                    <div class="form-radio-group">
+                        <input type="radio" id="paste-tables-text" name="pasteTablesAs" value="text" ${preferences.pasteTablesAs === 'text' ? 'checked' : ''}>
+                        <label for="paste-tables-text">Colar tabelas como texto alinhado</label>
+                    </div>
+                </div>
+                <hr style="margin: 15px 0;">
+                <h5>Histórico e Lixeira de Trâmites</h5>
+                <div class="form-group">
+                    <label for="message-history-limit">Versões anteriores mantidas por trâmite (1-50)</label>
+                    <input type="number" id="message-history-limit" min="1" max="50" value="${preferences.messageHistoryLimit || DEFAULT_SETTINGS.preferences.messageHistoryLimit}">
+                </div>
+                <div class="form-group">
+                    <label for="trash-retention-days">Dias até esvaziar a lixeira automaticamente (1-365)</label>
+                    <input type="number" id="trash-retention-days" min="1" max="365" value="${preferences.trashRetentionDays || DEFAULT_SETTINGS.preferences.trashRetentionDays}">
+                </div>
+                <hr style="margin: 15px 0;">
+                <h5>Expediente e Feriados</h5>
+                <p class="qm-history-empty">Horário de trabalho, intervalo de almoço e feriados usados nos tempos das Pendências.</p>
+                <button type="button" id="open-business-calendar-btn" class="action-btn small-btn">📅 Configurar Expediente</button>
+                <hr style="margin: 15px 0;">
                 <h5>Classificação Padrão</h5>
                 <div class="form-checkbox-group">
                     <input type="checkbox" id="remember-last-classification" ${rememberChecked ? 'checked' : ''} ${rememberDisabled ? 'disabled' : ''}>
@@ -1266,6 +1466,19 @@ async function openManagementModal() {
                 ${teamManagementHtml}
             </div>
         </div>
+
+        <hr>
+        <div class="management-section collapsible-section">
+            <h4 class="collapsible-header">
+                <span class="collapsible-icon">▶</span>
+                <span class="collapsible-title">🧩 Variáveis Personalizadas</span>
+            </h4>
+            <div class="collapsible-content" id="custom-variables-settings">
+                <p>Defina constantes para usar nos trâmites, saudações e encerramentos (ex: <code>[ramal]</code>).</p>
+                <div id="custom-variables-list"></div>
+                <button type="button" id="add-custom-variable-btn" class="action-btn small-btn">+ Adicionar Variável</button>
+            </div>
+        </div>
     `
 
   const modal = createModal(
@@ -1282,6 +1495,13 @@ async function openManagementModal() {
   // Renderiza os checkboxes de visibilidade dos botões
   await renderButtonVisibilitySettings(modal)
 
+  // Renderiza as variáveis personalizadas (constantes do usuário)
+  renderCustomVariablesSettings(modal, settings.customVariables || [])
+
+  modal
+    .querySelector('#open-business-calendar-btn')
+    .addEventListener('click', () => openBusinessCalendarModal())
+
   // --- LÓGICA EXISTENTE PARA SLIDERS E CHECKBOXES (SEM ALTERAÇÃO) ---
   const iconSizeSlider = modal.querySelector('#icon-size-slider')
   const uiFontSizeSlider = modal.querySelector('#ui-font-size-slider')
@@ -2449,6 +2669,8 @@ async function openQuickInserterPanel() {
   if (document.getElementById('quick-inserter-overlay')) return
 
   const data = await getStoredData()
+  // Catálogos da equipe (somente leitura) dos canais assinados
+  const teamData = await getTeamCatalogData()
   const textArea = getTargetTextArea()
   // REMOVIDO: if (!textArea) return
 
@@ -2470,6 +2692,8 @@ async function openQuickInserterPanel() {
         <div class="qi-actions" style="display: flex; flex-direction: column; gap: 10px;">
           <button type="button" id="qi-import-export-btn" class="action-btn enhanced-btn" title="Importar ou Exportar Trâmites" style="color: white;">🔃 Importar / Exportar</button>
           <button type="button" id="qi-add-category-btn" class="action-btn enhanced-btn" title="Adicionar Nova Categoria">📁 Nova Categoria</button>
+          <button type="button" id="qi-trash-btn" class="action-btn enhanced-btn" title="Restaurar trâmites e categorias excluídos">🗑️ Lixeira</button>
+          <button type="button" id="qi-team-catalogs-btn" class="action-btn enhanced-btn" title="Assinar ou publicar catálogos de trâmites da equipe">👥 Catálogos da Equipe</button>
         </div>
       </div>
       <div class="qi-main-content">
@@ -2498,6 +2722,15 @@ async function openQuickInserterPanel() {
     const newData = await getStoredData()
     data.messages = newData.messages
     data.categories = newData.categories
+    const newTeamData = await getTeamCatalogData()
+    teamData.messages = newTeamData.messages
+    teamData.categories = newTeamData.categories
+    if (
+      isTeamCatalogId(activeCategory) &&
+      !teamData.categories.some(cat => cat.id === activeCategory)
+    ) {
+      activeCategory = 'all'
+    }
 
     // Re-renderiza as categorias e mensagens
     renderCategories()
@@ -2779,13 +3012,37 @@ async function openQuickInserterPanel() {
 
       categoriesList.appendChild(categoryItem)
     })
+
+    if (teamData.categories.length > 0) {
+      categoriesList.insertAdjacentHTML(
+        'beforeend',
+        '<div class="qi-category-group-title">👥 Equipe</div>'
+      )
+      teamData.categories.forEach(cat => {
+        const categoryItem = document.createElement('div')
+        categoryItem.className = `qi-category-item qi-team-category ${activeCategory === cat.id ? 'active' : ''
+          }`
+        categoryItem.dataset.id = cat.id
+        categoryItem.title = `Catálogo da equipe (somente leitura) — publicado por ${cat.publishedBy || 'editor'}`
+        categoryItem.innerHTML = `
+          <span class="qi-category-name">${escapeHTML(cat.name)}</span>
+          <span class="qi-category-shortcut">${escapeHTML(cat.channel)}</span>
+        `
+        categoriesList.appendChild(categoryItem)
+      })
+    }
   }
 
+  // Procura o trâmite tanto nos pessoais quanto nos catálogos da equipe
+  const findPanelMessage = id =>
+    data.messages.find(m => m.id === id) ||
+    teamData.messages.find(m => m.id === id)
+
   const renderMessages = () => {
     const searchTerm = searchInput.value.toLowerCase()
     messagesList.innerHTML = ''
 
-    const filteredMessages = data.messages
+    const filteredMessages = [...data.messages, ...teamData.messages]
       .filter(msg => {
         const inCategory =
           activeCategory === 'all' || msg.categoryId === activeCategory
@@ -2800,16 +3057,20 @@ async function openQuickInserterPanel() {
       item.dataset.id = msg.id
 
       const dragHandleHtml =
-        activeCategory !== 'all'
+        activeCategory !== 'all' && !msg.readOnly
           ? `<span class="qi-drag-handle" draggable="true" title="Arraste para reordenar">⠿</span>`
           : ''
+      const actionsHtml = msg.readOnly
+        ? `<button type="button" class="fork-message-btn" title="Copiar para meus trâmites">📥</button>`
+        : `<button type="button" class="history-message-btn" title="Histórico de versões">🕘</button>
+                    <button type="button" class="edit-message-btn" title="Editar">✏️</button>
+                    <button type="button" class="delete-message-btn" title="Excluir">🗑️</button>`
 
       item.innerHTML = `
                 ${dragHandleHtml}
                 <span class="qi-message-title">${escapeHTML(msg.title)}</span>
                 <div class="qi-message-actions">
-                    <button type="button" class="edit-message-btn" title="Editar">✏️</button>
-                    <button type="button" class="delete-message-btn" title="Excluir">🗑️</button>
+                    ${actionsHtml}
                 </div>
             `
       messagesList.appendChild(item)
@@ -2821,7 +3082,7 @@ async function openQuickInserterPanel() {
     messagesList.removeEventListener('drop', qiHandleDrop)
 
     // Adiciona listeners se estivermos em uma categoria para drag & drop
-    if (activeCategory !== 'all') {
+    if (activeCategory !== 'all' && !isTeamCatalogId(activeCategory)) {
       messagesList.querySelectorAll('.qi-drag-handle').forEach(handle => {
         handle.addEventListener('dragstart', qiHandleDragStart)
         handle.addEventListener('dragend', qiHandleDragEnd)
@@ -2863,7 +3124,10 @@ async function openQuickInserterPanel() {
   // Botão Adicionar Novo
   document.getElementById('qi-add-new-btn').addEventListener('click', () => {
     // Passa a categoria ativa para pré-selecionar no modal (simula dados de edição)
-    const activeCategoryData = activeCategory !== 'all' ? { categoryId: activeCategory } : null
+    const activeCategoryData =
+      activeCategory !== 'all' && !isTeamCatalogId(activeCategory)
+        ? { categoryId: activeCategory }
+        : null
     openMessageModal(activeCategoryData) // Abre o modal para adicionar um novo trâmite
   })
 
@@ -2885,6 +3149,22 @@ async function openQuickInserterPanel() {
       openImportExportModal()
     })
 
+  // Listener para o botão dos Catálogos da Equipe
+  document
+    .getElementById('qi-team-catalogs-btn')
+    .addEventListener('click', e => {
+      e.preventDefault()
+      e.stopPropagation()
+      openTeamCatalogsModal()
+    })
+
+  // Listener para o botão da Lixeira
+  document.getElementById('qi-trash-btn').addEventListener('click', e => {
+    e.preventDefault()
+    e.stopPropagation()
+    openQuickMessagesTrashModal()
+  })
+
   // Busca
   searchInput.addEventListener('input', renderMessages)
 
@@ -2903,18 +3183,30 @@ async function openQuickInserterPanel() {
   messagesList.addEventListener('mouseover', e => {
     const messageItem = e.target.closest('.qi-message-item')
     if (messageItem) {
-      const message = data.messages.find(m => m.id === messageItem.dataset.id)
+      const message = findPanelMessage(messageItem.dataset.id)
       updatePreview(message)
     }
   })
 
-  messagesList.addEventListener('click', e => {
+  messagesList.addEventListener('click', async e => {
     const messageItem = e.target.closest('.qi-message-item')
     if (!messageItem) return
 
-    const message = data.messages.find(m => m.id === messageItem.dataset.id)
+    const message = findPanelMessage(messageItem.dataset.id)
     if (!message) return
 
+    // Ação para o botão de copiar um trâmite da equipe para os pessoais
+    if (e.target.closest('.fork-message-btn')) {
+      openForkTeamMessageModal(message)
+      return
+    }
+
+    // Ação para o botão de histórico de versões
+    if (e.target.closest('.history-message-btn')) {
+      openMessageHistoryModal(message)
+      return
+    }
+
     // Ação para o botão de editar
     if (e.target.closest('.edit-message-btn')) {
       openMessageModal(message)
@@ -2923,7 +3215,7 @@ async function openQuickInserterPanel() {
 
     // Ação para o botão de excluir
     if (e.target.closest('.delete-message-btn')) {
-      showConfirmDialog(`Excluir "${escapeHTML(message.title)}"?`, async () => {
+      showConfirmDialog(`Mover "${escapeHTML(message.title)}" para a lixeira?`, async () => {
         await removeMessageFromStorage(message.id)
         // Recarrega os dados e renderiza a lista novamente
         const newData = await getStoredData()
@@ -2937,7 +3229,9 @@ async function openQuickInserterPanel() {
 
     // Ação padrão: inserir o texto
     if (textArea) {
-      insertAtCursor(textArea, message.message)
+      const resolvedContent = await renderTemplate(message.message)
+      if (resolvedContent === null) return
+      insertAtCursor(textArea, resolvedContent)
       closeModal()
     } else {
       showNotification(
@@ -2951,6 +3245,685 @@ async function openQuickInserterPanel() {
   renderCategories()
   renderMessages()
   searchInput.focus()
+
+  // Atualiza os catálogos da equipe em segundo plano se houver nova versão publicada
+  syncTeamCatalogsIfOutdated().then(updated => {
+    if (updated) refreshQuickInserterPanel()
+  })
+}
+
+// --- HISTÓRICO DE VERSÕES E LIXEIRA (UI) ---
+
+/**
+ * Formata o timestamp de uma versão/exclusão para exibição.
+ * @param {number|null} timestamp - O timestamp.
+ * @returns {string} Data e hora formatadas ou um traço.
+ */
+function formatHistoryTimestamp(timestamp) {
+  return timestamp
+    ? new Date(timestamp).toLocaleString('pt-BR', {
+      dateStyle: 'short',
+      timeStyle: 'short'
+    })
+    : '—'
+}
+
+/**
+ * Gera o HTML da diferença entre duas versões de um trâmite.
+ * @param {{title: string, message: string}} from - Versão de origem.
+ * @param {{title: string, message: string}} to - Versão de destino.
+ * @returns {string} O HTML da diferença.
+ */
+function renderMessageDiffHtml(from, to) {
+  const titleHtml =
+    from.title !== to.title
+      ? `<div class="qm-diff-title"><span class="qm-diff-removed">${escapeHTML(
+        from.title
+      )}</span> → <span class="qm-diff-added">${escapeHTML(to.title)}</span></div>`
+      : ''
+
+  const lines = computeLineDiff(from.message, to.message)
+  if (!titleHtml && lines.every(line => line.type === 'equal')) {
+    return '<p class="qm-history-empty">As versões selecionadas são idênticas.</p>'
+  }
+
+  const markers = { equal: ' ', added: '+', removed: '−' }
+  const linesHtml = lines
+    .map(
+      line =>
+        `<div class="qm-diff-line qm-diff-${line.type}"><span class="qm-diff-marker">${markers[line.type]
+        }</span>${escapeHTML(line.text) || '&nbsp;'}</div>`
+    )
+    .join('')
+
+  return `${titleHtml}<div class="qm-diff-lines">${linesHtml}</div>`
+}
+
+/**
+ * Abre o histórico de versões de um trâmite, com comparação entre duas
+ * versões e opção de restaurar qualquer versão anterior.
+ * @param {object} message - O trâmite atual.
+ */
+async function openMessageHistoryModal(message) {
+  const history = await getQuickMessagesHistory()
+  const revisions = history.revisions[message.id] || []
+
+  if (revisions.length === 0) {
+    showNotification('Este trâmite ainda não possui versões anteriores.', 'info')
+    return
+  }
+
+  const versions = [
+    {
+      key: 'current',
+      label: 'Versão atual',
+      date: message.updatedAt,
+      title: message.title,
+      message: message.message
+    },
+    ...revisions.map((revision, index) => ({
+      key: String(index),
+      label: `Versão ${revisions.length - index}`,
+      date: revision.savedAt,
+      replacedAt: revision.replacedAt,
+      title: revision.title,
+      message: revision.message
+    }))
+  ]
+
+  const itemsHtml = versions
+    .map(
+      (version, index) => `
+      <div class="qm-history-item" data-key="${version.key}">
+        <label title="Comparar a partir desta versão"><input type="radio" name="qm-diff-from" value="${version.key}" ${index === 1 ? 'checked' : ''
+        }> De</label>
+        <label title="Comparar até esta versão"><input type="radio" name="qm-diff-to" value="${version.key}" ${index === 0 ? 'checked' : ''
+        }> Para</label>
+        <div class="qm-history-info">
+          <strong>${escapeHTML(version.label)}</strong>
+          <span class="qm-history-title">${escapeHTML(version.title)}</span>
+          <small>${version.date ? `Salva em ${formatHistoryTimestamp(version.date)}` : 'Data de criação desconhecida'
+        }${version.replacedAt ? ` · substituída em ${formatHistoryTimestamp(version.replacedAt)}` : ''
+        }</small>
+        </div>
+        ${version.key !== 'current'
+          ? `<button type="button" class="action-btn qm-history-restore-btn" data-index="${version.key}">↩️ Restaurar esta versão</button>`
+          : ''
+        }
+      </div>`
+    )
+    .join('')
+
+  const modal = createModal(
+    `Histórico: ${message.title}`,
+    `
+      <div class="qm-history-list">${itemsHtml}</div>
+      <h5>Diferenças</h5>
+      <div class="qm-history-diff"></div>
+    `,
+    null,
+    { isManagementModal: true, showShareButton: false }
+  )
+
+  const diffArea = modal.querySelector('.qm-history-diff')
+  const findVersion = key => versions.find(v => v.key === key)
+  const updateDiff = () => {
+    const fromKey = modal.querySelector('input[name="qm-diff-from"]:checked')?.value
+    const toKey = modal.querySelector('input[name="qm-diff-to"]:checked')?.value
+    diffArea.innerHTML = renderMessageDiffHtml(findVersion(fromKey), findVersion(toKey))
+  }
+
+  modal.querySelector('.qm-history-list').addEventListener('change', updateDiff)
+  modal.querySelector('.qm-history-list').addEventListener('click', e => {
+    const restoreBtn = e.target.closest('.qm-history-restore-btn')
+    if (!restoreBtn) return
+
+    const index = parseInt(restoreBtn.dataset.index, 10)
+    showConfirmDialog(
+      `Restaurar a ${escapeHTML(versions[index + 1].label)} de "${escapeHTML(
+        message.title
+      )}"? A versão atual continuará disponível no histórico.`,
+      async () => {
+        const restored = await restoreMessageRevision(message.id, index)
+        if (!restored) {
+          showNotification('Não foi possível restaurar a versão.', 'error')
+          return
+        }
+        modal.querySelector('.se-close-modal-btn')?.click()
+        reloadAllQuickMessagesInstances()
+        await refreshQuickInserterPanel()
+        showNotification('Versão restaurada com sucesso!', 'success')
+      }
+    )
+  })
+
+  document.body.appendChild(modal)
+  updateDiff()
+}
+
+/**
+ * Abre a lixeira de trâmites e categorias excluídos, permitindo restaurar
+ * ou excluir definitivamente cada item.
+ */
+async function openQuickMessagesTrashModal() {
+  const modal = createModal(
+    '🗑️ Lixeira de Trâmites',
+    '<div class="qm-trash-container"></div>',
+    null,
+    { isManagementModal: true, showShareButton: false }
+  )
+  const container = modal.querySelector('.qm-trash-container')
+
+  const render = async () => {
+    const history = await getQuickMessagesHistory()
+    const { retentionDays } = await getQuickMessagesHistoryLimits()
+    const { messages, categories } = history.trash
+
+    const renderItem = (type, item, title, details) => `
+      <div class="qm-trash-item">
+        <div class="qm-history-info">
+          <strong>${escapeHTML(title)}</strong>
+          <small>${escapeHTML(details)} · excluído em ${formatHistoryTimestamp(item.deletedAt)}</small>
+        </div>
+        <button type="button" class="action-btn" data-action="restore" data-type="${type}" data-trash-id="${escapeHTML(
+      item.trashId
+    )}">↩️ Restaurar</button>
+        <button type="button" class="action-btn" data-action="purge" data-trash-id="${escapeHTML(
+      item.trashId
+    )}" title="Excluir definitivamente">✖</button>
+      </div>`
+
+    const categoriesHtml = categories
+      .map(item =>
+        renderItem(
+          'category',
+          item,
+          item.category.name,
+          `Categoria com ${item.messageIds.length} trâmite(s)`
+        )
+      )
+      .join('')
+    const messagesHtml = messages
+      .map(item =>
+        renderItem(
+          'message',
+          item,
+          item.message.title,
+          item.categoryName ? `Categoria: ${item.categoryName}` : 'Trâmite'
+        )
+      )
+      .join('')
+
+    container.innerHTML = `
+      <p class="qm-history-empty">Os itens excluídos ficam disponíveis por ${retentionDays} dia(s). O prazo pode ser alterado em Configurações › Preferências.</p>
+      ${categories.length ? `<h5>Categorias</h5>${categoriesHtml}` : ''}
+      ${messages.length ? `<h5>Trâmites</h5>${messagesHtml}` : ''}
+      ${categories.length || messages.length
+        ? '<button type="button" class="action-btn qm-trash-empty-btn" data-action="empty">Esvaziar lixeira</button>'
+        : '<p class="qm-history-empty">A lixeira está vazia.</p>'
+      }
+    `
+  }
+
+  container.addEventListener('click', async e => {
+    const button = e.target.closest('button[data-action]')
+    if (!button) return
+    const { action, type, trashId } = button.dataset
+
+    if (action === 'restore') {
+      const restored =
+        type === 'category'
+          ? await restoreCategoryFromTrash(trashId)
+          : await restoreMessageFromTrash(trashId)
+      if (!restored) {
+        showNotification('Não foi possível restaurar o item.', 'error')
+        return
+      }
+      reloadAllQuickMessagesInstances()
+      await refreshQuickInserterPanel()
+      showNotification('Item restaurado com sucesso!', 'success')
+      await render()
+    } else if (action === 'purge') {
+      await purgeQuickMessagesTrash([trashId])
+      await render()
+    } else if (action === 'empty') {
+      showConfirmDialog(
+        'Excluir definitivamente todos os itens da lixeira? Esta ação não pode ser desfeita.',
+        async () => {
+          await purgeQuickMessagesTrash()
+          await render()
+        }
+      )
+    }
+  })
+
+  document.body.appendChild(modal)
+  await render()
+}
+
+// --- CATÁLOGOS DA EQUIPE (UI) ---
+
+/**
+ * Abre o modal para copiar um trâmite da equipe para uma categoria pessoal,
+ * onde ele passa a ser editável.
+ * @param {object} teamMessage - Trâmite do catálogo da equipe.
+ */
+async function openForkTeamMessageModal(teamMessage) {
+  const data = await getStoredData()
+  const optionsHtml = data.categories
+    .map(cat => `<option value="${cat.id}">${escapeHTML(cat.name)}</option>`)
+    .join('')
+
+  const modal = createModal(
+    'Copiar para Meus Trâmites',
+    `
+      <p>O trâmite <b>${escapeHTML(teamMessage.title)}</b> será copiado para a sua lista pessoal. Alterações na cópia não afetam o catálogo da equipe.</p>
+      <div class="form-group">
+        <label for="fork-category-select">Categoria de destino</label>
+        <select id="fork-category-select">${optionsHtml}</select>
+      </div>
+    `,
+    async (modalContent, closeModal) => {
+      const categoryId = modalContent.querySelector('#fork-category-select').value
+      try {
+        await forkTeamMessage(teamMessage, categoryId)
+        reloadAllQuickMessagesInstances()
+        await refreshQuickInserterPanel()
+        showNotification('Trâmite copiado para a sua lista!', 'success')
+        closeModal()
+      } catch (error) {
+        showNotification(error.message, 'error')
+      }
+    }
+  )
+  document.body.appendChild(modal)
+}
+
+/**
+ * Abre o modal dos catálogos da equipe: assinatura de canais para todos e,
+ * para editores, publicação/remoção de categorias nos canais permitidos.
+ */
+async function openTeamCatalogsModal() {
+  const [channels, subscribed, publishChannels, data] = await Promise.all([
+    getTeamCatalogChannels(),
+    getSubscribedCatalogChannels(),
+    getTeamCatalogPublishChannels(),
+    getStoredData()
+  ])
+
+  const subscriptionsHtml = channels
+    .map(
+      (channel, index) => `
+      <div class="form-checkbox-group">
+        <input type="checkbox" id="team-catalog-channel-${index}" value="${escapeHTML(channel)}" ${subscribed.includes(channel) ? 'checked' : ''
+        }>
+        <label for="team-catalog-channel-${index}">${escapeHTML(channel)}</label>
+      </div>`
+    )
+    .join('')
+
+  const publishHtml =
+    publishChannels.length > 0
+      ? `
+      <hr>
+      <h5>📤 Publicar Categoria (Editores)</h5>
+      <p class="qm-history-empty">A categoria é publicada como somente leitura. Publicar novamente a mesma categoria atualiza o catálogo para todos os assinantes.</p>
+      <div class="form-group">
+        <label for="team-catalog-category">Categoria pessoal</label>
+        <select id="team-catalog-category">${data.categories
+        .map(cat => `<option value="${cat.id}">${escapeHTML(cat.name)}</option>`)
+        .join('')}</select>
+      </div>
+      <div class="form-group">
+        <label for="team-catalog-publish-channel">Canal</label>
+        <select id="team-catalog-publish-channel">${publishChannels
+        .map(ch => `<option value="${escapeHTML(ch)}">${escapeHTML(ch)}</option>`)
+        .join('')}</select>
+      </div>
+      <button type="button" id="team-catalog-publish-btn" class="action-btn action-btn-themed">📤 Publicar</button>
+      <h5 style="margin-top: 15px;">Publicadas neste canal</h5>
+      <div id="team-catalog-published-list"></div>`
+      : ''
+
+  const modal = createModal(
+    '👥 Catálogos da Equipe',
+    `
+      <h5>Canais assinados</h5>
+      <p class="qm-history-empty">As categorias publicadas nos canais assinados aparecem no Painel de Trâmites, na seção "Equipe".</p>
+      <div class="team-catalog-channels">${subscriptionsHtml}</div>
+      ${publishHtml}
+    `,
+    async (modalContent, closeModal) => {
+      const selected = [
+        ...modalContent.querySelectorAll('.team-catalog-channels input:checked')
+      ].map(input => input.value)
+      await saveSubscribedCatalogChannels(selected)
+      await refreshQuickInserterPanel()
+      showNotification('Assinaturas dos catálogos salvas!', 'success')
+      closeModal()
+    }
+  )
+
+  const publishedList = modal.querySelector('#team-catalog-published-list')
+  const channelSelect = modal.querySelector('#team-catalog-publish-channel')
+
+  const renderPublished = async () => {
+    if (!publishedList) return
+    publishedList.innerHTML = '<p class="qm-history-empty">Carregando...</p>'
+    try {
+      const published = await listPublishedTeamCatalogs(channelSelect.value)
+      publishedList.innerHTML =
+        published.length > 0
+          ? published
+            .map(
+              item => `
+            <div class="qm-trash-item">
+              <div class="qm-history-info">
+                <strong>${escapeHTML(item.name)}</strong>
+                <small>${item.count} trâmite(s) · ${escapeHTML(item.publishedBy)} · ${formatHistoryTimestamp(
+                item.updatedAt ? new Date(item.updatedAt).getTime() : null
+              )}</small>
+              </div>
+              <button type="button" class="action-btn" data-unpublish-id="${escapeHTML(
+                item.id
+              )}" data-name="${escapeHTML(item.name)}">Remover</button>
+            </div>`
+            )
+            .join('')
+          : '<p class="qm-history-empty">Nenhuma categoria publicada neste canal.</p>'
+    } catch (error) {
+      publishedList.innerHTML =
+        '<p class="qm-history-empty">Não foi possível carregar as categorias publicadas.</p>'
+    }
+  }
+
+  if (publishedList) {
+    channelSelect.addEventListener('change', renderPublished)
+
+    modal.querySelector('#team-catalog-publish-btn').addEventListener('click', async e => {
+      const button = e.currentTarget
+      const categoryId = modal.querySelector('#team-catalog-category').value
+      button.disabled = true
+      try {
+        await publishTeamCatalogCategory(categoryId, channelSelect.value)
+        showNotification('Categoria publicada para a equipe!', 'success')
+        await renderPublished()
+        if (await syncTeamCatalogs(true)) await refreshQuickInserterPanel()
+      } catch (error) {
+        showNotification(`Falha ao publicar: ${error.message}`, 'error')
+      } finally {
+        button.disabled = false
+      }
+    })
+
+    publishedList.addEventListener('click', e => {
+      const button = e.target.closest('[data-unpublish-id]')
+      if (!button) return
+      const channel = channelSelect.value
+      showConfirmDialog(
+        `Remover "${escapeHTML(button.dataset.name)}" do canal ${escapeHTML(
+          channel
+        )}? Os assinantes deixarão de vê-la.`,
+        async () => {
+          try {
+            await unpublishTeamCatalogCategory(channel, button.dataset.unpublishId, button.dataset.name)
+            showNotification('Categoria removida do catálogo.', 'success')
+            await renderPublished()
+            if (await syncTeamCatalogs(true)) await refreshQuickInserterPanel()
+          } catch (error) {
+            showNotification(`Falha ao remover: ${error.message}`, 'error')
+          }
+        }
+      )
+    })
+  }
+
+  document.body.appendChild(modal)
+  renderPublished()
+}
+
+/**
+ * Abre o modal do calendário de expediente: horário de trabalho por dia da semana,
+ * feriados móveis, região e feriados extras do analista. Editores Master também
+ * podem publicar o calendário base e as regiões para a equipe.
+ */
+async function openBusinessCalendarModal() {
+  const [storage, overrides] = await Promise.all([
+    chrome.storage.local.get(['publishedBusinessCalendar', 'userUnidade', 'userRegiao']),
+    getBusinessCalendarOverrides()
+  ])
+  const published = storage.publishedBusinessCalendar || DEFAULT_BUSINESS_CALENDAR
+  const userInfo = { unidade: storage.userUnidade, regiao: storage.userRegiao }
+  const isMaster = !!window.sgdPermissions?.isMaster
+  const publishedHours = normalizeWorkingHours(published.workingHours)
+  const workingHours = normalizeWorkingHours(overrides.workingHours || published.workingHours)
+  const movableHolidays = overrides.movableHolidays || published.movableHolidays || []
+  const regions = published.regions || {}
+  const detectedRegionKey = resolveBusinessRegion(regions, userInfo)
+
+  // Segunda a sábado e, por último, domingo.
+  const weekdayRowsHtml = [1, 2, 3, 4, 5, 6, 0]
+    .map(weekday => {
+      const periods = workingHours[weekday]
+      const periodInputs = [0, 1]
+        .map(
+          index => `
+          <input type="time" data-weekday="${weekday}" data-period="${index}" data-edge="start" value="${periods[index] ? periods[index].start : ''
+            }"> –
+          <input type="time" data-weekday="${weekday}" data-period="${index}" data-edge="end" value="${periods[index] ? periods[index].end : ''
+            }">`
+        )
+        .join('<span class="business-calendar-separator">|</span>')
+      return `
+        <div class="business-calendar-weekday">
+          <span class="business-calendar-weekday-name">${WEEKDAY_NAMES[weekday]}</span>
+          ${periodInputs}
+        </div>`
+    })
+    .join('')
+
+  const movableHtml = Object.entries(MOVABLE_HOLIDAYS)
+    .map(
+      ([id, holiday]) => `
+      <div class="form-checkbox-group">
+        <input type="checkbox" id="movable-holiday-${id}" value="${id}" ${movableHolidays.includes(id) ? 'checked' : ''
+        }>
+        <label for="movable-holiday-${id}">${escapeHTML(holiday.name)}</label>
+      </div>`
+    )
+    .join('')
+
+  const detectedRegionName = detectedRegionKey
+    ? regions[detectedRegionKey].name || detectedRegionKey
+    : 'nenhuma região encontrada'
+  const regionOptionsHtml = [
+    `<option value="">Automática (${escapeHTML(detectedRegionName)})</option>`,
+    ...Object.entries(regions).map(
+      ([key, region]) =>
+        `<option value="${escapeHTML(key)}" ${overrides.regionKey === key ? 'selected' : ''}>${escapeHTML(
+          region.name || key
+        )}</option>`
+    ),
+    `<option value="${BUSINESS_CALENDAR_REGION_NONE}" ${overrides.regionKey === BUSINESS_CALENDAR_REGION_NONE ? 'selected' : ''
+    }>Somente feriados nacionais</option>`
+  ].join('')
+
+  const masterHtml = isMaster
+    ? `
+      <hr>
+      <h5>📤 Calendário da Equipe (Editores Master)</h5>
+      <p class="qm-history-empty">Publica o horário e os feriados móveis acima, os feriados abaixo e as regiões como calendário base de todos os analistas.</p>
+      <div class="form-group">
+        <label for="business-calendar-team-holidays">Feriados da equipe (um por linha)</label>
+        <textarea id="business-calendar-team-holidays" rows="5">${escapeHTML(
+      formatHolidayLines(published.holidays)
+    )}</textarea>
+      </div>
+      <div class="form-group">
+        <label for="business-calendar-regions">Regiões (JSON: { "chave": { "name", "units": [], "holidays": [{ "date", "name" }], "movableHolidays": [] } })</label>
+        <textarea id="business-calendar-regions" rows="6" class="business-calendar-json">${escapeHTML(
+      JSON.stringify(regions, null, 2)
+    )}</textarea>
+      </div>
+      <button type="button" id="business-calendar-publish-btn" class="action-btn action-btn-themed">📤 Publicar para a equipe</button>`
+    : ''
+
+  const readWorkingHours = modalContent => {
+    const hours = {}
+    for (let weekday = 0; weekday < 7; weekday++) {
+      hours[weekday] = [0, 1].map(index => ({
+        start: modalContent.querySelector(
+          `input[data-weekday="${weekday}"][data-period="${index}"][data-edge="start"]`
+        ).value,
+        end: modalContent.querySelector(
+          `input[data-weekday="${weekday}"][data-period="${index}"][data-edge="end"]`
+        ).value
+      }))
+    }
+    return normalizeWorkingHours(hours)
+  }
+
+  const readMovableHolidays = modalContent =>
+    [...modalContent.querySelectorAll('input[id^="movable-holiday-"]:checked')].map(
+      input => input.value
+    )
+
+  // Só grava como ajuste o que difere do calendário publicado, para que as
+  // atualizações publicadas continuem chegando ao analista.
+  const readOverrides = modalContent => {
+    const result = {}
+    const hours = readWorkingHours(modalContent)
+    if (JSON.stringify(hours) !== JSON.stringify(publishedHours)) result.workingHours = hours
+    const movable = readMovableHolidays(modalContent)
+    if (
+      [...movable].sort().join() !== [...(published.movableHolidays || [])].sort().join()
+    ) {
+      result.movableHolidays = movable
+    }
+    const { holidays } = parseHolidayLines(
+      modalContent.querySelector('#business-calendar-extra-holidays').value
+    )
+    if (holidays.length > 0) result.extraHolidays = holidays
+    const regionKey = modalContent.querySelector('#business-calendar-region').value
+    if (regionKey) result.regionKey = regionKey
+    return result
+  }
+
+  const modal = createModal(
+    '📅 Expediente e Feriados',
+    `
+      <p class="qm-history-empty">O tempo das Pendências conta apenas o horário de trabalho. Deixe os dois horários de um dia em branco para marcá-lo como dia sem expediente.</p>
+      <h5>Horário de trabalho</h5>
+      <div class="business-calendar-weekdays">${weekdayRowsHtml}</div>
+      <h5>Feriados móveis</h5>
+      <div class="business-calendar-movable">${movableHtml}</div>
+      <div class="form-group">
+        <label for="business-calendar-region">Região (feriados estaduais e municipais)</label>
+        <select id="business-calendar-region">${regionOptionsHtml}</select>
+      </div>
+      <div class="form-group">
+        <label for="business-calendar-extra-holidays">Feriados extras (um por linha: "DD/MM Nome" ou "DD/MM/AAAA Nome")</label>
+        <textarea id="business-calendar-extra-holidays" rows="3">${escapeHTML(
+      formatHolidayLines(overrides.extraHolidays)
+    )}</textarea>
+      </div>
+      <h5>Feriados de ${new Date().getFullYear()}</h5>
+      <div id="business-calendar-preview" class="business-calendar-preview"></div>
+      ${masterHtml}
+    `,
+    async (modalContent, closeModal) => {
+      const { invalidLines } = parseHolidayLines(
+        modalContent.querySelector('#business-calendar-extra-holidays').value
+      )
+      if (invalidLines.length > 0) {
+        showNotification(`Feriado inválido: "${invalidLines[0]}"`, 'error')
+        return
+      }
+      if (!hasWorkingWeekday(readWorkingHours(modalContent))) {
+        showNotification('Preencha o horário de ao menos um dia com expediente.', 'error')
+        return
+      }
+      await saveBusinessCalendarOverrides(readOverrides(modalContent))
+      showNotification('Calendário de expediente salvo!', 'success')
+      closeModal()
+    },
+    {
+      extraActionsHtml:
+        '<button type="button" id="business-calendar-reset-btn" class="action-btn modal-actions-left" title="Descarta os ajustes locais e usa o calendário publicado">Restaurar Padrão</button>'
+    }
+  )
+
+  const renderPreview = () => {
+    const year = new Date().getFullYear()
+    const calendar = buildBusinessCalendar(published, readOverrides(modal), userInfo)
+    const holidays = [...getHolidaysForYear(year, calendar).entries()].sort(([a], [b]) =>
+      a.localeCompare(b)
+    )
+    modal.querySelector('#business-calendar-preview').innerHTML = holidays
+      .map(([dateKey, name]) => {
+        const [, month, day] = dateKey.split('-')
+        const weekday = WEEKDAY_NAMES[new Date(year, month - 1, day).getDay()]
+        return `<div class="business-calendar-preview-item"><strong>${day}/${month}</strong> ${escapeHTML(
+          name
+        )} <small>${weekday}</small></div>`
+      })
+      .join('')
+  }
+
+  modal.addEventListener('input', renderPreview)
+  modal.addEventListener('change', renderPreview)
+
+  modal.querySelector('#business-calendar-reset-btn').addEventListener('click', () => {
+    showConfirmDialog(
+      'Descartar os ajustes locais e usar o calendário publicado pela equipe?',
+      async () => {
+        await saveBusinessCalendarOverrides({})
+        showNotification('Calendário publicado restaurado.', 'success')
+        modal.querySelector('.se-close-modal-btn').click()
+      }
+    )
+  })
+
+  const publishButton = modal.querySelector('#business-calendar-publish-btn')
+  if (publishButton) {
+    publishButton.addEventListener('click', async () => {
+      const { holidays, invalidLines } = parseHolidayLines(
+        modal.querySelector('#business-calendar-team-holidays').value
+      )
+      if (invalidLines.length > 0) {
+        showNotification(`Feriado inválido: "${invalidLines[0]}"`, 'error')
+        return
+      }
+      let teamRegions
+      try {
+        teamRegions = JSON.parse(modal.querySelector('#business-calendar-regions').value || '{}')
+      } catch (error) {
+        showNotification('O JSON das regiões é inválido.', 'error')
+        return
+      }
+      if (!hasWorkingWeekday(readWorkingHours(modal))) {
+        showNotification('Preencha o horário de ao menos um dia com expediente.', 'error')
+        return
+      }
+      publishButton.disabled = true
+      try {
+        await publishBusinessCalendar({
+          workingHours: readWorkingHours(modal),
+          holidays,
+          movableHolidays: readMovableHolidays(modal),
+          regions: teamRegions
+        })
+        showNotification('Calendário publicado para a equipe!', 'success')
+      } catch (error) {
+        showNotification(`Falha ao publicar: ${error.message}`, 'error')
+      } finally {
+        publishButton.disabled = false
+      }
+    })
+  }
+
+  document.body.appendChild(modal)
+  renderPreview()
 }
 
 /**
@@ -3079,6 +4052,34 @@ async function savePreferencesSettings(modal) {
     newPreferences.enableAutoCapitalize = enableAutoCapitalizeCheckbox.checked;
   }
 
+  // Colagem de conteúdo formatado (Word, Outlook, Teams e Excel)
+  const enableRichPasteCheckbox = container.querySelector('#enable-rich-paste');
+  if (enableRichPasteCheckbox) {
+    newPreferences.enableRichPaste = enableRichPasteCheckbox.checked;
+  }
+  const selectedPasteTablesAs = container.querySelector('input[name="pasteTablesAs"]:checked');
+  if (selectedPasteTablesAs) {
+    newPreferences.pasteTablesAs = selectedPasteTablesAs.value;
+  }
+
+  // Limites do histórico de versões e da lixeira de trâmites
+  const historyLimitInput = container.querySelector('#message-history-limit');
+  const trashRetentionInput = container.querySelector('#trash-retention-days');
+  if (historyLimitInput && trashRetentionInput) {
+    const historyLimit = parseInt(historyLimitInput.value, 10);
+    const trashRetentionDays = parseInt(trashRetentionInput.value, 10);
+    if (!(historyLimit >= 1 && historyLimit <= 50)) {
+      showNotification('Informe de 1 a 50 versões para o histórico de trâmites.', 'error');
+      return false;
+    }
+    if (!(trashRetentionDays >= 1 && trashRetentionDays <= 365)) {
+      showNotification('Informe de 1 a 365 dias para a retenção da lixeira.', 'error');
+      return false;
+    }
+    newPreferences.messageHistoryLimit = historyLimit;
+    newPreferences.trashRetentionDays = trashRetentionDays;
+  }
+
   // NOVO: Ler preferência para lembrar a classificação automática padrão
   const rememberLastClassificationCheckbox = container.querySelector('#remember-last-classification');
   if (rememberLastClassificationCheckbox && !rememberLastClassificationCheckbox.disabled) {
@@ -3113,6 +4114,96 @@ async function savePreferencesSettings(modal) {
   }
 }
 
+/**
+ * Renderiza as linhas de edição das variáveis personalizadas no modal de configurações.
+ * @param {HTMLElement} modal - O elemento do modal de gerenciamento.
+ * @param {Array<{name: string, value: string, description: string}>} variables - Variáveis salvas.
+ */
+function renderCustomVariablesSettings(modal, variables) {
+  const list = modal.querySelector('#custom-variables-list')
+  const addButton = modal.querySelector('#add-custom-variable-btn')
+  if (!list || !addButton) return
+
+  const addRow = (variable = {}) => {
+    const row = document.createElement('div')
+    row.className = 'category-form custom-variable-row'
+    row.innerHTML = `
+      <input type="text" class="custom-variable-name" placeholder="nome" value="${escapeHTML(
+      variable.name || ''
+    )}" style="max-width: 120px;">
+      <input type="text" class="custom-variable-value" placeholder="Valor" value="${escapeHTML(
+      variable.value || ''
+    )}">
+      <input type="text" class="custom-variable-description" placeholder="Descrição (opcional)" value="${escapeHTML(
+      variable.description || ''
+    )}">
+      <button type="button" class="action-btn small-btn remove-custom-variable-btn" title="Remover variável" aria-label="Remover variável">🗑️</button>
+    `
+    row
+      .querySelector('.remove-custom-variable-btn')
+      .addEventListener('click', () => row.remove())
+    list.appendChild(row)
+  }
+
+  variables.forEach(addRow)
+  addButton.addEventListener('click', () => addRow())
+}
+
+/**
+ * Valida e salva as variáveis personalizadas a partir do modal de configurações.
+ * @param {HTMLElement} modal - O elemento do modal de gerenciamento.
+ * @returns {Promise<boolean>} Retorna true se salvou com sucesso.
+ */
+async function saveCustomVariablesSettings(modal) {
+  const container = modal.querySelector('#custom-variables-settings')
+  if (!container) return true
+
+  const customVariables = []
+  const seenNames = new Set()
+
+  for (const row of container.querySelectorAll('.custom-variable-row')) {
+    const name = row
+      .querySelector('.custom-variable-name')
+      .value.trim()
+      .replace(/^\[|\]$/g, '')
+      .toLowerCase()
+    const value = row.querySelector('.custom-variable-value').value
+    const description = row
+      .querySelector('.custom-variable-description')
+      .value.trim()
+
+    if (!name && !value) continue
+
+    if (!/^[a-z0-9_]+$/.test(name)) {
+      showNotification(
+        `Nome de variável inválido: "${name}". Use apenas letras, números e "_".`,
+        'error'
+      )
+      return false
+    }
+    if (isBuiltInTemplateVariable(name)) {
+      showNotification(`[${name}] já é uma variável do sistema.`, 'error')
+      return false
+    }
+    if (seenNames.has(name)) {
+      showNotification(`A variável [${name}] foi definida mais de uma vez.`, 'error')
+      return false
+    }
+
+    seenNames.add(name)
+    customVariables.push({ name, value, description })
+  }
+
+  try {
+    await saveSettings({ customVariables })
+    return true
+  } catch (error) {
+    console.error('Erro ao salvar variáveis personalizadas:', error)
+    showNotification('Erro ao salvar as variáveis personalizadas.', 'error')
+    return false
+  }
+}
+
 // --- GERENCIAMENTO DE SAUDAÇÕES E ENCERRAMENTOS ---
 
 /**
@@ -3324,6 +4415,7 @@ async function openGreetingClosingModal(
   const title = type === 'greetings' ? 'Saudação' : 'Encerramento'
 
   const modalInstanceId = `modal-gc-${Date.now()}` // ID único para a instância do editor no modal
+  const variableButtonsHtml = await renderVariableInserterButtons()
 
   const modalContent = `
         <div class="form-group">
@@ -3337,10 +4429,7 @@ async function openGreetingClosingModal(
                 <div class="dropdown">
                     <button type="button" class="action-btn small-btn">Inserir Variável ▼</button>
                     <div class="dropdown-content variable-inserter">
-                        <button type="button" data-variable="[usuario]">Nome do Usuário</button>
-                        <button type="button" data-variable="[saudacao]">Saudação (Bom dia/Boa tarde/Boa noite)</button>
-                        <button type="button" data-variable="[finalizacao]">Finalização (dia/semana)</button>
-                        <button type="button" data-variable="[solicitacao]">Número da Solicitação</button>
+                        ${variableButtonsHtml}
                     </div>
                 </div>
             </div>
@@ -3415,6 +4504,7 @@ async function openGreetingClosingModal(
       includeUsername: false,
       includeQuickStepsDropdown: false
     })
+    attachVariableAutocomplete(modalTextArea)
   }
 }
 
@@ -3633,6 +4723,10 @@ async function openImportExportModal() {
             <h4 style="margin-top: 0; text-align: center;">📤 Exportar</h4>
             <p style="text-align: center;">Selecione os trâmites que deseja exportar.</p>
             <div id="export-list" class="export-list" style="max-height: 300px; overflow-y: auto; border: 1px solid var(--border-color); padding: 10px; border-radius: 4px;"></div>
+            <div class="form-checkbox-group" style="margin-top: 10px; justify-content: center;">
+                <input type="checkbox" id="export-tag-rules-checkbox" checked>
+                <label for="export-tag-rules-checkbox">Incluir as regras de tags automáticas das pendências</label>
+            </div>
             <div class="import-export-actions" style="margin-top: 10px; display: flex; justify-content: center;">
                 <button type="button" id="export-btn" class="action-btn enhanced-btn" style="color: white;">Exportar Selecionados</button>
             </div>
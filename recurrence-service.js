@@ -0,0 +1,351 @@
+/**
+ * @file recurrence-service.js
+ * Regras de recorrência dos lembretes no formato RRULE do iCalendar (RFC 5545), ex:
+ * "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10".
+ *
+ * Suporta FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY (com ordinal: "1MO",
+ * "-1FR"), BYMONTHDAY, BYSETPOS, COUNT e UNTIL, além da extensão X-SKIP-HOLIDAYS=1, que
+ * descarta as ocorrências em feriados do calendário de expediente (business-calendar.js)
+ * antes do BYSETPOS (ex: "último dia útil do mês").
+ *
+ * Carregado como content script (modal de lembretes) e pelo Service Worker via importScripts
+ * (que calcula a próxima ocorrência e reagenda o alarme ao concluir um lembrete recorrente).
+ */
+
+const RECURRENCE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+
+const RECURRENCE_WEEKDAY_LABELS = {
+  MO: 'segunda-feira',
+  TU: 'terça-feira',
+  WE: 'quarta-feira',
+  TH: 'quinta-feira',
+  FR: 'sexta-feira',
+  SA: 'sábado',
+  SU: 'domingo'
+}
+
+const RECURRENCE_FREQUENCIES = {
+  DAILY: { every: 'Todos os dias', unit: 'dias' },
+  WEEKLY: { every: 'Toda semana', unit: 'semanas' },
+  MONTHLY: { every: 'Todo mês', unit: 'meses' },
+  YEARLY: { every: 'Todo ano', unit: 'anos' }
+}
+
+/**
+ * Regras prontas do seletor "Repetir". As chaves daily/weekly/monthly são os valores
+ * antigos do campo `recurrence`, convertidos por normalizeRecurrenceRule.
+ */
+const RECURRENCE_PRESETS = {
+  daily: { label: 'Diariamente', rule: 'FREQ=DAILY' },
+  weekdays: { label: 'Dias úteis (seg a sex, sem feriados)', rule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;X-SKIP-HOLIDAYS=1' },
+  weekly: { label: 'Semanalmente', rule: 'FREQ=WEEKLY' },
+  monthly: { label: 'Mensalmente', rule: 'FREQ=MONTHLY' },
+  'last-business-day': {
+    label: 'Último dia útil do mês',
+    rule: 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;X-SKIP-HOLIDAYS=1'
+  }
+}
+
+// Limite de períodos percorridos ao procurar a próxima ocorrência (evita laços infinitos
+// com regras que nunca geram datas, ex: BYMONTHDAY=31 com FREQ=MONTHLY;INTERVAL=12 em abril)
+const RECURRENCE_MAX_PERIODS = 5000
+
+/**
+ * Interpreta uma regra RRULE.
+ * @param {string} rule - A regra (com ou sem o prefixo "RRULE:").
+ * @returns {object|null} { freq, interval, byDay, byMonthDay, bySetPos, count, until,
+ *   skipHolidays } ou null se a regra for inválida.
+ */
+function parseRecurrenceRule(rule) {
+  if (!rule || typeof rule !== 'string') return null
+  const parts = {}
+  rule
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .forEach(part => {
+      const [key, value] = part.split('=')
+      if (key && value !== undefined) parts[key.trim().toUpperCase()] = value.trim().toUpperCase()
+    })
+
+  if (!RECURRENCE_FREQUENCIES[parts.FREQ]) return null
+
+  const parsed = {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    byDay: [],
+    byMonthDay: [],
+    bySetPos: [],
+    count: null,
+    until: null,
+    skipHolidays: parts['X-SKIP-HOLIDAYS'] === '1'
+  }
+
+  if (parts.BYDAY) {
+    for (const value of parts.BYDAY.split(',')) {
+      const match = value.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/)
+      if (!match) return null
+      parsed.byDay.push({ ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: match[2] })
+    }
+  }
+  if (parts.BYMONTHDAY) {
+    parsed.byMonthDay = parts.BYMONTHDAY.split(',').map(value => parseInt(value, 10))
+    if (parsed.byMonthDay.some(day => !day || Math.abs(day) > 31)) return null
+  }
+  if (parts.BYSETPOS) {
+    parsed.bySetPos = parts.BYSETPOS.split(',').map(value => parseInt(value, 10))
+    if (parsed.bySetPos.some(pos => !pos)) return null
+  }
+  if (parts.COUNT) {
+    parsed.count = parseInt(parts.COUNT, 10)
+    if (!(parsed.count > 0)) return null
+  }
+  if (parts.UNTIL) {
+    const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/)
+    if (!match) return null
+    const [, year, month, day, hours, minutes, seconds, utc] = match
+    if (hours === undefined) {
+      // Só a data: vale até o fim do dia
+      parsed.until = new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59)
+    } else if (utc) {
+      parsed.until = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+    } else {
+      parsed.until = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds))
+    }
+  }
+  return parsed
+}
+
+/**
+ * Monta a regra RRULE a partir do objeto de parseRecurrenceRule.
+ * @param {object} parsed - A regra interpretada.
+ * @returns {string} A regra (sem o prefixo "RRULE:").
+ */
+function serializeRecurrenceRule(parsed) {
+  const parts = [`FREQ=${parsed.freq}`]
+  if (parsed.interval > 1) parts.push(`INTERVAL=${parsed.interval}`)
+  if (parsed.byDay.length > 0) {
+    parts.push(`BYDAY=${parsed.byDay.map(day => `${day.ordinal ?? ''}${day.weekday}`).join(',')}`)
+  }
+  if (parsed.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${parsed.byMonthDay.join(',')}`)
+  if (parsed.bySetPos.length > 0) parts.push(`BYSETPOS=${parsed.bySetPos.join(',')}`)
+  if (parsed.count) parts.push(`COUNT=${parsed.count}`)
+  if (parsed.until) {
+    const until = parsed.until
+    parts.push(
+      `UNTIL=${until.getFullYear()}${String(until.getMonth() + 1).padStart(2, '0')}${String(until.getDate()).padStart(2, '0')}`
+    )
+  }
+  if (parsed.skipHolidays) parts.push('X-SKIP-HOLIDAYS=1')
+  return parts.join(';')
+}
+
+/**
+ * Converte o valor do campo `recurrence` (regra RRULE, chave de RECURRENCE_PRESETS ou os
+ * valores antigos 'daily'/'weekly'/'monthly') na regra RRULE normalizada.
+ * @param {string} value - O valor salvo no lembrete.
+ * @returns {string|null} A regra, ou null quando não repete.
+ */
+function normalizeRecurrenceRule(value) {
+  if (!value || value === 'none') return null
+  const preset = RECURRENCE_PRESETS[value]
+  const parsed = parseRecurrenceRule(preset ? preset.rule : value)
+  return parsed ? serializeRecurrenceRule(parsed) : null
+}
+
+/**
+ * Verifica se o lembrete tem uma recorrência válida.
+ * @param {object} reminder - O lembrete.
+ * @returns {boolean}
+ */
+function isRecurringReminder(reminder) {
+  return !!normalizeRecurrenceRule(reminder && reminder.recurrence)
+}
+
+/**
+ * Identifica a regra pronta equivalente (para o seletor "Repetir").
+ * @param {string} value - O valor do campo `recurrence`.
+ * @returns {string} A chave de RECURRENCE_PRESETS, 'custom' ou 'none'.
+ */
+function getRecurrencePresetKey(value) {
+  const rule = normalizeRecurrenceRule(value)
+  if (!rule) return 'none'
+  const presetKey = Object.keys(RECURRENCE_PRESETS).find(
+    key => normalizeRecurrenceRule(RECURRENCE_PRESETS[key].rule) === rule
+  )
+  return presetKey || 'custom'
+}
+
+/**
+ * Verifica se a data é feriado no calendário de expediente.
+ * @param {Date} date - A data.
+ * @returns {boolean}
+ */
+function _isRecurrenceHoliday(date) {
+  return typeof getHolidayName === 'function' && !!getHolidayName(date)
+}
+
+/**
+ * Datas candidatas de um período da regra (dia, semana, mês ou ano), já com o horário
+ * do início da série, em ordem.
+ * @param {object} parsed - A regra interpretada.
+ * @param {Date} start - Início da série (DTSTART).
+ * @param {number} periodIndex - Índice do período a partir do início.
+ * @returns {Date[]} As ocorrências do período.
+ */
+function _getRecurrencePeriodDates(parsed, start, periodIndex) {
+  const step = periodIndex * parsed.interval
+  const at = (year, month, day) =>
+    new Date(year, month, day, start.getHours(), start.getMinutes(), start.getSeconds())
+  const weekdaySet = new Set(parsed.byDay.map(day => day.weekday))
+  let dates = []
+
+  if (parsed.freq === 'DAILY') {
+    const date = at(start.getFullYear(), start.getMonth(), start.getDate() + step)
+    const weekdayOk = weekdaySet.size === 0 || weekdaySet.has(RECURRENCE_WEEKDAYS[date.getDay()])
+    const monthDayOk = parsed.byMonthDay.length === 0 || parsed.byMonthDay.includes(date.getDate())
+    if (weekdayOk && monthDayOk) dates.push(date)
+  } else if (parsed.freq === 'WEEKLY') {
+    // Semanas começando na segunda-feira (WKST=MO)
+    const mondayOffset = (start.getDay() + 6) % 7
+    const weekStart = at(start.getFullYear(), start.getMonth(), start.getDate() - mondayOffset + step * 7)
+    const weekdays = weekdaySet.size > 0 ? [...weekdaySet] : [RECURRENCE_WEEKDAYS[start.getDay()]]
+    dates = weekdays.map(weekday =>
+      at(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + ((RECURRENCE_WEEKDAYS.indexOf(weekday) + 6) % 7))
+    )
+  } else if (parsed.freq === 'MONTHLY' || parsed.freq === 'YEARLY') {
+    const isYearly = parsed.freq === 'YEARLY'
+    const year = isYearly ? start.getFullYear() + step : start.getFullYear()
+    const month = isYearly ? start.getMonth() : start.getMonth() + step
+    const monthStart = new Date(year, month, 1)
+    const daysInMonth = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0).getDate()
+    const dayAt = day => at(monthStart.getFullYear(), monthStart.getMonth(), day)
+
+    if (parsed.byMonthDay.length > 0) {
+      dates = parsed.byMonthDay
+        .map(day => (day > 0 ? day : daysInMonth + day + 1))
+        .filter(day => day >= 1 && day <= daysInMonth)
+        .map(dayAt)
+    } else if (parsed.byDay.length > 0) {
+      parsed.byDay.forEach(({ ordinal, weekday }) => {
+        const matching = []
+        for (let day = 1; day <= daysInMonth; day++) {
+          if (RECURRENCE_WEEKDAYS[dayAt(day).getDay()] === weekday) matching.push(dayAt(day))
+        }
+        if (ordinal === null) dates.push(...matching)
+        else {
+          const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal]
+          if (picked) dates.push(picked)
+        }
+      })
+    } else if (start.getDate() <= daysInMonth) {
+      dates.push(dayAt(start.getDate()))
+    }
+  }
+
+  dates = [...new Map(dates.map(date => [date.getTime(), date])).values()].sort((a, b) => a - b)
+  if (parsed.skipHolidays) dates = dates.filter(date => !_isRecurrenceHoliday(date))
+  if (parsed.bySetPos.length > 0) {
+    dates = parsed.bySetPos
+      .map(pos => (pos > 0 ? dates[pos - 1] : dates[dates.length + pos]))
+      .filter(Boolean)
+      .sort((a, b) => a - b)
+  }
+  return dates
+}
+
+/**
+ * Lista as próximas ocorrências da série depois de uma data.
+ * @param {string} rule - A regra RRULE.
+ * @param {Date|string|number} start - Início da série (primeira ocorrência).
+ * @param {Date|string|number} after - Só ocorrências estritamente posteriores.
+ * @param {number} limit - Quantidade máxima.
+ * @returns {Date[]} As ocorrências (vazio quando a série terminou).
+ */
+function listRecurrenceOccurrences(rule, start, after, limit = 1) {
+  const parsed = parseRecurrenceRule(normalizeRecurrenceRule(rule))
+  if (!parsed) return []
+  const startDate = new Date(start)
+  const afterTs = new Date(after).getTime()
+  if (isNaN(startDate.getTime()) || isNaN(afterTs)) return []
+
+  const occurrences = []
+  let emitted = 0
+  for (let period = 0; period < RECURRENCE_MAX_PERIODS; period++) {
+    for (const date of _getRecurrencePeriodDates(parsed, startDate, period)) {
+      if (date < startDate) continue
+      if (parsed.until && date > parsed.until) return occurrences
+      emitted++
+      if (parsed.count && emitted > parsed.count) return occurrences
+      if (date.getTime() > afterTs) {
+        occurrences.push(date)
+        if (occurrences.length >= limit) return occurrences
+      }
+    }
+  }
+  return occurrences
+}
+
+/**
+ * Calcula a próxima ocorrência da série depois de uma data.
+ * @param {string} rule - A regra RRULE.
+ * @param {Date|string|number} start - Início da série.
+ * @param {Date|string|number} after - Referência.
+ * @returns {Date|null} A ocorrência, ou null quando a série terminou (COUNT/UNTIL).
+ */
+function getRecurrenceOccurrenceAfter(rule, start, after) {
+  return listRecurrenceOccurrences(rule, start, after, 1)[0] || null
+}
+
+/**
+ * Próxima ocorrência de um lembrete recorrente ao concluí-lo: posterior à ocorrência atual
+ * e ao momento atual (ocorrências perdidas enquanto o navegador estava fechado são puladas).
+ * @param {object} reminder - O lembrete (recurrence, recurrenceStart, dateTime).
+ * @param {number} now - Timestamp de referência.
+ * @returns {Date|null} A próxima data, ou null se não repete ou a série terminou.
+ */
+function getNextReminderOccurrence(reminder, now = Date.now()) {
+  const rule = normalizeRecurrenceRule(reminder.recurrence)
+  if (!rule) return null
+  const current = new Date(reminder.dateTime).getTime()
+  return getRecurrenceOccurrenceAfter(rule, reminder.recurrenceStart || reminder.dateTime, Math.max(current, now))
+}
+
+/**
+ * Descreve a regra em português (ex: "A cada 2 semanas (segunda-feira, quarta-feira), 10 vezes").
+ * @param {string} rule - A regra RRULE.
+ * @returns {string} A descrição, ou 'Não repete'.
+ */
+function describeRecurrenceRule(rule) {
+  const parsed = parseRecurrenceRule(normalizeRecurrenceRule(rule))
+  if (!parsed) return 'Não repete'
+
+  const frequency = RECURRENCE_FREQUENCIES[parsed.freq]
+  let text = parsed.interval > 1 ? `A cada ${parsed.interval} ${frequency.unit}` : frequency.every
+  const weekdays = parsed.byDay.map(day => day.weekday)
+  const isWorkweek = weekdays.length === 5 && ['MO', 'TU', 'WE', 'TH', 'FR'].every(day => weekdays.includes(day))
+  const ordinalLabels = { 1: 'primeira', 2: 'segunda', 3: 'terceira', 4: 'quarta', 5: 'quinta', '-1': 'última' }
+
+  const isBusinessDayPosition = parsed.freq === 'MONTHLY' && isWorkweek && parsed.bySetPos.length === 1
+
+  if (isBusinessDayPosition) {
+    const position = parsed.bySetPos[0]
+    text += ` no ${position === -1 ? 'último' : `${position}º`} dia útil`
+  } else if (parsed.byDay.some(day => day.ordinal !== null)) {
+    text += `, na ${parsed.byDay
+      .map(day => `${ordinalLabels[day.ordinal] || `${day.ordinal}ª`} ${RECURRENCE_WEEKDAY_LABELS[day.weekday]}`)
+      .join(' e ')}`
+  } else if (isWorkweek && parsed.bySetPos.length === 0) {
+    text += ' em dias úteis (seg a sex)'
+  } else if (weekdays.length > 0) {
+    text += ` (${weekdays.map(day => RECURRENCE_WEEKDAY_LABELS[day]).join(', ')})`
+  }
+  if (parsed.byMonthDay.length > 0) {
+    text += `, ${parsed.byMonthDay.map(day => (day === -1 ? 'no último dia' : `no dia ${day}`)).join(', ')}`
+  }
+  if (parsed.skipHolidays && !isBusinessDayPosition) text += ', exceto feriados'
+  if (parsed.count) text += `, ${parsed.count} ${parsed.count === 1 ? 'vez' : 'vezes'}`
+  if (parsed.until) text += `, até ${parsed.until.toLocaleDateString('pt-BR')}`
+  return text
+}
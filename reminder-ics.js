@@ -0,0 +1,347 @@
+/**
+ * @file reminder-ics.js
+ * Exportação e importação dos lembretes no formato iCalendar (.ics, RFC 5545), para levar
+ * prazos ao Outlook (ou outro calendário) e trazê-los de volta sem redigitar.
+ *
+ * Cada lembrete vira um VEVENT com alerta (VALARM) no horário, prioridade, link do chamado
+ * e a regra de recorrência (recurrence-service.js). O UID guarda o ID do lembrete, então
+ * reimportar um arquivo exportado atualiza os lembretes em vez de duplicá-los.
+ */
+
+const REMINDER_ICS_PRODID = '-//SGD Extensao//Lembretes//PT-BR'
+const REMINDER_ICS_UID_DOMAIN = 'sgd-lembretes'
+
+/**
+ * Propriedade própria que substitui a extensão X-SKIP-HOLIDAYS da regra, já que o RRULE
+ * padrão não aceita partes desconhecidas e o Outlook rejeitaria o evento.
+ */
+const REMINDER_ICS_SKIP_HOLIDAYS_PROPERTY = 'X-SGD-SKIP-HOLIDAYS'
+
+/**
+ * Propriedade própria com o número do chamado vinculado ao lembrete.
+ */
+const REMINDER_ICS_TICKET_PROPERTY = 'X-SGD-TICKET'
+
+/**
+ * Horário usado para eventos de dia inteiro (DTSTART;VALUE=DATE).
+ */
+const REMINDER_ICS_ALL_DAY_HOUR = 9
+
+// Prioridade do iCalendar: 1-4 alta, 5 média, 6-9 baixa (0 = não definida)
+const REMINDER_ICS_PRIORITIES = { high: 1, medium: 5, low: 9 }
+
+/**
+ * Escapa um texto para uma propriedade do iCalendar.
+ * @param {string} text - O texto.
+ * @returns {string}
+ */
+function _escapeIcsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Desfaz o escape de um texto do iCalendar.
+ * @param {string} text - O texto escapado.
+ * @returns {string}
+ */
+function _unescapeIcsText(text) {
+  return String(text || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char))
+}
+
+/**
+ * Quebra a linha em partes de até 75 bytes (UTF-8), como exige a RFC 5545.
+ * @param {string} line - A linha.
+ * @returns {string} A linha dobrada (continuações começam com espaço).
+ */
+function _foldIcsLine(line) {
+  const encoder = new TextEncoder()
+  const parts = []
+  let current = ''
+  let currentBytes = 0
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length
+    // A primeira parte tem 75 bytes; as seguintes, 74 mais o espaço inicial
+    if (currentBytes + charBytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current)
+      current = ''
+      currentBytes = 0
+    }
+    current += char
+    currentBytes += charBytes
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+/**
+ * Formata a data no horário local sem fuso ("floating", ex: 20261020T090000), para que as
+ * regras por dia da semana valham no horário do analista.
+ * @param {Date} date - A data.
+ * @returns {string}
+ */
+function _formatIcsLocalDateTime(date) {
+  const pad = value => String(value).padStart(2, '0')
+  return (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+  )
+}
+
+/**
+ * Formata a data em UTC (ex: 20261020T120000Z), usado em DTSTAMP e CREATED.
+ * @param {Date} date - A data.
+ * @returns {string}
+ */
+function _formatIcsUtcDateTime(date) {
+  return `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`
+}
+
+/**
+ * Converte a regra salva no lembrete para o RRULE padrão: o UNTIL passa a ter horário
+ * (deve ter o mesmo tipo do DTSTART) e a extensão de feriados vira propriedade à parte.
+ * @param {string} recurrence - O campo `recurrence` do lembrete.
+ * @returns {{rrule: string, skipHolidays: boolean}|null} null quando não repete.
+ */
+function _toIcsRecurrence(recurrence) {
+  const parsed = parseRecurrenceRule(normalizeRecurrenceRule(recurrence))
+  if (!parsed) return null
+  const { until, skipHolidays } = parsed
+  let rrule = serializeRecurrenceRule({ ...parsed, until: null, skipHolidays: false })
+  if (until) rrule += `;UNTIL=${_formatIcsLocalDateTime(until)}`
+  return { rrule, skipHolidays }
+}
+
+/**
+ * Gera o arquivo .ics com os lembretes.
+ * @param {Array<object>} reminders - Os lembretes (storage.js).
+ * @param {Date} now - Data da exportação (DTSTAMP).
+ * @returns {string} O conteúdo do arquivo, com quebras CRLF.
+ */
+function buildRemindersIcs(reminders, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${REMINDER_ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ]
+
+  reminders.forEach(reminder => {
+    const recurrence = _toIcsRecurrence(reminder.recurrence)
+    // Nas séries, o DTSTART é o início da série, para COUNT e INTERVAL contarem igual
+    const start = new Date((recurrence && reminder.recurrenceStart) || reminder.dateTime)
+    if (isNaN(start.getTime())) return
+    const hasUrl = reminder.url && isValidUrl(reminder.url)
+    // O Outlook não exibe a propriedade URL, então o link também vai na descrição
+    const description = [reminder.description, hasUrl ? `Chamado: ${reminder.url}` : '']
+      .filter(Boolean)
+      .join('\n\n')
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${reminder.id}@${REMINDER_ICS_UID_DOMAIN}`,
+      `DTSTAMP:${_formatIcsUtcDateTime(now)}`
+    )
+    if (reminder.createdAt) lines.push(`CREATED:${_formatIcsUtcDateTime(new Date(reminder.createdAt))}`)
+    lines.push(`DTSTART:${_formatIcsLocalDateTime(start)}`, `SUMMARY:${_escapeIcsText(reminder.title)}`)
+    if (description) lines.push(`DESCRIPTION:${_escapeIcsText(description)}`)
+    if (hasUrl) lines.push(`URL:${reminder.url}`)
+    if (reminder.ticketId) lines.push(`${REMINDER_ICS_TICKET_PROPERTY}:${reminder.ticketId}`)
+    lines.push(`PRIORITY:${REMINDER_ICS_PRIORITIES[reminder.priority] || REMINDER_ICS_PRIORITIES.medium}`)
+    if (recurrence) {
+      lines.push(`RRULE:${recurrence.rrule}`)
+      if (recurrence.skipHolidays) lines.push(`${REMINDER_ICS_SKIP_HOLIDAYS_PROPERTY}:1`)
+    }
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${_escapeIcsText(reminder.title)}`,
+      'TRIGGER:PT0S',
+      'END:VALARM',
+      'END:VEVENT'
+    )
+  })
+
+  lines.push('END:VCALENDAR')
+  return lines.map(_foldIcsLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * Converte data e hora de um fuso IANA (TZID) para Date. Fusos não reconhecidos (ex: os
+ * nomes do Windows usados pelo Outlook) são tratados como horário local.
+ * @param {number[]} parts - [ano, mês (1-12), dia, hora, minuto, segundo].
+ * @param {string} timeZone - O TZID.
+ * @returns {Date}
+ */
+function _zonedIcsTimeToDate(parts, timeZone) {
+  const [year, month, day, hours, minutes, seconds] = parts
+  try {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    })
+    const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds)
+    const zoned = Object.fromEntries(formatter.formatToParts(new Date(guess)).map(part => [part.type, part.value]))
+    const zonedAsUtc = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second)
+    return new Date(guess - (zonedAsUtc - guess))
+  } catch (error) {
+    return new Date(year, month - 1, day, hours, minutes, seconds)
+  }
+}
+
+/**
+ * Interpreta o valor de DTSTART.
+ * @param {string} value - O valor (20261020, 20261020T090000 ou 20261020T120000Z).
+ * @param {object} params - Os parâmetros da propriedade (VALUE, TZID).
+ * @returns {Date|null}
+ */
+function _parseIcsDateTime(value, params) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/)
+  if (!match) return null
+  const [, year, month, day, hours, minutes, seconds, utc] = match
+  if (hours === undefined) {
+    return new Date(Number(year), Number(month) - 1, Number(day), REMINDER_ICS_ALL_DAY_HOUR, 0)
+  }
+  const parts = [year, month, day, hours, minutes, seconds].map(Number)
+  if (utc) return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]))
+  if (params.TZID) return _zonedIcsTimeToDate(parts, params.TZID.replace(/^"|"$/g, ''))
+  return new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5])
+}
+
+/**
+ * Lê os eventos de um arquivo .ics.
+ *
+ * Propriedades não suportadas pelos lembretes (EXDATE, DTEND, partes do RRULE como BYMONTH)
+ * são ignoradas; regras de recorrência inválidas viram lembretes sem repetição.
+ *
+ * @param {string} text - O conteúdo do arquivo.
+ * @returns {Array<{uid: string, title: string, description: string, url: string,
+ *   ticketId: string, priority: string, start: Date, recurrence: string}>} Os eventos com
+ *   data válida.
+ */
+function parseRemindersIcs(text) {
+  const events = []
+  let current = null
+  let nestedDepth = 0 // Componentes dentro do VEVENT (VALARM) são ignorados
+
+  String(text || '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .forEach(line => {
+      const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*))*):(.*)$/)
+      if (!match) return
+      const name = match[1].toUpperCase()
+      const value = match[3]
+      const params = {}
+      const paramParts = match[2].match(/;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*)/g) || []
+      paramParts.forEach(param => {
+        const [key, ...rest] = param.slice(1).split('=')
+        params[key.toUpperCase()] = rest.join('=')
+      })
+
+      if (name === 'BEGIN') {
+        if (current) nestedDepth++
+        else if (value.toUpperCase() === 'VEVENT') current = { params: {} }
+        return
+      }
+      if (name === 'END') {
+        if (nestedDepth > 0) nestedDepth--
+        else if (current && value.toUpperCase() === 'VEVENT') {
+          events.push(current)
+          current = null
+        }
+        return
+      }
+      if (!current || nestedDepth > 0) return
+      current[name] = value
+      current.params[name] = params
+    })
+
+  return events
+    .map(event => {
+      const start = event.DTSTART ? _parseIcsDateTime(event.DTSTART, event.params.DTSTART) : null
+      if (!start || isNaN(start.getTime())) return null
+
+      const url = event.URL && isValidUrl(event.URL.trim()) ? event.URL.trim() : ''
+      // Remove o link que a exportação acrescenta à descrição
+      let description = _unescapeIcsText(event.DESCRIPTION).trim()
+      if (url && description.endsWith(`Chamado: ${url}`)) {
+        description = description.slice(0, -`Chamado: ${url}`.length).trim()
+      }
+
+      // PRIORITY ausente ou 0 (não definida) vira média
+      const priorityValue = parseInt(event.PRIORITY, 10)
+      const priority =
+        priorityValue >= 1 && priorityValue <= 4
+          ? 'high'
+          : priorityValue >= 6 && priorityValue <= 9
+            ? 'low'
+            : 'medium'
+
+      let recurrence = 'none'
+      if (event.RRULE) {
+        const parsed = parseRecurrenceRule(event.RRULE)
+        if (parsed) {
+          parsed.skipHolidays = event[REMINDER_ICS_SKIP_HOLIDAYS_PROPERTY] === '1'
+          recurrence = serializeRecurrenceRule(parsed)
+        }
+      }
+
+      return {
+        uid: (event.UID || '').trim(),
+        title: _unescapeIcsText(event.SUMMARY).trim() || '(Sem título)',
+        description,
+        url,
+        ticketId: normalizePendingTicketId(event[REMINDER_ICS_TICKET_PROPERTY]) || '',
+        priority,
+        start,
+        recurrence
+      }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Converte um evento importado nos dados de saveReminder. Eventos já passados são
+ * descartados, e as séries começam na próxima ocorrência.
+ * @param {object} event - O evento (parseRemindersIcs).
+ * @param {number} now - Timestamp de referência.
+ * @returns {object|null} Os dados do lembrete (com `id` quando o UID veio de uma
+ *   exportação da extensão), ou null se não há ocorrência futura.
+ */
+function buildReminderFromIcsEvent(event, now = Date.now()) {
+  // saveReminder exige data futura; a margem cobre o tempo até salvar
+  const threshold = now + 60 * 1000
+  const isRecurring = event.recurrence !== 'none'
+  const date =
+    event.start.getTime() > threshold
+      ? event.start
+      : isRecurring
+        ? getRecurrenceOccurrenceAfter(event.recurrence, event.start, threshold)
+        : null
+  if (!date) return null
+
+  const uidMatch = event.uid.match(new RegExp(`^(reminder-[^@]+)@${REMINDER_ICS_UID_DOMAIN}$`))
+  const reminderData = {
+    title: event.title,
+    dateTime: getLocalDateTimeString(date),
+    description: event.description,
+    url: event.url,
+    ticketId: event.ticketId,
+    priority: event.priority,
+    recurrence: event.recurrence,
+    recurrenceStart: isRecurring ? getLocalDateTimeString(event.start) : null
+  }
+  if (uidMatch) reminderData.id = uidMatch[1]
+  return reminderData
+}
@@ -0,0 +1,291 @@
+/**
+ * @file reminder-parser.js
+ * Interpreta datas em linguagem natural no título dos lembretes ("daqui a 30 min",
+ * "amanhã às 9", "sexta 16h", "em 3 dias úteis", "todo dia 5").
+ *
+ * Os dias úteis usam o calendário de expediente (business-calendar.js). Usado pelo modal
+ * de novo lembrete (prévia ao digitar) e pelo comando de voz "lembrete ..." do SpeechService.
+ */
+
+/**
+ * Horário usado quando o texto indica só o dia (ex: "amanhã", "sexta"). Para "hoje", se
+ * esse horário já passou, usa a próxima hora cheia.
+ */
+const REMINDER_PARSER_DEFAULT_HOUR = 9
+
+const REMINDER_PARSER_NUMBERS = {
+  um: 1,
+  uma: 1,
+  dois: 2,
+  duas: 2,
+  tres: 3,
+  quatro: 4,
+  cinco: 5,
+  seis: 6,
+  sete: 7,
+  oito: 8,
+  nove: 9,
+  dez: 10,
+  quinze: 15,
+  vinte: 20,
+  trinta: 30,
+  meia: 0.5
+}
+
+const REMINDER_PARSER_WEEKDAYS = {
+  domingo: 0,
+  segunda: 1,
+  terca: 2,
+  quarta: 3,
+  quinta: 4,
+  sexta: 5,
+  sabado: 6
+}
+
+const REMINDER_RECURRENCE_LABELS = {
+  none: 'Não repete',
+  daily: 'Repete diariamente',
+  weekly: 'Repete semanalmente',
+  monthly: 'Repete mensalmente'
+}
+
+const _WEEKDAY_PATTERN = '(segunda|terca|quarta|quinta|sexta|sabado|domingo)'
+const _NUMBER_PATTERN = `(\\d+|${Object.keys(REMINDER_PARSER_NUMBERS).join('|')})`
+
+/**
+ * Remove acentos e coloca em minúsculas mantendo o tamanho do texto (cada caractere vira
+ * um), para que as posições encontradas valham também no texto original.
+ * @param {string} text - O texto.
+ * @returns {string} O texto normalizado.
+ */
+function _normalizeReminderText(text) {
+  return Array.from(String(text || ''), char => {
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    return base.length === 1 ? base.toLowerCase() : char
+  }).join('')
+}
+
+/**
+ * Converte número por extenso ou em dígitos.
+ * @param {string} value - O valor.
+ * @returns {number}
+ */
+function _parseReminderNumber(value) {
+  return REMINDER_PARSER_NUMBERS[value] ?? parseInt(value, 10)
+}
+
+/**
+ * Próxima data (a partir de hoje) com o dia do mês informado, pulando meses sem esse dia.
+ * @param {Date} now - Referência.
+ * @param {number} day - Dia do mês.
+ * @returns {Date|null}
+ */
+function _nextReminderMonthDay(now, day) {
+  if (day < 1 || day > 31) return null
+  for (let offset = 0; offset < 13; offset++) {
+    const candidate = new Date(now.getFullYear(), now.getMonth() + offset, day)
+    if (candidate.getDate() === day && candidate >= new Date(now.getFullYear(), now.getMonth(), now.getDate())) {
+      return candidate
+    }
+  }
+  return null
+}
+
+/**
+ * Interpreta a data de um lembrete escrita em português.
+ *
+ * O trecho reconhecido é removido do título (ex: "Ligar para o cliente amanhã às 9" vira
+ * "Ligar para o cliente"). Sem horário, usa 9h; só com horário, usa hoje (ou amanhã, se já
+ * passou).
+ *
+ * @param {string} text - O texto digitado ou ditado.
+ * @param {Date} now - Referência (padrão: agora).
+ * @returns {{date: Date, recurrence: string, title: string, matchedText: string}|null}
+ *   null quando nenhuma data foi reconhecida.
+ */
+function parseReminderText(text, now = new Date()) {
+  const original = String(text || '')
+  let working = _normalizeReminderText(original)
+  const matchedParts = []
+
+  // Procura o padrão e "apaga" o trecho encontrado (mantendo as posições) para que os
+  // padrões seguintes não o reconheçam de novo.
+  const take = pattern => {
+    const match = working.match(pattern)
+    if (!match) return null
+    matchedParts.push({ start: match.index, end: match.index + match[0].length })
+    working =
+      working.slice(0, match.index) + ' '.repeat(match[0].length) + working.slice(match.index + match[0].length)
+    return match
+  }
+
+  let recurrence = 'none'
+  let day = null // Date (sem horário) do dia escolhido
+  let exact = null // Date com horário já definido (relativo em minutos/horas)
+  let keepCurrentTime = false
+  let weekday = null
+  let forceNextWeek = false
+  let isToday = false
+  let time = null
+
+  // 1. Recorrência
+  const monthlyDay = take(/\btodo\s+dia\s+(\d{1,2})\b/)
+  if (monthlyDay) {
+    recurrence = 'monthly'
+    day = _nextReminderMonthDay(now, parseInt(monthlyDay[1], 10))
+  }
+  const weeklyDay = take(new RegExp(`\\btodas?\\s+(?:as\\s+)?${_WEEKDAY_PATTERN}s?(?:-feiras?|\\s+feiras?)?\\b`))
+  if (weeklyDay) {
+    recurrence = 'weekly'
+    weekday = REMINDER_PARSER_WEEKDAYS[weeklyDay[1]]
+  }
+  if (take(/\b(?:todos\s+os\s+dias|todo\s+dia|diariamente)\b/)) recurrence = 'daily'
+  if (take(/\b(?:toda\s+semana|semanalmente)\b/)) recurrence = 'weekly'
+  if (take(/\b(?:todo\s+mes|mensalmente)\b/)) recurrence = 'monthly'
+
+  // 2. Relativo: "daqui a 30 min", "em meia hora", "em 3 dias úteis"
+  const relative = take(
+    new RegExp(
+      `\\b(?:daqui\\s+a|daqui|em|dentro\\s+de)\\s+${_NUMBER_PATTERN}\\s*(minutos?|mins?|horas?|h|dias?\\s+uteis|dias?|semanas?)(?![a-z])`
+    )
+  )
+  if (relative) {
+    const amount = _parseReminderNumber(relative[1])
+    const unit = relative[2]
+    if (/^min/.test(unit)) {
+      exact = new Date(now.getTime() + amount * 60 * 1000)
+    } else if (/^h/.test(unit)) {
+      exact = new Date(now.getTime() + amount * 60 * 60 * 1000)
+    } else if (/uteis$/.test(unit)) {
+      day = addBusinessDays(now, amount)
+      keepCurrentTime = true
+    } else {
+      day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + amount * (/^semana/.test(unit) ? 7 : 1))
+      keepCurrentTime = true
+    }
+  }
+
+  // 3. Dias por nome
+  if (take(/\bdepois\s+de\s+amanha\b/)) {
+    day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 2)
+  } else if (take(/\bamanha\b/)) {
+    day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)
+  } else if (take(/\bhoje\b/)) {
+    day = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+    isToday = true
+  }
+
+  // 4. Dia da semana ("sexta", "na próxima segunda"), ignorando "segunda via" e afins
+  if (weekday === null) {
+    const weekdayMatch = take(
+      new RegExp(
+        `\\b(?:(?:na|nesta|nessa|esta|essa)\\s+)?(proxima\\s+)?${_WEEKDAY_PATTERN}(?:-feira|\\s+feira)?(\\s+que\\s+vem)?\\b(?!\\s+(?:via|parcela|vez|etapa|opcao|chamada|quinzena))`
+      )
+    )
+    if (weekdayMatch) {
+      weekday = REMINDER_PARSER_WEEKDAYS[weekdayMatch[2]]
+      forceNextWeek = !!(weekdayMatch[1] || weekdayMatch[3])
+    }
+  }
+
+  // 5. Data explícita ("24/10", "dia 15")
+  const explicitDate = take(/\b(?:dia\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/)
+  if (explicitDate) {
+    const [, dd, mm, yy] = explicitDate
+    let year = yy ? parseInt(yy, 10) : now.getFullYear()
+    if (year < 100) year += 2000
+    day = new Date(year, parseInt(mm, 10) - 1, parseInt(dd, 10))
+    if (!yy && day < new Date(now.getFullYear(), now.getMonth(), now.getDate())) {
+      day.setFullYear(year + 1)
+    }
+  } else if (!monthlyDay) {
+    const monthDay = take(/\bdia\s+(\d{1,2})\b/)
+    if (monthDay) day = _nextReminderMonthDay(now, parseInt(monthDay[1], 10))
+  }
+
+  // 6. Horário ("16h", "9h30", "14:00", "às 9", "meio-dia")
+  const periodOffset = period => (period === 'tarde' || period === 'noite' ? 12 : 0)
+  const clockTime = take(
+    /\b(?:(?:as|a|pelas?)\s+)?(\d{1,2})\s*(?:h|:)\s*(\d{2})?(?:\s*(?:min|hs|horas?))?(?:\s+da\s+(manha|tarde|noite))?(?![\w/])/
+  )
+  const spokenTime = clockTime
+    ? null
+    : take(/\b(?:as|pelas?)\s+(\d{1,2})(?:\s+horas?)?(?:\s+da\s+(manha|tarde|noite))?\b/)
+  if (clockTime) {
+    let hours = parseInt(clockTime[1], 10)
+    if (hours < 12) hours += periodOffset(clockTime[3])
+    time = { hours, minutes: parseInt(clockTime[2] || '0', 10) }
+  } else if (spokenTime) {
+    let hours = parseInt(spokenTime[1], 10)
+    if (hours < 12) hours += periodOffset(spokenTime[2])
+    time = { hours, minutes: 0 }
+  } else if (take(/\b(?:ao\s+)?meio[\s-]dia\b/)) {
+    time = { hours: 12, minutes: 0 }
+  } else if (take(/\b(?:a\s+)?meia[\s-]noite\b/)) {
+    time = { hours: 0, minutes: 0 }
+  }
+  if (time && (time.hours > 23 || time.minutes > 59)) return null
+
+  if (matchedParts.length === 0) return null
+
+  // Monta a data final
+  let date
+  if (exact) {
+    date = exact
+  } else {
+    const hours = time ? time.hours : keepCurrentTime ? now.getHours() : REMINDER_PARSER_DEFAULT_HOUR
+    const minutes = time ? time.minutes : keepCurrentTime ? now.getMinutes() : 0
+    const withTime = base => new Date(base.getFullYear(), base.getMonth(), base.getDate(), hours, minutes)
+
+    if (day) {
+      date = withTime(day)
+      // "hoje" sem horário depois do horário padrão: próxima hora cheia
+      if (isToday && !time && date <= now) {
+        date = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours() + 1, 0)
+      }
+    } else if (weekday !== null) {
+      const diff = (weekday - now.getDay() + 7) % 7
+      date = withTime(new Date(now.getFullYear(), now.getMonth(), now.getDate() + diff))
+      if (date <= now || (forceNextWeek && diff === 0)) date.setDate(date.getDate() + 7)
+    } else {
+      // Só horário (ou recorrência diária): hoje, ou amanhã se o horário já passou
+      date = withTime(now)
+      if (date <= now) date.setDate(date.getDate() + 1)
+    }
+  }
+  if (isNaN(date.getTime())) return null
+
+  const matchedText = matchedParts
+    .sort((a, b) => a.start - b.start)
+    .map(part => original.slice(part.start, part.end).trim())
+    .join(' ')
+  let title = original
+  matchedParts
+    .sort((a, b) => b.start - a.start)
+    .forEach(part => {
+      title = title.slice(0, part.start) + ' ' + title.slice(part.end)
+    })
+  title = title
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,.;:-]+|[\s,;:-]+$/g, '')
+    .trim()
+
+  return { date, recurrence, title, matchedText }
+}
+
+/**
+ * Descreve a data interpretada para a prévia (ex: "sexta-feira, 24/10/2026 às 16:00").
+ * @param {{date: Date, recurrence: string}} parsed - O resultado de parseReminderText.
+ * @returns {string} A descrição.
+ */
+function describeParsedReminder(parsed) {
+  const dateText = parsed.date.toLocaleDateString('pt-BR', {
+    weekday: 'long',
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  })
+  const timeText = parsed.date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+  const recurrenceText = parsed.recurrence !== 'none' ? ` · ${REMINDER_RECURRENCE_LABELS[parsed.recurrence]}` : ''
+  return `${dateText} às ${timeText}${recurrenceText}`
+}
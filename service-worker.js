@@ -23,6 +23,17 @@ chrome.storage.onChanged.addListener((changes, area) => {
   }
 })
 
+// Calendário de expediente, regras de SLA, recorrência dos lembretes e regras de agendamento
+// dos avisos compartilhados com as páginas de conteúdo, e o leitor de trâmites dos
+// atendimentos seguidos
+importScripts(
+  'business-calendar.js',
+  'sla-service.js',
+  'recurrence-service.js',
+  'warning-rules.js',
+  'followed-watcher.js'
+)
+
 function sgdLog(...args) {
   if (sgdDebugLogsEnabled) console.log(...args)
 }
@@ -294,6 +305,12 @@ async function handleGerarSugestao(prompt, tabId, workflowId, successAction = 's
 const REMINDERS_STORAGE_KEY = 'remindersData'
 const GREETINGS_CLOSINGS_KEY = 'greetingsClosingsData'
 const PENDING_POLL_ALARM = 'pending-poll'
+const PENDING_POLL_PERIOD_MINUTES = 15
+const FOLLOWED_POLL_ALARM = 'followed-poll'
+const FOLLOWED_ATTENDANCES_KEY = 'followedAttendancesData'
+const REMINDER_ESCALATION_ALARM_PREFIX = 'escalate-'
+// Níveis: 1 renotifica, 2 reexibe o aviso na página e 3 avisa o canal da equipe (se configurado)
+const REMINDER_ESCALATION_MAX_LEVEL = 3
 const USAGE_TRACKING_KEY = 'usageTrackingData'
 const SUGGESTED_TRAMITES_KEY = 'suggestedTramites'
 const STORAGE_KEY = 'quickMessagesData'
@@ -314,6 +331,8 @@ const RTDB_WARNINGS_META_URL = `${RTDB_BASE_URL}/metadata/warnings`;
 // o download do RTDB, sem afetar a entrega de avisos.
 const RTDB_WARNINGS_VERSION_URL = `${RTDB_BASE_URL}/metadata/warnings_version`;
 const RTDB_WARNINGS_URL = `${RTDB_BASE_URL}/warnings`;
+// Nó de versão dos catálogos de trâmites da equipe (ver team-catalog-service.js).
+const RTDB_TEAM_CATALOGS_VERSION_URL = `${RTDB_BASE_URL}/metadata/team_catalogs_version`;
 const WARNINGS_POLL_ALARM = 'warnings-poll';
 // Rede de segurança: força uma verificação completa (ignora o atalho de versão)
 // a cada 60 min, garantindo consistência mesmo se o nó de versão dessincronizar.
@@ -398,20 +417,133 @@ async function saveReminders(reminders) {
  */
 function showChromeNotification(reminder) {
   const notificationId = `chrome-notification-${reminder.id}-${Date.now()}`
+  const escalationLevel = reminder.escalationLevel || 0
+  const pendingMinutes = Math.round((Date.now() - (reminder.firedAt || Date.now())) / 60000)
 
   chrome.notifications.create(notificationId, {
     type: 'basic',
     iconUrl: 'logo.png', // Caminho para o ícone da sua extensão
-    title: `Lembrete: ${reminder.title}`,
+    title:
+      escalationLevel > 0
+        ? `${escalationLevel >= 2 ? '🚨' : '⚠️'} Sem resposta há ${pendingMinutes} min: ${reminder.title}`
+        : `Lembrete: ${reminder.title}`,
     message: reminder.description || 'Você tem um novo lembrete.',
     priority: 2,
     buttons: [{ title: 'Dispensar' }],
     requireInteraction: true // Mantém a notificação visível até a interação do usuário
   })
 
-  // Fecha automaticamente após 45 segundos (usando alarmes para garantir execução mesmo se o SW dormir)
-  chrome.alarms.create(`dismiss-notification-${notificationId}`, {
-    when: Date.now() + 45000
+  // Fecha automaticamente após 45 segundos (usando alarmes para garantir execução mesmo se o SW dormir).
+  // A partir do 2º nível de escalonamento, fica até o analista interagir.
+  if (escalationLevel < 2) {
+    chrome.alarms.create(`dismiss-notification-${notificationId}`, {
+      when: Date.now() + 45000
+    })
+  }
+}
+
+/**
+ * Lê as preferências de escalonamento dos lembretes.
+ * @returns {Promise<{enabled: boolean, minutes: number, channel: string}>}
+ */
+async function getReminderEscalationPreferences() {
+  const settings = (await getStorageData('extensionSettingsData', 'sync')) || {}
+  const preferences = settings.preferences || {}
+  return {
+    enabled: preferences.enableReminderEscalation !== false,
+    minutes: Math.max(1, Number(preferences.reminderEscalationMinutes) || 15),
+    channel: preferences.reminderEscalationChannel || ''
+  }
+}
+
+/**
+ * Agenda o próximo nível de escalonamento de um lembrete de prioridade alta disparado.
+ * @param {object} reminder - O lembrete.
+ */
+async function scheduleReminderEscalation(reminder) {
+  if (reminder.priority !== 'high') return
+  if ((reminder.escalationLevel || 0) >= REMINDER_ESCALATION_MAX_LEVEL) return
+  const preferences = await getReminderEscalationPreferences()
+  if (!preferences.enabled) return
+  await chrome.alarms.create(`${REMINDER_ESCALATION_ALARM_PREFIX}${reminder.id}`, {
+    when: Date.now() + preferences.minutes * 60 * 1000
+  })
+}
+
+/**
+ * Escala um lembrete de prioridade alta que continua sem resposta no painel de lembretes
+ * disparados: renotifica com urgência crescente e, no último nível, avisa o canal da equipe.
+ * @param {string} reminderId - O ID do lembrete.
+ */
+async function escalateReminder(reminderId) {
+  const reminders = await getReminders()
+  const reminder = reminders[reminderId]
+  // Concluído, adiado ou removido desde o disparo: nada a escalar
+  if (!reminder || !reminder.isFired || reminder.priority !== 'high') return
+  const preferences = await getReminderEscalationPreferences()
+  if (!preferences.enabled) return
+
+  reminder.escalationLevel = Math.min((reminder.escalationLevel || 0) + 1, REMINDER_ESCALATION_MAX_LEVEL)
+  reminder.lastEscalatedAt = Date.now()
+  await saveReminders(reminders)
+
+  const settings = (await getStorageData('extensionSettingsData', 'sync')) || {}
+  if ((settings.preferences || { enableWindowsNotifications: true }).enableWindowsNotifications) {
+    showChromeNotification(reminder)
+  }
+  if (reminder.escalationLevel >= 2) {
+    // O aviso na página é substituído pela versão destacada (ver showInPageNotification)
+    broadcastToSgdTabs({ action: 'SHOW_IN_PAGE_NOTIFICATION', reminder })
+  }
+  if (reminder.escalationLevel >= REMINDER_ESCALATION_MAX_LEVEL && preferences.channel) {
+    postReminderEscalationWarning(reminder, preferences.channel).catch(error =>
+      console.error('Erro ao avisar o canal da equipe sobre o lembrete:', error)
+    )
+  }
+  broadcastToSgdTabs({ action: 'UPDATE_NOTIFICATION_BADGE' })
+  await scheduleReminderEscalation(reminder)
+}
+
+/**
+ * Publica um aviso no canal da equipe sobre o lembrete sem resposta (backend de avisos).
+ * O aviso expira em 24 horas.
+ * @param {object} reminder - O lembrete.
+ * @param {string} channel - O canal de avisos.
+ */
+async function postReminderEscalationWarning(reminder, channel) {
+  const { currentUser } = await chrome.storage.local.get('currentUser')
+  const escapeText = text =>
+    String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  const pendingMinutes = Math.round((Date.now() - reminder.firedAt) / 60000)
+  const nowIso = new Date().toISOString()
+  const linkHtml =
+    reminder.url && reminder.url.startsWith('https://')
+      ? `<p><a href="${escapeText(reminder.url)}" target="_blank">Abrir chamado</a></p>`
+      : ''
+
+  await createWarningInRtdb({
+    title: `⏰ Lembrete sem resposta: ${reminder.title}`,
+    message:
+      `<p>O lembrete <strong>${escapeText(reminder.title)}</strong>${currentUser ? ` de ${escapeText(currentUser)}` : ''
+      } está sem resposta há ${pendingMinutes} min.</p>` +
+      (reminder.description ? `<p>${escapeText(reminder.description)}</p>` : '') +
+      linkHtml,
+    type: 'danger',
+    author: currentUser || 'Lembretes',
+    isTest: false,
+    onlySelf: false,
+    notify: true,
+    requiredReading: false,
+    channel,
+    publishedAt: nowIso,
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    targetUsers: [],
+    archived: false,
+    date: nowIso
   })
 }
 
@@ -747,6 +879,21 @@ function safeFirebaseKey(str) {
     .replace(/_+/g, '_'); // Evita múltiplos _
 }
 
+/**
+ * Cria um aviso no RTDB e atualiza o metadata (usado pela Central e pelo escalonamento de lembretes).
+ * @param {object} data - Os dados do aviso.
+ */
+async function createWarningInRtdb(data) {
+  const { id: _, ...bodyData } = data;
+  const response = await fetch(`${RTDB_WARNINGS_URL}.json`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(bodyData)
+  });
+  if (!response.ok) throw new Error('Erro ao criar no RTDB');
+  await touchWarningsMetadata(data);
+}
+
 async function touchWarningsMetadata(warningDataOrArray) {
   try {
     const now = new Date().toISOString();
@@ -808,6 +955,25 @@ async function touchWarningsMetadata(warningDataOrArray) {
   } catch (e) { console.warn('Falha meta avisos:', e); }
 }
 
+/**
+ * Verifica o nó de versão dos catálogos de trâmites da equipe. Só consulta o RTDB
+ * se o usuário assina algum canal; quando a versão muda, grava "teamCatalogsVersion"
+ * e a aba ativa sincroniza os canais assinados (chrome.storage.onChanged).
+ */
+async function checkTeamCatalogsVersion() {
+  try {
+    const storage = await chrome.storage.local.get(['subscribedCatalogChannels', 'teamCatalogsVersion']);
+    if (!storage.subscribedCatalogChannels || storage.subscribedCatalogChannels.length === 0) return;
+
+    const response = await fetch(`${RTDB_TEAM_CATALOGS_VERSION_URL}.json`, { cache: 'no-store' });
+    if (!response.ok) return;
+    const serverVersion = await response.json();
+    if (serverVersion != null && serverVersion !== storage.teamCatalogsVersion) {
+      await chrome.storage.local.set({ teamCatalogsVersion: serverVersion });
+    }
+  } catch (e) { console.warn('Falha ao verificar catálogos da equipe:', e); }
+}
+
 async function checkWarningsAndNotify(respectSchedule = true) {
   try {
     // 0. Janela de horário: evita polls de rotina na madrugada (economia de cota RTDB).
@@ -827,9 +993,15 @@ async function checkWarningsAndNotify(respectSchedule = true) {
       'warningChannels',
       'isCurrentUserEditor',
       'warningsVersionSeen',
-      'warningsLastFullCheck'
+      'warningsLastFullCheck',
+      'warningsNextScheduleAt',
+      'cachedWarnings',
+      'currentUserRegion'
     ]);
     const localSignature = storage.warningsMetaSignature;
+    // Um aviso agendado ou recorrente entra no ar sem alterar o servidor: quando chega a hora
+    // prevista na última verificação, reavalia os avisos em cache.
+    const isScheduleDue = !!storage.warningsNextScheduleAt && Date.now() >= storage.warningsNextScheduleAt;
 
     // 0.1 Atalho de versão: lê um nó minúsculo (apenas um timestamp). Se a versão do
     // servidor não mudou desde a última verificação, encerra sem baixar metadata/avisos.
@@ -842,7 +1014,7 @@ async function checkWarningsAndNotify(respectSchedule = true) {
 
     const lastFullCheck = storage.warningsLastFullCheck || 0;
     const mustFullCheck = (Date.now() - lastFullCheck) > WARNINGS_POLL_FULL_CHECK_MS;
-    if (!mustFullCheck && serverVersion != null && serverVersion === storage.warningsVersionSeen) {
+    if (!mustFullCheck && !isScheduleDue && serverVersion != null && serverVersion === storage.warningsVersionSeen) {
       return;
     }
 
@@ -893,9 +1065,9 @@ async function checkWarningsAndNotify(respectSchedule = true) {
       }
     }
 
-    // Se não houve alteração relevante para este usuário, encerra.
+    // Se não houve alteração relevante para este usuário (nem agendamento vencido), encerra.
     // Registra a versão avaliada para não reprocessar o metadata no próximo ciclo.
-    if (!hasChanges) {
+    if (!hasChanges && !isScheduleDue) {
       await chrome.storage.local.set({
         warningsVersionSeen: serverVersion,
         warningsLastFullCheck: Date.now()
@@ -903,54 +1075,43 @@ async function checkWarningsAndNotify(respectSchedule = true) {
       return;
     }
 
-    // 2. Se a assinatura mudou, busca os últimos avisos (20 para cachear)
-    const response = await fetch(`${RTDB_WARNINGS_URL}.json?orderBy="date"&limitToLast=20`, { cache: 'no-store' });
-    if (!response.ok) return;
+    let warnings = Array.isArray(storage.cachedWarnings) ? storage.cachedWarnings : [];
+    if (hasChanges) {
+      // 2. Se a assinatura mudou, busca os últimos avisos (20 para cachear)
+      const response = await fetch(`${RTDB_WARNINGS_URL}.json?orderBy="date"&limitToLast=20`, { cache: 'no-store' });
+      if (!response.ok) return;
 
-    const result = await response.json();
-    if (!result || typeof result !== 'object') return;
+      const result = await response.json();
+      if (!result || typeof result !== 'object') return;
 
-    // Realtime DB retorna objeto { "-id1": { ... }, "-id2": { ... } }
-    // Converte para array e ordena por data (mais recente primeiro)
-    const warnings = Object.entries(result).map(([id, data]) => ({ id, ...data }));
-    warnings.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+      // Realtime DB retorna objeto { "-id1": { ... }, "-id2": { ... } }
+      // Converte para array e ordena por data (mais recente primeiro)
+      warnings = Object.entries(result).map(([id, data]) => ({ id, ...data }));
+      warnings.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    }
 
-    if (warnings.length === 0) return;
+    if (warnings.length === 0) {
+      await chrome.storage.local.set({ warningsNextScheduleAt: null });
+      return;
+    }
 
     const nowMs = Date.now();
-    const nowIso = new Date().toISOString();
-    const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000;
+    const audience = { currentUser: storage.currentUser, region: storage.currentUserRegion, isEditor };
+    const schedules = new Map(warnings.map(w => [w.id, getWarningScheduleState(w, nowMs)]));
 
-    // Filtra avisos válidos ativos para notificação
+    // Próxima entrada no ar de um aviso agendado ou recorrente (reavaliada pelo atalho acima)
+    const upcomingStarts = warnings
+      .filter(w => !w.archived)
+      .map(w => schedules.get(w.id).nextStart)
+      .filter(Boolean);
+    const warningsNextScheduleAt = upcomingStarts.length > 0 ? Math.min(...upcomingStarts) : null;
+
+    // Filtra avisos válidos ativos para notificação (agendamento e público: warning-rules.js)
     const activeWarnings = warnings.filter(w => {
       if (w.archived) return false;
       if (w.isTest && !isDevMode && !w.onlySelf) return false;
-      if (w.publishedAt && nowIso < w.publishedAt) return false;
-      
-      if (w.expiresAt) {
-        if (nowMs > new Date(w.expiresAt).getTime()) return false;
-      } else if (w.date) {
-        if (nowMs - new Date(w.date).getTime() >= SEVEN_DAYS_MS) return false;
-      }
-
-      // Se for direcionado a colaboradores específicos, valida se o usuário atual é destinatário
-      if (w.targetUsers && Array.isArray(w.targetUsers) && w.targetUsers.length > 0) {
-        const currentUser = storage.currentUser;
-        if (!currentUser) return false;
-        const normalizeName = (name) => {
-          if (!name) return '';
-          return name
-            .trim()
-            .toLowerCase()
-            .normalize('NFD')
-            .replace(/[\u0300-\u036f]/g, '')
-            .replace(/\s+/g, ' ');
-        };
-        const normCurrentUser = normalizeName(currentUser);
-        if (!w.targetUsers.some(u => normalizeName(u) === normCurrentUser)) {
-          return false;
-        }
-      }
+      if (schedules.get(w.id).state !== 'live') return false;
+      if (!matchesWarningAudience(w, audience)) return false;
 
       // Se for apenas para o autor, valida se o usuário atual é o autor
       if (w.onlySelf) {
@@ -968,13 +1129,16 @@ async function checkWarningsAndNotify(respectSchedule = true) {
 
       return true;
     });
+    // O mais recente a entrar no ar primeiro (a janela atual de um recorrente antigo conta)
+    activeWarnings.sort((a, b) => schedules.get(b.id).liveSince - schedules.get(a.id).liveSince);
 
     if (activeWarnings.length === 0) {
       await chrome.storage.local.set({
         warningsMetaSignature: metaDoc,
         cachedWarnings: warnings,
         warningsVersionSeen: serverVersion,
-        warningsLastFullCheck: Date.now()
+        warningsLastFullCheck: Date.now(),
+        warningsNextScheduleAt
       });
       return;
     }
@@ -984,13 +1148,16 @@ async function checkWarningsAndNotify(respectSchedule = true) {
     const message = newestWarning.message || 'Você tem um novo comunicado não lido na Central de Informações SGD.';
     const isTest = !!newestWarning.isTest;
     const type = newestWarning.type || 'info';
+    const newestSchedule = schedules.get(newestWarning.id);
+    const notificationKey = getWarningNotificationKey(newestWarning, newestSchedule);
 
     // 3. Atualiza a assinatura local e o cache de avisos para não repetir a mesma notificação e requisições redundantes
     await chrome.storage.local.set({
       warningsMetaSignature: metaDoc,
       cachedWarnings: warnings,
       warningsVersionSeen: serverVersion,
-      warningsLastFullCheck: Date.now()
+      warningsLastFullCheck: Date.now(),
+      warningsNextScheduleAt
     });
 
     // Evita duplicar notificações se o aviso já foi notificado anteriormente com a mesma data/versão
@@ -1007,32 +1174,33 @@ async function checkWarningsAndNotify(respectSchedule = true) {
     const readWarnings = notifiedStorage.readWarnings || [];
     const lastReadTime = notifiedStorage.warningsLastReadTime || 0;
     
-    if (notifiedWarnings[newestWarning.id] === newestWarning.date) {
+    if (notifiedWarnings[newestWarning.id] === notificationKey) {
       return;
     }
 
     // Se o aviso é antigo (data menor ou igual ao último acesso do usuário na aba de avisos) 
     // ou se já foi lido/ignorado, apenas registra para evitar notificações futuras e encerra.
-    // Só permitimos re-notificar se o aviso foi explicitamente atualizado (ou seja, já havia uma data notificada anterior diferente da atual).
-    const wTime = newestWarning.date ? new Date(newestWarning.date).getTime() : 0;
+    // Só permitimos re-notificar se o aviso foi explicitamente atualizado (ou seja, já havia uma data notificada anterior diferente da atual)
+    // ou se é uma nova janela de um aviso recorrente.
+    const wTime = newestSchedule.liveSince || 0;
     const hasPreviousNotification = notifiedWarnings[newestWarning.id] !== undefined;
-    const isDateChanged = hasPreviousNotification && notifiedWarnings[newestWarning.id] !== newestWarning.date;
+    const isDateChanged = hasPreviousNotification && notifiedWarnings[newestWarning.id] !== notificationKey;
     
     if (!isDateChanged && (wTime <= lastReadTime || readWarningIds.includes(newestWarning.id) || ignoredWarnings.includes(newestWarning.id))) {
-      notifiedWarnings[newestWarning.id] = newestWarning.date;
+      notifiedWarnings[newestWarning.id] = notificationKey;
       await chrome.storage.local.set({ notifiedWarnings });
       return;
     }
 
     // Se o aviso foi marcado para não notificar, apenas registra no controle para evitar re-verificações e encerra
     if (newestWarning.notify === false) {
-      notifiedWarnings[newestWarning.id] = newestWarning.date;
+      notifiedWarnings[newestWarning.id] = notificationKey;
       await chrome.storage.local.set({ notifiedWarnings });
       return;
     }
 
     // Atualiza o controle de notificações enviadas
-    notifiedWarnings[newestWarning.id] = newestWarning.date;
+    notifiedWarnings[newestWarning.id] = notificationKey;
 
     // Se o aviso é novo ou foi reenviado (a data mudou), remove das listas de lidos e ignorados para que seja exibido novamente
     let updatedReadWarningIds = [...readWarningIds];
@@ -1107,6 +1275,208 @@ async function checkWarningsAndNotify(respectSchedule = true) {
   }
 }
 
+// --- ALERTAS DE SLA DAS PENDÊNCIAS ---
+
+/**
+ * Resultados de verificação mais antigos que um ciclo do alarme não são avaliados (a lista
+ * pode já não refletir as pendências abertas).
+ */
+const PENDING_SLA_MAX_RESULT_AGE_MS = PENDING_POLL_PERIOD_MINUTES * 60 * 1000
+
+// Avaliações em sequência: várias abas do SGD podem gravar resultados quase juntas
+let pendingSlaCheckQueue = Promise.resolve()
+
+/**
+ * Avalia as regras de SLA (sla-service.js) sobre as pendências da última verificação e
+ * notifica as que entraram na janela de alerta ou estouraram o prazo. Cada pendência é
+ * notificada uma vez por estágio, até receber um novo trâmite.
+ */
+async function checkPendingSlaAndNotify() {
+  try {
+    const settings = (await getStorageData('extensionSettingsData', 'sync')) || {}
+    const preferences = settings.preferences || {}
+    if (preferences.enableSlaNotifications === false) return
+
+    const storage = await chrome.storage.local.get([
+      'lastPendingCheckResult',
+      'pendingTags',
+      'pendingTagsMap',
+      PENDING_SLA_NOTIFIED_KEY
+    ])
+    const result = storage.lastPendingCheckResult
+    if (!result || !Array.isArray(result.slaItems)) return
+    if (Date.now() - (result.checkedAt || 0) > PENDING_SLA_MAX_RESULT_AGE_MS) return
+
+    await loadBusinessCalendar()
+    const rules = await getSlaRules()
+    const tags = storage.pendingTags || []
+    const tagsMap = storage.pendingTagsMap || {}
+    const previouslyNotified = storage[PENDING_SLA_NOTIFIED_KEY] || {}
+    const notified = {}
+    const alerts = []
+
+    result.slaItems.forEach(item => {
+      const previous = previouslyNotified[item.id]
+      // Um novo trâmite reinicia a contagem e libera novas notificações.
+      if (previous && previous.startTs === item.slaStartTs) notified[item.id] = previous
+
+      const sla = evaluatePendingSla(item, rules, getPendingItemTagIds(item, tags, tagsMap))
+      if (!sla) return
+      const isBreached = sla.remainingHours <= 0
+      const stage = isBreached ? 'breach' : sla.level === 'normal' || sla.level === 'notice' ? null : 'warning'
+      if (!stage) return
+
+      const previousStage = notified[item.id] ? notified[item.id].stage : null
+      if (previousStage === stage || previousStage === 'breach') return
+
+      notified[item.id] = { stage, startTs: item.slaStartTs }
+      alerts.push({ item, sla, stage })
+    })
+
+    await chrome.storage.local.set({ [PENDING_SLA_NOTIFIED_KEY]: notified })
+    if (alerts.length === 0) return
+
+    const breachCount = alerts.filter(alert => alert.stage === 'breach').length
+    let title
+    let message
+    if (alerts.length === 1) {
+      const { item, sla, stage } = alerts[0]
+      const hours = Math.abs(sla.remainingHours)
+      title =
+        stage === 'breach'
+          ? `💣 Pendência ${item.id}: SLA estourado`
+          : `⏳ Pendência ${item.id}: SLA perto do estouro`
+      message = `${item.subject || ''}\n${stage === 'breach' ? `Estourado há ${hours.toFixed(1)}h úteis` : `Faltam ${hours.toFixed(1)}h úteis`
+        } (regra "${sla.rule.name}").`
+    } else {
+      title = breachCount > 0 ? '💣 Pendências com SLA estourado' : '⏳ Pendências perto do estouro do SLA'
+      message = `${alerts.length} pendência(s) precisam de atenção: ${alerts
+        .slice(0, 5)
+        .map(alert => alert.item.id)
+        .join(', ')}${alerts.length > 5 ? '...' : ''}`
+    }
+
+    chrome.notifications.create(`pending-sla-${Date.now()}`, {
+      type: 'basic',
+      iconUrl: 'logo.png',
+      title,
+      message,
+      priority: 2,
+      buttons: [{ title: 'Visualizar' }, { title: 'Dispensar' }],
+      requireInteraction: breachCount > 0
+    })
+  } catch (error) {
+    console.error('Erro ao avaliar o SLA das pendências:', error)
+  }
+}
+
+// Avalia o SLA quando uma aba do SGD grava o resultado de uma nova verificação
+// (checkNewPendings), e não no disparo do alarme, que ainda leria o resultado anterior.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes.lastPendingCheckResult) return
+  pendingSlaCheckQueue = pendingSlaCheckQueue.then(checkPendingSlaAndNotify)
+})
+
+// Verificação em andamento dos atendimentos seguidos (evita buscas sobrepostas)
+let followedCheckPromise = null
+
+/**
+ * Busca a página de cada atendimento seguido, registra os trâmites novos na linha do tempo
+ * e notifica o analista com o autor, a situação e um trecho do texto.
+ * @param {{onlyBaseline?: boolean}} options - onlyBaseline verifica apenas os atendimentos
+ *   recém-seguidos, para registrar a base de trâmites logo após seguir.
+ * @returns {Promise<{checked: number, updated: number}>} O resumo da verificação.
+ */
+async function checkFollowedAttendancesAndNotify(options = {}) {
+  if (followedCheckPromise) return followedCheckPromise
+  followedCheckPromise = (async () => {
+    const attendances = (await getStorageData(FOLLOWED_ATTENDANCES_KEY)) || {}
+    const targets = Object.values(attendances).filter(
+      attendance =>
+        attendance.status !== 'concluded' &&
+        attendance.url &&
+        (!options.onlyBaseline || !Array.isArray(attendance.tramiteHashes))
+    )
+    if (targets.length === 0) return { checked: 0, updated: 0 }
+
+    const now = Date.now()
+    const changes = {}
+    const updates = []
+    for (const attendance of targets) {
+      try {
+        const tramites = await fetchFollowedTramites(attendance)
+        const { hashes, newEntries } = diffFollowedTramites(attendance, tramites, now)
+        const change = { tramiteHashes: hashes, lastCheckedAt: now, lastError: null }
+        if (newEntries.length > 0) {
+          // Linha do tempo do mais recente para o mais antigo
+          change.timeline = [...newEntries, ...(attendance.timeline || [])].slice(0, FOLLOWED_TIMELINE_LIMIT)
+          change.status = 'updated'
+          change.updatedAt = now
+          change.lastContentHash = String(simpleHash(hashes.join('|')))
+          updates.push({ attendance, entries: newEntries })
+        }
+        changes[attendance.id] = change
+      } catch (error) {
+        console.warn(`Erro ao verificar o atendimento seguido ${attendance.id}:`, error)
+        changes[attendance.id] = { lastCheckedAt: now, lastError: error.message }
+      }
+    }
+
+    // Relê o storage: o analista pode ter seguido ou removido atendimentos durante a busca
+    const latest = (await getStorageData(FOLLOWED_ATTENDANCES_KEY)) || {}
+    Object.entries(changes).forEach(([id, change]) => {
+      if (latest[id]) latest[id] = { ...latest[id], ...change }
+    })
+    await setStorageData(FOLLOWED_ATTENDANCES_KEY, latest)
+
+    if (updates.length > 0) {
+      broadcastToSgdTabs({ action: 'FOLLOWED_ATTENDANCES_UPDATED' })
+      const settings = (await getStorageData('extensionSettingsData', 'sync')) || {}
+      const preferences = settings.preferences || {}
+      if (preferences.enableFollowedNotifications !== false) {
+        updates.forEach(({ attendance, entries }) => {
+          const latestEntry = entries[0]
+          chrome.notifications.create(`followed:${attendance.id}:${now}`, {
+            type: 'basic',
+            iconUrl: 'logo.png',
+            title:
+              entries.length === 1
+                ? `🔔 Novo trâmite no atendimento ${attendance.id}`
+                : `🔔 ${entries.length} novos trâmites no atendimento ${attendance.id}`,
+            message: `${latestEntry.responsavel} • ${latestEntry.situacao}\n${latestEntry.excerpt || attendance.subject || ''}`,
+            priority: 1,
+            buttons: [{ title: 'Abrir atendimento' }, { title: 'Dispensar' }]
+          })
+        })
+      }
+    }
+
+    return { checked: targets.length, updated: updates.length }
+  })()
+
+  try {
+    return await followedCheckPromise
+  } finally {
+    followedCheckPromise = null
+  }
+}
+
+/**
+ * Abre o atendimento seguido de uma notificação (`followed:<id>:<timestamp>`).
+ * @param {string} notificationId - O ID da notificação.
+ */
+async function openFollowedAttendanceFromNotification(notificationId) {
+  const attendanceId = notificationId.split(':')[1]
+  const attendances = (await getStorageData(FOLLOWED_ATTENDANCES_KEY)) || {}
+  const attendance = attendances[attendanceId]
+  chrome.tabs.create({
+    url:
+      attendance && attendance.url
+        ? attendance.url
+        : 'https://sgd.dominiosistemas.com.br/sgpub/faces/filtro-listas.html?open_sgd_panel=true&target_tab=followed'
+  })
+}
+
 // --- INICIALIZAÇÃO E LISTENERS DE EVENTOS DO CHROME ---
 
 /**
@@ -1119,7 +1489,7 @@ async function setupPendingPollAlarm() {
     const delayInMinutes = Math.random() * 15
     chrome.alarms.create(PENDING_POLL_ALARM, {
       delayInMinutes,
-      periodInMinutes: 15
+      periodInMinutes: PENDING_POLL_PERIOD_MINUTES
     })
   }
 
@@ -1147,6 +1517,15 @@ async function setupPendingPollAlarm() {
       periodInMinutes: WARNINGS_POLL_PERIOD_MIN
     })
   }
+
+  // Alarme para os novos trâmites dos atendimentos seguidos
+  const followedAlarm = await chrome.alarms.get(FOLLOWED_POLL_ALARM)
+  if (!followedAlarm) {
+    chrome.alarms.create(FOLLOWED_POLL_ALARM, {
+      delayInMinutes: 1 + Math.random() * 5,
+      periodInMinutes: 10
+    })
+  }
 }
 
 /**
@@ -1255,8 +1634,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           when: message.alarmTime
         })
         sendResponse({ success: true })
+      } else if (message.action === 'ADVANCE_RECURRING_REMINDER' && message.reminderId) {
+        // Conclusão de um lembrete recorrente: calcula a próxima ocorrência da regra
+        // (recurrence-service.js, com os feriados do calendário) e reagenda o alarme.
+        const reminders = await getReminders()
+        const reminder = reminders[message.reminderId]
+        if (!reminder) throw new Error('Lembrete não encontrado.')
+
+        await loadBusinessCalendar()
+        const nextDate = getNextReminderOccurrence(reminder)
+        if (nextDate) {
+          reminder.dateTime = nextDate.toISOString()
+          reminder.isFired = false
+          reminder.firedAt = null
+          await chrome.alarms.create(reminder.id, { when: nextDate.getTime() })
+        } else {
+          // Série encerrada (COUNT/UNTIL): fica como concluído
+          reminder.isFired = false
+          reminder.firedAt = Date.now()
+          reminder.recurrenceEnded = true
+        }
+        await saveReminders(reminders)
+        await broadcastToSgdTabs({ action: 'UPDATE_NOTIFICATION_BADGE' })
+        sendResponse({ success: true, nextDateTime: nextDate ? reminder.dateTime : null })
       } else if (message.action === 'CLEAR_ALARM' && message.reminderId) {
         await chrome.alarms.clear(message.reminderId)
+        await chrome.alarms.clear(`${REMINDER_ESCALATION_ALARM_PREFIX}${message.reminderId}`)
         sendResponse({ success: true })
       } else if (message.action === 'BROADCAST_DISMISS' && message.reminderId) {
         // Nova ação para retransmitir o fechamento da notificação em-página
@@ -1877,6 +2280,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           handleGerarSugestao(message.prompt, sender.tab.id, workflowId, 'rascunhoCompleto', 'rascunhoErro')
         }
 
+      } else if (message.action === 'melhorarComChain' && sender.tab?.id) {
+        // Chain escolhida explicitamente pelo analista (paleta de comandos): sem roteadora.
+        const workflowId = AI_CHAINS[message.chainKey]
+        if (!workflowId) {
+          chrome.tabs.sendMessage(sender.tab.id, {
+            action: 'rascunhoErro',
+            data: `Chain não encontrada para: "${message.chainKey}"`
+          })
+        } else {
+          handleGerarSugestao(message.prompt, sender.tab.id, workflowId, 'rascunhoCompleto', 'rascunhoErro')
+        }
+
       } else if (message.action === 'FETCH_WARNINGS_DATA') {
         const fetchUrl = `${RTDB_WARNINGS_URL}.json?orderBy="date"&limitToLast=20`;
         try {
@@ -1893,14 +2308,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         (async () => {
           try {
             if (type === 'create') {
-              const { id: _, ...bodyData } = data;
-              const response = await fetch(`${RTDB_WARNINGS_URL}.json`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(bodyData)
-              });
-              if (!response.ok) throw new Error('Erro ao criar no RTDB');
-              await touchWarningsMetadata(data);
+              await createWarningInRtdb(data);
               sendResponse({ success: true });
             } else if (type === 'update') {
               let oldDoc = null;
@@ -1980,6 +2388,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         })();
         return true; // Resposta assíncrona
 
+      } else if (message.action === 'OPEN_BACKGROUND_TABS') {
+        // Ações em lote das pendências: abre os chamados sem tirar o foco da aba atual.
+        const urls = (message.urls || []).filter(url =>
+          String(url).startsWith('https://sgd.dominiosistemas.com.br/')
+        )
+        for (const url of urls) {
+          await chrome.tabs.create({ url, active: false })
+        }
+        sendResponse({ success: true, opened: urls.length })
+
+      } else if (message.action === 'FOLLOW_STATUS_CHANGED') {
+        // Registra a base de trâmites dos atendimentos recém-seguidos sem esperar o alarme.
+        checkFollowedAttendancesAndNotify({ onlyBaseline: true }).catch(error =>
+          console.error('Erro ao verificar os atendimentos seguidos:', error)
+        )
+        sendResponse({ success: true })
+
+      } else if (message.action === 'CHECK_FOLLOWED_ATTENDANCES') {
+        // "Verificar agora" da linha do tempo dos atendimentos seguidos no Painel.
+        const summary = await checkFollowedAttendancesAndNotify()
+        sendResponse({ success: true, ...summary })
+
       } else if (message.action === 'IAGENTE_OPEN_WINDOW') {
         // Abre (ou foca) a janela dedicada do assistente IAgente.
         const open = await openOrFocusIAgenteWindow(message.url)
@@ -2017,6 +2447,7 @@ chrome.alarms.onAlarm.addListener(async alarm => {
       lastPendingNotificationCycle: pendingNotificationCycle
     })
     console.log('Service Worker: Disparando verificação de pendências. Ciclo:', cycleId)
+    // O SLA é avaliado quando a aba grava o novo resultado (listener de storage abaixo)
     broadcastToSgdTabs({ action: 'TRIGGER_PENDING_CHECK', cycleId: cycleId })
     return
   }
@@ -2029,6 +2460,21 @@ chrome.alarms.onAlarm.addListener(async alarm => {
 
   if (alarm.name === WARNINGS_POLL_ALARM) {
     checkWarningsAndNotify();
+    checkTeamCatalogsVersion();
+    return
+  }
+
+  if (alarm.name === FOLLOWED_POLL_ALARM) {
+    checkFollowedAttendancesAndNotify().catch(error =>
+      console.error('Erro ao verificar os atendimentos seguidos:', error)
+    )
+    return
+  }
+
+  if (alarm.name.startsWith(REMINDER_ESCALATION_ALARM_PREFIX)) {
+    escalateReminder(alarm.name.slice(REMINDER_ESCALATION_ALARM_PREFIX.length)).catch(error =>
+      console.error('Erro ao escalar o lembrete:', error)
+    )
     return
   }
 
@@ -2058,8 +2504,14 @@ chrome.alarms.onAlarm.addListener(async alarm => {
   // Passo 1: Atualiza o estado para "disparado" e salva. Esta é a nova fonte da verdade.
   reminder.isFired = true
   reminder.firedAt = Date.now()
+  reminder.escalationLevel = 0
   await saveReminders(reminders)
 
+  // Lembretes de prioridade alta voltam a notificar se ficarem sem resposta
+  scheduleReminderEscalation(reminder).catch(error =>
+    console.error('Erro ao agendar o escalonamento do lembrete:', error)
+  )
+
   // Passo 2: Notifica todas as abas para atualizarem o ícone do sino.
   // Isso garante que o sino comece a pulsar imediatamente em todas as guias.
   broadcastToSgdTabs({ action: 'UPDATE_NOTIFICATION_BADGE' })
@@ -2154,6 +2606,15 @@ chrome.notifications.onButtonClicked.addListener(
       return
     }
 
+    // Tratamento para novos trâmites dos atendimentos seguidos (prefixo 'followed:')
+    if (notificationId.startsWith('followed:')) {
+      if (buttonIndex === 0) {
+        openFollowedAttendanceFromNotification(notificationId)
+      }
+      chrome.notifications.clear(notificationId)
+      return
+    }
+
     // Tratamento para outras notificações genéricas (prefixo 'generic-')
     if (notificationId.startsWith('generic-')) {
       if (buttonIndex === 0) {
@@ -2203,6 +2664,12 @@ chrome.notifications.onClicked.addListener((notificationId) => {
       }
       chrome.notifications.clear(notificationId)
     }
+
+    // Se clicar no corpo da notificação de atendimento seguido, abre o atendimento
+    if (notificationId.startsWith('followed:')) {
+      openFollowedAttendanceFromNotification(notificationId)
+      chrome.notifications.clear(notificationId)
+    }
   }, 150)
 })
 
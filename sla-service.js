@@ -0,0 +1,178 @@
+/**
+ * @file sla-service.js
+ * Políticas de SLA das pendências: regras por classificação, sistema ou tag com os limites
+ * de alerta e de estouro em horas úteis (calendário de business-calendar.js).
+ *
+ * Carregado como content script (ordenação e cores dos cards no Painel) e pelo Service
+ * Worker via importScripts (notificações antes do estouro no alarme de pendências).
+ */
+
+const PENDING_SLA_RULES_KEY = 'pendingSlaRules'
+const PENDING_SLA_NOTIFIED_KEY = 'pendingSlaNotified'
+
+/**
+ * Critérios disponíveis para as regras.
+ */
+const SLA_MATCH_TYPES = {
+  all: 'Todas as pendências',
+  classification: 'Classificação',
+  system: 'Sistema',
+  tag: 'Tag'
+}
+
+/**
+ * Regra usada quando o analista não configurou nenhuma (mesmos limites do badge de tempo
+ * anterior: alerta com 40h e estouro com 48h).
+ */
+const DEFAULT_SLA_RULES = [
+  {
+    id: 'sla-default',
+    name: 'Padrão',
+    matchType: 'all',
+    matchValue: '',
+    warningHours: 40,
+    breachHours: 48,
+    enabled: true
+  }
+]
+
+/**
+ * Recupera as regras de SLA, na ordem de prioridade (a primeira que se aplica vence).
+ * @returns {Promise<Array<object>>} As regras.
+ */
+async function getSlaRules() {
+  const data = await chrome.storage.local.get(PENDING_SLA_RULES_KEY)
+  const rules = data[PENDING_SLA_RULES_KEY]
+  return Array.isArray(rules) && rules.length > 0 ? rules : DEFAULT_SLA_RULES
+}
+
+/**
+ * Salva as regras de SLA.
+ * @param {Array<object>} rules - As regras, na ordem de prioridade.
+ */
+async function saveSlaRules(rules) {
+  await chrome.storage.local.set({ [PENDING_SLA_RULES_KEY]: rules })
+}
+
+/**
+ * Normaliza textos para comparar classificações e sistemas.
+ * @param {string} text - O texto.
+ * @returns {string} O texto sem acentos, em minúsculas.
+ */
+function _normalizeSlaText(text) {
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+}
+
+/**
+ * Encontra a primeira regra ativa que se aplica à pendência.
+ * @param {object} item - A pendência (pending-service.js).
+ * @param {Array<object>} rules - As regras.
+ * @param {string[]} itemTagIds - IDs das tags da pendência.
+ * @returns {object|null} A regra ou null.
+ */
+function findSlaRule(item, rules, itemTagIds = []) {
+  return (
+    rules.find(rule => {
+      if (rule.enabled === false) return false
+      const value = _normalizeSlaText(rule.matchValue)
+      switch (rule.matchType) {
+        case 'all':
+          return true
+        case 'classification':
+          return !!value && _normalizeSlaText(item.classification).includes(value)
+        case 'system':
+          return !!value && _normalizeSlaText(item.system).includes(value)
+        case 'tag':
+          return !!rule.matchValue && itemTagIds.includes(rule.matchValue)
+        default:
+          return false
+      }
+    }) || null
+  )
+}
+
+/**
+ * Lista as tags da pendência, incluindo as implícitas ("Prioridade" e "Em SS") que o
+ * Painel exibe a partir das marcações da própria lista do SGD e as aplicadas pelas regras
+ * de tags automáticas (tag-rules-service.js).
+ * @param {object} item - A pendência.
+ * @param {Array<{id: string, name: string}>} tags - As tags disponíveis.
+ * @param {object} tagsMap - Mapa { idPendência: [idsTags] }.
+ * @returns {string[]} Os IDs das tags.
+ */
+function getPendingItemTagIds(item, tags, tagsMap) {
+  const tagIds = new Set([...((tagsMap && tagsMap[item.id]) || []), ...(item.autoTagIds || [])])
+  const findByName = name => tags.find(tag => tag.name.toLowerCase() === name)
+  if (item.isPrioritaria && findByName('prioridade')) tagIds.add(findByName('prioridade').id)
+  if (item.isEmSS && findByName('em ss')) tagIds.add(findByName('em ss').id)
+  return [...tagIds]
+}
+
+/**
+ * Calcula as horas úteis decorridas desde o último trâmite.
+ * @param {object} item - A pendência.
+ * @param {number} now - Timestamp de referência.
+ * @returns {number|null} As horas úteis, ou null sem referência de tempo.
+ */
+function getPendingElapsedHours(item, now = Date.now()) {
+  if (Number.isFinite(item.slaStartTs)) {
+    return calculateBusinessTimeMs(item.slaStartTs, now) / (1000 * 60 * 60)
+  }
+  if (typeof item.hoursSinceUpdate === 'number') return item.hoursSinceUpdate
+  if (typeof item.estimatedDaysSinceUpdate === 'number') {
+    return (item.estimatedDaysSinceUpdate * getAverageWorkingDayMs()) / (1000 * 60 * 60)
+  }
+  return null
+}
+
+/**
+ * Avalia a pendência contra as regras de SLA.
+ *
+ * Níveis (com os limites padrão de 40h/48h): normal, notice (75% do alerta = 30h),
+ * warning (alerta = 40h), urgent (metade da janela final = 44h), critical (estouro = 48h)
+ * e fatal (estouro + metade do prazo = 72h).
+ *
+ * @param {object} item - A pendência.
+ * @param {Array<object>} rules - As regras.
+ * @param {string[]} itemTagIds - IDs das tags da pendência.
+ * @param {number} now - Timestamp de referência.
+ * @returns {{rule: object, elapsedHours: number, remainingHours: number, level: string}|null}
+ */
+function evaluatePendingSla(item, rules, itemTagIds = [], now = Date.now()) {
+  const rule = findSlaRule(item, rules, itemTagIds)
+  if (!rule) return null
+  const elapsedHours = getPendingElapsedHours(item, now)
+  if (elapsedHours === null) return null
+
+  const breachHours = Number(rule.breachHours) || 0
+  const warningHours = Math.min(Number(rule.warningHours) || breachHours, breachHours)
+  const remainingHours = breachHours - elapsedHours
+
+  let level = 'normal'
+  if (remainingHours <= -breachHours / 2) level = 'fatal'
+  else if (remainingHours <= 0) level = 'critical'
+  else if (remainingHours <= (breachHours - warningHours) / 2) level = 'urgent'
+  else if (elapsedHours >= warningHours) level = 'warning'
+  else if (elapsedHours >= warningHours * 0.75) level = 'notice'
+
+  return { rule, elapsedHours, remainingHours, level }
+}
+
+/**
+ * Descreve a regra de forma resumida (ex: "Sistema: Folha").
+ * @param {object} rule - A regra.
+ * @param {Array<{id: string, name: string}>} tags - As tags disponíveis.
+ * @returns {string} A descrição.
+ */
+function describeSlaRule(rule, tags = []) {
+  if (rule.matchType === 'all') return SLA_MATCH_TYPES.all
+  const value =
+    rule.matchType === 'tag'
+      ? (tags.find(tag => tag.id === rule.matchValue) || {}).name || rule.matchValue
+      : rule.matchValue
+  return `${SLA_MATCH_TYPES[rule.matchType] || rule.matchType}: ${value}`
+}
@@ -0,0 +1,92 @@
+/**
+ * @file snooze-service.js
+ * Opções de adiamento dos lembretes ("+1h útil", "próximo dia útil"...) e a sugestão
+ * automática (adiamento inteligente) exibida em destaque no modal "Adiar Lembrete".
+ *
+ * Os horários úteis usam o calendário de expediente (business-calendar.js). As opções
+ * exibidas são escolhidas pelo analista em `settings.snoozePresets`.
+ */
+
+/**
+ * Opções de adiamento disponíveis. `compute` recebe o momento atual e retorna a nova data.
+ */
+const SNOOZE_PRESETS = {
+  '15min': { label: '15 minutos', compute: now => new Date(now.getTime() + 15 * 60 * 1000) },
+  '30min': { label: '30 minutos', compute: now => new Date(now.getTime() + 30 * 60 * 1000) },
+  '1h': { label: '1 hora', compute: now => new Date(now.getTime() + 60 * 60 * 1000) },
+  '1h-business': { label: '+1h útil', compute: now => addBusinessTimeMs(now, 60 * 60 * 1000) },
+  'tomorrow-8h': {
+    label: 'Até amanhã 8h',
+    compute: now => new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 8, 0)
+  },
+  'next-business-day': { label: 'Próximo dia útil', compute: now => getNextBusinessDayStart(now) },
+  'next-work-start': {
+    label: 'Próximo início de expediente',
+    compute: now => {
+      // Fora do expediente, o próximo período (pode ser hoje); durante, o próximo dia útil
+      const next = addBusinessTimeMs(now, 0)
+      return next.getTime() > now.getTime() ? next : getNextBusinessDayStart(now)
+    }
+  },
+  'next-monday': {
+    label: 'Próxima segunda 9h',
+    compute: now => new Date(now.getFullYear(), now.getMonth(), now.getDate() + (((8 - now.getDay()) % 7) || 7), 9, 0)
+  }
+}
+
+/**
+ * Quantidade de adiamentos a partir da qual a sugestão passa a ser o próximo dia útil.
+ */
+const SMART_SNOOZE_REPEAT_LIMIT = 3
+
+/**
+ * Calcula a data de uma opção de adiamento.
+ * @param {string} key - A chave em SNOOZE_PRESETS.
+ * @param {Date} now - Referência (padrão: agora).
+ * @returns {Date|null} A nova data, ou null se a opção não existe.
+ */
+function getSnoozePresetDate(key, now = new Date()) {
+  const preset = SNOOZE_PRESETS[key]
+  return preset ? preset.compute(now) : null
+}
+
+/**
+ * Filtra as opções configuradas, descartando chaves que não existem mais.
+ * @param {string[]} keys - As chaves salvas nas configurações.
+ * @returns {string[]} As chaves válidas, na ordem do catálogo.
+ */
+function getEnabledSnoozePresets(keys) {
+  const enabled = Array.isArray(keys) ? keys : DEFAULT_SETTINGS.snoozePresets
+  return Object.keys(SNOOZE_PRESETS).filter(key => enabled.includes(key))
+}
+
+/**
+ * Sugere o adiamento mais adequado para o lembrete:
+ * - fora do expediente: o próximo início de expediente;
+ * - com menos de 1h útil restante hoje: próximo dia útil;
+ * - adiado muitas vezes: próximo dia útil (evita adiar de hora em hora o dia todo);
+ * - prioridade alta: 15 minutos;
+ * - demais casos: +1h útil.
+ * @param {object} reminder - O lembrete.
+ * @param {Date} now - Referência (padrão: agora).
+ * @returns {{key: string, reason: string}} A opção sugerida e o motivo.
+ */
+function getSmartSnoozeSuggestion(reminder, now = new Date()) {
+  const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime()
+  const businessMsLeftToday = calculateBusinessTimeMs(now.getTime(), endOfDay)
+  const isWorkingNow = calculateBusinessTimeMs(now.getTime(), now.getTime() + 60 * 1000) > 0
+
+  if (!isWorkingNow) {
+    return { key: 'next-work-start', reason: 'Fora do expediente' }
+  }
+  if (businessMsLeftToday < 60 * 60 * 1000) {
+    return { key: 'next-business-day', reason: 'O expediente de hoje está acabando' }
+  }
+  if ((reminder.snoozeCount || 0) >= SMART_SNOOZE_REPEAT_LIMIT) {
+    return { key: 'next-business-day', reason: `Já adiado ${reminder.snoozeCount}x` }
+  }
+  if (reminder.priority === 'high') {
+    return { key: '15min', reason: 'Prioridade alta' }
+  }
+  return { key: '1h-business', reason: 'Próxima hora de expediente' }
+}
@@ -119,7 +119,8 @@ const SpeechService = (() => {
       { pattern: /\b(limpar|limpar tudo|apagar tudo)\b/ },
       { pattern: /\b(apagar|apagar palavra|apagar última palavra)\b/ },
       { pattern: /\b(nova linha|quebra de linha|parágrafo)\b/ },
-      { pattern: /\b(selecionar tudo)\b/ }
+      { pattern: /\b(selecionar tudo)\b/ },
+      { pattern: /^(criar|novo) lembrete\b/ }
     ]
     return actionCommandPatterns.some(({ pattern }) =>
       pattern.test(lowerTranscript)
@@ -133,6 +134,15 @@ const SpeechService = (() => {
     if (!transcript) return false
     const lowerTranscript = transcript.toLowerCase().trim()
 
+    // "Criar lembrete amanhã às 9 ligar para o cliente": abre o novo lembrete com a data
+    // interpretada (reminder-parser.js) para o analista confirmar.
+    const reminderCommand = transcript.trim().match(/^(?:criar|novo)\s+lembrete\s+(.+)$/i)
+    if (reminderCommand) {
+      stop()
+      openNewReminderModal(null, { initialTitle: reminderCommand[1] })
+      return true
+    }
+
     const actionCommands = {
       parar: stop,
       terminar: stop,
@@ -471,6 +481,37 @@ const SpeechService = (() => {
     }
   }
 
+  /**
+   * Captura uma única frase, sem o ditado contínuo (ex: título de um lembrete).
+   * @returns {Promise<string>} O texto reconhecido ('' se nada foi dito).
+   */
+  async function captureOnce() {
+    if (!SpeechRecognition) {
+      throw new Error('reconhecimento de voz não suportado neste navegador.')
+    }
+    if (isListening) stop()
+    await requestMicrophonePermission()
+
+    return new Promise((resolve, reject) => {
+      const singleRecognition = new SpeechRecognition()
+      singleRecognition.lang = 'pt-BR'
+      singleRecognition.continuous = false
+      singleRecognition.interimResults = false
+      let transcript = ''
+      singleRecognition.onresult = event => {
+        transcript = Array.from(event.results)
+          .map(result => result[0].transcript)
+          .join(' ')
+      }
+      singleRecognition.onerror = event => {
+        if (event.error === 'no-speech') resolve('')
+        else reject(new Error(event.error))
+      }
+      singleRecognition.onend = () => resolve(transcript.trim())
+      singleRecognition.start()
+    })
+  }
+
   /**
    * Função pública para alternar (iniciar/parar) o reconhecimento de voz.
    */
@@ -484,6 +525,7 @@ const SpeechService = (() => {
 
   return {
     initialize,
-    toggleRecognition
+    toggleRecognition,
+    captureOnce
   }
 })()
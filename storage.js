@@ -95,6 +95,8 @@ async function getStoredData() {
 async function saveStoredData(data) {
   try {
     data.version = DATA_VERSION
+    const previous = await chrome.storage.local.get(STORAGE_KEY)
+    await recordQuickMessagesChanges(previous[STORAGE_KEY] || null, data)
     // Agora sempre salva no local, que tem mais espaço.
     await chrome.storage.local.set({ [STORAGE_KEY]: data })
   } catch (error) {
@@ -254,6 +256,292 @@ async function runDataMigration(data) {
   return newData
 }
 
+// --- HISTÓRICO DE VERSÕES E LIXEIRA DOS TRÂMITES ---
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Estrutura vazia do histórico de trâmites.
+ * revisions: { [messageId]: [{ title, message, savedAt }] } (mais recente primeiro)
+ * trash: itens excluídos aguardando restauração ou expiração.
+ */
+function getEmptyQuickMessagesHistory() {
+  return { revisions: {}, trash: { messages: [], categories: [] } }
+}
+
+/**
+ * Lê os limites de histórico/lixeira das preferências, com valores seguros.
+ * @returns {Promise<{historyLimit: number, retentionDays: number}>}
+ */
+async function getQuickMessagesHistoryLimits() {
+  const settings = await getSettings()
+  const prefs = settings.preferences || {}
+  const historyLimit = parseInt(prefs.messageHistoryLimit, 10)
+  const retentionDays = parseInt(prefs.trashRetentionDays, 10)
+  return {
+    historyLimit:
+      historyLimit >= 1 && historyLimit <= 50
+        ? historyLimit
+        : DEFAULT_SETTINGS.preferences.messageHistoryLimit,
+    retentionDays:
+      retentionDays >= 1 && retentionDays <= 365
+        ? retentionDays
+        : DEFAULT_SETTINGS.preferences.trashRetentionDays
+  }
+}
+
+/**
+ * Recupera o histórico de versões e a lixeira, removendo os itens da lixeira
+ * que ultrapassaram o período de retenção configurado.
+ * @returns {Promise<object>} O histórico.
+ */
+async function getQuickMessagesHistory() {
+  if (!isExtensionContextValid()) return getEmptyQuickMessagesHistory()
+
+  try {
+    const result = await chrome.storage.local.get(QUICK_MESSAGES_HISTORY_KEY)
+    const stored = result[QUICK_MESSAGES_HISTORY_KEY] || {}
+    const history = {
+      revisions: stored.revisions || {},
+      trash: {
+        messages: (stored.trash && stored.trash.messages) || [],
+        categories: (stored.trash && stored.trash.categories) || []
+      }
+    }
+
+    const { retentionDays } = await getQuickMessagesHistoryLimits()
+    const cutoff = Date.now() - retentionDays * DAY_IN_MS
+    const expiredMessages = history.trash.messages.filter(
+      item => item.deletedAt < cutoff
+    )
+    const expiredCategories = history.trash.categories.filter(
+      item => item.deletedAt < cutoff
+    )
+
+    if (expiredMessages.length > 0 || expiredCategories.length > 0) {
+      history.trash.messages = history.trash.messages.filter(
+        item => item.deletedAt >= cutoff
+      )
+      history.trash.categories = history.trash.categories.filter(
+        item => item.deletedAt >= cutoff
+      )
+      // As versões de trâmites expirados não têm mais como ser restauradas.
+      expiredMessages.forEach(item => delete history.revisions[item.message.id])
+      await saveQuickMessagesHistory(history)
+    }
+
+    return history
+  } catch (error) {
+    if (!isContextInvalidatedError(error)) {
+      console.error('SGD - PowerTools: Erro ao carregar histórico de trâmites.', error)
+    }
+    return getEmptyQuickMessagesHistory()
+  }
+}
+
+/**
+ * Salva o histórico de versões e a lixeira.
+ * @param {object} history - O histórico completo.
+ */
+async function saveQuickMessagesHistory(history) {
+  await chrome.storage.local.set({ [QUICK_MESSAGES_HISTORY_KEY]: history })
+}
+
+/**
+ * Compara os dados anteriores com os novos e registra as versões substituídas
+ * e os itens removidos. Marca `updatedAt` nos trâmites criados ou alterados.
+ * Falhas aqui nunca impedem o salvamento dos trâmites.
+ * @param {object|null} previousData - Dados antes do salvamento.
+ * @param {object} newData - Dados que serão salvos (alterado in-place).
+ */
+async function recordQuickMessagesChanges(previousData, newData) {
+  try {
+    const now = Date.now()
+    const previousMessages = new Map(
+      ((previousData && previousData.messages) || []).map(m => [m.id, m])
+    )
+    const newMessageIds = new Set()
+    const revised = []
+
+    newData.messages.forEach(message => {
+      newMessageIds.add(message.id)
+      const previous = previousMessages.get(message.id)
+      if (!previous) {
+        if (!message.updatedAt) message.updatedAt = now
+        return
+      }
+      if (previous.title !== message.title || previous.message !== message.message) {
+        message.updatedAt = now
+        revised.push({
+          id: message.id,
+          revision: {
+            title: previous.title,
+            message: previous.message,
+            savedAt: previous.updatedAt || null,
+            replacedAt: now
+          }
+        })
+      }
+    })
+
+    const newCategoryIds = new Set(newData.categories.map(c => c.id))
+    const removedCategories = ((previousData && previousData.categories) || [])
+      .map((category, index) => ({ category, index }))
+      .filter(({ category }) => !newCategoryIds.has(category.id))
+    const removedMessages = [...previousMessages.values()].filter(
+      m => !newMessageIds.has(m.id)
+    )
+
+    if (!revised.length && !removedCategories.length && !removedMessages.length) {
+      return
+    }
+
+    const history = await getQuickMessagesHistory()
+    const { historyLimit } = await getQuickMessagesHistoryLimits()
+
+    revised.forEach(({ id, revision }) => {
+      const list = history.revisions[id] || []
+      list.unshift(revision)
+      history.revisions[id] = list.slice(0, historyLimit)
+    })
+
+    const previousCategories = (previousData && previousData.categories) || []
+    removedMessages.forEach(message => {
+      const category = previousCategories.find(c => c.id === message.categoryId)
+      history.trash.messages.unshift({
+        trashId: `trash-msg-${now}-${message.id}`,
+        deletedAt: now,
+        categoryName: category ? category.name : '',
+        message
+      })
+    })
+
+    removedCategories.forEach(({ category, index }) => {
+      // Guarda quais trâmites pertenciam à categoria para devolvê-los na restauração.
+      const messageIds = [...previousMessages.values()]
+        .filter(m => m.categoryId === category.id)
+        .map(m => m.id)
+      history.trash.categories.unshift({
+        trashId: `trash-cat-${now}-${category.id}`,
+        deletedAt: now,
+        index,
+        category,
+        messageIds
+      })
+    })
+
+    await saveQuickMessagesHistory(history)
+  } catch (error) {
+    console.warn('SGD - PowerTools: Falha ao registrar histórico de trâmites.', error)
+  }
+}
+
+/**
+ * Restaura uma versão anterior de um trâmite. A versão atual vira uma nova
+ * entrada no histórico, então a restauração também pode ser desfeita.
+ * @param {string} messageId - ID do trâmite.
+ * @param {number} revisionIndex - Índice da versão no histórico.
+ * @returns {Promise<boolean>} True se restaurado.
+ */
+async function restoreMessageRevision(messageId, revisionIndex) {
+  const history = await getQuickMessagesHistory()
+  const revision = (history.revisions[messageId] || [])[revisionIndex]
+  const data = await getStoredData()
+  const message = data.messages.find(m => m.id === messageId)
+  if (!revision || !message) return false
+
+  message.title = revision.title
+  message.message = revision.message
+  await saveStoredData(data)
+  return true
+}
+
+/**
+ * Devolve um trâmite da lixeira para a sua categoria de origem
+ * (ou para a primeira categoria, caso a original não exista mais).
+ * @param {string} trashId - ID do item na lixeira.
+ * @returns {Promise<boolean>} True se restaurado.
+ */
+async function restoreMessageFromTrash(trashId) {
+  const history = await getQuickMessagesHistory()
+  const item = history.trash.messages.find(i => i.trashId === trashId)
+  if (!item) return false
+
+  const data = await getStoredData()
+  if (!data.messages.some(m => m.id === item.message.id)) {
+    const categoryId = data.categories.some(c => c.id === item.message.categoryId)
+      ? item.message.categoryId
+      : data.categories[0] && data.categories[0].id
+    if (!categoryId) return false
+
+    const order = data.messages.filter(m => m.categoryId === categoryId).length
+    data.messages.push({ ...item.message, categoryId, order })
+    await saveStoredData(data)
+  }
+
+  const updatedHistory = await getQuickMessagesHistory()
+  updatedHistory.trash.messages = updatedHistory.trash.messages.filter(
+    i => i.trashId !== trashId
+  )
+  await saveQuickMessagesHistory(updatedHistory)
+  return true
+}
+
+/**
+ * Restaura uma categoria da lixeira na posição original e devolve a ela os
+ * trâmites que ainda existem e foram movidos durante a exclusão.
+ * @param {string} trashId - ID do item na lixeira.
+ * @returns {Promise<boolean>} True se restaurado.
+ */
+async function restoreCategoryFromTrash(trashId) {
+  const history = await getQuickMessagesHistory()
+  const item = history.trash.categories.find(i => i.trashId === trashId)
+  if (!item) return false
+
+  const data = await getStoredData()
+  if (!data.categories.some(c => c.id === item.category.id)) {
+    const category = { ...item.category }
+    // Evita conflito caso o atalho tenha sido reaproveitado por outra categoria.
+    if (category.shortcut && data.categories.some(c => c.shortcut === category.shortcut)) {
+      category.shortcut = ''
+    }
+    data.categories.splice(Math.min(item.index, data.categories.length), 0, category)
+
+    const idsToMove = new Set(item.messageIds)
+    let order = 0
+    data.messages.forEach(message => {
+      if (idsToMove.has(message.id)) {
+        message.categoryId = category.id
+        message.order = order++
+      }
+    })
+    await saveStoredData(data)
+  }
+
+  const updatedHistory = await getQuickMessagesHistory()
+  updatedHistory.trash.categories = updatedHistory.trash.categories.filter(
+    i => i.trashId !== trashId
+  )
+  await saveQuickMessagesHistory(updatedHistory)
+  return true
+}
+
+/**
+ * Remove definitivamente itens da lixeira.
+ * @param {string[]|null} trashIds - IDs a remover; null esvazia a lixeira inteira.
+ */
+async function purgeQuickMessagesTrash(trashIds = null) {
+  const history = await getQuickMessagesHistory()
+  const shouldPurge = item => trashIds === null || trashIds.includes(item.trashId)
+
+  history.trash.messages
+    .filter(shouldPurge)
+    .forEach(item => delete history.revisions[item.message.id])
+  history.trash.messages = history.trash.messages.filter(i => !shouldPurge(i))
+  history.trash.categories = history.trash.categories.filter(i => !shouldPurge(i))
+  await saveQuickMessagesHistory(history)
+}
+
 // --- CONFIGURAÇÕES GERAIS (Consolidado) ---
 
 /**
@@ -478,6 +766,23 @@ async function savePreviewState(isVisible) {
   await saveSettings({ previewVisible: isVisible })
 }
 
+/**
+ * Carrega o estado do modo Markdown do editor principal.
+ * @returns {Promise<boolean>} Retorna true se o editor deve abrir em modo Markdown.
+ */
+async function getMarkdownModeState() {
+  const settings = await getSettings()
+  return settings.markdownMode === true
+}
+
+/**
+ * Salva o estado do modo Markdown do editor principal.
+ * @param {boolean} isEnabled - O estado a ser salvo.
+ */
+async function saveMarkdownModeState(isEnabled) {
+  await saveSettings({ markdownMode: isEnabled })
+}
+
 /**
  * Carrega o estado de redimensionamento do painel de visualização.
  * @returns {Promise<boolean>} Retorna true se deve ser redimensionável, false caso contrário.
@@ -592,6 +897,47 @@ async function sendBackgroundMessage(message) {
   }
 }
 
+// --- FIREBASE REALTIME DATABASE ---
+
+/**
+ * Lê um caminho do RTDB pelo Service Worker, com fetch direto como fallback.
+ * @param {string} path - Caminho a partir da raiz (ex: '/business_calendar.json').
+ * @returns {Promise<any>} O JSON retornado.
+ */
+async function readRtdbPath(path) {
+  try {
+    const swResponse = await chrome.runtime.sendMessage({ action: 'READ_PERMISSIONS_ACTION', path })
+    if (swResponse && swResponse.success) return swResponse.data
+    throw new Error(swResponse ? swResponse.error : 'Erro na resposta do SW')
+  } catch (e) {
+    const response = await fetch(`${RTDB_BASE_URL}${path}`, { cache: 'no-store' })
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+    return response.json()
+  }
+}
+
+/**
+ * Escreve em um caminho do RTDB pelo Service Worker, com fetch direto como fallback.
+ * @param {string} path - Caminho a partir da raiz.
+ * @param {'PUT'|'PATCH'|'DELETE'} method - Método HTTP.
+ * @param {any} [data] - Corpo da requisição (omitido no DELETE).
+ */
+async function writeRtdbPath(path, method, data) {
+  try {
+    const swResponse = await chrome.runtime.sendMessage({ action: 'WRITE_PERMISSIONS_ACTION', path, method, data })
+    if (swResponse && swResponse.success) return
+    throw new Error(swResponse ? swResponse.error : 'Erro na resposta do SW')
+  } catch (e) {
+    const options = { method }
+    if (data !== undefined) {
+      options.headers = { 'Content-Type': 'application/json' }
+      options.body = JSON.stringify(data)
+    }
+    const response = await fetch(`${RTDB_BASE_URL}${path}`, options)
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+  }
+}
+
 /**
  * Recupera todos os lembretes armazenados.
  * @returns {Promise<object>} Um objeto onde as chaves são os IDs dos lembretes.
@@ -687,7 +1033,8 @@ async function saveReminder(reminderData) {
     dateTime: reminderData.dateTime,
     description: reminderData.description || '',
     url: reminderData.url || '',
-    recurrence: reminderData.recurrence || 'none', // NOVO
+    ticketId: reminderData.ticketId || '', // Número da SSC/SS vinculada (syncTicketReminders)
+    recurrence: normalizeRecurrenceRule(reminderData.recurrence) || 'none', // Regra RRULE (recurrence-service.js)
     priority: reminderData.priority || 'medium', // NOVO
     createdAt: reminderData.createdAt || Date.now(),
     isFired: false, // Sempre false ao salvar/editar manualmente
@@ -703,6 +1050,28 @@ async function saveReminder(reminderData) {
     const storageResult = await chrome.storage.local.get(REMINDERS_STORAGE_KEY)
     const reminders = storageResult[REMINDERS_STORAGE_KEY] || {}
 
+    // Início da série (DTSTART): mantido ao adiar ou editar sem mudar a regra nem o horário,
+    // para que INTERVAL, COUNT e BYSETPOS continuem contando da primeira ocorrência. Na
+    // importação (.ics) vem em `reminderData.recurrenceStart`.
+    const existing = reminders[reminderId]
+    const keepsSeries =
+      existing &&
+      existing.recurrenceStart &&
+      normalizeRecurrenceRule(existing.recurrence) === normalizeRecurrenceRule(reminder.recurrence) &&
+      (reminderData.isSnoozed || new Date(existing.dateTime).getTime() === alarmTime)
+    reminder.recurrenceStart =
+      reminder.recurrence === 'none'
+        ? null
+        : keepsSeries
+          ? existing.recurrenceStart
+          : reminderData.recurrenceStart || reminder.dateTime
+    // Última data de trâmite vista na lista de pendências: mantida enquanto o chamado for o
+    // mesmo. O aviso de novo trâmite (`ticketUpdatedAt`) é descartado ao salvar.
+    const isSameTicket = existing && existing.ticketId === reminder.ticketId
+    reminder.ticketLastTramite = reminder.ticketId
+      ? reminderData.ticketLastTramite || (isSameTicket && existing.ticketLastTramite) || null
+      : null
+
     reminders[reminderId] = reminder
     await chrome.storage.local.set({ [REMINDERS_STORAGE_KEY]: reminders })
 
@@ -752,6 +1121,126 @@ async function saveReminder(reminderData) {
   }
 }
 
+/**
+ * Conclui a ocorrência atual de um lembrete recorrente: o Service Worker calcula a próxima
+ * data da regra e reagenda o alarme (ou encerra a série, ao atingir COUNT/UNTIL).
+ * @param {string} reminderId - O ID do lembrete.
+ * @returns {Promise<string|null>} A próxima data (ISO) ou null se a série terminou.
+ */
+async function advanceRecurringReminder(reminderId) {
+  const response = await sendBackgroundMessage({
+    action: 'ADVANCE_RECURRING_REMINDER',
+    reminderId
+  })
+  return response.nextDateTime
+}
+
+// Nome do lock que serializa a sincronização dos lembretes entre as abas do SGD
+const TICKET_REMINDERS_LOCK = 'sgd-ticket-reminders'
+
+/**
+ * Tempo mínimo que o chamado precisa faltar na lista para o lembrete ser concluído: um
+ * ciclo do alarme de pendências (PENDING_POLL_PERIOD_MINUTES no Service Worker).
+ */
+const TICKET_REMINDER_MISSING_MIN_MS = 15 * 60 * 1000
+
+/**
+ * Sincroniza os lembretes vinculados a chamados com a lista de pendências (checkNewPendings):
+ * - o chamado saiu da lista: o lembrete é concluído e seu alarme cancelado;
+ * - a data do último trâmite mudou: o lembrete é marcado com o novo trâmite.
+ *
+ * Só conclui lembretes de chamados que já foram vistos na lista (`ticketLastTramite`), para
+ * não encerrar um lembrete criado para um chamado de outra fila, e só quando o chamado
+ * continua fora das listas completas por um ciclo de verificação inteiro
+ * (`ticketMissingSince` marca a primeira ausência).
+ *
+ * Todas as abas do SGD verificam as pendências no mesmo ciclo: a leitura e a gravação
+ * rodam sob um lock, então cada mudança é gravada e devolvida (para notificar) por uma
+ * única aba.
+ *
+ * @param {Array<object>} items - As pendências lidas (todas as guias).
+ * @param {number} now - Timestamp da verificação.
+ * @param {boolean} isCompleteList - Todas as fontes responderam e não há filtro do site
+ *   ativo. Em listas parciais, a ausência de um chamado não conta.
+ * @returns {Promise<{completed: Array<object>, updated: Array<object>}>} Os lembretes alterados.
+ */
+async function syncTicketReminders(items, now = Date.now(), isCompleteList = false) {
+  // Lista vazia pode ser falha de leitura da página: nada é concluído
+  if (items.length === 0) return { completed: [], updated: [] }
+
+  if (navigator.locks && typeof navigator.locks.request === 'function') {
+    return navigator.locks.request(TICKET_REMINDERS_LOCK, () =>
+      _syncTicketRemindersUnlocked(items, now, isCompleteList)
+    )
+  }
+  return _syncTicketRemindersUnlocked(items, now, isCompleteList)
+}
+
+/**
+ * Executa syncTicketReminders (já dentro do lock).
+ * @param {Array<object>} items - As pendências lidas.
+ * @param {number} now - Timestamp da verificação.
+ * @param {boolean} isCompleteList - Se a lista está completa.
+ * @returns {Promise<{completed: Array<object>, updated: Array<object>}>}
+ */
+async function _syncTicketRemindersUnlocked(items, now, isCompleteList) {
+  const completed = []
+  const updated = []
+  const result = await chrome.storage.local.get(REMINDERS_STORAGE_KEY)
+  const reminders = result[REMINDERS_STORAGE_KEY] || {}
+  const itemsById = new Map(items.map(item => [item.id, item]))
+  let changed = false
+
+  for (const reminder of Object.values(reminders)) {
+    const isConcluded = !reminder.isFired && !!reminder.firedAt
+    if (!reminder.ticketId || isConcluded) continue
+
+    const item = itemsById.get(reminder.ticketId)
+    if (item && reminder.ticketMissingSince) {
+      delete reminder.ticketMissingSince
+      changed = true
+    }
+    if (!item) {
+      if (!reminder.ticketLastTramite || !isCompleteList) continue
+      if (!reminder.ticketMissingSince) {
+        reminder.ticketMissingSince = now
+      } else if (now - reminder.ticketMissingSince < TICKET_REMINDER_MISSING_MIN_MS) {
+        continue
+      } else {
+        delete reminder.ticketMissingSince
+        reminder.isFired = false
+        reminder.firedAt = now
+        reminder.ticketResolvedAt = now
+        completed.push(reminder)
+      }
+    } else if (!reminder.ticketLastTramite) {
+      reminder.ticketLastTramite = item.dataUltimoTramite
+    } else if (reminder.ticketLastTramite !== item.dataUltimoTramite) {
+      reminder.ticketLastTramite = item.dataUltimoTramite
+      reminder.ticketUpdatedAt = now
+      updated.push(reminder)
+    } else {
+      continue
+    }
+    changed = true
+  }
+
+  if (!changed) return { completed, updated }
+  await chrome.storage.local.set({ [REMINDERS_STORAGE_KEY]: reminders })
+
+  // Cancela os alarmes e fecha as notificações dos concluídos (melhor esforço)
+  for (const reminder of completed) {
+    sendBackgroundMessage({ action: 'CLEAR_ALARM', reminderId: reminder.id }).catch(error =>
+      console.warn(`Erro ao limpar o alarme do lembrete ${reminder.id}:`, error)
+    )
+    sendBackgroundMessage({ action: 'BROADCAST_DISMISS', reminderId: reminder.id }).catch(() => {})
+  }
+  if (updated.length > 0) {
+    sendBackgroundMessage({ action: 'REMINDER_UPDATED' }).catch(() => {})
+  }
+  return { completed, updated }
+}
+
 /**
  * Exclui um lembrete do storage e cancela seu alarme via Service Worker.
  * @param {string} reminderId - O ID do lembrete a ser excluído.
@@ -908,6 +1397,164 @@ async function saveUserResponseSample(responseText) {
   }
 }
 
+// --- USO DA PALETA DE COMANDOS (Ctrl+K) ---
+
+/**
+ * Recupera as estatísticas de uso dos itens da paleta de comandos.
+ * @returns {Promise<object>} Mapa itemKey -> { count, lastUsed }.
+ */
+async function getCommandPaletteUsage() {
+  try {
+    const result = await chrome.storage.local.get(COMMAND_PALETTE_USAGE_KEY)
+    return result[COMMAND_PALETTE_USAGE_KEY] || {}
+  } catch (error) {
+    return {}
+  }
+}
+
+/**
+ * Registra o uso de um item da paleta, mantendo apenas os 200 itens mais recentes.
+ * @param {string} itemKey - Identificador estável do item (ex: "message:msg-123").
+ */
+async function recordCommandPaletteUsage(itemKey) {
+  try {
+    const usage = await getCommandPaletteUsage()
+    const entry = usage[itemKey] || { count: 0, lastUsed: 0 }
+    usage[itemKey] = { count: entry.count + 1, lastUsed: Date.now() }
+
+    const keys = Object.keys(usage)
+    if (keys.length > 200) {
+      keys
+        .sort((a, b) => usage[a].lastUsed - usage[b].lastUsed)
+        .slice(0, keys.length - 200)
+        .forEach(key => delete usage[key])
+    }
+    await chrome.storage.local.set({ [COMMAND_PALETTE_USAGE_KEY]: usage })
+  } catch (error) {
+    console.warn('SGD - PowerTools: Falha ao registrar uso da paleta.', error)
+  }
+}
+
+// --- HISTÓRICO DE EDIÇÃO (DESFAZER/REFAZER) POR ATENDIMENTO ---
+
+/**
+ * Recupera o histórico de edição salvo para um atendimento.
+ * @param {string} ticketKey - Chave do atendimento (ver getEditorTicketKey).
+ * @returns {Promise<object|null>} { value, undo, redo, savedAt } ou null.
+ */
+async function getEditorHistory(ticketKey) {
+  try {
+    const result = await chrome.storage.local.get(EDITOR_HISTORY_KEY)
+    const allHistories = result[EDITOR_HISTORY_KEY] || {}
+    return allHistories[ticketKey] || null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Salva o histórico de edição de um atendimento, mantendo apenas os
+ * MAX_EDITOR_HISTORY_TICKETS atendimentos editados mais recentemente.
+ * @param {string} ticketKey - Chave do atendimento.
+ * @param {object|null} history - O histórico serializado, ou null para removê-lo.
+ */
+async function saveEditorHistory(ticketKey, history) {
+  try {
+    const result = await chrome.storage.local.get(EDITOR_HISTORY_KEY)
+    const allHistories = result[EDITOR_HISTORY_KEY] || {}
+
+    if (history) {
+      allHistories[ticketKey] = { ...history, savedAt: Date.now() }
+    } else {
+      delete allHistories[ticketKey]
+    }
+
+    const keys = Object.keys(allHistories)
+    if (keys.length > MAX_EDITOR_HISTORY_TICKETS) {
+      keys
+        .sort((a, b) => allHistories[a].savedAt - allHistories[b].savedAt)
+        .slice(0, keys.length - MAX_EDITOR_HISTORY_TICKETS)
+        .forEach(key => delete allHistories[key])
+    }
+    await chrome.storage.local.set({ [EDITOR_HISTORY_KEY]: allHistories })
+  } catch (error) {
+    console.warn('SGD - PowerTools: Falha ao salvar o histórico de edição.', error)
+  }
+}
+
+// --- RASCUNHOS AUTOMÁTICOS DO EDITOR ---
+
+/**
+ * Recupera todos os rascunhos salvos, descartando os mais antigos que
+ * EDITOR_DRAFT_RETENTION_DAYS.
+ * @returns {Promise<object>} Mapa chave do atendimento -> rascunho.
+ */
+async function getEditorDrafts() {
+  try {
+    const result = await chrome.storage.local.get(EDITOR_DRAFTS_KEY)
+    const drafts = result[EDITOR_DRAFTS_KEY] || {}
+    const cutoff = Date.now() - EDITOR_DRAFT_RETENTION_DAYS * DAY_IN_MS
+    const expiredKeys = Object.keys(drafts).filter(key => drafts[key].updatedAt < cutoff)
+    if (expiredKeys.length > 0) {
+      expiredKeys.forEach(key => delete drafts[key])
+      await chrome.storage.local.set({ [EDITOR_DRAFTS_KEY]: drafts })
+    }
+    return drafts
+  } catch (error) {
+    return {}
+  }
+}
+
+/**
+ * Recupera o rascunho de um atendimento.
+ * @param {string} ticketKey - Chave do atendimento (ver getEditorTicketKey).
+ * @returns {Promise<object|null>} O rascunho ou null.
+ */
+async function getEditorDraft(ticketKey) {
+  const drafts = await getEditorDrafts()
+  return drafts[ticketKey] || null
+}
+
+/**
+ * Salva o rascunho de um atendimento, mantendo no máximo MAX_EDITOR_DRAFTS.
+ * @param {string} ticketKey - Chave do atendimento.
+ * @param {object} draft - { content, formType, requestNumber, url, subject }.
+ */
+async function saveEditorDraft(ticketKey, draft) {
+  try {
+    const result = await chrome.storage.local.get(EDITOR_DRAFTS_KEY)
+    const drafts = result[EDITOR_DRAFTS_KEY] || {}
+    drafts[ticketKey] = { ...draft, updatedAt: Date.now() }
+
+    const keys = Object.keys(drafts)
+    if (keys.length > MAX_EDITOR_DRAFTS) {
+      keys
+        .sort((a, b) => drafts[a].updatedAt - drafts[b].updatedAt)
+        .slice(0, keys.length - MAX_EDITOR_DRAFTS)
+        .forEach(key => delete drafts[key])
+    }
+    await chrome.storage.local.set({ [EDITOR_DRAFTS_KEY]: drafts })
+  } catch (error) {
+    console.warn('SGD - PowerTools: Falha ao salvar o rascunho.', error)
+  }
+}
+
+/**
+ * Remove o rascunho de um atendimento.
+ * @param {string} ticketKey - Chave do atendimento.
+ */
+async function deleteEditorDraft(ticketKey) {
+  try {
+    const result = await chrome.storage.local.get(EDITOR_DRAFTS_KEY)
+    const drafts = result[EDITOR_DRAFTS_KEY] || {}
+    if (!drafts[ticketKey]) return
+    delete drafts[ticketKey]
+    await chrome.storage.local.set({ [EDITOR_DRAFTS_KEY]: drafts })
+  } catch (error) {
+    console.warn('SGD - PowerTools: Falha ao remover o rascunho.', error)
+  }
+}
+
 // --- SUGESTÃO INTELIGENTE DE TRÂMITES ---
 
 /**
@@ -1398,7 +2045,12 @@ async function saveFollowedAttendance(attendanceData) {
           ? now
           : existing
             ? existing.updatedAt
-            : null
+            : null,
+      // Estado do monitoramento em segundo plano (followed-watcher.js no service worker)
+      tramiteHashes: existing ? existing.tramiteHashes : undefined,
+      timeline: existing ? existing.timeline || [] : [],
+      lastSeenAt: existing ? existing.lastSeenAt : now,
+      lastError: existing ? existing.lastError : null
     }
     await saveFollowedAttendances(attendances)
 
@@ -1453,6 +2105,9 @@ async function markAttendanceStatus(attendanceId, status) {
   attendances[attendanceId].status = status
   if (status === 'updated') {
     attendances[attendanceId].updatedAt = Date.now()
+  } else if (status === 'monitoring') {
+    // Trâmites detectados depois disso voltam a aparecer como novos na linha do tempo
+    attendances[attendanceId].lastSeenAt = Date.now()
   }
   await saveFollowedAttendances(attendances)
   try {
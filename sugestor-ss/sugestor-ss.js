@@ -27,6 +27,11 @@ function extractDate(text) {
 }
 function htmlToText(html) {
   if (!html) return '';
+  // Usa o conversor do editor (text-processor.js) quando disponível: preserva listas,
+  // tabelas e ênfases que a conversão simplificada abaixo descarta.
+  if (typeof sgdHtmlToMarkdown === 'function') {
+    return sgdHtmlToMarkdown(html, { keepInlineHtml: false });
+  }
   let text = html;
   text = text.replace(/<br\s*\/?>/gi, '\n');
   text = text.replace(/<\/?b>|<\/?strong>/gi, '**');
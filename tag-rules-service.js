@@ -0,0 +1,185 @@
+/**
+ * @file tag-rules-service.js
+ * Regras de tags automáticas das pendências: uma tag é aplicada quando a pendência atende
+ * a todas as condições preenchidas da regra (palavras no assunto, cliente, classificação,
+ * idade ou responsável).
+ *
+ * As regras são avaliadas sempre que parsePendingPage (e as fontes de pending-sources.js)
+ * lê a lista. As tags automáticas ficam em `item.autoTagIds` e não entram no mapa de tags
+ * manuais, então deixam de aparecer sozinhas quando a pendência não atende mais à regra.
+ */
+
+const PENDING_TAG_RULES_KEY = 'pendingTagRules'
+
+/**
+ * Condições disponíveis. Todas as preenchidas precisam ser atendidas.
+ */
+const TAG_RULE_CONDITIONS = {
+  keywords: 'Palavras no assunto',
+  client: 'Cliente',
+  classification: 'Classificação',
+  minAgeDays: 'Dias em aberto (mínimo)',
+  responsible: 'Responsável'
+}
+
+/**
+ * Recupera as regras de tags automáticas.
+ * @returns {Promise<Array<object>>} As regras.
+ */
+async function getTagRules() {
+  const data = await chrome.storage.local.get(PENDING_TAG_RULES_KEY)
+  return Array.isArray(data[PENDING_TAG_RULES_KEY]) ? data[PENDING_TAG_RULES_KEY] : []
+}
+
+/**
+ * Salva as regras de tags automáticas.
+ * @param {Array<object>} rules - As regras.
+ */
+async function saveTagRules(rules) {
+  await chrome.storage.local.set({ [PENDING_TAG_RULES_KEY]: rules })
+}
+
+/**
+ * Normaliza textos para comparação.
+ * @param {string} text - O texto.
+ * @returns {string} O texto sem acentos, em minúsculas.
+ */
+function _normalizeTagRuleText(text) {
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+}
+
+/**
+ * Verifica se a regra tem ao menos uma condição preenchida (regra vazia nunca se aplica,
+ * para não marcar a lista inteira por engano).
+ * @param {object} rule - A regra.
+ * @returns {boolean}
+ */
+function hasTagRuleConditions(rule) {
+  return Object.keys(TAG_RULE_CONDITIONS).some(key => String(rule[key] ?? '').trim() !== '')
+}
+
+/**
+ * Verifica se a pendência atende a todas as condições preenchidas da regra.
+ * @param {object} item - A pendência (pending-service.js).
+ * @param {object} rule - A regra.
+ * @returns {boolean}
+ */
+function matchesTagRule(item, rule) {
+  if (rule.enabled === false || !rule.tagId || !hasTagRuleConditions(rule)) return false
+
+  const keywords = String(rule.keywords || '')
+    .split(',')
+    .map(_normalizeTagRuleText)
+    .filter(Boolean)
+  if (keywords.length > 0) {
+    const subject = _normalizeTagRuleText(item.subject)
+    if (!keywords.some(keyword => subject.includes(keyword))) return false
+  }
+
+  const textConditions = ['client', 'classification', 'responsible']
+  for (const field of textConditions) {
+    const expected = _normalizeTagRuleText(rule[field])
+    if (expected && !_normalizeTagRuleText(item[field]).includes(expected)) return false
+  }
+
+  if (String(rule.minAgeDays ?? '').trim() !== '') {
+    const days = parseInt(item.dias, 10)
+    if (isNaN(days) || days < Number(rule.minAgeDays)) return false
+  }
+
+  return true
+}
+
+/**
+ * Lista as tags que as regras aplicam à pendência.
+ * @param {object} item - A pendência.
+ * @param {Array<object>} rules - As regras.
+ * @returns {string[]} IDs das tags, sem repetição.
+ */
+function evaluateTagRules(item, rules) {
+  if (!rules || rules.length === 0) return []
+  return [...new Set(rules.filter(rule => matchesTagRule(item, rule)).map(rule => rule.tagId))]
+}
+
+/**
+ * Simula as regras sobre as pendências atuais, sem aplicar nada (prévia do modal).
+ * @param {Array<object>} items - As pendências.
+ * @param {Array<object>} rules - As regras.
+ * @returns {Map<string, Array<object>>} Pendências atingidas por ID de regra.
+ */
+function previewTagRules(items, rules) {
+  return new Map(rules.map(rule => [rule.id, items.filter(item => matchesTagRule(item, rule))]))
+}
+
+/**
+ * Monta o bloco de regras que acompanha o backup dos trâmites, com as tags usadas
+ * (para recriá-las pelo nome em outra máquina).
+ * @returns {Promise<{rules: Array<object>, tags: Array<object>}|null>} null sem regras.
+ */
+async function buildTagRulesBackup() {
+  const rules = await getTagRules()
+  if (rules.length === 0) return null
+  const tags = await getAvailableTags()
+  const usedTagIds = new Set(rules.map(rule => rule.tagId))
+  return { rules, tags: tags.filter(tag => usedTagIds.has(tag.id)) }
+}
+
+/**
+ * Importa as regras de um backup: as tags são associadas pelo nome (ou criadas) e as regras
+ * com o mesmo ID são substituídas.
+ * @param {{rules: Array<object>, tags: Array<object>}} backup - O bloco do backup.
+ * @returns {Promise<number>} Quantidade de regras importadas.
+ */
+async function importTagRulesBackup(backup) {
+  if (!backup || !Array.isArray(backup.rules) || backup.rules.length === 0) return 0
+
+  const tags = await getAvailableTags()
+  const tagIdMap = {}
+  let tagsChanged = false
+  ;(backup.tags || []).forEach((importedTag, index) => {
+    const existing =
+      tags.find(tag => tag.id === importedTag.id) ||
+      tags.find(tag => tag.name.toLowerCase() === String(importedTag.name).toLowerCase())
+    if (existing) {
+      tagIdMap[importedTag.id] = existing.id
+      return
+    }
+    const newTag = { id: `tag-${Date.now()}-${index}`, name: importedTag.name, color: importedTag.color }
+    tags.push(newTag)
+    tagIdMap[importedTag.id] = newTag.id
+    tagsChanged = true
+  })
+  if (tagsChanged) {
+    await chrome.storage.local.set({ pendingTags: tags })
+  }
+
+  const validTagIds = new Set(tags.map(tag => tag.id))
+  const importedRules = backup.rules
+    .map(rule => ({ ...rule, tagId: tagIdMap[rule.tagId] || rule.tagId }))
+    .filter(rule => rule.id && validTagIds.has(rule.tagId))
+
+  const rules = await getTagRules()
+  importedRules.forEach(importedRule => {
+    const index = rules.findIndex(rule => rule.id === importedRule.id)
+    if (index > -1) rules[index] = importedRule
+    else rules.push(importedRule)
+  })
+  await saveTagRules(rules)
+  return importedRules.length
+}
+
+/**
+ * Remove as regras de uma tag excluída (deleteCustomTag).
+ * @param {string} tagId - O ID da tag.
+ */
+async function removeTagRulesForTag(tagId) {
+  const rules = await getTagRules()
+  const remaining = rules.filter(rule => rule.tagId !== tagId)
+  if (remaining.length !== rules.length) {
+    await saveTagRules(remaining)
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * @file team-catalog-service.js
+ * Catálogos de trâmites compartilhados da equipe, publicados por editores no Firebase Realtime Database.
+ * Mesma estratégia "Metadata Check" dos avisos: um nó de versão minúsculo (verificado pelo
+ * Service Worker) e assinaturas por canal em /metadata/team_catalogs, para só baixar os
+ * canais assinados que realmente mudaram.
+ *
+ * Estrutura no RTDB:
+ *   /team_catalogs/<canal>/<categoryId> = { name, channel, publishedBy, updatedAt, messages: [{ id, title, message }] }
+ *   /metadata/team_catalogs = { channel_<canal>: ISO }
+ *   /metadata/team_catalogs_version = ISO
+ */
+
+const RTDB_TEAM_CATALOGS_PATH = '/team_catalogs'
+const RTDB_TEAM_CATALOGS_META_PATH = '/metadata/team_catalogs'
+const RTDB_TEAM_CATALOGS_VERSION_PATH = '/metadata/team_catalogs_version'
+const TEAM_CATALOG_ID_PREFIX = 'team:'
+
+/**
+ * Registra a alteração de um canal no metadata e atualiza o nó de versão,
+ * fazendo os clientes assinantes detectarem a mudança no próximo poll.
+ * @param {string} channel - Canal alterado.
+ */
+async function touchTeamCatalogsMetadata(channel) {
+  const now = new Date().toISOString()
+  await writeRtdbPath(`${RTDB_TEAM_CATALOGS_META_PATH}.json`, 'PATCH', {
+    [`channel_${safeFirebaseKey(channel)}`]: now
+  })
+  await writeRtdbPath(`${RTDB_TEAM_CATALOGS_VERSION_PATH}.json`, 'PUT', now).catch(() => {})
+}
+
+/**
+ * Lista de canais disponíveis para os catálogos (os mesmos da Central de Avisos).
+ * @returns {Promise<string[]>}
+ */
+async function getTeamCatalogChannels() {
+  const storage = await chrome.storage.local.get('warningChannels')
+  if (Array.isArray(storage.warningChannels)) return [...storage.warningChannels]
+  if (window.sgdPermissions?.channels?.length) return [...window.sgdPermissions.channels]
+  return [...WARNING_CHANNELS]
+}
+
+/**
+ * Canais em que o editor atual pode publicar catálogos.
+ * @returns {Promise<string[]>} Lista vazia se o usuário não for editor.
+ */
+async function getTeamCatalogPublishChannels() {
+  const permissions = window.sgdPermissions || {}
+  if (!permissions.isEditor) return []
+  if (permissions.isMaster) return getTeamCatalogChannels()
+  return permissions.allowedChannels && permissions.allowedChannels.length > 0
+    ? [...permissions.allowedChannels]
+    : ['Geral']
+}
+
+/**
+ * Canais de catálogos assinados pelo analista.
+ * @returns {Promise<string[]>}
+ */
+async function getSubscribedCatalogChannels() {
+  const storage = await chrome.storage.local.get('subscribedCatalogChannels')
+  return storage.subscribedCatalogChannels || []
+}
+
+/**
+ * Salva os canais assinados e sincroniza os catálogos imediatamente.
+ * @param {string[]} channels - Canais assinados.
+ */
+async function saveSubscribedCatalogChannels(channels) {
+  await chrome.storage.local.set({ subscribedCatalogChannels: channels })
+  await syncTeamCatalogs()
+}
+
+/**
+ * Sincroniza os catálogos dos canais assinados. Só baixa um canal quando a
+ * assinatura dele em /metadata/team_catalogs difere da última sincronização.
+ * @param {boolean} forceRefresh - Ignora as assinaturas e baixa todos os canais assinados.
+ * @returns {Promise<boolean>} True se algum canal foi atualizado.
+ */
+async function syncTeamCatalogs(forceRefresh = false) {
+  try {
+    const storage = await chrome.storage.local.get([
+      'cachedTeamCatalogs',
+      'teamCatalogsMetaSignature',
+      'subscribedCatalogChannels',
+      'teamCatalogsVersion'
+    ])
+    const subscribed = storage.subscribedCatalogChannels || []
+    const localSignature = storage.teamCatalogsMetaSignature || {}
+    const cache = storage.cachedTeamCatalogs || {}
+
+    // Remove do cache canais que deixaram de ser assinados.
+    let changed = false
+    Object.keys(cache).forEach(channel => {
+      if (!subscribed.includes(channel)) {
+        delete cache[channel]
+        changed = true
+      }
+    })
+
+    if (subscribed.length > 0) {
+      const metaDoc = (await readRtdbPath(`${RTDB_TEAM_CATALOGS_META_PATH}.json`)) || {}
+
+      for (const channel of subscribed) {
+        const key = `channel_${safeFirebaseKey(channel)}`
+        if (!forceRefresh && cache[channel] && metaDoc[key] === localSignature[key]) continue
+
+        const result = await readRtdbPath(
+          `${RTDB_TEAM_CATALOGS_PATH}/${safeFirebaseKey(channel)}.json`
+        )
+        cache[channel] = Object.entries(result || {}).map(([id, category]) => ({
+          id,
+          name: category.name || 'Sem nome',
+          channel,
+          publishedBy: category.publishedBy || '',
+          updatedAt: category.updatedAt || null,
+          messages: Array.isArray(category.messages) ? category.messages : []
+        }))
+        localSignature[key] = metaDoc[key] || null
+        changed = true
+      }
+    }
+
+    await chrome.storage.local.set({
+      cachedTeamCatalogs: cache,
+      teamCatalogsMetaSignature: localSignature,
+      teamCatalogsVersionSeen: storage.teamCatalogsVersion || null
+    })
+    return changed
+  } catch (error) {
+    console.error('SGD - PowerTools: Erro ao sincronizar catálogos da equipe.', error)
+    return false
+  }
+}
+
+/**
+ * Sincroniza apenas se o Service Worker detectou uma nova versão desde a última
+ * sincronização (ou se ainda não há cache). Usado ao abrir o painel de trâmites.
+ */
+async function syncTeamCatalogsIfOutdated() {
+  const storage = await chrome.storage.local.get([
+    'subscribedCatalogChannels',
+    'cachedTeamCatalogs',
+    'teamCatalogsVersion',
+    'teamCatalogsVersionSeen'
+  ])
+  const subscribed = storage.subscribedCatalogChannels || []
+  if (subscribed.length === 0) return false
+
+  const cache = storage.cachedTeamCatalogs || {}
+  const isMissingChannel = subscribed.some(channel => !cache[channel])
+  if (!isMissingChannel && storage.teamCatalogsVersion === storage.teamCatalogsVersionSeen) {
+    return false
+  }
+  return syncTeamCatalogs()
+}
+
+/**
+ * Retorna as categorias da equipe dos canais assinados (do cache local), no mesmo
+ * formato das categorias/mensagens pessoais, marcadas como somente leitura.
+ * @returns {Promise<{categories: Array, messages: Array}>}
+ */
+async function getTeamCatalogData() {
+  const storage = await chrome.storage.local.get(['cachedTeamCatalogs', 'subscribedCatalogChannels'])
+  const cache = storage.cachedTeamCatalogs || {}
+  const categories = []
+  const messages = []
+  const subscribedChannels = storage.subscribedCatalogChannels || []
+
+  subscribedChannels.forEach(channel => {
+    (cache[channel] || []).forEach(category => {
+      const categoryId = `${TEAM_CATALOG_ID_PREFIX}${safeFirebaseKey(channel)}:${category.id}`
+      categories.push({
+        id: categoryId,
+        name: category.name,
+        channel,
+        publishedBy: category.publishedBy,
+        updatedAt: category.updatedAt,
+        readOnly: true
+      })
+      category.messages.forEach((message, index) => {
+        messages.push({
+          id: `${categoryId}:${message.id}`,
+          title: message.title,
+          message: message.message,
+          categoryId,
+          order: index,
+          readOnly: true
+        })
+      })
+    })
+  })
+
+  return { categories, messages }
+}
+
+/**
+ * Indica se um ID de categoria/mensagem pertence a um catálogo da equipe.
+ * @param {string} id - O ID.
+ * @returns {boolean}
+ */
+function isTeamCatalogId(id) {
+  return typeof id === 'string' && id.startsWith(TEAM_CATALOG_ID_PREFIX)
+}
+
+/**
+ * Publica (ou republica) uma categoria pessoal como catálogo somente leitura em um canal.
+ * @param {string} categoryId - ID da categoria pessoal.
+ * @param {string} channel - Canal de destino.
+ */
+async function publishTeamCatalogCategory(categoryId, channel) {
+  const allowedChannels = await getTeamCatalogPublishChannels()
+  if (!allowedChannels.includes(channel)) {
+    throw new Error('Você não tem permissão para publicar neste canal.')
+  }
+
+  const data = await getStoredData()
+  const category = data.categories.find(c => c.id === categoryId)
+  if (!category) throw new Error('Categoria não encontrada.')
+
+  const messages = data.messages
+    .filter(m => m.categoryId === categoryId)
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(m => ({ id: m.id, title: m.title, message: m.message }))
+
+  await writeRtdbPath(
+    `${RTDB_TEAM_CATALOGS_PATH}/${safeFirebaseKey(channel)}/${categoryId}.json`,
+    'PUT',
+    {
+      name: category.name,
+      channel,
+      publishedBy: window.sgdPermissions?.currentUser || '',
+      updatedAt: new Date().toISOString(),
+      messages
+    }
+  )
+  await touchTeamCatalogsMetadata(channel)
+
+  if (window.sgdPermissions?.writeAuditLog) {
+    await window.sgdPermissions.writeAuditLog('PUBLISH_TEAM_CATALOG', category.name, `Canal: ${channel}, Trâmites: ${messages.length}`)
+  }
+}
+
+/**
+ * Lista as categorias publicadas em um canal (leitura direta, para a gestão pelos editores).
+ * @param {string} channel - O canal.
+ * @returns {Promise<Array<{id: string, name: string, publishedBy: string, updatedAt: string, count: number}>>}
+ */
+async function listPublishedTeamCatalogs(channel) {
+  const result = await readRtdbPath(`${RTDB_TEAM_CATALOGS_PATH}/${safeFirebaseKey(channel)}.json`)
+  return Object.entries(result || {}).map(([id, category]) => ({
+    id,
+    name: category.name,
+    publishedBy: category.publishedBy || '',
+    updatedAt: category.updatedAt || null,
+    count: Array.isArray(category.messages) ? category.messages.length : 0
+  }))
+}
+
+/**
+ * Remove uma categoria publicada de um canal.
+ * @param {string} channel - O canal.
+ * @param {string} categoryId - ID da categoria publicada.
+ * @param {string} categoryName - Nome (para o log de auditoria).
+ */
+async function unpublishTeamCatalogCategory(channel, categoryId, categoryName = '') {
+  const allowedChannels = await getTeamCatalogPublishChannels()
+  if (!allowedChannels.includes(channel)) {
+    throw new Error('Você não tem permissão para alterar este canal.')
+  }
+
+  await writeRtdbPath(
+    `${RTDB_TEAM_CATALOGS_PATH}/${safeFirebaseKey(channel)}/${categoryId}.json`,
+    'DELETE'
+  )
+  await touchTeamCatalogsMetadata(channel)
+
+  if (window.sgdPermissions?.writeAuditLog) {
+    await window.sgdPermissions.writeAuditLog('UNPUBLISH_TEAM_CATALOG', categoryName || categoryId, `Canal: ${channel}`)
+  }
+}
+
+/**
+ * Cria uma cópia pessoal (editável) de um trâmite da equipe.
+ * @param {object} teamMessage - Trâmite do catálogo da equipe.
+ * @param {string} targetCategoryId - Categoria pessoal de destino.
+ * @returns {Promise<object>} O trâmite criado.
+ */
+async function forkTeamMessage(teamMessage, targetCategoryId) {
+  const data = await getStoredData()
+  const categoryId = data.categories.some(c => c.id === targetCategoryId)
+    ? targetCategoryId
+    : data.categories[0]?.id
+  if (!categoryId) throw new Error('Nenhuma categoria pessoal disponível.')
+
+  const messagesInCat = data.messages.filter(m => m.categoryId === categoryId)
+  const maxOrder = messagesInCat.length > 0 ? Math.max(...messagesInCat.map(m => m.order || 0)) : -1
+
+  const newMessage = {
+    id: `msg-${Date.now()}`,
+    title: teamMessage.title,
+    message: teamMessage.message,
+    categoryId,
+    order: maxOrder + 1,
+    forkedFrom: teamMessage.id
+  }
+  data.messages.push(newMessage)
+  await saveStoredData(data)
+  return newMessage
+}
+
+// O Service Worker grava "teamCatalogsVersion" quando o nó de versão muda no RTDB
+// a aba ativa sincroniza os canais assinados e atualiza o painel de trâmites.
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'local' || !changes.teamCatalogsVersion) return
+  if (document.visibilityState !== 'visible') return
+
+  const storage = await chrome.storage.local.get(['teamCatalogsVersionSeen', 'subscribedCatalogChannels'])
+  if (!storage.subscribedCatalogChannels || storage.subscribedCatalogChannels.length === 0) return
+  if (storage.teamCatalogsVersionSeen === changes.teamCatalogsVersion.newValue) return
+
+  if (await syncTeamCatalogs()) {
+    await refreshQuickInserterPanel()
+    showNotification('Os catálogos de trâmites da equipe foram atualizados.', 'info')
+  }
+})
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * Timestamp de uma data no horário local (mês começando em 1, como no SGD).
+ * @returns {number}
+ */
+const at = (year, month, day, hours = 0, minutes = 0) =>
+  new Date(year, month - 1, day, hours, minutes).getTime()
+
+describe('business-calendar', () => {
+  let page
+  let useCalendar
+
+  beforeEach(() => {
+    page = loadContentScripts(['business-calendar.js'])
+    useCalendar = page.run(`(overrides, userInfo) => {
+      activeBusinessCalendar = buildBusinessCalendar(DEFAULT_BUSINESS_CALENDAR, overrides, userInfo)
+    }`)
+  })
+
+  it('calcula a Páscoa e os feriados móveis', () => {
+    assert.equal(page.run('getEasterDate')(2026).getTime(), at(2026, 4, 5))
+    assert.equal(page.run('getEasterDate')(2027).getTime(), at(2027, 3, 28))
+
+    const holidays = page.run('getHolidaysForYear')(2026)
+    assert.equal(holidays.get('2026-02-16'), 'Carnaval (segunda-feira)')
+    assert.equal(holidays.get('2026-02-17'), 'Carnaval (terça-feira)')
+    assert.equal(holidays.get('2026-04-03'), 'Sexta-feira Santa')
+    assert.equal(holidays.get('2026-06-04'), 'Corpus Christi')
+    assert.equal(holidays.get('2026-04-21'), 'Tiradentes')
+  })
+
+  it('não considera dia útil os fins de semana e feriados', () => {
+    const isBusinessDay = page.run('isBusinessDay')
+    assert.equal(isBusinessDay(at(2026, 4, 20)), true)
+    assert.equal(isBusinessDay(at(2026, 4, 21)), false)
+    assert.equal(isBusinessDay(at(2026, 4, 25)), false)
+    assert.equal(isBusinessDay(at(2026, 4, 26)), false)
+  })
+
+  it('soma dias úteis pulando o feriado e mantendo o horário', () => {
+    const result = page.run('addBusinessDays')(at(2026, 4, 17, 10, 0), 2)
+    assert.equal(result.getTime(), at(2026, 4, 22, 10, 0))
+  })
+
+  it('soma dias corridos quando o calendário não tem nenhum dia com expediente', () => {
+    useCalendar({ workingHours: {} })
+
+    const result = page.run('addBusinessDays')(at(2026, 10, 19, 10, 0), 3)
+    assert.equal(result.getTime(), at(2026, 10, 22, 10, 0))
+    assert.equal(
+      page.run('getNextBusinessDayStart')(at(2026, 10, 19, 10, 0)).getTime(),
+      at(2026, 10, 20)
+    )
+  })
+
+  it('conta só o tempo de expediente, sem almoço, noites e feriados', () => {
+    const calculateBusinessTimeMs = page.run('calculateBusinessTimeMs')
+    assert.equal(calculateBusinessTimeMs(at(2026, 4, 20, 11, 0), at(2026, 4, 20, 14, 0)), 1.5 * HOUR_MS)
+    assert.equal(calculateBusinessTimeMs(at(2026, 4, 20, 17, 0), at(2026, 4, 22, 9, 0)), 2 * HOUR_MS)
+    assert.equal(calculateBusinessTimeMs(at(2026, 4, 22, 9, 0), at(2026, 4, 20, 17, 0)), 0)
+    assert.equal(page.run('getAverageWorkingDayMs')(), 8.5 * HOUR_MS)
+  })
+
+  it('avança tempo útil para o próximo dia útil', () => {
+    const result = page.run('addBusinessTimeMs')(at(2026, 4, 20, 17, 30), HOUR_MS)
+    assert.equal(result.getTime(), at(2026, 4, 22, 8, 30))
+    assert.equal(
+      page.run('getNextBusinessDayStart')(at(2026, 4, 20, 17, 30)).getTime(),
+      at(2026, 4, 22, 8, 0)
+    )
+  })
+
+  it('aplica os feriados da região encontrada pela unidade do analista', () => {
+    const regions = {
+      sp: {
+        name: 'São Paulo',
+        units: ['Unidade Centro'],
+        holidays: [{ date: '01-25', name: 'Aniversário de São Paulo' }]
+      }
+    }
+    const resolveBusinessRegion = page.run('resolveBusinessRegion')
+    assert.equal(resolveBusinessRegion(regions, { unidade: 'UNIDADE CENTRO - SP' }), 'sp')
+    assert.equal(resolveBusinessRegion(regions, { regiao: 'sao paulo' }), 'sp')
+    assert.equal(resolveBusinessRegion(regions, { regionKey: '__none__', unidade: 'Unidade Centro' }), null)
+
+    const calendar = page.run('buildBusinessCalendar')(
+      { regions },
+      { extraHolidays: [{ date: '2026-10-28', name: 'Dia do Servidor' }] },
+      { unidade: 'Unidade Centro' }
+    )
+    assert.equal(calendar.regionName, 'São Paulo')
+    const holidays = page.run('getHolidaysForYear')(2026, calendar)
+    assert.equal(holidays.get('2026-01-25'), 'Aniversário de São Paulo')
+    assert.equal(holidays.get('2026-10-28'), 'Dia do Servidor')
+  })
+
+  it('carrega o calendário publicado e a unidade salvos no storage', async () => {
+    await page.chrome.storage.local.set({
+      publishedBusinessCalendar: {
+        workingHours: { 1: [{ start: '09:00', end: '17:00' }] },
+        holidays: [],
+        movableHolidays: [],
+        regions: {}
+      }
+    })
+    await page.run('loadBusinessCalendar')()
+
+    assert.equal(page.run('isBusinessDay')(at(2026, 10, 19)), true)
+    assert.equal(page.run('isBusinessDay')(at(2026, 10, 20)), false)
+    assert.equal(page.run('getAverageWorkingDayMs')(), 8 * HOUR_MS)
+  })
+
+  it('lê feriados em linhas "DD/MM Nome" e "DD/MM/AAAA Nome"', () => {
+    const result = page.run('parseHolidayLines')('25/01 Aniversário da cidade\n28/10/2026 - Dia do Servidor\n32/01 Inválido\n\nsem data')
+    assert.deepEqual(toPlain(result), {
+      holidays: [
+        { date: '01-25', name: 'Aniversário da cidade' },
+        { date: '2026-10-28', name: 'Dia do Servidor' }
+      ],
+      invalidLines: ['32/01 Inválido', 'sem data']
+    })
+    assert.equal(
+      page.run('formatHolidayLines')(result.holidays),
+      '25/01 Aniversário da cidade\n28/10/2026 Dia do Servidor'
+    )
+  })
+
+  it('recusa horário de trabalho sem nenhum dia com expediente', async () => {
+    const hasWorkingWeekday = page.run('hasWorkingWeekday')
+    assert.equal(hasWorkingWeekday({ 1: [{ start: '08:00', end: '12:00' }] }), true)
+    assert.equal(hasWorkingWeekday({ 1: [{ start: '12:00', end: '08:00' }] }), false)
+    assert.equal(hasWorkingWeekday({}), false)
+
+    await assert.rejects(
+      page.run('saveBusinessCalendarOverrides')({ workingHours: {} }),
+      /ao menos um dia com expediente/
+    )
+  })
+})
@@ -0,0 +1,63 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+const SCRIPTS = ['config.js', 'utils.js', 'storage.js', 'duplicate-checker.js']
+
+describe('lerResultadosTabelaSSC', () => {
+  let page
+  let lerResultadosTabelaSSC
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS, {
+      url: 'https://sgd.dominiosistemas.com.br/sgsc/faces/ssc.html?ssc=654321'
+    })
+    lerResultadosTabelaSSC = page.run('lerResultadosTabelaSSC')
+  })
+
+  /**
+   * Reordena as linhas da tabela de SSCs pendentes.
+   * @param {Document} doc - O documento da fixture.
+   * @param {number[]} order - Os índices das linhas originais, na nova ordem.
+   */
+  const reorderRows = (doc, order) => {
+    const tbody = doc.querySelector('table.tableSorter tbody')
+    const rows = Array.from(tbody.rows)
+    order.forEach(index => tbody.appendChild(rows[index]))
+  }
+
+  it('ignora a SSC atual, as "Aguardando preenchimento" e as com mais de 60 dias', () => {
+    const doc = page.parseFixture('sscs-pendentes.html')
+    const candidatos = lerResultadosTabelaSSC(doc, '654321')
+
+    assert.deepEqual(toPlain(candidatos), [
+      {
+        assunto: 'Folha de adiantamento não gera',
+        href: 'https://sgd.dominiosistemas.com.br/sgsc/faces/ssc.html?ssc=654480',
+        dias: 25
+      }
+    ])
+  })
+
+  it('mantém a ordem original quando a tabela está em ordem decrescente de dias', () => {
+    const doc = page.parseFixture('sscs-pendentes.html')
+    reorderRows(doc, [3, 2, 1, 0])
+
+    const candidatos = lerResultadosTabelaSSC(doc, null)
+    assert.deepEqual(
+      toPlain(candidatos.map(candidato => candidato.dias)),
+      [25, 18]
+    )
+  })
+
+  it('percorre a tabela inteira quando ela não está ordenada', () => {
+    const doc = page.parseFixture('sscs-pendentes.html')
+    reorderRows(doc, [1, 3, 0, 2])
+
+    const candidatos = lerResultadosTabelaSSC(doc, null)
+    assert.deepEqual(
+      toPlain(candidatos.map(candidato => candidato.dias)),
+      [25, 18]
+    )
+  })
+})
@@ -0,0 +1,64 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts } = require('./harness')
+
+const SCRIPTS = ['config.js', 'utils.js', 'storage.js', 'text-processor.js', 'editor-core.js']
+const INDENT = '&nbsp;'.repeat(4)
+
+describe('normalizeClipboardHtml', () => {
+  let page
+  let normalizeClipboardHtml
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    normalizeClipboardHtml = page.run('normalizeClipboardHtml')
+  })
+
+  it('recua os itens de listas aninhadas com &nbsp;', () => {
+    const html = '<ul><li>Folha<ul><li>Férias</li><li>Rescisão</li></ul></li><li>Fiscal</li></ul>'
+    assert.equal(
+      normalizeClipboardHtml(html),
+      `• Folha\n${INDENT}• Férias\n${INDENT}• Rescisão\n• Fiscal`
+    )
+  })
+
+  it('mantém o recuo dos níveis de lista do Word', () => {
+    const html =
+      '<html xmlns:w="urn:schemas-microsoft-com:office:word"><body>' +
+      '<p style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">1.</span>Conferir</p>' +
+      '<p style="mso-list:l0 level2 lfo1"><span style="mso-list:Ignore">a.</span>Guias</p>' +
+      '</body></html>'
+    assert.equal(normalizeClipboardHtml(html), `1. Conferir\n\n${INDENT}a. Guias`)
+  })
+
+  it('alinha as colunas de uma tabela colada como texto com espaços não separáveis', () => {
+    const html =
+      '<table><tr><th>Código</th><th>Cliente</th></tr>' +
+      '<tr><td>1</td><td>Alfa</td></tr><tr><td>1234</td><td>Beta Ltda</td></tr></table>'
+    const lines = normalizeClipboardHtml(html, { tablesAs: 'text' }).split('\n')
+    assert.deepEqual(lines, [
+      '<span style="font-family: monospace;">Código&nbsp;&nbsp;Cliente</span>',
+      `<span style="font-family: monospace;">1${'&nbsp;'.repeat(7)}Alfa</span>`,
+      `<span style="font-family: monospace;">1234${'&nbsp;'.repeat(4)}Beta Ltda</span>`
+    ])
+  })
+
+  it('converte a tabela colada para a tabela do SGD por padrão', () => {
+    const html = '<table><tr><th>Código</th><th>Cliente</th></tr><tr><td>1</td><td>Alfa</td></tr></table>'
+    const result = normalizeClipboardHtml(html)
+    assert.match(result, /^<table style="border-collapse: collapse;">/)
+    assert.match(result, /<th [^>]*>Código<\/th>/)
+    assert.match(result, /<td [^>]*>Alfa<\/td>/)
+  })
+
+  it('remove o redirecionador de Safe Links dos links colados', () => {
+    const target = 'https://exemplo.com.br/a?b=1'
+    const html = `<a href="https://nam.safelinks.protection.outlook.com/?url=${encodeURIComponent(target)}&amp;data=x">Portal</a>`
+    assert.equal(normalizeClipboardHtml(html), `<a href="${target.replace('&', '&amp;')}" target="_blank">Portal</a>`)
+  })
+
+  it('converte a lista aninhada colada para Markdown com o recuo preservado', () => {
+    const html = normalizeClipboardHtml('<ul><li>Folha<ul><li>Férias</li></ul></li></ul>')
+    assert.equal(page.run('sgdHtmlToMarkdown')(html.replace(/\n/g, '<br>')), '- Folha\n  - Férias')
+  })
+})
@@ -0,0 +1,66 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+// Carregado pelo Service Worker; aqui basta o simpleHash do utils.js
+const SCRIPTS = ['utils.js', 'followed-watcher.js']
+
+/**
+ * Monta a tabela de um trâmite como a página do chamado do SGD.
+ */
+function tramiteTable({ numero, entrada, usuario, situacao, descricao }) {
+  return `
+    <table id="id_tramite_${numero}">
+      <tr><td>Número:</td><td>${numero}</td><td>Entrada:</td><td>${entrada}</td></tr>
+      <tr><td>Usuário:</td><td>${usuario}</td><td><img src="s.png" title="${situacao}"></td></tr>
+      <tr><td>Descrição:</td><td>${descricao}</td></tr>
+    </table>`
+}
+
+describe('fetchFollowedTramites', () => {
+  let page
+  let fetchFollowedTramites
+  let responseHtml
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    page.window.fetch = async () => ({ ok: true, status: 200, text: async () => responseHtml })
+    fetchFollowedTramites = page.run('fetchFollowedTramites')
+  })
+
+  it('extrai os trâmites da página do atendimento', async () => {
+    responseHtml = `<html><body>${tramiteTable({
+      numero: '2',
+      entrada: '01/10/26 10:15',
+      usuario: 'Maria Silva',
+      situacao: 'Respondido',
+      descricao: 'Segue a correção&nbsp;do cálculo.'
+    })}</body></html>`
+    const tramites = await fetchFollowedTramites({ id: '123', url: 'https://sgd.test/ssc?ssc=123' })
+    assert.deepEqual(toPlain(tramites), [
+      {
+        numero: '2',
+        data: '01/10/26 10:15',
+        situacao: 'Respondido',
+        responsavel: 'Maria Silva',
+        descricao: 'Segue a correção do cálculo.'
+      }
+    ])
+  })
+
+  it('falha quando a página respondida com 200 não tem nenhum trâmite', async () => {
+    responseHtml = '<html><body><h1>Sistema em manutenção</h1></body></html>'
+    await assert.rejects(
+      fetchFollowedTramites({ id: '123', url: 'https://sgd.test/ssc?ssc=123' }),
+      { message: 'Nenhum trâmite encontrado na página do atendimento.' }
+    )
+  })
+
+  it('identifica a página de login respondida com 200', async () => {
+    responseHtml = '<form><input type="text" name="login"><input type="password" name="senha"></form>'
+    await assert.rejects(
+      fetchFollowedTramites({ id: '123', url: 'https://sgd.test/ssc?ssc=123' }),
+      { message: 'Você não está logado no SGD. Por favor, faça login.' }
+    )
+  })
+})
@@ -0,0 +1,289 @@
+/**
+ * @file harness.js
+ * Ambiente offline para testar os content scripts: um `chrome` falso (storage, runtime,
+ * alarms, notifications) e uma página do SGD montada no jsdom.
+ *
+ * Os scripts são executados no contexto da janela do jsdom, um depois do outro, como o
+ * Chrome faz com a lista `content_scripts` do manifest.json: todos compartilham o mesmo
+ * escopo global. Passe os arquivos na mesma ordem em que aparecem no manifest.
+ */
+
+const fs = require('node:fs')
+const path = require('node:path')
+const vm = require('node:vm')
+const { randomUUID } = require('node:crypto')
+const { JSDOM } = require('jsdom')
+
+// Datas e feriados são calculados no horário local, como nas máquinas da equipe
+process.env.TZ = 'America/Sao_Paulo'
+
+const ROOT_DIR = path.resolve(__dirname, '..')
+const FIXTURES_DIR = path.join(__dirname, 'fixtures')
+const SGD_ORIGIN = 'https://sgd.dominiosistemas.com.br'
+
+/**
+ * Cria um evento no formato dos eventos do Chrome (addListener/removeListener).
+ * `dispatch` chama os ouvintes, como o navegador faria.
+ * @returns {object}
+ */
+function createChromeEvent() {
+  const listeners = new Set()
+  return {
+    addListener: listener => listeners.add(listener),
+    removeListener: listener => listeners.delete(listener),
+    hasListener: listener => listeners.has(listener),
+    dispatch: (...args) => [...listeners].map(listener => listener(...args))
+  }
+}
+
+/**
+ * Cria uma área de armazenamento (chrome.storage.local/sync/session) em memória.
+ * Os valores são copiados na gravação e na leitura, como a serialização do Chrome.
+ * @param {string} areaName - O nome da área.
+ * @param {object} onChanged - O evento chrome.storage.onChanged.
+ * @returns {object}
+ */
+function createStorageArea(areaName, onChanged) {
+  const data = new Map()
+  const copy = value => (value === undefined ? undefined : structuredClone(value))
+
+  const get = async keys => {
+    if (keys === null || keys === undefined) return Object.fromEntries([...data].map(([k, v]) => [k, copy(v)]))
+    const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {}
+    const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys)
+    const result = {}
+    names.forEach(name => {
+      if (data.has(name)) result[name] = copy(data.get(name))
+      else if (defaults[name] !== undefined) result[name] = copy(defaults[name])
+    })
+    return result
+  }
+
+  const set = async items => {
+    const changes = {}
+    Object.entries(items).forEach(([key, value]) => {
+      changes[key] = { oldValue: copy(data.get(key)), newValue: copy(value) }
+      data.set(key, copy(value))
+    })
+    onChanged.dispatch(changes, areaName)
+  }
+
+  const remove = async keys => {
+    const changes = {}
+    const names = Array.isArray(keys) ? keys : [keys]
+    names.forEach(key => {
+      if (!data.has(key)) return
+      changes[key] = { oldValue: copy(data.get(key)) }
+      data.delete(key)
+    })
+    if (Object.keys(changes).length > 0) onChanged.dispatch(changes, areaName)
+  }
+
+  const clear = async () => remove([...data.keys()])
+
+  return { get, set, remove, clear }
+}
+
+/**
+ * Cria o namespace `chrome` falso.
+ *
+ * - runtime.sendMessage grava a mensagem em `sentMessages` e responde com
+ *   `runtime.respond(message)` (padrão: sem resposta, como um Service Worker parado).
+ * - alarms e notifications só registram o que foi criado, para as asserções.
+ * @returns {object}
+ */
+function createChromeStub() {
+  const onChanged = createChromeEvent()
+  const alarms = new Map()
+  const notifications = new Map()
+
+  const runtime = {
+    id: 'sgd-powertools-tests',
+    lastError: undefined,
+    sentMessages: [],
+    respond: () => undefined,
+    onMessage: createChromeEvent(),
+    onInstalled: createChromeEvent(),
+    onStartup: createChromeEvent(),
+    getURL: file => `chrome-extension://sgd-powertools-tests/${file}`,
+    sendMessage: async message => {
+      runtime.sentMessages.push(message)
+      return runtime.respond(message)
+    }
+  }
+
+  const tabs = {
+    // Abas do SGD abertas (para broadcastToSgdTabs); sendMessage grava em `sentMessages`
+    open: [],
+    sentMessages: [],
+    onUpdated: createChromeEvent(),
+    onRemoved: createChromeEvent(),
+    query: async () => tabs.open,
+    sendMessage: async (tabId, message) => {
+      tabs.sentMessages.push({ tabId, message })
+    },
+    create: async info => info,
+    remove: async () => {}
+  }
+
+  return {
+    runtime,
+    tabs,
+    windows: {
+      onRemoved: createChromeEvent(),
+      onBoundsChanged: createChromeEvent()
+    },
+    storage: {
+      onChanged,
+      local: createStorageArea('local', onChanged),
+      sync: createStorageArea('sync', onChanged),
+      session: createStorageArea('session', onChanged)
+    },
+    alarms: {
+      onAlarm: createChromeEvent(),
+      create: (name, info) => alarms.set(name, { name, ...info }),
+      get: async name => alarms.get(name),
+      getAll: async () => [...alarms.values()],
+      clear: async name => alarms.delete(name),
+      clearAll: async () => alarms.clear()
+    },
+    notifications: {
+      onClicked: createChromeEvent(),
+      onButtonClicked: createChromeEvent(),
+      onClosed: createChromeEvent(),
+      created: notifications,
+      create: (id, options) => notifications.set(id, options),
+      clear: async id => notifications.delete(id)
+    }
+  }
+}
+
+/**
+ * Lê uma página salva em tests/fixtures.
+ * @param {string} name - O nome do arquivo (ex: 'filtro-listas.html').
+ * @returns {string} O HTML.
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8')
+}
+
+/**
+ * Carrega os content scripts em uma página do SGD simulada.
+ * @param {string[]} files - Os scripts, na ordem do manifest.json.
+ * @param {{html?: string, url?: string, chrome?: object}} [options] - A página aberta
+ *   (padrão: página em branco do SGD) e o `chrome` falso.
+ * @returns {{window: object, document: Document, chrome: object, run: Function,
+ *   parseFixture: Function}} `run` avalia código no escopo global dos scripts (onde
+ *   ficam as constantes e funções declaradas neles).
+ */
+function loadContentScripts(files, options = {}) {
+  const chrome = options.chrome || createChromeStub()
+  const dom = new JSDOM(options.html || '<!DOCTYPE html><html><body></body></html>', {
+    url: options.url || `${SGD_ORIGIN}/sgpub/faces/filtro-listas.html`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  })
+  const { window } = dom
+
+  // O jsdom não calcula layout: innerText equivale ao textContent
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() {
+      return this.textContent
+    },
+    set(value) {
+      this.textContent = value
+    }
+  })
+  if (!window.crypto.randomUUID) window.crypto.randomUUID = randomUUID
+  // APIs do navegador que o jsdom não expõe
+  if (!window.TextEncoder) window.TextEncoder = TextEncoder
+  if (!window.navigator.locks) {
+    // Web Locks exclusivos: cada pedido espera o anterior com o mesmo nome terminar
+    const queues = new Map()
+    const locks = {
+      request: (name, task) => {
+        const run = (queues.get(name) || Promise.resolve()).then(() => task({ name, mode: 'exclusive' }))
+        queues.set(name, run.catch(() => {}))
+        return run
+      }
+    }
+    Object.defineProperty(window.navigator, 'locks', { configurable: true, value: locks })
+  }
+  window.chrome = chrome
+  window.fetch = async url => {
+    throw new Error(`Sem rede nos testes (fetch ${url})`)
+  }
+
+  const context = dom.getInternalVMContext()
+  files.forEach(file => {
+    const code = fs.readFileSync(path.join(ROOT_DIR, file), 'utf8')
+    vm.runInContext(code, context, { filename: file })
+  })
+
+  return {
+    window,
+    document: window.document,
+    chrome,
+    run: code => vm.runInContext(code, context),
+    parseFixture: name => new window.DOMParser().parseFromString(readFixture(name), 'text/html')
+  }
+}
+
+/**
+ * Carrega o service-worker.js em um contexto próprio, sem DOM, com o `importScripts` dos
+ * arquivos compartilhados com as páginas.
+ * @param {{chrome?: object}} [options] - O `chrome` falso.
+ * @returns {{self: object, chrome: object, run: Function}} `self` é o escopo global do
+ *   Service Worker (para trocar o `fetch`) e `run` avalia código nele.
+ */
+function loadServiceWorker(options = {}) {
+  const chrome = options.chrome || createChromeStub()
+  const context = vm.createContext({
+    chrome,
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    structuredClone,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    fetch: async url => {
+      throw new Error(`Sem rede nos testes (fetch ${url})`)
+    }
+  })
+  context.self = context
+  context.importScripts = (...files) =>
+    files.forEach(file => {
+      vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file })
+    })
+  context.importScripts('service-worker.js')
+
+  return {
+    self: context,
+    chrome,
+    run: code => vm.runInContext(code, context)
+  }
+}
+
+/**
+ * Copia um valor criado dentro da página para o contexto do teste (objetos e arrays do
+ * jsdom têm outro protótipo e não passam no assert.deepStrictEqual).
+ * @param {any} value - O valor.
+ * @returns {any}
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+module.exports = {
+  SGD_ORIGIN,
+  createChromeStub,
+  loadContentScripts,
+  loadServiceWorker,
+  readFixture,
+  toPlain
+}
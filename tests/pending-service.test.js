@@ -0,0 +1,200 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, readFixture, toPlain } = require('./harness')
+
+const SCRIPTS = [
+  'config.js',
+  'utils.js',
+  'storage.js',
+  'business-calendar.js',
+  'tag-rules-service.js',
+  'pending-service.js',
+  'pending-sources.js'
+]
+
+// Segunda-feira, 19/10/2026 às 10:00
+const NOW = new Date(2026, 9, 19, 10, 0).getTime()
+
+describe('parsePendingPage', () => {
+  let page
+  let parsePendingPage
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    parsePendingPage = page.run('parsePendingPage')
+  })
+
+  it('lê as colunas da lista e ignora a linha de total', () => {
+    const doc = page.parseFixture('filtro-listas.html')
+    const { items, siteFilter } = parsePendingPage(doc, {}, NOW, { changed: false }, [])
+
+    assert.deepEqual(toPlain(siteFilter), { active: false, name: null })
+    assert.deepEqual(
+      toPlain(items.map(item => item.id)),
+      ['654321', '654400', '654500']
+    )
+
+    const [first] = items
+    assert.equal(first.dataAbertura, '01/10/2026 08:15')
+    assert.equal(first.dataUltimoTramite, '16/10/2026 14:02')
+    assert.equal(first.dias, '18')
+    assert.equal(first.qtdTramites, '4')
+    assert.equal(first.subject, 'Erro ao gerar a folha de adiantamento')
+    assert.equal(first.client, 'Contabilidade Alfa Ltda')
+    assert.equal(first.system, 'Folha')
+    assert.equal(first.classification, 'Dúvida')
+    assert.equal(first.responsible, 'MARIA SILVA')
+    assert.equal(first.status, 'Aguardando analista')
+    assert.equal(first.timePrecision, 'estimado')
+  })
+
+  it('monta links absolutos e marca prioritárias e "Em SS"', () => {
+    const doc = page.parseFixture('filtro-listas.html')
+    const { items } = parsePendingPage(doc, {}, NOW, { changed: false }, [])
+    const byId = Object.fromEntries(items.map(item => [item.id, item]))
+
+    assert.equal(byId['654321'].link, 'https://sgd.dominiosistemas.com.br/sgsc/faces/ssc.html?ssc=654321')
+    assert.equal(byId['654400'].link, 'https://sgd.dominiosistemas.com.br/sgpub/faces/ssc.html?ssc=654400')
+    assert.equal(byId['654500'].link, 'https://sgd.dominiosistemas.com.br/sgsc/faces/ssc.html?ssc=654500')
+
+    assert.equal(byId['654321'].isPrioritaria, true)
+    assert.equal(byId['654400'].isPrioritaria, false)
+    assert.equal(byId['654400'].isEmSS, true)
+    assert.equal(byId['654400'].status, 'Em SS')
+    assert.equal(byId['654500'].isEmSS, false)
+  })
+
+  it('detecta o filtro de responsável aplicado no site', () => {
+    const doc = page.parseFixture('filtro-listas.html')
+    doc.getElementById('filtrosForm:responsavel').value = '11'
+
+    const { siteFilter } = parsePendingPage(doc, {}, NOW, { changed: false }, [])
+    assert.deepEqual(toPlain(siteFilter), { active: true, name: 'Responsável: MARIA SILVA' })
+  })
+
+  it('resume vários filtros e inclui a palavra-chave', () => {
+    const doc = page.parseFixture('filtro-listas.html')
+    doc.getElementById('filtrosForm:sistema').value = '13'
+    doc.getElementById('filtrosForm:palavraChave').value = ' eSocial '
+
+    const { siteFilter } = parsePendingPage(doc, {}, NOW, { changed: false }, [])
+    assert.deepEqual(toPlain(siteFilter), { active: true, name: '2 filtros ativos' })
+  })
+
+  it('não considera filtro o responsável quando só há uma opção além de "Todos"', () => {
+    const doc = page.parseFixture('filtro-listas.html')
+    const select = doc.getElementById('filtrosForm:responsavel')
+    select.querySelector('option[value="12"]').remove()
+    select.value = '11'
+
+    const { siteFilter } = parsePendingPage(doc, {}, NOW, { changed: false }, [])
+    assert.equal(siteFilter.active, false)
+  })
+
+  it('reinicia o tempo preciso quando chega um trâmite novo', () => {
+    const doc = page.parseFixture('filtro-listas.html')
+    const arrivalTimes = {
+      654321: {
+        ts: new Date(2026, 9, 15, 10, 0).getTime(),
+        precise: true,
+        lastTramiteDate: '15/10/2026 10:00'
+      }
+    }
+    const state = { changed: false }
+
+    const { items } = parsePendingPage(doc, arrivalTimes, NOW, state, [])
+
+    assert.equal(state.changed, true)
+    assert.deepEqual(toPlain(arrivalTimes['654321']), {
+      ts: NOW,
+      precise: true,
+      lastTramiteDate: '16/10/2026 14:02'
+    })
+    assert.equal(items[0].timePrecision, 'preciso')
+    assert.equal(items[0].hoursSinceUpdate, 0)
+    assert.equal(items[0].slaStartTs, NOW)
+  })
+
+  it('migra o registro legado (só o timestamp) para objeto', () => {
+    const doc = page.parseFixture('filtro-listas.html')
+    const legacyTs = new Date(2026, 9, 19, 9, 0).getTime()
+    const arrivalTimes = { 654500: legacyTs }
+    const state = { changed: false }
+
+    const { items } = parsePendingPage(doc, arrivalTimes, NOW, state, [])
+
+    assert.equal(state.changed, true)
+    assert.deepEqual(toPlain(arrivalTimes['654500']), {
+      ts: legacyTs,
+      precise: true,
+      lastTramiteDate: '19/10/2026 08:05'
+    })
+    assert.equal(items[2].hoursSinceUpdate, 1)
+  })
+
+  it('lança erro quando o SGD devolve a tela de login', () => {
+    const doc = new page.window.DOMParser().parseFromString(
+      '<form action="/sgpub/login"><input type="password" name="senha"></form>',
+      'text/html'
+    )
+    assert.throws(
+      () => parsePendingPage(doc, {}, NOW, { changed: false }, []),
+      /não está logado/
+    )
+  })
+
+  it('lança erro com a mensagem de erro do SGD', () => {
+    const doc = new page.window.DOMParser().parseFromString(
+      '<div class="erro"> Sessão inválida </div>',
+      'text/html'
+    )
+    assert.throws(
+      () => parsePendingPage(doc, {}, NOW, { changed: false }, []),
+      /Erro no SGD: Sessão inválida/
+    )
+  })
+})
+
+describe('fetchPendingItems', () => {
+  let page
+
+  const stubFetch = failedTab => {
+    const html = readFixture('filtro-listas.html')
+    page.window.fetch = async url => {
+      if (failedTab && url.includes(`filtro=${failedTab}`)) return { ok: false, status: 500 }
+      return { ok: true, status: 200, text: async () => html }
+    }
+  }
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    // O calendário publicado vem vazio pelo Service Worker
+    page.chrome.runtime.respond = message =>
+      message.action === 'READ_PERMISSIONS_ACTION' ? { success: true, data: null } : undefined
+  })
+
+  it('junta as abas sem repetir SSCs e marca a lista como completa', async () => {
+    stubFetch(null)
+    const result = await page.run('fetchPendingItems')()
+
+    assert.equal(result.complete, true)
+    assert.deepEqual(
+      toPlain(result.tabs.map(tab => tab.name)),
+      ['Todas', 'Minhas pendências', 'Equipe Folha']
+    )
+    assert.deepEqual(
+      toPlain(result.items.map(item => item.id)),
+      ['654321', '654400', '654500']
+    )
+  })
+
+  it('marca a lista como parcial quando uma aba falha', async () => {
+    stubFetch(2)
+    const result = await page.run('fetchPendingItems')()
+
+    assert.equal(result.complete, false)
+    const failedTab = result.tabs.find(tab => tab.id === '2')
+    assert.equal(failedTab.error, 'Erro ao buscar aba: 500')
+    assert.equal(result.items.length, 3)
+  })
+})
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+const SCRIPTS = [
+  'config.js',
+  'utils.js',
+  'storage.js',
+  'business-calendar.js',
+  'tag-rules-service.js',
+  'pending-service.js',
+  'pending-sources.js'
+]
+
+// Segunda-feira, 19/10/2026 às 10:00
+const NOW = new Date(2026, 9, 19, 10, 0).getTime()
+
+const CLIENT_SOURCE = { id: 'alfa', name: 'Cliente Alfa', type: 'ssc', value: '98765' }
+const SS_SOURCE = {
+  id: 'ss-folha',
+  name: 'SS da Folha',
+  type: 'ss',
+  value: 'https://sgd.dominiosistemas.com.br/sgsa/faces/lista-ss.html'
+}
+
+describe('normalizePendingTicketId', () => {
+  const page = loadContentScripts(SCRIPTS)
+  const normalizePendingTicketId = page.run('normalizePendingTicketId')
+
+  it('aceita SSC só com dígitos e os prefixos de SS e ocorrência', () => {
+    assert.equal(normalizePendingTicketId(' 654321 '), '654321')
+    assert.equal(normalizePendingTicketId('ss-123'), 'SS-123')
+    assert.equal(normalizePendingTicketId('OC-77'), 'OC-77')
+  })
+
+  it('recusa prefixos desconhecidos e textos sem número', () => {
+    assert.equal(normalizePendingTicketId('xx-123'), null)
+    assert.equal(normalizePendingTicketId('SSC'), null)
+    assert.equal(normalizePendingTicketId(''), null)
+  })
+})
+
+describe('parsePendingSourceTable', () => {
+  let page
+  let parsePendingSourceTable
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    parsePendingSourceTable = page.run('parsePendingSourceTable')
+  })
+
+  it('identifica as colunas pelo cabeçalho da lista de SSCs pendentes', () => {
+    const doc = page.parseFixture('sscs-pendentes.html')
+    const items = parsePendingSourceTable(doc, CLIENT_SOURCE, {}, NOW, { changed: false }, [])
+
+    assert.deepEqual(
+      toPlain(items.map(item => item.id)),
+      ['654321', '654480', '654490', '650011']
+    )
+    const [first] = items
+    assert.equal(first.dataAbertura, '01/10/2026')
+    assert.equal(first.dias, '18')
+    assert.equal(first.dataUltimoTramite, '16/10/2026 14:02')
+    assert.equal(first.subject, 'Erro ao gerar a folha de adiantamento')
+    assert.equal(first.link, 'https://sgd.dominiosistemas.com.br/sgsc/faces/ssc.html?ssc=654321')
+    assert.equal(first.responsible, 'MARIA SILVA')
+    assert.equal(first.status, 'Aguardando analista')
+    assert.equal(first.isEmSS, false)
+    assert.equal(first.timePrecision, 'estimado')
+    assert.equal(first.slaStartTs, new Date(2026, 9, 16).getTime())
+  })
+
+  it('prefixa os IDs das listas de SS', () => {
+    const doc = page.parseFixture('sscs-pendentes.html')
+    const items = parsePendingSourceTable(doc, SS_SOURCE, {}, NOW, { changed: false }, [])
+
+    assert.equal(items[0].id, 'SS-654321')
+    assert.equal(items[0].isEmSS, true)
+  })
+
+  it('reinicia o tempo preciso quando o último trâmite muda', () => {
+    const doc = page.parseFixture('sscs-pendentes.html')
+    const arrivalTimes = {
+      654480: { ts: 1, precise: false, lastTramiteDate: '01/10/2026 08:00' }
+    }
+    const state = { changed: false }
+
+    const items = parsePendingSourceTable(doc, CLIENT_SOURCE, arrivalTimes, NOW, state, [])
+
+    assert.equal(state.changed, true)
+    assert.deepEqual(toPlain(arrivalTimes['654480']), {
+      ts: NOW,
+      precise: true,
+      lastTramiteDate: '15/10/2026 11:20'
+    })
+    assert.equal(items[1].timePrecision, 'preciso')
+  })
+})
+
+describe('fetchPendingSources', () => {
+  let page
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+  })
+
+  it('devolve a lista parcial e as fontes que falharam', async () => {
+    page.window.fetchPendingSourceDocument = async source => {
+      if (source.id === SS_SOURCE.id) throw new Error('Erro ao acessar o SGD: 503')
+      return page.parseFixture('sscs-pendentes.html')
+    }
+
+    const result = await page.run('fetchPendingSources')(
+      [CLIENT_SOURCE, SS_SOURCE],
+      {},
+      NOW,
+      { changed: false },
+      []
+    )
+
+    assert.equal(result.complete, false)
+    assert.deepEqual(toPlain(result.failedSources), ['SS da Folha'])
+    assert.equal(result.items.length, 4)
+    assert.deepEqual(
+      toPlain(result.tabs.map(tab => [tab.id, tab.error])),
+      [
+        ['all', null],
+        ['source-alfa', null],
+        ['source-ss-folha', 'Erro ao acessar o SGD: 503']
+      ]
+    )
+  })
+
+  it('propaga o erro quando nenhuma fonte responde', async () => {
+    page.window.fetchPendingSourceDocument = async () => {
+      throw new Error('Sessão expirada. Por favor, faça login novamente no SGD.')
+    }
+
+    await assert.rejects(
+      page.run('fetchPendingSources')([CLIENT_SOURCE], {}, NOW, { changed: false }, []),
+      /Sessão expirada/
+    )
+  })
+})
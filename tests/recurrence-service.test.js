@@ -0,0 +1,124 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+/**
+ * Timestamp de uma data no horário local (mês começando em 1).
+ * @returns {number}
+ */
+const at = (year, month, day, hours = 0, minutes = 0) =>
+  new Date(year, month - 1, day, hours, minutes).getTime()
+
+describe('recurrence-service', () => {
+  let page
+  let listOccurrences
+
+  beforeEach(() => {
+    page = loadContentScripts(['business-calendar.js', 'recurrence-service.js'])
+    const listRecurrenceOccurrences = page.run('listRecurrenceOccurrences')
+    listOccurrences = (rule, start, after, limit) =>
+      toPlain(listRecurrenceOccurrences(rule, start, after, limit).map(date => date.getTime()))
+  })
+
+  it('normaliza as regras prontas e os valores antigos do campo recurrence', () => {
+    const normalizeRecurrenceRule = page.run('normalizeRecurrenceRule')
+    assert.equal(normalizeRecurrenceRule('weekly'), 'FREQ=WEEKLY')
+    assert.equal(
+      normalizeRecurrenceRule('last-business-day'),
+      'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;X-SKIP-HOLIDAYS=1'
+    )
+    assert.equal(normalizeRecurrenceRule('rrule:freq=monthly;interval=1;bymonthday=5'), 'FREQ=MONTHLY;BYMONTHDAY=5')
+    assert.equal(normalizeRecurrenceRule('none'), null)
+    assert.equal(normalizeRecurrenceRule('FREQ=HOURLY'), null)
+    assert.equal(normalizeRecurrenceRule('FREQ=WEEKLY;BYDAY=XX'), null)
+  })
+
+  it('identifica a regra pronta equivalente', () => {
+    const getRecurrencePresetKey = page.run('getRecurrencePresetKey')
+    assert.equal(getRecurrencePresetKey('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;X-SKIP-HOLIDAYS=1'), 'weekdays')
+    assert.equal(getRecurrencePresetKey('daily'), 'daily')
+    assert.equal(getRecurrencePresetKey('FREQ=WEEKLY;INTERVAL=2'), 'custom')
+    assert.equal(getRecurrencePresetKey(''), 'none')
+  })
+
+  it('gera as ocorrências semanais com intervalo, dias e COUNT', () => {
+    const rule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=4'
+    const start = at(2026, 10, 5, 9, 0)
+
+    assert.deepEqual(listOccurrences(rule, start, start - 1, 10), [
+      at(2026, 10, 5, 9, 0),
+      at(2026, 10, 7, 9, 0),
+      at(2026, 10, 19, 9, 0),
+      at(2026, 10, 21, 9, 0)
+    ])
+  })
+
+  it('para no UNTIL, incluindo o próprio dia', () => {
+    const start = at(2026, 10, 19, 9, 0)
+    assert.deepEqual(listOccurrences('FREQ=DAILY;UNTIL=20261021', start, start - 1, 10), [
+      at(2026, 10, 19, 9, 0),
+      at(2026, 10, 20, 9, 0),
+      at(2026, 10, 21, 9, 0)
+    ])
+  })
+
+  it('pula feriados nos dias úteis', () => {
+    const start = at(2026, 4, 17, 9, 0)
+    assert.deepEqual(listOccurrences('weekdays', start, start, 2), [
+      at(2026, 4, 20, 9, 0),
+      at(2026, 4, 22, 9, 0)
+    ])
+  })
+
+  it('calcula o último dia útil do mês descontando feriados', () => {
+    page.run(`activeBusinessCalendar = buildBusinessCalendar(DEFAULT_BUSINESS_CALENDAR, {
+      extraHolidays: [{ date: '2026-04-30', name: 'Ponto facultativo' }]
+    })`)
+    const start = at(2026, 3, 31, 17, 0)
+
+    assert.deepEqual(listOccurrences('last-business-day', start, start - 1, 3), [
+      at(2026, 3, 31, 17, 0),
+      at(2026, 4, 29, 17, 0),
+      at(2026, 5, 29, 17, 0)
+    ])
+  })
+
+  it('ignora meses sem o dia pedido', () => {
+    const start = at(2026, 1, 31, 9, 0)
+    assert.deepEqual(listOccurrences('FREQ=MONTHLY;BYMONTHDAY=31', start, start, 2), [
+      at(2026, 3, 31, 9, 0),
+      at(2026, 5, 31, 9, 0)
+    ])
+  })
+
+  it('pula as ocorrências perdidas ao concluir um lembrete recorrente', () => {
+    const getNextReminderOccurrence = page.run('getNextReminderOccurrence')
+    const reminder = {
+      recurrence: 'daily',
+      dateTime: new Date(2026, 9, 10, 9, 0).toISOString()
+    }
+
+    const next = getNextReminderOccurrence(reminder, at(2026, 10, 19, 10, 0))
+    assert.equal(next.getTime(), at(2026, 10, 20, 9, 0))
+    assert.equal(getNextReminderOccurrence({ ...reminder, recurrence: 'none' }), null)
+  })
+
+  it('devolve null quando a série terminou', () => {
+    const start = at(2026, 10, 5, 9, 0)
+    const getRecurrenceOccurrenceAfter = page.run('getRecurrenceOccurrenceAfter')
+    assert.equal(getRecurrenceOccurrenceAfter('FREQ=DAILY;COUNT=3', start, at(2026, 10, 7, 9, 0)), null)
+  })
+
+  it('descreve a regra em português', () => {
+    const describeRecurrenceRule = page.run('describeRecurrenceRule')
+    assert.equal(
+      describeRecurrenceRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10'),
+      'A cada 2 semanas (segunda-feira, quarta-feira), 10 vezes'
+    )
+    assert.equal(describeRecurrenceRule('last-business-day'), 'Todo mês no último dia útil')
+    assert.equal(describeRecurrenceRule('weekdays'), 'Toda semana em dias úteis (seg a sex), exceto feriados')
+    assert.equal(describeRecurrenceRule('FREQ=MONTHLY;BYDAY=-1FR'), 'Todo mês, na última sexta-feira')
+    assert.equal(describeRecurrenceRule('FREQ=DAILY;UNTIL=20261231'), 'Todos os dias, até 31/12/2026')
+    assert.equal(describeRecurrenceRule('none'), 'Não repete')
+  })
+})
@@ -0,0 +1,141 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+const SCRIPTS = [
+  'config.js',
+  'utils.js',
+  'storage.js',
+  'business-calendar.js',
+  'recurrence-service.js',
+  'reminder-ics.js',
+  'pending-sources.js'
+]
+
+/**
+ * Timestamp de uma data no horário local (mês começando em 1).
+ * @returns {number}
+ */
+const at = (year, month, day, hours = 0, minutes = 0) =>
+  new Date(year, month - 1, day, hours, minutes).getTime()
+
+// Segunda-feira, 19/10/2026 às 10:00
+const NOW = new Date(2026, 9, 19, 10, 0)
+
+/**
+ * Monta um .ics com um VEVENT por lista de propriedades.
+ * @param {string[][]} events - As linhas de cada evento.
+ * @returns {string}
+ */
+const calendar = (...events) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR'
+  ].join('\r\n')
+
+describe('reminder-ics', () => {
+  let page
+  let buildRemindersIcs
+  let parseRemindersIcs
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    buildRemindersIcs = page.run('buildRemindersIcs')
+    parseRemindersIcs = page.run('parseRemindersIcs')
+  })
+
+  const reminder = {
+    id: 'reminder-1700000000000',
+    title: 'Retornar ao cliente; conferir guias, DARF',
+    description: 'Linha 1\nLinha 2',
+    dateTime: '2026-10-20T14:30',
+    url: 'https://sgd.dominiosistemas.com.br/sgsc/faces/ssc.html?ssc=654321',
+    ticketId: '654321',
+    priority: 'high',
+    recurrence: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;X-SKIP-HOLIDAYS=1',
+    recurrenceStart: '2026-10-20T14:30',
+    createdAt: at(2026, 10, 1, 8, 0)
+  }
+
+  it('exporta o lembrete como VEVENT com alerta, link e recorrência', () => {
+    const ics = buildRemindersIcs([reminder], NOW)
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'))
+    const lines = ics.replace(/\r\n[ \t]/g, '').split('\r\n')
+    assert.ok(lines.includes('UID:reminder-1700000000000@sgd-lembretes'))
+    assert.ok(lines.includes('DTSTART:20261020T143000'))
+    assert.ok(lines.includes('SUMMARY:Retornar ao cliente\\; conferir guias\\, DARF'))
+    assert.ok(lines.includes(`DESCRIPTION:Linha 1\\nLinha 2\\n\\nChamado: ${reminder.url}`))
+    assert.ok(lines.includes('X-SGD-TICKET:654321'))
+    assert.ok(lines.includes('PRIORITY:1'))
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'))
+    assert.ok(lines.includes('X-SGD-SKIP-HOLIDAYS:1'))
+    assert.ok(lines.includes('TRIGGER:PT0S'))
+    assert.ok(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75))
+  })
+
+  it('reimporta o arquivo exportado com os mesmos dados', () => {
+    const [event] = parseRemindersIcs(buildRemindersIcs([reminder], NOW))
+    assert.equal(event.start.getTime(), at(2026, 10, 20, 14, 30))
+    assert.deepEqual(
+      toPlain(page.run('buildReminderFromIcsEvent')(event, NOW.getTime())),
+      {
+        id: 'reminder-1700000000000',
+        title: reminder.title,
+        dateTime: '2026-10-20T14:30',
+        description: 'Linha 1\nLinha 2',
+        url: reminder.url,
+        ticketId: '654321',
+        priority: 'high',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;X-SKIP-HOLIDAYS=1',
+        recurrenceStart: '2026-10-20T14:30'
+      }
+    )
+  })
+
+  it('converte a prioridade do iCalendar, com média quando não definida', () => {
+    const priorities = ['PRIORITY:1', 'PRIORITY:4', 'PRIORITY:5', 'PRIORITY:6', 'PRIORITY:9', 'PRIORITY:0', 'PRIORITY:x', null]
+    const events = parseRemindersIcs(
+      calendar(...priorities.map(line => ['DTSTART:20261020T090000', 'SUMMARY:Evento', ...(line ? [line] : [])]))
+    )
+    assert.deepEqual(
+      toPlain(events.map(event => event.priority)),
+      ['high', 'high', 'medium', 'low', 'low', 'medium', 'medium', 'medium']
+    )
+  })
+
+  it('interpreta datas de dia inteiro, em UTC e com TZID', () => {
+    const events = parseRemindersIcs(
+      calendar(
+        ['DTSTART;VALUE=DATE:20261021', 'SUMMARY:Dia inteiro'],
+        ['DTSTART:20261021T150000Z', 'SUMMARY:UTC'],
+        ['DTSTART;TZID=America/Sao_Paulo:20261021T160000', 'SUMMARY:Com fuso'],
+        ['DTSTART:data-invalida', 'SUMMARY:Ignorado']
+      )
+    )
+    assert.deepEqual(
+      toPlain(events.map(event => [event.title, event.start.getTime()])),
+      [
+        ['Dia inteiro', at(2026, 10, 21, 9, 0)],
+        ['UTC', at(2026, 10, 21, 12, 0)],
+        ['Com fuso', at(2026, 10, 21, 16, 0)]
+      ]
+    )
+  })
+
+  it('ignora eventos passados e leva as séries para a próxima ocorrência', () => {
+    const buildReminderFromIcsEvent = page.run('buildReminderFromIcsEvent')
+    const [past, series] = parseRemindersIcs(
+      calendar(
+        ['UID:abc@outlook.com', 'DTSTART:20261001T090000', 'SUMMARY:Passado'],
+        ['UID:def@outlook.com', 'DTSTART:20261001T090000', 'SUMMARY:Diário', 'RRULE:FREQ=DAILY']
+      )
+    )
+    assert.equal(buildReminderFromIcsEvent(past, NOW.getTime()), null)
+    const data = buildReminderFromIcsEvent(series, NOW.getTime())
+    assert.equal(data.id, undefined)
+    assert.equal(data.dateTime, '2026-10-20T09:00')
+    assert.equal(data.recurrenceStart, '2026-10-01T09:00')
+  })
+})
@@ -0,0 +1,110 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts } = require('./harness')
+
+/**
+ * Timestamp de uma data no horário local (mês começando em 1).
+ * @returns {number}
+ */
+const at = (year, month, day, hours = 0, minutes = 0) =>
+  new Date(year, month - 1, day, hours, minutes).getTime()
+
+// Segunda-feira, 19/10/2026 às 10:00
+const NOW = new Date(2026, 9, 19, 10, 0)
+
+describe('parseReminderText', () => {
+  let page
+  let parse
+
+  beforeEach(() => {
+    page = loadContentScripts(['business-calendar.js', 'reminder-parser.js'])
+    const parseReminderText = page.run('parseReminderText')
+    parse = (text, now = NOW) => {
+      const parsed = parseReminderText(text, now)
+      return parsed && { ...parsed, date: parsed.date.getTime() }
+    }
+  })
+
+  it('separa a data do título', () => {
+    assert.deepEqual(parse('Ligar para o cliente amanhã às 9'), {
+      date: at(2026, 10, 20, 9, 0),
+      recurrence: 'none',
+      title: 'Ligar para o cliente',
+      matchedText: 'amanhã às 9'
+    })
+  })
+
+  it('entende prazos relativos em minutos e horas', () => {
+    assert.equal(parse('Revisar folha daqui a 30 min').date, at(2026, 10, 19, 10, 30))
+    assert.equal(parse('Retornar em meia hora').date, at(2026, 10, 19, 10, 30))
+    assert.equal(parse('Conferir em 2 horas').date, at(2026, 10, 19, 12, 0))
+  })
+
+  it('usa o próximo dia da semana citado e o horário informado', () => {
+    const parsed = parse('Cobrar retorno sexta 16h')
+    assert.equal(parsed.date, at(2026, 10, 23, 16, 0))
+    assert.equal(parsed.title, 'Cobrar retorno')
+
+    assert.equal(parse('Reunião na próxima segunda').date, at(2026, 10, 26, 9, 0))
+    assert.equal(parse('Fechamento hoje às 3 da tarde').date, at(2026, 10, 19, 15, 0))
+  })
+
+  it('usa a próxima hora cheia para "hoje" sem horário depois das 9h', () => {
+    assert.deepEqual(parse('Corrigir erro 404 hoje'), {
+      date: at(2026, 10, 19, 11, 0),
+      recurrence: 'none',
+      title: 'Corrigir erro 404',
+      matchedText: 'hoje'
+    })
+    assert.equal(parse('Corrigir erro 404 hoje', new Date(2026, 9, 19, 10, 40)).date, at(2026, 10, 19, 11, 0))
+    assert.equal(parse('Corrigir erro 404 hoje', new Date(2026, 9, 19, 7, 30)).date, at(2026, 10, 19, 9, 0))
+  })
+
+  it('conta dias úteis pelo calendário de expediente', () => {
+    assert.equal(parse('Conferir guia em 3 dias úteis').date, at(2026, 10, 22, 10, 0))
+    assert.equal(
+      parse('Conferir guia em 2 dias úteis', new Date(2026, 3, 17, 10, 0)).date,
+      at(2026, 4, 22, 10, 0)
+    )
+  })
+
+  it('termina em dias corridos quando o calendário não tem expediente', () => {
+    page.run('activeBusinessCalendar = buildBusinessCalendar(DEFAULT_BUSINESS_CALENDAR, { workingHours: {} })')
+    assert.equal(parse('Conferir guia em 3 dias úteis').date, at(2026, 10, 22, 10, 0))
+  })
+
+  it('reconhece recorrências', () => {
+    const monthly = parse('Enviar relatório todo dia 5')
+    assert.equal(monthly.recurrence, 'monthly')
+    assert.equal(monthly.date, at(2026, 11, 5, 9, 0))
+    assert.equal(monthly.title, 'Enviar relatório')
+
+    const weekly = parse('Backup toda segunda às 8h')
+    assert.equal(weekly.recurrence, 'weekly')
+    assert.equal(weekly.date, at(2026, 10, 26, 8, 0))
+
+    const daily = parse('Ver a fila todos os dias às 14:30')
+    assert.equal(daily.recurrence, 'daily')
+    assert.equal(daily.date, at(2026, 10, 19, 14, 30))
+  })
+
+  it('usa o ano seguinte para datas explícitas que já passaram', () => {
+    assert.equal(parse('Renovar certificado 24/10').date, at(2026, 10, 24, 9, 0))
+    assert.equal(parse('Renovar certificado 10/01').date, at(2027, 1, 10, 9, 0))
+    assert.equal(parse('Auditoria 05/11/2026 às 14h').date, at(2026, 11, 5, 14, 0))
+  })
+
+  it('devolve null quando não há data ou o horário é inválido', () => {
+    assert.equal(parse('Emitir segunda via do boleto'), null)
+    assert.equal(parse('Revisar parametrização'), null)
+    assert.equal(parse('Reunião amanhã às 25h'), null)
+  })
+
+  it('descreve a data interpretada para a prévia', () => {
+    const parsed = page.run('parseReminderText')('Backup toda segunda às 8h', NOW)
+    assert.equal(
+      page.run('describeParsedReminder')(parsed),
+      'segunda-feira, 26/10/2026 às 08:00 · Repete semanalmente'
+    )
+  })
+})
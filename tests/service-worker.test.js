@@ -0,0 +1,94 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadServiceWorker } = require('./harness')
+
+const FIRED_AT = Date.now() - 20 * 60 * 1000
+
+describe('escalateReminder', () => {
+  let sw
+  let escalateReminder
+  let postedWarnings
+
+  const getReminder = async id => (await sw.chrome.storage.local.get('remindersData')).remindersData[id]
+  const notificationTitles = () => [...sw.chrome.notifications.created.values()].map(options => options.title)
+  const tabActions = () => sw.chrome.tabs.sentMessages.map(({ message }) => message.action)
+
+  beforeEach(async () => {
+    sw = loadServiceWorker()
+    sw.chrome.tabs.open = [{ id: 1, url: 'https://sgd.dominiosistemas.com.br/sgpub/faces/filtro-listas.html' }]
+    postedWarnings = []
+    sw.self.fetch = async (url, options = {}) => {
+      if (options.method === 'POST') postedWarnings.push({ url, body: JSON.parse(options.body) })
+      return { ok: true, status: 200, json: async () => ({}) }
+    }
+    escalateReminder = sw.run('escalateReminder')
+    await sw.chrome.storage.sync.set({
+      extensionSettingsData: {
+        preferences: {
+          enableWindowsNotifications: true,
+          reminderEscalationMinutes: 10,
+          reminderEscalationChannel: 'Folha de pagamento'
+        }
+      }
+    })
+    await sw.chrome.storage.local.set({
+      remindersData: {
+        'reminder-1': {
+          id: 'reminder-1',
+          title: 'Retornar ao cliente',
+          priority: 'high',
+          isFired: true,
+          firedAt: FIRED_AT,
+          escalationLevel: 0
+        },
+        'reminder-2': { id: 'reminder-2', title: 'Prioridade média', priority: 'medium', isFired: true, firedAt: FIRED_AT }
+      }
+    })
+  })
+
+  it('renotifica com urgência crescente e agenda o próximo nível', async () => {
+    await escalateReminder('reminder-1')
+
+    const reminder = await getReminder('reminder-1')
+    assert.equal(reminder.escalationLevel, 1)
+    assert.ok(reminder.lastEscalatedAt >= FIRED_AT)
+    assert.deepEqual(notificationTitles(), ['⚠️ Sem resposta há 20 min: Retornar ao cliente'])
+    assert.deepEqual(tabActions(), ['UPDATE_NOTIFICATION_BADGE'])
+    const alarm = await sw.chrome.alarms.get('escalate-reminder-1')
+    assert.ok(alarm.when - Date.now() > 9 * 60 * 1000)
+
+    await escalateReminder('reminder-1')
+    assert.equal((await getReminder('reminder-1')).escalationLevel, 2)
+    assert.ok(notificationTitles().includes('🚨 Sem resposta há 20 min: Retornar ao cliente'))
+    assert.ok(tabActions().includes('SHOW_IN_PAGE_NOTIFICATION'))
+    assert.equal(postedWarnings.length, 0)
+  })
+
+  it('avisa o canal da equipe no último nível e para de escalar', async () => {
+    for (let level = 0; level < 3; level++) await escalateReminder('reminder-1')
+    // O aviso é publicado sem bloquear o escalonamento
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    assert.equal((await getReminder('reminder-1')).escalationLevel, 3)
+    assert.equal(postedWarnings.length, 1)
+    assert.match(postedWarnings[0].url, /\/warnings\.json$/)
+    assert.equal(postedWarnings[0].body.channel, 'Folha de pagamento')
+    assert.equal(postedWarnings[0].body.title, '⏰ Lembrete sem resposta: Retornar ao cliente')
+
+    await sw.chrome.alarms.clear('escalate-reminder-1')
+    await escalateReminder('reminder-1')
+    assert.equal((await getReminder('reminder-1')).escalationLevel, 3)
+    assert.equal(await sw.chrome.alarms.get('escalate-reminder-1'), undefined)
+  })
+
+  it('não escala lembretes concluídos, de outra prioridade ou com o escalonamento desativado', async () => {
+    await escalateReminder('reminder-2')
+    await escalateReminder('inexistente')
+    assert.equal((await getReminder('reminder-2')).escalationLevel, undefined)
+
+    await sw.chrome.storage.sync.set({ extensionSettingsData: { preferences: { enableReminderEscalation: false } } })
+    await escalateReminder('reminder-1')
+    assert.equal((await getReminder('reminder-1')).escalationLevel, 0)
+    assert.equal(sw.chrome.notifications.created.size, 0)
+  })
+})
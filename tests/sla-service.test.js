@@ -0,0 +1,87 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+// Segunda-feira, 19/10/2026 às 10:00
+const NOW = new Date(2026, 9, 19, 10, 0).getTime()
+
+describe('sla-service', () => {
+  let page
+  let evaluatePendingSla
+  let findSlaRule
+  let defaultRules
+
+  beforeEach(() => {
+    page = loadContentScripts(['business-calendar.js', 'sla-service.js'])
+    evaluatePendingSla = page.run('evaluatePendingSla')
+    findSlaRule = page.run('findSlaRule')
+    defaultRules = page.run('DEFAULT_SLA_RULES')
+  })
+
+  it('escalona os níveis pelos limites de alerta e estouro da regra', () => {
+    const levelAt = hours => evaluatePendingSla({ hoursSinceUpdate: hours }, defaultRules).level
+    assert.deepEqual(
+      [0, 29.9, 30, 39.9, 40, 43.9, 44, 47.9, 48, 71.9, 72].map(levelAt),
+      ['normal', 'normal', 'notice', 'notice', 'warning', 'warning', 'urgent', 'urgent', 'critical', 'critical', 'fatal']
+    )
+  })
+
+  it('calcula as horas restantes e usa o estouro como alerta quando o alerta é maior', () => {
+    const rules = [{ id: 'r', matchType: 'all', warningHours: 20, breachHours: 8 }]
+    const sla = evaluatePendingSla({ hoursSinceUpdate: 6 }, rules)
+    assert.equal(sla.remainingHours, 2)
+    // Alerta limitado ao estouro (8h): 6h ficam entre 75% do alerta e o alerta
+    assert.equal(sla.level, 'notice')
+  })
+
+  it('conta as horas úteis desde o início do SLA pelo calendário de expediente', () => {
+    const startTs = new Date(2026, 9, 16, 8, 0).getTime()
+    const sla = evaluatePendingSla({ slaStartTs: startTs }, defaultRules, [], NOW)
+    const expected = page.run('calculateBusinessTimeMs')(startTs, NOW) / (60 * 60 * 1000)
+    assert.equal(sla.elapsedHours, expected)
+    assert.equal(sla.remainingHours, 48 - expected)
+  })
+
+  it('não avalia pendências sem referência de tempo', () => {
+    assert.equal(evaluatePendingSla({ id: '1' }, defaultRules), null)
+  })
+
+  it('usa a primeira regra ativa que se aplica', () => {
+    const rules = [
+      { id: 'off', matchType: 'all', enabled: false },
+      { id: 'tag', matchType: 'tag', matchValue: 'tag-vip' },
+      { id: 'system', matchType: 'system', matchValue: 'Folha' },
+      { id: 'classification', matchType: 'classification', matchValue: 'duvida' },
+      { id: 'all', matchType: 'all' }
+    ]
+    const ruleFor = (item, tagIds) => findSlaRule(item, rules, tagIds).id
+    assert.equal(ruleFor({ system: 'Escrita Fiscal' }, ['tag-vip']), 'tag')
+    assert.equal(ruleFor({ system: 'FOLHA de Pagamento' }), 'system')
+    assert.equal(ruleFor({ classification: 'Dúvida' }), 'classification')
+    assert.equal(ruleFor({ system: 'Contábil' }), 'all')
+    assert.equal(findSlaRule({}, rules.slice(0, 3), []), null)
+  })
+
+  it('inclui as tags implícitas e automáticas da pendência', () => {
+    const tags = [
+      { id: 'tag-prioridade', name: 'Prioridade' },
+      { id: 'tag-ss', name: 'Em SS' }
+    ]
+    const tagIds = page.run('getPendingItemTagIds')(
+      { id: '1', isPrioritaria: true, isEmSS: true, autoTagIds: ['tag-auto'] },
+      tags,
+      { 1: ['tag-manual'] }
+    )
+    assert.deepEqual(toPlain(tagIds), ['tag-manual', 'tag-auto', 'tag-prioridade', 'tag-ss'])
+  })
+
+  it('descreve a regra com o nome da tag', () => {
+    const describeSlaRule = page.run('describeSlaRule')
+    assert.equal(describeSlaRule({ matchType: 'all' }), 'Todas as pendências')
+    assert.equal(describeSlaRule({ matchType: 'system', matchValue: 'Folha' }), 'Sistema: Folha')
+    assert.equal(
+      describeSlaRule({ matchType: 'tag', matchValue: 'tag-vip' }, [{ id: 'tag-vip', name: 'VIP' }]),
+      'Tag: VIP'
+    )
+  })
+})
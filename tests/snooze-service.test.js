@@ -0,0 +1,68 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+const SCRIPTS = ['config.js', 'utils.js', 'storage.js', 'business-calendar.js', 'snooze-service.js']
+
+/**
+ * Timestamp de uma data no horário local (mês começando em 1).
+ * @returns {number}
+ */
+const at = (year, month, day, hours = 0, minutes = 0) =>
+  new Date(year, month - 1, day, hours, minutes).getTime()
+
+// Segunda-feira, 19/10/2026 às 10:00
+const NOW = new Date(2026, 9, 19, 10, 0)
+// Sexta-feira, 16/10/2026: meia hora antes do fim do expediente e depois dele
+const FRIDAY_END = new Date(2026, 9, 16, 17, 30)
+const FRIDAY_NIGHT = new Date(2026, 9, 16, 19, 0)
+
+describe('snooze-service', () => {
+  let page
+  let presetDate
+  let getSmartSnoozeSuggestion
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    const getSnoozePresetDate = page.run('getSnoozePresetDate')
+    presetDate = (key, now) => getSnoozePresetDate(key, now).getTime()
+    getSmartSnoozeSuggestion = page.run('getSmartSnoozeSuggestion')
+  })
+
+  it('calcula as opções de adiamento durante o expediente', () => {
+    assert.equal(presetDate('15min', NOW), at(2026, 10, 19, 10, 15))
+    assert.equal(presetDate('1h-business', NOW), at(2026, 10, 19, 11, 0))
+    assert.equal(presetDate('tomorrow-8h', NOW), at(2026, 10, 20, 8, 0))
+    assert.equal(presetDate('next-business-day', NOW), at(2026, 10, 20, 8, 0))
+    assert.equal(presetDate('next-work-start', NOW), at(2026, 10, 20, 8, 0))
+    assert.equal(presetDate('next-monday', NOW), at(2026, 10, 26, 9, 0))
+    assert.equal(page.run('getSnoozePresetDate')('inexistente', NOW), null)
+  })
+
+  it('leva as opções úteis para o próximo expediente no fim da semana', () => {
+    assert.equal(presetDate('1h', FRIDAY_END), at(2026, 10, 16, 18, 30))
+    assert.equal(presetDate('1h-business', FRIDAY_END), at(2026, 10, 19, 8, 30))
+    assert.equal(presetDate('next-business-day', FRIDAY_END), at(2026, 10, 19, 8, 0))
+    assert.equal(presetDate('next-work-start', FRIDAY_NIGHT), at(2026, 10, 19, 8, 0))
+    assert.equal(presetDate('next-monday', FRIDAY_NIGHT), at(2026, 10, 19, 9, 0))
+  })
+
+  it('mantém só as opções configuradas que existem, na ordem do catálogo', () => {
+    const getEnabledSnoozePresets = page.run('getEnabledSnoozePresets')
+    assert.deepEqual(toPlain(getEnabledSnoozePresets(['next-monday', 'removida', '15min'])), ['15min', 'next-monday'])
+    assert.deepEqual(
+      toPlain(getEnabledSnoozePresets(undefined)),
+      toPlain(page.run('DEFAULT_SETTINGS.snoozePresets'))
+    )
+  })
+
+  it('sugere o adiamento conforme o expediente, a prioridade e os adiamentos anteriores', () => {
+    const suggest = (reminder, now) => getSmartSnoozeSuggestion(reminder, now).key
+    assert.equal(suggest({}, NOW), '1h-business')
+    assert.equal(suggest({ priority: 'high' }, NOW), '15min')
+    assert.equal(suggest({ priority: 'high', snoozeCount: 3 }, NOW), 'next-business-day')
+    assert.equal(getSmartSnoozeSuggestion({ snoozeCount: 3 }, NOW).reason, 'Já adiado 3x')
+    assert.equal(suggest({ priority: 'high' }, FRIDAY_END), 'next-business-day')
+    assert.equal(suggest({ priority: 'high' }, FRIDAY_NIGHT), 'next-work-start')
+  })
+})
@@ -0,0 +1,260 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+const SCRIPTS = ['config.js', 'utils.js', 'storage.js']
+
+// Segunda-feira, 19/10/2026 às 10:00
+const NOW = new Date(2026, 9, 19, 10, 0).getTime()
+// Período do alarme de pendências (PENDING_POLL_PERIOD_MINUTES)
+const POLL_MS = 15 * 60 * 1000
+
+describe('runDataMigration', () => {
+  let page
+  let runDataMigration
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    runDataMigration = page.run('runDataMigration')
+  })
+
+  it('converte o formato mais antigo (array de mensagens) e salva no storage.local', async () => {
+    const data = toPlain(
+      await runDataMigration([
+        { title: 'Saudação', message: 'Olá [usuario]!' },
+        { message: 'Sem título no original' }
+      ])
+    )
+
+    assert.equal(data.version, 3)
+    assert.equal(data.categories.length, 1)
+    assert.equal(data.categories[0].name, 'Geral (Migrado)')
+    assert.deepEqual(
+      data.messages.map(msg => [msg.title, msg.categoryId, msg.order]),
+      [
+        ['Saudação', data.categories[0].id, 0],
+        ['Sem título', data.categories[0].id, 1]
+      ]
+    )
+
+    const stored = await page.chrome.storage.local.get('quickMessagesData')
+    assert.deepEqual(stored.quickMessagesData, data)
+  })
+
+  it('numera as mensagens por categoria e move as órfãs para a primeira', async () => {
+    const data = toPlain(
+      await runDataMigration({
+        version: 2,
+        categories: [
+          { id: 'cat-a', name: 'Geral', shortcut: 'alt+0' },
+          { id: 'cat-b', name: 'Folha', shortcut: 'alt+1' }
+        ],
+        messages: [
+          { id: 'm1', title: 'A1', message: '', categoryId: 'cat-a' },
+          { id: 'm2', title: 'B1', message: '', categoryId: 'cat-b' },
+          { id: 'm3', title: 'Órfã', message: '', categoryId: 'cat-x' },
+          { id: 'm4', title: 'B2', message: '', categoryId: 'cat-b' }
+        ]
+      })
+    )
+
+    assert.deepEqual(
+      data.messages.map(msg => [msg.id, msg.categoryId, msg.order]),
+      [
+        ['m1', 'cat-a', 0],
+        ['m3', 'cat-a', 1],
+        ['m2', 'cat-b', 0],
+        ['m4', 'cat-b', 1]
+      ]
+    )
+  })
+
+  it('cria as categorias padrão quando não há dados', async () => {
+    const data = toPlain(await runDataMigration({}))
+    assert.equal(data.version, 3)
+    assert.deepEqual(
+      data.categories.map(cat => cat.name),
+      ['Geral', '13 - Folha', '31 - Onvio', 'Trâmites Padrões']
+    )
+    assert.deepEqual(data.messages, [])
+  })
+
+  it('migra do storage.sync para o storage.local ao ler os dados', async () => {
+    await page.chrome.storage.sync.set({
+      quickMessagesData: [{ title: 'Antiga', message: 'Texto' }]
+    })
+
+    const data = toPlain(await page.run('getStoredData')())
+
+    assert.equal(data.version, 3)
+    assert.equal(data.messages[0].title, 'Antiga')
+    assert.deepEqual(await page.chrome.storage.sync.get('quickMessagesData'), {})
+  })
+})
+
+describe('syncTicketReminders', () => {
+  let page
+  let syncTicketReminders
+
+  const getReminder = async id => {
+    const result = await page.chrome.storage.local.get('remindersData')
+    return result.remindersData[id]
+  }
+
+  beforeEach(async () => {
+    page = loadContentScripts(SCRIPTS)
+    page.chrome.runtime.respond = () => ({ success: true })
+    syncTicketReminders = page.run('syncTicketReminders')
+    await page.chrome.storage.local.set({
+      remindersData: {
+        'reminder-1': {
+          id: 'reminder-1',
+          title: 'Cobrar retorno',
+          dateTime: '2026-10-20T12:00:00.000Z',
+          ticketId: '654321',
+          ticketLastTramite: '16/10/2026 14:02',
+          isFired: false
+        },
+        'reminder-2': {
+          id: 'reminder-2',
+          title: 'Chamado de outra fila',
+          dateTime: '2026-10-20T12:00:00.000Z',
+          ticketId: '999999',
+          isFired: false
+        }
+      }
+    })
+  })
+
+  const otherItem = { id: '654500', dataUltimoTramite: '19/10/2026 08:05' }
+
+  it('conclui o lembrete só depois de duas listas completas sem o chamado', async () => {
+    const first = await syncTicketReminders([otherItem], NOW, true)
+    assert.equal(first.completed.length, 0)
+    assert.equal((await getReminder('reminder-1')).ticketMissingSince, NOW)
+
+    const second = await syncTicketReminders([otherItem], NOW + POLL_MS, true)
+    assert.deepEqual(
+      toPlain(second.completed.map(reminder => reminder.id)),
+      ['reminder-1']
+    )
+
+    const reminder = await getReminder('reminder-1')
+    assert.equal(reminder.firedAt, NOW + POLL_MS)
+    assert.equal(reminder.ticketResolvedAt, NOW + POLL_MS)
+    assert.equal(reminder.ticketMissingSince, undefined)
+    assert.deepEqual(
+      page.chrome.runtime.sentMessages.map(message => message.action),
+      ['CLEAR_ALARM', 'BROADCAST_DISMISS']
+    )
+
+    // Lembrete de chamado nunca visto na lista continua aberto
+    assert.equal((await getReminder('reminder-2')).firedAt, undefined)
+  })
+
+  it('mantém o lembrete aberto em duas verificações seguidas no mesmo ciclo', async () => {
+    await syncTicketReminders([otherItem], NOW, true)
+    const result = await syncTicketReminders([otherItem], NOW + 30 * 1000, true)
+
+    assert.equal(result.completed.length, 0)
+    const reminder = await getReminder('reminder-1')
+    assert.equal(reminder.firedAt, undefined)
+    assert.equal(reminder.ticketMissingSince, NOW)
+  })
+
+  it('devolve cada mudança a uma só verificação quando as abas sincronizam juntas', async () => {
+    const item = { id: '654321', dataUltimoTramite: '19/10/2026 09:40' }
+    const results = await Promise.all([
+      syncTicketReminders([item], NOW, true),
+      syncTicketReminders([item], NOW, true)
+    ])
+
+    assert.deepEqual(
+      toPlain(results.map(result => result.updated.length)),
+      [1, 0]
+    )
+  })
+
+  it('não conta a ausência em listas parciais ou vazias', async () => {
+    await syncTicketReminders([otherItem], NOW, false)
+    await syncTicketReminders([], NOW + POLL_MS, true)
+    const result = await syncTicketReminders([otherItem], NOW + 2 * POLL_MS, false)
+
+    assert.equal(result.completed.length, 0)
+    assert.equal((await getReminder('reminder-1')).ticketMissingSince, undefined)
+  })
+
+  it('recomeça a contagem quando o chamado volta à lista', async () => {
+    await syncTicketReminders([otherItem], NOW, true)
+    await syncTicketReminders(
+      [otherItem, { id: '654321', dataUltimoTramite: '16/10/2026 14:02' }],
+      NOW + POLL_MS,
+      true
+    )
+    const result = await syncTicketReminders([otherItem], NOW + 2 * POLL_MS, true)
+
+    assert.equal(result.completed.length, 0)
+    assert.equal((await getReminder('reminder-1')).ticketMissingSince, NOW + 2 * POLL_MS)
+  })
+
+  it('marca o lembrete quando o chamado recebe um trâmite novo', async () => {
+    const result = await syncTicketReminders(
+      [{ id: '654321', dataUltimoTramite: '19/10/2026 09:40' }],
+      NOW,
+      true
+    )
+
+    assert.deepEqual(
+      toPlain(result.updated.map(reminder => reminder.id)),
+      ['reminder-1']
+    )
+    const reminder = await getReminder('reminder-1')
+    assert.equal(reminder.ticketLastTramite, '19/10/2026 09:40')
+    assert.equal(reminder.ticketUpdatedAt, NOW)
+  })
+})
+
+describe('readRtdbPath / writeRtdbPath', () => {
+  let page
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    // RTDB_BASE_URL vem de warnings-service.js, carregado depois nas páginas do SGD
+    page.run("var RTDB_BASE_URL = 'https://rtdb.test'")
+  })
+
+  it('usa a resposta do Service Worker', async () => {
+    page.chrome.runtime.respond = () => ({ success: true, data: { version: 3 } })
+
+    assert.deepEqual(toPlain(await page.run('readRtdbPath')('/metadata/x.json')), { version: 3 })
+    assert.deepEqual(toPlain(page.chrome.runtime.sentMessages), [
+      { action: 'READ_PERMISSIONS_ACTION', path: '/metadata/x.json' }
+    ])
+  })
+
+  it('recorre ao fetch direto quando o Service Worker não responde', async () => {
+    const requests = []
+    page.window.fetch = async (url, options) => {
+      requests.push([url, toPlain(options)])
+      return { ok: true, json: async () => 'ok' }
+    }
+
+    assert.equal(await page.run('readRtdbPath')('/a.json'), 'ok')
+    await page.run('writeRtdbPath')('/b.json', 'PUT', { n: 1 })
+    await page.run('writeRtdbPath')('/c.json', 'DELETE')
+
+    assert.deepEqual(requests, [
+      ['https://rtdb.test/a.json', { cache: 'no-store' }],
+      [
+        'https://rtdb.test/b.json',
+        { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: '{"n":1}' }
+      ],
+      ['https://rtdb.test/c.json', { method: 'DELETE' }]
+    ])
+  })
+
+  it('propaga o erro HTTP do fetch direto', async () => {
+    page.window.fetch = async () => ({ ok: false, status: 401 })
+    await assert.rejects(page.run('writeRtdbPath')('/b.json', 'PATCH', {}), /status: 401/)
+  })
+})
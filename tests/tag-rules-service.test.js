@@ -0,0 +1,120 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+const SCRIPTS = [
+  'config.js',
+  'utils.js',
+  'storage.js',
+  'business-calendar.js',
+  'tag-rules-service.js',
+  'pending-service.js'
+]
+
+const item = {
+  id: '654321',
+  subject: 'Erro na geração da GUIA DARF de outubro',
+  client: 'Contabilidade Alfa Ltda',
+  classification: 'Dúvida',
+  responsible: 'Maria Silva',
+  dias: '5'
+}
+
+describe('tag-rules-service', () => {
+  let page
+  let evaluateTagRules
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    evaluateTagRules = page.run('evaluateTagRules')
+  })
+
+  it('aplica a tag quando todas as condições preenchidas são atendidas', () => {
+    const rules = [
+      { id: 'r1', tagId: 'tag-guias', keywords: 'fgts, guia darf', client: 'alfa', minAgeDays: '3' },
+      { id: 'r2', tagId: 'tag-duvida', classification: 'duvida', responsible: 'maria' },
+      { id: 'r3', tagId: 'tag-guias', keywords: 'darf' }
+    ]
+    assert.deepEqual(toPlain(evaluateTagRules(item, rules)), ['tag-guias', 'tag-duvida'])
+  })
+
+  it('não aplica a tag quando alguma condição falha', () => {
+    const matchesTagRule = page.run('matchesTagRule')
+    const base = { id: 'r', tagId: 'tag-x' }
+    assert.equal(matchesTagRule(item, { ...base, keywords: 'fgts, esocial' }), false)
+    assert.equal(matchesTagRule(item, { ...base, keywords: 'darf', client: 'Beta' }), false)
+    assert.equal(matchesTagRule(item, { ...base, minAgeDays: 6 }), false)
+    assert.equal(matchesTagRule({ ...item, dias: '' }, { ...base, minAgeDays: 0 }), false)
+    assert.equal(matchesTagRule(item, { ...base, minAgeDays: 5 }), true)
+  })
+
+  it('ignora regras vazias, desativadas ou sem tag', () => {
+    assert.deepEqual(
+      toPlain(
+        evaluateTagRules(item, [
+          { id: 'vazia', tagId: 'tag-x', keywords: ' ', client: '' },
+          { id: 'off', tagId: 'tag-y', keywords: 'darf', enabled: false },
+          { id: 'sem-tag', keywords: 'darf' }
+        ])
+      ),
+      []
+    )
+    assert.deepEqual(toPlain(evaluateTagRules(item, [])), [])
+  })
+
+  it('mostra na prévia as pendências atingidas por regra', () => {
+    const other = { ...item, id: '654322', subject: 'Cálculo de férias' }
+    const preview = page.run('previewTagRules')([item, other], [
+      { id: 'r1', tagId: 'tag-guias', keywords: 'darf' },
+      { id: 'r2', tagId: 'tag-ferias', keywords: 'ferias' }
+    ])
+    assert.deepEqual(
+      toPlain([...preview].map(([ruleId, items]) => [ruleId, items.map(matched => matched.id)])),
+      [
+        ['r1', ['654321']],
+        ['r2', ['654322']]
+      ]
+    )
+  })
+
+  it('importa as regras do backup associando as tags pelo nome', async () => {
+    await page.chrome.storage.local.set({
+      pendingTagRules: [{ id: 'r1', tagId: 'tag-ss', keywords: 'antiga' }]
+    })
+    const imported = await page.run('importTagRulesBackup')({
+      rules: [
+        { id: 'r1', tagId: 'tag-outra-maquina', keywords: 'darf' },
+        { id: 'r2', tagId: 'tag-nova', keywords: 'ferias' },
+        { id: 'r3', tagId: 'tag-inexistente', keywords: 'x' }
+      ],
+      tags: [
+        { id: 'tag-outra-maquina', name: 'em ss', color: '#ff9800' },
+        { id: 'tag-nova', name: 'Férias', color: '#4caf50' }
+      ]
+    })
+
+    assert.equal(imported, 2)
+    const { pendingTags, pendingTagRules } = await page.chrome.storage.local.get(['pendingTags', 'pendingTagRules'])
+    const newTag = pendingTags.find(tag => tag.name === 'Férias')
+    assert.ok(newTag)
+    assert.deepEqual(
+      pendingTagRules.map(rule => [rule.id, rule.tagId, rule.keywords]),
+      [
+        ['r1', 'tag-ss', 'darf'],
+        ['r2', newTag.id, 'ferias']
+      ]
+    )
+  })
+
+  it('remove as regras da tag excluída', async () => {
+    await page.chrome.storage.local.set({
+      pendingTagRules: [
+        { id: 'r1', tagId: 'tag-ss', keywords: 'a' },
+        { id: 'r2', tagId: 'tag-prioridade', keywords: 'b' }
+      ]
+    })
+    await page.run('removeTagRulesForTag')('tag-ss')
+    const { pendingTagRules } = await page.chrome.storage.local.get('pendingTagRules')
+    assert.deepEqual(pendingTagRules.map(rule => rule.id), ['r2'])
+  })
+})
@@ -0,0 +1,135 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, readFixture, SGD_ORIGIN } = require('./harness')
+
+const SCRIPTS = ['config.js', 'utils.js', 'storage.js', 'text-processor.js', 'business-calendar.js']
+
+describe('resolveVariablesInText', () => {
+  let page
+  let resolveVariablesInText
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS, {
+      html: readFixture('ssc.html'),
+      url: `${SGD_ORIGIN}/sgsc/faces/ssc.html?ssc=654321`
+    })
+    resolveVariablesInText = page.run('resolveVariablesInText')
+  })
+
+  it('preenche os dados do atendimento aberto na página', async () => {
+    const text = await resolveVariablesInText(
+      'Olá [usuario], a SSC [solicitacao] do cliente [cliente] ([sistema] - [unidade]) foi atualizada por [analista].'
+    )
+    assert.equal(
+      text,
+      'Olá <span data-variable="usuario">João</span>, a SSC 654321 do cliente Contabilidade Alfa Ltda ' +
+        '(Folha - Unidade Centro) foi atualizada por Maria Silva.'
+    )
+  })
+
+  it('calcula o prazo em dias úteis pelo calendário de expediente', async () => {
+    const expected = page.run('_formatTemplateDate(addBusinessDays(new Date(), 3))')
+    assert.equal(await resolveVariablesInText('Retorno até [prazo+3du].'), `Retorno até ${expected}.`)
+  })
+
+  it('usa as constantes das configurações sem sobrescrever as variáveis embutidas', async () => {
+    await page.chrome.storage.sync.set({
+      extensionSettingsData: {
+        customVariables: [
+          { name: 'ramal', value: '4321' },
+          { name: 'cliente', value: 'Não deve aparecer' }
+        ]
+      }
+    })
+
+    assert.equal(
+      await resolveVariablesInText('[cliente]: ligue no ramal [ramal] ou [ramal].'),
+      'Contabilidade Alfa Ltda: ligue no ramal 4321 ou 4321.'
+    )
+  })
+
+  it('mantém variáveis desconhecidas e textos sem variáveis', async () => {
+    assert.equal(await resolveVariablesInText('Valor [inexistente]'), 'Valor [inexistente]')
+    assert.equal(await resolveVariablesInText('Sem variáveis'), 'Sem variáveis')
+    assert.equal(await resolveVariablesInText(null), null)
+  })
+
+  it('usa a unidade do analista fora de um atendimento', async () => {
+    page.document.getElementById('td:revenda_nome').remove()
+    await page.chrome.storage.local.set({ userUnidade: 'Unidade Norte' })
+
+    assert.equal(await resolveVariablesInText('[unidade]'), 'Unidade Norte')
+  })
+})
+
+describe('markdownToSgdHtml / sgdHtmlToMarkdown', () => {
+  let page
+  let markdownToSgdHtml
+  let sgdHtmlToMarkdown
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+    markdownToSgdHtml = page.run('markdownToSgdHtml')
+    sgdHtmlToMarkdown = page.run('sgdHtmlToMarkdown')
+  })
+
+  it('converte a formatação em linha para as tags do SGD', () => {
+    assert.equal(
+      markdownToSgdHtml('**negrito**, *itálico*, ~~riscado~~ e `a<b`'),
+      '<b>negrito</b>, <i>itálico</i>, <s>riscado</s> e <span style="font-family: monospace;">a&lt;b</span>'
+    )
+  })
+
+  it('escapa a URL dos links e aceita parênteses na URL', () => {
+    assert.equal(
+      markdownToSgdHtml('[portal](https://sgd.dominiosistemas.com.br/a?x=1&y=2)'),
+      '<a href="https://sgd.dominiosistemas.com.br/a?x=1&amp;y=2" target="_blank">portal</a>'
+    )
+    assert.equal(
+      markdownToSgdHtml('[wiki](https://pt.wikipedia.org/wiki/Dom%C3%ADnio_(software)).'),
+      '<a href="https://pt.wikipedia.org/wiki/Dom%C3%ADnio_(software)" target="_blank">wiki</a>.'
+    )
+    assert.equal(
+      markdownToSgdHtml('[l](https://x.com/"onmouseover="alert(1))'),
+      '<a href="https://x.com/&quot;onmouseover=&quot;alert(1)" target="_blank">l</a>'
+    )
+  })
+
+  it('mantém só o texto de links e imagens com endereço não permitido', () => {
+    assert.equal(markdownToSgdHtml('[l](javascript:alert(1))'), 'l')
+    assert.equal(markdownToSgdHtml('![logo](javascript:alert(1)) fim'), 'logo fim')
+    assert.equal(
+      markdownToSgdHtml('![logo](https://sgd.dominiosistemas.com.br/logo.png)'),
+      '<img src="https://sgd.dominiosistemas.com.br/logo.png" alt="logo">'
+    )
+  })
+
+  it('não escapa de novo a URL de um texto já escapado (visualização das anotações)', () => {
+    const escaped = page.run('escapeHTML')('[a](https://x.com/?a=1&b=2)')
+    assert.equal(markdownToSgdHtml(escaped), '<a href="https://x.com/?a=1&amp;b=2" target="_blank">a</a>')
+  })
+
+  it('converte títulos, listas aninhadas, tarefas e tabelas', () => {
+    const markdown = '# Resumo\n- item\n  - subitem\n- [x] feito\n1. passo\n\n| A | B |\n| --- | --- |\n| 1 | 2 |'
+    assert.equal(
+      markdownToSgdHtml(markdown),
+      [
+        '<b>Resumo</b>',
+        '&bull; item',
+        '&nbsp;&nbsp;&nbsp;&nbsp;&bull; subitem',
+        '☑ feito',
+        '1. passo',
+        '',
+        '<table style="border-collapse: collapse;">' +
+          '<tr><th style="border: 1px solid #999; padding: 4px 8px;">A</th><th style="border: 1px solid #999; padding: 4px 8px;">B</th></tr>' +
+          '<tr><td style="border: 1px solid #999; padding: 4px 8px;">1</td><td style="border: 1px solid #999; padding: 4px 8px;">2</td></tr>' +
+          '</table>'
+      ].join('\n')
+    )
+  })
+
+  it('volta ao mesmo Markdown depois da ida e volta', () => {
+    const markdown = 'Olá **João**,\n- item com [link](https://sgd.dominiosistemas.com.br/?a=1&b=2)\n  - subitem\n- [ ] pendente\n<u>sublinhado</u>'
+    assert.equal(sgdHtmlToMarkdown(markdownToSgdHtml(markdown)), markdown)
+  })
+})
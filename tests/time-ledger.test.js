@@ -0,0 +1,159 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+const SCRIPTS = ['config.js', 'utils.js', 'storage.js', 'time-ledger.js']
+
+/**
+ * Timestamp de uma data no horário local (mês começando em 1).
+ * @returns {number}
+ */
+const at = (year, month, day, hours = 0, minutes = 0) =>
+  new Date(year, month - 1, day, hours, minutes).getTime()
+
+// Segunda-feira, 19/10/2026 às 10:00
+const NOW = new Date(2026, 9, 19, 10, 0)
+const MINUTE = 60 * 1000
+
+/**
+ * Data local AAAA-MM-DD de um timestamp.
+ * @returns {string}
+ */
+const dateKey = timestamp => {
+  const date = new Date(timestamp)
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-')
+}
+
+/**
+ * Monta um lançamento do cronômetro.
+ * @returns {object}
+ */
+const timerEntry = (id, ticketId, client, start, minutes) => ({
+  id,
+  ticketId,
+  client,
+  subject: `Assunto ${ticketId}`,
+  date: dateKey(start),
+  start,
+  end: start + minutes * MINUTE,
+  durationMs: minutes * MINUTE,
+  source: 'timer'
+})
+
+describe('time-ledger', () => {
+  let page
+
+  beforeEach(() => {
+    page = loadContentScripts(SCRIPTS)
+  })
+
+  it('calcula os períodos do relatório com semanas de segunda a domingo', () => {
+    const range = period => toPlain(page.run('getTimeLedgerPeriodRange')(period, NOW))
+    assert.deepEqual(range('today'), { from: '2026-10-19', to: '2026-10-19' })
+    assert.deepEqual(range('week'), { from: '2026-10-19', to: '2026-10-25' })
+    assert.deepEqual(range('last-week'), { from: '2026-10-12', to: '2026-10-18' })
+    assert.deepEqual(range('month'), { from: '2026-10-01', to: '2026-10-31' })
+    // Domingo ainda pertence à semana iniciada na segunda anterior
+    assert.deepEqual(toPlain(page.run('getTimeLedgerPeriodRange')('week', new Date(2026, 9, 25, 23, 0))), {
+      from: '2026-10-19',
+      to: '2026-10-25'
+    })
+  })
+
+  it('formata as durações', () => {
+    const format = page.run('formatTimeLedgerDuration')
+    assert.equal(format(12 * MINUTE + 59 * 1000), '12min')
+    assert.equal(format(85 * MINUTE), '1h 25min')
+    assert.equal(format(120 * MINUTE), '2h')
+    assert.equal(format(-30 * MINUTE), '-30min')
+  })
+
+  it('soma o período por chamado, cliente e dia, incluindo os ajustes negativos', () => {
+    const entries = [
+      timerEntry('t1', '654321', 'Alfa', at(2026, 10, 19, 8, 0), 30),
+      timerEntry('t2', '654322', 'Beta', at(2026, 10, 19, 9, 0), 20),
+      timerEntry('t3', '654321', 'Alfa', at(2026, 10, 20, 8, 0), 45),
+      { ...timerEntry('a1', '654321', 'Alfa', at(2026, 10, 20, 9, 0), 0), durationMs: -15 * MINUTE, source: 'adjust' },
+      timerEntry('fora', '654321', 'Alfa', at(2026, 10, 26, 8, 0), 60)
+    ]
+    const summary = toPlain(page.run('summarizeTimeLedger')(entries, { from: '2026-10-19', to: '2026-10-21' }))
+
+    assert.deepEqual(summary.days, ['2026-10-19', '2026-10-20', '2026-10-21'])
+    assert.equal(summary.total, 80 * MINUTE)
+    assert.deepEqual(summary.totalsByDay, { '2026-10-19': 50 * MINUTE, '2026-10-20': 30 * MINUTE })
+    assert.deepEqual(
+      summary.byTicket.map(row => [row.key, row.total, row.byDay]),
+      [
+        ['654321', 60 * MINUTE, { '2026-10-19': 30 * MINUTE, '2026-10-20': 30 * MINUTE }],
+        ['654322', 20 * MINUTE, { '2026-10-19': 20 * MINUTE }]
+      ]
+    )
+    assert.deepEqual(summary.byClient.map(row => [row.label, row.total]), [['Alfa', 60 * MINUTE], ['Beta', 20 * MINUTE]])
+  })
+
+  it('exporta o CSV com ";" e horas com vírgula', () => {
+    const ticket = { client: 'Alfa; Filial', subject: 'Erro "404"' }
+    const entries = [
+      { ...timerEntry('t1', '654321', '', at(2026, 10, 19, 8, 0), 90), ...ticket },
+      { ...timerEntry('a1', '654321', '', at(2026, 10, 19, 9, 0), 0), ...ticket, durationMs: -15 * MINUTE, source: 'adjust' }
+    ]
+    const lines = page.run('buildTimeLedgerCsv')(entries, { from: '2026-10-19', to: '2026-10-19' }).split('\r\n')
+    assert.deepEqual(lines, [
+      'Data;Chamado;Cliente;Assunto;Início;Fim;Minutos;Horas;Origem',
+      '19/10/2026;654321;"Alfa; Filial";"Erro ""404""";08:00;09:30;90;1,50;Cronômetro',
+      '19/10/2026;654321;"Alfa; Filial";"Erro ""404""";;;-15;-0,25;Ajuste manual'
+    ])
+  })
+
+  it('exporta o JSON com os totais em minutos', () => {
+    const entries = [timerEntry('t1', '654321', 'Alfa', at(2026, 10, 19, 8, 0), 30)]
+    const data = JSON.parse(page.run('buildTimeLedgerJson')(entries, { from: '2026-10-19', to: '2026-10-19' }))
+    assert.equal(data.totalMinutes, 30)
+    assert.deepEqual(data.byTicket, [
+      { ticketId: '654321', label: '654321', totalMinutes: 30, minutesByDay: { '2026-10-19': 30 } }
+    ])
+    assert.equal(data.entries.length, 1)
+  })
+
+  describe('lançamentos no storage', () => {
+    const today = Date.now()
+
+    it('atualiza o trecho em andamento e descarta trechos curtos demais', async () => {
+      const saveTimeLedgerEntry = page.run('saveTimeLedgerEntry')
+      const getEntries = page.run('getTimeLedgerEntries')
+      const entry = timerEntry('t1', '654321', 'Alfa', today, 1)
+
+      await saveTimeLedgerEntry({ ...entry, id: 'curto', durationMs: 500 })
+      await saveTimeLedgerEntry(entry)
+      await saveTimeLedgerEntry({ ...entry, durationMs: 2 * MINUTE })
+      assert.deepEqual(toPlain((await getEntries()).map(saved => [saved.id, saved.durationMs])), [['t1', 2 * MINUTE]])
+
+      // O cronômetro zerado antes de 1s remove o trecho
+      await saveTimeLedgerEntry({ ...entry, durationMs: 0 })
+      assert.equal((await getEntries()).length, 0)
+    })
+
+    it('soma os ajustes ao chamado e zera só o chamado escolhido', async () => {
+      const ticket = { ticketId: '654321', client: 'Alfa', subject: 'Assunto' }
+      await page.run('saveTimeLedgerEntry')(timerEntry('t1', '654321', 'Alfa', today, 30))
+      await page.run('saveTimeLedgerEntry')(timerEntry('t2', '', '', today, 10))
+      await page.run('addTimeLedgerAdjustment')(ticket, -5 * MINUTE, today)
+
+      const getTotal = async ticketId =>
+        page.run('getTimeLedgerTicketTotal')(await page.run('getTimeLedgerEntries')(), ticketId, today)
+      assert.equal(await getTotal('654321'), 25 * MINUTE)
+      assert.equal(await getTotal(''), 10 * MINUTE)
+
+      await page.run('clearTimeLedgerTicket')('654321', today)
+      assert.equal(await getTotal('654321'), 0)
+      assert.equal(await getTotal(''), 10 * MINUTE)
+    })
+
+    it('descarta os lançamentos mais antigos que a retenção', async () => {
+      const old = today - 200 * 24 * 60 * MINUTE
+      await page.chrome.storage.local.set({ timeLedgerData: [timerEntry('antigo', '1', 'A', old, 30)] })
+      await page.run('saveTimeLedgerEntry')(timerEntry('novo', '2', 'B', today, 30))
+      assert.deepEqual(toPlain((await page.run('getTimeLedgerEntries')()).map(entry => entry.id)), ['novo'])
+    })
+  })
+})
@@ -0,0 +1,134 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadContentScripts, toPlain } = require('./harness')
+
+/**
+ * Timestamp de uma data no horário local (mês começando em 1).
+ * @returns {number}
+ */
+const at = (year, month, day, hours = 0, minutes = 0) =>
+  new Date(year, month - 1, day, hours, minutes).getTime()
+
+const iso = (...parts) => new Date(at(...parts)).toISOString()
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+describe('warning-rules', () => {
+  let page
+  let scheduleAt
+
+  beforeEach(() => {
+    page = loadContentScripts(['business-calendar.js', 'recurrence-service.js', 'warning-rules.js'])
+    const getWarningScheduleState = page.run('getWarningScheduleState')
+    scheduleAt = (warning, now) => toPlain(getWarningScheduleState(warning, now))
+  })
+
+  describe('getWarningScheduleState', () => {
+    const warning = { date: iso(2026, 10, 19, 8, 0), publishedAt: iso(2026, 10, 19, 8, 0) }
+
+    it('agenda, publica e expira o aviso comum após 7 dias sem expiração', () => {
+      assert.equal(scheduleAt(warning, at(2026, 10, 19, 7, 0)).state, 'scheduled')
+      assert.deepEqual(scheduleAt(warning, at(2026, 10, 19, 10, 0)), {
+        state: 'live',
+        liveSince: at(2026, 10, 19, 8, 0),
+        liveUntil: at(2026, 10, 19, 8, 0) + 7 * DAY_MS,
+        nextStart: null
+      })
+      assert.equal(scheduleAt(warning, at(2026, 10, 26, 8, 1)).state, 'expired')
+    })
+
+    it('respeita a expiração informada e renova o prazo quando o aviso é reenviado', () => {
+      assert.equal(scheduleAt({ ...warning, expiresAt: iso(2026, 10, 19, 12, 0) }, at(2026, 10, 19, 12, 1)).state, 'expired')
+      assert.equal(scheduleAt({ ...warning, date: iso(2026, 10, 25, 8, 0) }, at(2026, 10, 27, 8, 0)).state, 'live')
+    })
+
+    it('abre a janela de cada ocorrência do aviso recorrente', () => {
+      // Manutenção toda quinta-feira das 19h às 21h, a partir de 15/10/2026
+      const maintenance = {
+        date: iso(2026, 10, 14, 9, 0),
+        publishedAt: iso(2026, 10, 15, 19, 0),
+        recurrence: 'FREQ=WEEKLY;BYDAY=TH',
+        recurrenceDurationMinutes: 120
+      }
+      assert.deepEqual(scheduleAt(maintenance, at(2026, 10, 14, 10, 0)), {
+        state: 'scheduled',
+        liveSince: null,
+        liveUntil: null,
+        nextStart: at(2026, 10, 15, 19, 0)
+      })
+      assert.deepEqual(scheduleAt(maintenance, at(2026, 10, 22, 20, 0)), {
+        state: 'live',
+        liveSince: at(2026, 10, 22, 19, 0),
+        liveUntil: at(2026, 10, 22, 21, 0),
+        nextStart: null
+      })
+      assert.deepEqual(scheduleAt(maintenance, at(2026, 10, 22, 21, 30)), {
+        state: 'waiting',
+        liveSince: null,
+        liveUntil: null,
+        nextStart: at(2026, 10, 29, 19, 0)
+      })
+      assert.equal(
+        scheduleAt({ ...maintenance, expiresAt: iso(2026, 10, 25, 0, 0) }, at(2026, 10, 22, 21, 30)).state,
+        'expired'
+      )
+    })
+
+    it('gera uma chave de notificação por ocorrência do aviso recorrente', () => {
+      const getWarningNotificationKey = page.run('getWarningNotificationKey')
+      const maintenance = {
+        date: iso(2026, 10, 14, 9, 0),
+        publishedAt: iso(2026, 10, 15, 19, 0),
+        recurrence: 'FREQ=WEEKLY;BYDAY=TH',
+        recurrenceDurationMinutes: 120
+      }
+      const keyAt = now => getWarningNotificationKey(maintenance, page.run('getWarningScheduleState')(maintenance, now))
+      assert.equal(keyAt(at(2026, 10, 15, 19, 30)), `${maintenance.date}#${iso(2026, 10, 15, 19, 0)}`)
+      assert.notEqual(keyAt(at(2026, 10, 22, 19, 30)), keyAt(at(2026, 10, 15, 19, 30)))
+      assert.equal(getWarningNotificationKey(warning, { liveSince: at(2026, 10, 19, 8, 0) }), warning.date)
+    })
+  })
+
+  describe('público e validação', () => {
+    it('exige todos os critérios de público preenchidos', () => {
+      const matchesWarningAudience = page.run('matchesWarningAudience')
+      const warning = { targetUsers: ['João Souza', 'Maria Silva'], targetRegions: ['sul'], targetRoles: ['viewer'] }
+      const audience = { currentUser: '  maria  silva ', region: 'sul', isEditor: false }
+      assert.equal(matchesWarningAudience(warning, audience), true)
+      assert.equal(matchesWarningAudience(warning, { ...audience, currentUser: 'Ana' }), false)
+      assert.equal(matchesWarningAudience(warning, { ...audience, region: 'sudeste' }), false)
+      assert.equal(matchesWarningAudience(warning, { ...audience, isEditor: true }), false)
+      assert.equal(matchesWarningAudience({ targetUsers: [] }, { currentUser: '' }), true)
+    })
+
+    it('valida as regras antes de salvar', () => {
+      const validateWarningRules = page.run('validateWarningRules')
+      const publishedAt = iso(2026, 10, 15, 19, 0)
+      assert.equal(validateWarningRules({ publishedAt, recurrence: 'FREQ=WEEKLY', recurrenceDurationMinutes: 60 }), null)
+      assert.equal(
+        validateWarningRules({ publishedAt, expiresAt: publishedAt }),
+        'A expiração deve ser posterior à publicação.'
+      )
+      assert.equal(validateWarningRules({ publishedAt, recurrence: 'FREQ=HOURLY' }), 'Regra de recorrência inválida.')
+      assert.equal(
+        validateWarningRules({ recurrence: 'FREQ=WEEKLY', recurrenceDurationMinutes: 60 }),
+        'Avisos recorrentes precisam da data de publicação (início da primeira janela).'
+      )
+      assert.equal(
+        validateWarningRules({ publishedAt, recurrence: 'FREQ=WEEKLY' }),
+        'Informe a duração da janela do aviso recorrente.'
+      )
+      assert.equal(validateWarningRules({ targetRegions: ['norte'] }), 'Região inválida no público do aviso.')
+      assert.equal(validateWarningRules({ targetRoles: ['admin'] }), 'Perfil inválido no público do aviso.')
+    })
+
+    it('descreve o público do aviso', () => {
+      const describeWarningAudience = page.run('describeWarningAudience')
+      assert.equal(
+        describeWarningAudience({ targetRegions: ['sul', 'sudeste'], targetRoles: ['viewer'], targetUsers: ['a', 'b', 'c'] }),
+        'Região Sul/Sudeste · Leitores · 3 colaborador(es)'
+      )
+      assert.equal(describeWarningAudience({}), '')
+    })
+  })
+})
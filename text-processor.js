@@ -1,40 +1,501 @@
 /**
  * @file text-processor.js
- * Lida com a substituição de variáveis dinâmicas em strings de texto.
+ * Lida com a substituição de variáveis dinâmicas em strings de texto e com o
+ * motor de modelos (blocos condicionais e campos a preencher).
  */
 
+// --- REGISTRO DE VARIÁVEIS ---
+
+/**
+ * Registro das variáveis de modelo conhecidas.
+ * Cada definição: { key, label, description, example, pattern, resolve }.
+ * - key: nome usado entre colchetes (ex: 'usuario' -> [usuario]).
+ * - example: token inserido pelo menu/autocomplete (padrão: [key]).
+ * - pattern: RegExp global opcional para variáveis com parâmetros; os grupos
+ *   capturados são repassados para resolve.
+ * - resolve: função (síncrona ou async) que retorna o texto da variável.
+ */
+const TEMPLATE_VARIABLES = []
+
+/**
+ * Escapa caracteres especiais para uso literal em uma RegExp.
+ * @param {string} str - O texto a ser escapado.
+ * @returns {string} O texto escapado.
+ */
+function _escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Registra (ou substitui) uma variável de modelo.
+ * @param {object} definition - A definição da variável.
+ * @returns {boolean} True se a variável foi registrada.
+ */
+function registerTemplateVariable(definition) {
+  if (
+    !definition ||
+    typeof definition.key !== 'string' ||
+    !/^[\w+-]+$/.test(definition.key) ||
+    typeof definition.resolve !== 'function'
+  ) {
+    console.error('SGD - PowerTools: definição de variável inválida', definition)
+    return false
+  }
+
+  const normalized = {
+    label: definition.key,
+    description: '',
+    example: `[${definition.key}]`,
+    ...definition,
+    pattern:
+      definition.pattern ||
+      new RegExp(`\\[${_escapeRegExp(definition.key)}\\]`, 'g')
+  }
+
+  const index = TEMPLATE_VARIABLES.findIndex(v => v.key === normalized.key)
+  if (index > -1) {
+    TEMPLATE_VARIABLES[index] = normalized
+  } else {
+    TEMPLATE_VARIABLES.push(normalized)
+  }
+  return true
+}
+
+/**
+ * Recupera as variáveis personalizadas (constantes) definidas nas configurações.
+ * @returns {Promise<Array<{name: string, value: string, description: string}>>}
+ */
+async function getCustomTemplateVariables() {
+  try {
+    const settings = await getSettings()
+    const list = Array.isArray(settings.customVariables)
+      ? settings.customVariables
+      : []
+    return list.filter(v => v && v.name && !isBuiltInTemplateVariable(v.name))
+  } catch (error) {
+    console.warn('SGD - PowerTools: Erro ao carregar variáveis personalizadas.', error)
+    return []
+  }
+}
+
+/**
+ * Indica se um nome pertence a uma variável embutida do registro.
+ * @param {string} name - Nome da variável (sem colchetes).
+ * @returns {boolean}
+ */
+function isBuiltInTemplateVariable(name) {
+  const key = String(name || '').toLowerCase()
+  return TEMPLATE_VARIABLES.some(v => v.key === key || v.key.startsWith(`${key}+`))
+}
+
+/**
+ * Monta o catálogo de variáveis (embutidas e personalizadas) com valor de prévia,
+ * usado pelo menu "Inserir Variável" e pelo autocomplete dos modais.
+ * @returns {Promise<Array<{token: string, label: string, description: string, preview: string, custom: boolean}>>}
+ */
+async function getTemplateVariablesCatalog() {
+  const catalog = []
+
+  for (const variable of TEMPLATE_VARIABLES) {
+    let preview = ''
+    try {
+      // Usa a própria resolução sobre o exemplo para que a prévia reflita a página atual.
+      const sample = variable.example
+      const match = new RegExp(variable.pattern.source).exec(sample)
+      const resolved = await variable.resolve(...(match ? match.slice(1) : []))
+      preview = String(resolved || '').replace(/<[^>]+>/g, '')
+    } catch (error) {
+      console.warn(`SGD - PowerTools: Erro na prévia da variável [${variable.key}]`, error)
+    }
+
+    catalog.push({
+      token: variable.example,
+      label: variable.label,
+      description: variable.description,
+      preview: preview || variable.previewFallback || '',
+      custom: false
+    })
+  }
+
+  const customVariables = await getCustomTemplateVariables()
+  customVariables.forEach(v => {
+    catalog.push({
+      token: `[${v.name}]`,
+      label: v.name,
+      description: v.description || 'Constante definida nas Configurações',
+      preview: String(v.value || '').replace(/<[^>]+>/g, ''),
+      custom: true
+    })
+  })
+
+  return catalog
+}
+
 /**
  * Processa uma string e substitui todas as variáveis dinâmicas conhecidas.
  * @param {string} text - O texto a ser processado, contendo variáveis como [usuario].
  * @returns {Promise<string>} O texto com as variáveis substituídas.
  */
 async function resolveVariablesInText(text) {
+  if (typeof text !== 'string' || !text.includes('[')) return text
+
   let processedText = text
 
-  if (processedText.includes('[usuario]')) {
-    const userName = await _getUserNameLogic()
-    const userHtml = `<span data-variable="usuario">${userName}</span>`
-    processedText = processedText.replace(/\[usuario\]/g, userHtml)
+  for (const variable of TEMPLATE_VARIABLES) {
+    const regex = new RegExp(variable.pattern.source, 'g')
+    const matches = [...processedText.matchAll(regex)]
+    if (matches.length === 0) continue
+
+    // Resolve cada ocorrência distinta apenas uma vez (ex: [prazo+3du] e [prazo+5du]).
+    const resolvedByToken = new Map()
+    for (const match of matches) {
+      if (resolvedByToken.has(match[0])) continue
+      try {
+        const value = await variable.resolve(...match.slice(1))
+        resolvedByToken.set(match[0], value == null ? '' : String(value))
+      } catch (error) {
+        console.warn(`SGD - PowerTools: Erro ao resolver [${variable.key}]`, error)
+        resolvedByToken.set(match[0], match[0])
+      }
+    }
+    processedText = processedText.replace(regex, token =>
+      resolvedByToken.get(token)
+    )
+  }
+
+  const customVariables = await getCustomTemplateVariables()
+  for (const custom of customVariables) {
+    const regex = new RegExp(`\\[${_escapeRegExp(custom.name)}\\]`, 'g')
+    processedText = processedText.replace(regex, () => custom.value || '')
+  }
+
+  return processedText
+}
+
+// --- MOTOR DE MODELOS ---
+//
+// Sintaxe suportada nos trâmites, saudações/encerramentos e atalhos:
+//   {{?Rótulo}}                 -> campo a preencher em um formulário antes da inserção
+//   {{?Rótulo|padrão}}          -> campo com valor sugerido
+//   {{?Rótulo|opção1|opção2}}   -> campo com lista de opções
+//   {{#se campo=valor}}...{{senao}}...{{/se}}
+//     Operadores: = (igual), != (diferente), ~ (contém); "campo" sozinho testa se
+//     está preenchido e "!campo" se está vazio. Aceita alternativas: sistema=Folha|Fiscal.
+
+const TEMPLATE_CONDITIONAL_REGEX =
+  /\{\{#se\s+([^}]+?)\s*\}\}((?:(?!\{\{#se\s)[\s\S])*?)\{\{\/se\}\}/i
+const TEMPLATE_FILL_IN_REGEX = /\{\{\?([^}|]+?)((?:\|[^}|]*)*)\}\}/g
+
+/**
+ * Campos da página que podem ser usados nas condições além das variáveis registradas.
+ */
+const TEMPLATE_CONDITION_FIELDS = {
+  modulo: () => _getPageFieldText('#td\\:modulo_nome a'),
+  assunto: () => _getPageFieldText('#td\\:assunto'),
+  topico: () => _getPageFieldText('#sscForm\\:topico option:checked'),
+  classificacao: () =>
+    (typeof getSgdClassificacao === 'function' && getSgdClassificacao()) || ''
+}
+
+/**
+ * Obtém o valor de um campo usado em uma condição ({{#se campo=...}}).
+ * Procura nos campos da página, nas variáveis registradas e nas constantes do usuário.
+ * @param {string} fieldName - Nome do campo.
+ * @param {Map<string, string>} cache - Cache da renderização atual.
+ * @returns {Promise<string>} O valor em texto puro.
+ */
+async function _getTemplateFieldValue(fieldName, cache) {
+  const key = fieldName.trim().toLowerCase()
+  if (cache.has(key)) return cache.get(key)
+
+  let value = ''
+  try {
+    if (TEMPLATE_CONDITION_FIELDS[key]) {
+      value = TEMPLATE_CONDITION_FIELDS[key]()
+    } else {
+      const variable = TEMPLATE_VARIABLES.find(v => v.key === key)
+      if (variable) {
+        value = await variable.resolve()
+      } else {
+        const customVariables = await getCustomTemplateVariables()
+        const custom = customVariables.find(v => v.name === key)
+        value = custom ? custom.value : ''
+      }
+    }
+  } catch (error) {
+    console.warn(`SGD - PowerTools: Erro ao ler o campo "${key}" do modelo.`, error)
   }
 
-  if (processedText.includes('[saudacao]')) {
-    const greeting = _getGreetingLogic()
-    processedText = processedText.replace(/\[saudacao\]/g, greeting)
+  value = String(value || '').replace(/<[^>]+>/g, '').trim()
+  cache.set(key, value)
+  return value
+}
+
+/**
+ * Avalia a expressão de um bloco condicional.
+ * @param {string} expression - Ex: "sistema=Folha", "cliente", "!sistema".
+ * @param {Map<string, string>} cache - Cache da renderização atual.
+ * @returns {Promise<boolean>}
+ */
+async function _evaluateTemplateCondition(expression, cache) {
+  const match = expression.match(/^\s*(!?)\s*([\w+-]+)\s*(?:(!=|=|~)\s*(.*))?$/)
+  if (!match) {
+    console.warn(`SGD - PowerTools: Condição de modelo inválida: "${expression}"`)
+    return false
   }
 
-  if (processedText.includes('[finalizacao]')) {
-    const farewell = _getFarewellLogic()
-    processedText = processedText.replace(/\[finalizacao\]/g, farewell)
+  const [, negation, fieldName, operator, rawExpected] = match
+  const fieldValue = normalizeName(await _getTemplateFieldValue(fieldName, cache))
+
+  if (!operator) {
+    const isFilled = fieldValue.length > 0
+    return negation ? !isFilled : isFilled
   }
 
-  if (processedText.includes('[solicitacao]')) {
-    const requestNumber = await _getRequestNumberLogic()
-    processedText = processedText.replace(/\[solicitacao\]/g, requestNumber)
+  const alternatives = (rawExpected || '')
+    .split('|')
+    .map(alternative => normalizeName(alternative))
+    .filter(Boolean)
+
+  const matches =
+    operator === '~'
+      ? alternatives.some(alternative => fieldValue.includes(alternative))
+      : alternatives.includes(fieldValue)
+
+  const result = operator === '!=' ? !matches : matches
+  return negation ? !result : result
+}
+
+/**
+ * Resolve os blocos condicionais, do mais interno para o mais externo.
+ * @param {string} text - O texto do modelo.
+ * @param {Map<string, string>} cache - Cache da renderização atual.
+ * @returns {Promise<string>}
+ */
+async function _applyTemplateConditionals(text, cache) {
+  let processedText = text
+  let match = processedText.match(TEMPLATE_CONDITIONAL_REGEX)
+
+  while (match) {
+    const [block, expression, body] = match
+    const [whenTrue, whenFalse = ''] = body.split(/\{\{senao\}\}/i)
+    const isTrue = await _evaluateTemplateCondition(expression, cache)
+    processedText =
+      processedText.slice(0, match.index) +
+      (isTrue ? whenTrue : whenFalse) +
+      processedText.slice(match.index + block.length)
+    match = processedText.match(TEMPLATE_CONDITIONAL_REGEX)
   }
 
   return processedText
 }
 
+/**
+ * Lista os campos a preencher ({{?Rótulo}}) do modelo, sem repetições.
+ * @param {string} text - O texto do modelo.
+ * @returns {Array<{label: string, options: string[]}>}
+ */
+function getTemplateFillIns(text) {
+  const fields = []
+  for (const match of String(text || '').matchAll(TEMPLATE_FILL_IN_REGEX)) {
+    const label = match[1].trim()
+    if (fields.some(field => field.label === label)) continue
+    const options = match[2] ? match[2].split('|').slice(1) : []
+    fields.push({ label, options })
+  }
+  return fields
+}
+
+/**
+ * Processa um modelo completo: avalia condicionais, solicita os campos a preencher
+ * e resolve as variáveis. Usado por trâmites rápidos, saudações/encerramentos e atalhos.
+ * @param {string} text - O texto do modelo.
+ * @param {object} [options]
+ * @param {boolean} [options.interactive=true] - Se false, não abre o formulário e usa o
+ *   valor sugerido (ou vazio) nos campos a preencher. Usado em preenchimentos automáticos.
+ * @returns {Promise<string|null>} O texto final ou null se o usuário cancelar o formulário.
+ */
+async function renderTemplate(text, options = {}) {
+  const { interactive = true } = options
+  if (typeof text !== 'string') return text
+
+  let processedText = text
+
+  if (processedText.includes('{{')) {
+    const cache = new Map()
+    processedText = await _applyTemplateConditionals(processedText, cache)
+
+    const fillIns = getTemplateFillIns(processedText)
+    if (fillIns.length > 0) {
+      let values = {}
+      if (interactive && typeof openTemplateFillInModal === 'function') {
+        values = await openTemplateFillInModal(fillIns)
+        if (values === null) return null
+      }
+
+      processedText = processedText.replace(
+        TEMPLATE_FILL_IN_REGEX,
+        (fullMatch, rawLabel, rawOptions) => {
+          const label = rawLabel.trim()
+          if (Object.prototype.hasOwnProperty.call(values, label)) {
+            return values[label]
+          }
+          return rawOptions ? rawOptions.split('|')[1] || '' : ''
+        }
+      )
+    }
+  }
+
+  return resolveVariablesInText(processedText)
+}
+
+/**
+ * Lê o texto de um campo do cabeçalho do atendimento (SSC/SS).
+ * @param {string} selector - Seletor CSS do campo.
+ * @returns {string} O texto encontrado ou string vazia.
+ */
+function _getPageFieldText(selector) {
+  const element = document.querySelector(selector)
+  return element ? element.textContent.trim().replace(/\s+/g, ' ') : ''
+}
+
+/**
+ * Formata uma data no padrão dd/mm/aaaa.
+ * @param {Date} date - A data a ser formatada.
+ * @returns {string}
+ */
+function _formatTemplateDate(date) {
+  return date.toLocaleDateString('pt-BR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  })
+}
+
+// --- VARIÁVEIS EMBUTIDAS ---
+
+registerTemplateVariable({
+  key: 'usuario',
+  label: 'Nome do Usuário',
+  description: 'Primeiro nome do usuário do atendimento',
+  previewFallback: 'Maria',
+  resolve: async () => {
+    const userName = await _getUserNameLogic()
+    return `<span data-variable="usuario">${userName}</span>`
+  }
+})
+
+registerTemplateVariable({
+  key: 'saudacao',
+  label: 'Saudação',
+  description: 'Bom dia / Boa tarde / Boa noite, conforme o horário',
+  resolve: () => _getGreetingLogic()
+})
+
+registerTemplateVariable({
+  key: 'finalizacao',
+  label: 'Finalização',
+  description: 'Ótimo dia / Ótima semana, conforme o dia e horário',
+  resolve: () => _getFarewellLogic()
+})
+
+registerTemplateVariable({
+  key: 'solicitacao',
+  label: 'Número da Solicitação',
+  description: 'Número do atendimento aberto na página',
+  previewFallback: '123456',
+  resolve: () => _getRequestNumberLogic()
+})
+
+registerTemplateVariable({
+  key: 'cliente',
+  label: 'Cliente',
+  description: 'Nome do cliente do atendimento',
+  previewFallback: 'Empresa Exemplo Ltda',
+  resolve: () => _getPageFieldText('#td\\:cliente a') || _getPageFieldText('#td\\:cliente')
+})
+
+registerTemplateVariable({
+  key: 'unidade',
+  label: 'Unidade',
+  description: 'Unidade (revenda) do atendimento ou, fora dele, a unidade do analista',
+  previewFallback: 'Unidade Exemplo',
+  resolve: async () => {
+    const pageUnit = _getPageFieldText('#td\\:revenda_nome')
+    if (pageUnit) return pageUnit
+    try {
+      const cached = await chrome.storage.local.get(['userUnidade'])
+      return cached.userUnidade || ''
+    } catch (error) {
+      return ''
+    }
+  }
+})
+
+registerTemplateVariable({
+  key: 'sistema',
+  label: 'Sistema',
+  description: 'Sistema informado no atendimento',
+  previewFallback: 'Folha',
+  resolve: () =>
+    _getPageFieldText('#td\\:sistema_nome a') || _getPageFieldText('#td\\:sistema_nome')
+})
+
+registerTemplateVariable({
+  key: 'data',
+  label: 'Data de Hoje',
+  description: 'Data atual no formato dd/mm/aaaa',
+  resolve: () => _formatTemplateDate(new Date())
+})
+
+registerTemplateVariable({
+  key: 'hora',
+  label: 'Hora Atual',
+  description: 'Hora atual no formato hh:mm',
+  resolve: () =>
+    new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+})
+
+registerTemplateVariable({
+  key: 'analista',
+  label: 'Analista',
+  description: 'Nome do analista logado no SGD',
+  previewFallback: 'Analista',
+  resolve: () => {
+    const name =
+      (window.sgdPermissions && window.sgdPermissions.currentUser) ||
+      _getPageFieldText('p.navbar-text.navbar-right a b')
+    return name
+      .toLowerCase()
+      .replace(/(^|\s)\S/g, letter => letter.toUpperCase())
+  }
+})
+
+registerTemplateVariable({
+  key: 'prazo+du',
+  label: 'Prazo em Dias Úteis',
+  description: 'Data daqui a N dias úteis (ex: [prazo+3du] = 3 dias úteis a partir de hoje)',
+  example: '[prazo+3du]',
+  pattern: /\[prazo\+(\d{1,3})du\]/g,
+  resolve: days => {
+    // addBusinessDays vem de business-calendar.js (carregado depois deste arquivo).
+    if (typeof addBusinessDays !== 'function') return ''
+    return _formatTemplateDate(addBusinessDays(new Date(), days))
+  }
+})
+
+registerTemplateVariable({
+  key: 'tempo',
+  label: 'Tempo no Chamado',
+  description: 'Tempo registrado no cronômetro para o chamado aberto (ex: 1h 25min)',
+  previewFallback: '1h 25min',
+  resolve: () => {
+    // O cronômetro (app.js) e o histórico de tempo (time-ledger.js) carregam depois deste arquivo.
+    if (typeof getStopwatchElapsedMs !== 'function') return ''
+    return formatTimeLedgerDuration(getStopwatchElapsedMs())
+  }
+})
+
 /**
  * Lógica para obter o nome do primeiro usuário.
  * @returns {Promise<string>} O primeiro nome do usuário como texto puro.
@@ -163,3 +624,312 @@ function _getFarewellLogic() {
   }
   return 'Ótimo final de semana'
 }
+
+// --- CONVERSOR MARKDOWN ⇄ HTML DO SGD ---
+
+/**
+ * O SGD armazena o trâmite como texto com quebras de linha (\n) e um subconjunto de
+ * HTML em linha (<b>, <i>, <u>, <a>, <img>, <span style>). O conversor mantém esse
+ * formato: as quebras de linha continuam como \n e HTML já existente no Markdown é
+ * preservado, como no Markdown padrão.
+ */
+
+/**
+ * URL de link ou imagem do Markdown, escapada para o atributo, ou null se não for um
+ * endereço permitido (http, https, mailto), como no normalizador da colagem.
+ * O texto pode chegar já escapado (visualização das anotações), por isso as entidades
+ * voltam ao caractere antes da validação.
+ * @param {string} url - A URL escrita no Markdown.
+ * @returns {string|null}
+ */
+function _safeMarkdownUrl(url) {
+  const decoded = url
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+  return isValidUrl(decoded) ? escapeHTML(decoded) : null
+}
+
+/**
+ * Converte a formatação em linha do Markdown (negrito, itálico, código, links e imagens).
+ * @param {string} text - Uma linha de Markdown.
+ * @returns {string} A linha com as tags HTML do SGD.
+ */
+function _markdownInlineToHtml(text) {
+  const placeholders = []
+  const protect = html => {
+    placeholders.push(html)
+    return `\u0000${placeholders.length - 1}\u0000`
+  }
+
+  let result = text
+    // Código em linha: o conteúdo não recebe outras formatações.
+    .replace(/`([^`]+)`/g, (_, code) =>
+      protect(`<span style="font-family: monospace;">${code.replace(/</g, '&lt;')}</span>`)
+    )
+    // Imagens e links antes da ênfase, para não alterar "_" e "*" das URLs. A URL aceita
+    // um nível de parênteses (ex: páginas da Wikipédia); endereços não permitidos ficam
+    // só com o texto.
+    .replace(/!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (_, alt, src) => {
+      const safeSrc = _safeMarkdownUrl(src)
+      return safeSrc ? protect(`<img src="${safeSrc}" alt="${alt.replace(/"/g, '&quot;')}">`) : alt
+    })
+    .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (_, label, href) => {
+      const safeHref = _safeMarkdownUrl(href)
+      return safeHref ? protect(`<a href="${safeHref}" target="_blank">`) + label + protect('</a>') : label
+    })
+
+  result = result
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<b>$1</b>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<b>$2</b>')
+    .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?!\*)/g, '$1<i>$2</i>')
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<i>$2</i>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+
+  return result.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[index])
+}
+
+/**
+ * Monta uma tabela no formato aceito pelo trâmite do SGD. A tabela fica em uma
+ * única linha, pois cada \n do trâmite vira <br> ao ser exibido.
+ * @param {string[]|null} headerCells - O HTML das células de cabeçalho (ou null).
+ * @param {string[][]} rows - O HTML das células de cada linha.
+ * @returns {string} O HTML da tabela.
+ */
+function buildSgdTableHtml(headerCells, rows) {
+  const cellStyle = 'border: 1px solid #999; padding: 4px 8px;'
+  const headerHtml = headerCells
+    ? `<tr>${headerCells.map(cell => `<th style="${cellStyle}">${cell}</th>`).join('')}</tr>`
+    : ''
+  const rowsHtml = rows
+    .map(row => `<tr>${row.map(cell => `<td style="${cellStyle}">${cell}</td>`).join('')}</tr>`)
+    .join('')
+  return `<table style="border-collapse: collapse;">${headerHtml}${rowsHtml}</table>`
+}
+
+/**
+ * Divide uma linha de tabela Markdown em células.
+ * @param {string} line - Linha no formato "| a | b |".
+ * @returns {string[]} As células.
+ */
+function _splitMarkdownTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'))
+}
+
+/**
+ * Converte Markdown para o HTML aceito pelo SGD.
+ * Suporta negrito, itálico, tachado, código em linha, links, imagens, títulos,
+ * listas (com marcador, numeradas e de tarefas) e tabelas.
+ * @param {string} markdown - O texto em Markdown.
+ * @returns {string} O texto no formato do trâmite do SGD.
+ */
+function markdownToSgdHtml(markdown) {
+  if (!markdown) return ''
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n')
+  const output = []
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    // Tabela: linha de cabeçalho seguida da linha separadora "|---|---|"
+    if (
+      /^\s*\|.*\|\s*$/.test(line) &&
+      i + 1 < lines.length &&
+      /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(lines[i + 1])
+    ) {
+      const header = _splitMarkdownTableRow(line)
+      const rows = []
+      i += 2
+      while (i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i])) {
+        rows.push(_splitMarkdownTableRow(lines[i]))
+        i++
+      }
+      i--
+
+      output.push(
+        buildSgdTableHtml(
+          header.map(_markdownInlineToHtml),
+          rows.map(row => header.map((_, index) => _markdownInlineToHtml(row[index] || '')))
+        )
+      )
+      continue
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/)
+    if (heading) {
+      output.push(`<b>${_markdownInlineToHtml(heading[2])}</b>`)
+      continue
+    }
+
+    // Lista de tarefas: o SGD não tem caixas de seleção, então vira ☐/☑
+    const task = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/)
+    if (task) {
+      const indent = '&nbsp;'.repeat(Math.floor(task[1].length / 2) * 4)
+      output.push(`${indent}${task[2] === ' ' ? '☐' : '☑'} ${_markdownInlineToHtml(task[3])}`)
+      continue
+    }
+
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/)
+    if (bullet) {
+      const indent = '&nbsp;'.repeat(Math.floor(bullet[1].length / 2) * 4)
+      output.push(`${indent}&bull; ${_markdownInlineToHtml(bullet[2])}`)
+      continue
+    }
+
+    const numbered = line.match(/^(\s*)(\d+(?:\.\d+)*|[A-Za-z])\.\s+(.*)$/)
+    if (numbered) {
+      const indent = '&nbsp;'.repeat(Math.floor(numbered[1].length / 2) * 4)
+      output.push(`${indent}${numbered[2]}. ${_markdownInlineToHtml(numbered[3])}`)
+      continue
+    }
+
+    output.push(_markdownInlineToHtml(line))
+  }
+
+  return output.join('\n')
+}
+
+/**
+ * Converte o conteúdo de um nó HTML para Markdown.
+ * @param {Node} node - O nó a converter.
+ * @param {object} options - Ver {@link sgdHtmlToMarkdown}.
+ * @returns {string} O Markdown correspondente.
+ */
+function _htmlNodeToMarkdown(node, options) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return options.keepInlineHtml
+      ? node.textContent.replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      : node.textContent
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return ''
+
+  const children = () =>
+    Array.from(node.childNodes)
+      .map(child => _htmlNodeToMarkdown(child, options))
+      .join('')
+  const wrap = (marker, content) => {
+    // Mantém os espaços fora dos marcadores ("** texto**" não é ênfase válida).
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/)
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content
+  }
+  const tag = node.tagName.toLowerCase()
+
+  switch (tag) {
+    case 'br':
+      return '\n'
+    case 'b':
+    case 'strong':
+      return wrap('**', children())
+    case 'i':
+    case 'em':
+      return wrap('*', children())
+    case 's':
+    case 'strike':
+    case 'del':
+      return wrap('~~', children())
+    case 'a': {
+      const href = node.getAttribute('href')
+      const label = children()
+      return href ? `[${label || href}](${href})` : label
+    }
+    case 'img':
+      return `![${node.getAttribute('alt') || ''}](${node.getAttribute('src') || ''})`
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return `\n${'#'.repeat(parseInt(tag[1], 10))} ${children().trim()}\n`
+    case 'p':
+    case 'div':
+      return `${children()}\n`
+    case 'ul':
+    case 'ol': {
+      const items = Array.from(node.children).filter(child => child.tagName === 'LI')
+      const lines = items.map((item, index) => {
+        const marker = tag === 'ol' ? `${index + 1}.` : '-'
+        return `${marker} ${_htmlNodeToMarkdown(item, options).trim()}`
+      })
+      return `\n${lines.join('\n')}\n`
+    }
+    case 'li':
+      return children()
+    case 'table': {
+      const rows = Array.from(node.querySelectorAll('tr')).map(row =>
+        Array.from(row.children).map(cell =>
+          _htmlNodeToMarkdown(cell, options).replace(/\n+/g, ' ').replace(/\|/g, '\\|').trim()
+        )
+      )
+      if (rows.length === 0) return ''
+      const columns = Math.max(...rows.map(row => row.length))
+      const formatRow = row =>
+        `| ${Array.from({ length: columns }, (_, index) => row[index] || '').join(' | ')} |`
+      return `\n${[
+        formatRow(rows[0]),
+        `|${' --- |'.repeat(columns)}`,
+        ...rows.slice(1).map(formatRow)
+      ].join('\n')}\n`
+    }
+    case 'td':
+    case 'th':
+    case 'tr':
+    case 'tbody':
+    case 'thead':
+      return children()
+    case 'u':
+    case 'span':
+    case 'font': {
+      // Sem equivalente em Markdown: mantém a tag (sublinhado, cores e destaques).
+      if (!options.keepInlineHtml) return children()
+      const attributes = Array.from(node.attributes)
+        .filter(attr => ['style', 'color'].includes(attr.name))
+        .map(attr => ` ${attr.name}="${attr.value.replace(/"/g, '&quot;')}"`)
+        .join('')
+      if (tag === 'span' && !attributes) return children()
+      return `<${tag}${attributes}>${children()}</${tag}>`
+    }
+    default:
+      return children()
+  }
+}
+
+/**
+ * Converte o HTML do SGD (ou HTML colado de outras fontes) para Markdown.
+ * @param {string} html - O HTML de origem.
+ * @param {object} [options]
+ * @param {boolean} [options.keepInlineHtml=true] - Mantém as tags sem equivalente em
+ *   Markdown (sublinhado, cores). Com false, gera apenas texto com marcação Markdown.
+ * @returns {string} O texto em Markdown.
+ */
+function sgdHtmlToMarkdown(html, options = {}) {
+  if (!html) return ''
+  const doc = new DOMParser().parseFromString(html, 'text/html')
+  const markdown = _htmlNodeToMarkdown(doc.body, {
+    keepInlineHtml: options.keepInlineHtml !== false
+  })
+
+  return markdown
+    .split('\n')
+    .map(line =>
+      line
+        // Marcadores e recuos gerados pelo editor voltam a ser listas Markdown
+        .replace(/^(\s*)•\s?/, (_, indent) => `${'  '.repeat(Math.floor(indent.length / 4))}- `)
+        .replace(
+          /^(\s*)([☐☑])\s?/,
+          (_, indent, box) => `${'  '.repeat(Math.floor(indent.length / 4))}- [${box === '☑' ? 'x' : ' '}] `
+        )
+        .replace(/^(\s+)(?=\d+(?:\.\d+)*\.\s|[A-Za-z]\.\s)/, indent => '  '.repeat(Math.floor(indent.length / 4)))
+        .replace(/[ \t]+$/, '')
+    )
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
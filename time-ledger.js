@@ -0,0 +1,280 @@
+/**
+ * @file time-ledger.js
+ * Histórico de tempo por chamado, alimentado pelo cronômetro (app.js).
+ *
+ * Cada trecho cronometrado vira um lançamento; as correções manuais (✎ no cronômetro)
+ * entram como lançamentos de ajuste, com duração positiva ou negativa. Os totais por dia,
+ * semana, chamado e cliente e a exportação (CSV/JSON) são calculados a partir deles.
+ *
+ * Lançamento = { id, ticketId, client, subject, date: 'AAAA-MM-DD', start, end,
+ *   durationMs, source: 'timer'|'adjust' }
+ * Sem chamado aberto (outras páginas do SGD), o ticketId é ''.
+ */
+
+const TIME_LEDGER_RETENTION_DAYS = 180
+
+/**
+ * Trechos menores que isso (ex: foco de um instante na aba) não são registrados.
+ */
+const TIME_LEDGER_MIN_ENTRY_MS = 1000
+
+const TIME_LEDGER_SOURCE_LABELS = {
+  timer: 'Cronômetro',
+  adjust: 'Ajuste manual'
+}
+
+/**
+ * Períodos do relatório de tempo.
+ */
+const TIME_LEDGER_PERIODS = {
+  today: 'Hoje',
+  week: 'Esta semana',
+  'last-week': 'Semana passada',
+  month: 'Este mês'
+}
+
+/**
+ * Data local no formato AAAA-MM-DD.
+ * @param {Date|number} date - A data.
+ * @returns {string}
+ */
+function getTimeLedgerDateKey(date) {
+  return getLocalDateTimeString(new Date(date)).slice(0, 10)
+}
+
+/**
+ * Intervalo de datas (AAAA-MM-DD, inclusivo) de um período do relatório. As semanas vão
+ * de segunda a domingo.
+ * @param {string} period - A chave em TIME_LEDGER_PERIODS.
+ * @param {Date} now - Referência (padrão: agora).
+ * @returns {{from: string, to: string}}
+ */
+function getTimeLedgerPeriodRange(period, now = new Date()) {
+  const day = (offset, base = now) => new Date(base.getFullYear(), base.getMonth(), base.getDate() + offset)
+  const monday = day(-((now.getDay() + 6) % 7))
+
+  switch (period) {
+    case 'week':
+      return { from: getTimeLedgerDateKey(monday), to: getTimeLedgerDateKey(day(6, monday)) }
+    case 'last-week':
+      return { from: getTimeLedgerDateKey(day(-7, monday)), to: getTimeLedgerDateKey(day(-1, monday)) }
+    case 'month':
+      return {
+        from: getTimeLedgerDateKey(new Date(now.getFullYear(), now.getMonth(), 1)),
+        to: getTimeLedgerDateKey(new Date(now.getFullYear(), now.getMonth() + 1, 0))
+      }
+    default:
+      return { from: getTimeLedgerDateKey(now), to: getTimeLedgerDateKey(now) }
+  }
+}
+
+/**
+ * Formata uma duração para leitura (ex: "1h 25min", "12min", "-30min").
+ * @param {number} milliseconds - A duração.
+ * @returns {string}
+ */
+function formatTimeLedgerDuration(milliseconds) {
+  const sign = milliseconds < 0 ? '-' : ''
+  const totalMinutes = Math.floor(Math.abs(milliseconds) / 60000)
+  const hours = Math.floor(totalMinutes / 60)
+  const minutes = totalMinutes % 60
+  if (hours === 0) return `${sign}${minutes}min`
+  return `${sign}${hours}h${minutes > 0 ? ` ${String(minutes).padStart(2, '0')}min` : ''}`
+}
+
+/**
+ * Recupera os lançamentos de tempo.
+ * @returns {Promise<Array<object>>}
+ */
+async function getTimeLedgerEntries() {
+  const result = await chrome.storage.local.get(TIME_LEDGER_STORAGE_KEY)
+  return result[TIME_LEDGER_STORAGE_KEY] || []
+}
+
+/**
+ * Grava os lançamentos, descartando os mais antigos que o período de retenção.
+ * @param {Array<object>} entries - Os lançamentos.
+ */
+async function _saveTimeLedgerEntries(entries) {
+  const oldestDate = getTimeLedgerDateKey(Date.now() - TIME_LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  await chrome.storage.local.set({
+    [TIME_LEDGER_STORAGE_KEY]: entries.filter(entry => entry.date >= oldestDate)
+  })
+}
+
+/**
+ * Cria ou atualiza um lançamento (o cronômetro atualiza o trecho em andamento a cada minuto).
+ * @param {object} entry - O lançamento.
+ */
+async function saveTimeLedgerEntry(entry) {
+  const entries = await getTimeLedgerEntries()
+  const index = entries.findIndex(existing => existing.id === entry.id)
+  const isTooShort = entry.source === 'timer' && entry.durationMs < TIME_LEDGER_MIN_ENTRY_MS
+  if (isTooShort && index === -1) return
+
+  if (isTooShort) entries.splice(index, 1)
+  else if (index > -1) entries[index] = entry
+  else entries.push(entry)
+  await _saveTimeLedgerEntries(entries)
+}
+
+/**
+ * Registra um ajuste manual no dia de hoje.
+ * @param {{ticketId: string, client: string, subject: string}} ticket - O chamado.
+ * @param {number} deltaMs - A diferença (positiva ou negativa).
+ * @param {number} now - Timestamp do ajuste.
+ */
+async function addTimeLedgerAdjustment(ticket, deltaMs, now = Date.now()) {
+  if (!deltaMs) return
+  const entries = await getTimeLedgerEntries()
+  entries.push({
+    id: `time-${crypto.randomUUID()}`,
+    ticketId: ticket.ticketId,
+    client: ticket.client,
+    subject: ticket.subject,
+    date: getTimeLedgerDateKey(now),
+    start: now,
+    end: now,
+    durationMs: deltaMs,
+    source: 'adjust'
+  })
+  await _saveTimeLedgerEntries(entries)
+}
+
+/**
+ * Remove os lançamentos de um chamado (ou, sem chamado, só os de hoje).
+ * @param {string} ticketId - O número do chamado ('' = sem chamado).
+ * @param {number} now - Referência para "hoje".
+ */
+async function clearTimeLedgerTicket(ticketId, now = Date.now()) {
+  const today = getTimeLedgerDateKey(now)
+  const entries = await getTimeLedgerEntries()
+  await _saveTimeLedgerEntries(
+    entries.filter(entry => entry.ticketId !== ticketId || (!ticketId && entry.date !== today))
+  )
+}
+
+/**
+ * Tempo registrado de um chamado: todos os dias para um chamado, só hoje sem chamado
+ * (mantém o cronômetro geral zerando a cada dia, como antes do histórico).
+ * @param {Array<object>} entries - Os lançamentos.
+ * @param {string} ticketId - O número do chamado ('' = sem chamado).
+ * @param {number} now - Referência para "hoje".
+ * @returns {number} O total em milissegundos.
+ */
+function getTimeLedgerTicketTotal(entries, ticketId, now = Date.now()) {
+  const today = getTimeLedgerDateKey(now)
+  return entries
+    .filter(entry => entry.ticketId === ticketId && (ticketId || entry.date === today))
+    .reduce((total, entry) => total + entry.durationMs, 0)
+}
+
+/**
+ * Totais do período por chamado e por cliente, dia a dia.
+ * @param {Array<object>} entries - Os lançamentos.
+ * @param {{from: string, to: string}} range - O período (getTimeLedgerPeriodRange).
+ * @returns {{days: string[], byTicket: Array<object>, byClient: Array<object>,
+ *   totalsByDay: object, total: number}} Linhas = { key, label, detail, byDay, total },
+ *   da maior para a menor.
+ */
+function summarizeTimeLedger(entries, range) {
+  const days = []
+  const [year, month, dayOfMonth] = range.from.split('-').map(Number)
+  for (let date = new Date(year, month - 1, dayOfMonth); getTimeLedgerDateKey(date) <= range.to; date.setDate(date.getDate() + 1)) {
+    days.push(getTimeLedgerDateKey(date))
+  }
+
+  const tickets = new Map()
+  const clients = new Map()
+  const totalsByDay = {}
+  let total = 0
+  const addTo = (rows, key, label, detail, entry) => {
+    if (!rows.has(key)) rows.set(key, { key, label, detail, byDay: {}, total: 0 })
+    const row = rows.get(key)
+    row.byDay[entry.date] = (row.byDay[entry.date] || 0) + entry.durationMs
+    row.total += entry.durationMs
+    // O lançamento mais recente tem os dados mais atuais do chamado
+    if (detail) row.detail = detail
+  }
+
+  entries
+    .filter(entry => entry.date >= range.from && entry.date <= range.to)
+    .sort((a, b) => a.start - b.start)
+    .forEach(entry => {
+      addTo(tickets, entry.ticketId, entry.ticketId || 'Sem chamado', entry.subject || '', entry)
+      addTo(clients, entry.client || '', entry.client || 'Sem cliente', '', entry)
+      totalsByDay[entry.date] = (totalsByDay[entry.date] || 0) + entry.durationMs
+      total += entry.durationMs
+    })
+
+  const byTotal = rows => [...rows.values()].filter(row => row.total !== 0).sort((a, b) => b.total - a.total)
+  return { days, byTicket: byTotal(tickets), byClient: byTotal(clients), totalsByDay, total }
+}
+
+/**
+ * Gera o CSV dos lançamentos do período (separado por ";", para o Excel em português).
+ * @param {Array<object>} entries - Os lançamentos.
+ * @param {{from: string, to: string}} range - O período.
+ * @returns {string} O conteúdo CSV.
+ */
+function buildTimeLedgerCsv(entries, range) {
+  const formatTime = timestamp =>
+    new Date(timestamp).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+  const header = ['Data', 'Chamado', 'Cliente', 'Assunto', 'Início', 'Fim', 'Minutos', 'Horas', 'Origem']
+  const rows = entries
+    .filter(entry => entry.date >= range.from && entry.date <= range.to)
+    .sort((a, b) => a.start - b.start)
+    .map(entry => [
+      entry.date.split('-').reverse().join('/'),
+      entry.ticketId,
+      entry.client,
+      entry.subject,
+      entry.source === 'timer' ? formatTime(entry.start) : '',
+      entry.source === 'timer' ? formatTime(entry.end) : '',
+      Math.round(entry.durationMs / 60000),
+      (entry.durationMs / 3600000).toFixed(2).replace('.', ','),
+      TIME_LEDGER_SOURCE_LABELS[entry.source] || entry.source
+    ])
+
+  return [header, ...rows]
+    .map(row =>
+      row.map(cell => {
+        const text = String(cell ?? '')
+        return /[;"\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+      }).join(';')
+    )
+    .join('\r\n')
+}
+
+/**
+ * Gera o JSON dos lançamentos do período, com os totais por chamado e por cliente.
+ * @param {Array<object>} entries - Os lançamentos.
+ * @param {{from: string, to: string}} range - O período.
+ * @returns {string} O conteúdo JSON.
+ */
+function buildTimeLedgerJson(entries, range) {
+  const summary = summarizeTimeLedger(entries, range)
+  const toMinutes = milliseconds => Math.round(milliseconds / 60000)
+  const summarizeRows = (rows, keyName) =>
+    rows.map(row => ({
+      [keyName]: row.key,
+      label: row.label,
+      totalMinutes: toMinutes(row.total),
+      minutesByDay: Object.fromEntries(Object.entries(row.byDay).map(([date, ms]) => [date, toMinutes(ms)]))
+    }))
+
+  return JSON.stringify(
+    {
+      from: range.from,
+      to: range.to,
+      totalMinutes: toMinutes(summary.total),
+      byTicket: summarizeRows(summary.byTicket, 'ticketId'),
+      byClient: summarizeRows(summary.byClient, 'client'),
+      entries: entries
+        .filter(entry => entry.date >= range.from && entry.date <= range.to)
+        .sort((a, b) => a.start - b.start)
+    },
+    null,
+    2
+  )
+}
@@ -5,6 +5,9 @@
 
 let saveNotesTimeout
 let notesDataCache = null
+let notesSearchQuery = '' // Busca do painel de anotações
+let currentNotesTicketId = '' // Número do chamado aberto (anotações do chamado)
+const notesPreviewBlockIds = new Set() // Blocos exibidos com o Markdown renderizado
 
 /**
  * Cria o HTML para um card de lembrete com o novo estilo moderno.
@@ -29,8 +32,20 @@ function createReminderCardHtml(reminder, type, index = 0) {
   let actionsHtml = ''
 
   let statusText = ''
-  const historyText =
-    reminder.snoozeCount > 0 ? `(Adiado ${reminder.snoozeCount}x)` : ''
+  const historyText = [
+    reminder.snoozeCount > 0 ? `(Adiado ${reminder.snoozeCount}x)` : '',
+    type === 'pending' && reminder.escalationLevel > 0 ? `🚨 Escalado ${reminder.escalationLevel}x` : '',
+    type !== 'acknowledged' && reminder.ticketUpdatedAt ? '💬 Novo trâmite' : '',
+    type === 'acknowledged' && reminder.ticketResolvedAt ? '(Chamado saiu da lista)' : ''
+  ]
+    .filter(Boolean)
+    .join(' ')
+  const recurrenceHtml = isRecurringReminder(reminder)
+    ? `<span class="card-recurrence" title="${escapeHTML(describeRecurrenceRule(reminder.recurrence))}">🔁</span>`
+    : ''
+  const ticketHtml = reminder.ticketId
+    ? `<span class="card-ticket" title="Chamado vinculado">🎫 ${escapeHTML(reminder.ticketId)}</span>`
+    : ''
 
   switch (type) {
     case 'active':
@@ -76,6 +91,8 @@ function createReminderCardHtml(reminder, type, index = 0) {
           <div class="card-details-row">
             <span class="card-status">${statusText}</span>
             <span class="card-history">${historyText}</span>
+            ${recurrenceHtml}
+            ${ticketHtml}
           </div>
         </div>
         <div class="card-actions">${actionsHtml}</div>
@@ -829,6 +846,71 @@ function showConfirmDialog(message, onConfirm) {
   document.body.appendChild(dialog)
 }
 
+/**
+ * Exibe o formulário dos campos a preencher de um modelo ({{?Rótulo}}).
+ * @param {Array<{label: string, options: string[]}>} fields - Campos encontrados no modelo.
+ * @returns {Promise<object|null>} Mapa rótulo -> valor, ou null se o usuário cancelar.
+ */
+function openTemplateFillInModal(fields) {
+  return new Promise(resolve => {
+    let settled = false
+
+    const fieldsHtml = fields
+      .map((field, index) => {
+        const inputId = `template-fill-in-${index}`
+        const label = `<label for="${inputId}">${escapeHTML(field.label)}</label>`
+        if (field.options.length > 1) {
+          const optionsHtml = field.options
+            .map(option => `<option value="${escapeHTML(option)}">${escapeHTML(option)}</option>`)
+            .join('')
+          return `<div class="form-group">${label}<select id="${inputId}" data-label="${escapeHTML(
+            field.label
+          )}">${optionsHtml}</select></div>`
+        }
+        return `<div class="form-group">${label}<input type="text" id="${inputId}" data-label="${escapeHTML(
+          field.label
+        )}" value="${escapeHTML(field.options[0] || '')}"></div>`
+      })
+      .join('')
+
+    const modal = createModal(
+      'Preencher Trâmite',
+      fieldsHtml,
+      (modalContent, closeModal) => {
+        const values = {}
+        modalContent.querySelectorAll('[data-label]').forEach(input => {
+          values[input.dataset.label] = input.value
+        })
+        settled = true
+        closeModal()
+        resolve(values)
+      }
+    )
+
+    const saveBtn = modal.querySelector('#modal-save-btn')
+    if (saveBtn) saveBtn.textContent = 'Inserir'
+
+    // Enter em um campo de texto confirma o formulário.
+    modal.addEventListener('keydown', e => {
+      if (e.key === 'Enter' && e.target.matches('input[data-label]')) {
+        e.preventDefault()
+        saveBtn?.click()
+      }
+    })
+
+    // Qualquer outra forma de fechar (Cancelar, X) equivale a cancelar a inserção.
+    const observer = new MutationObserver(() => {
+      if (document.body.contains(modal)) return
+      observer.disconnect()
+      if (!settled) resolve(null)
+    })
+    observer.observe(document.body, { childList: true })
+
+    document.body.appendChild(modal)
+    requestAnimationFrame(() => modal.querySelector('[data-label]')?.focus())
+  })
+}
+
 /**
  * Exibe um modal informativo simples, apenas com botão de fechar.
  */
@@ -1042,8 +1124,14 @@ function showHowToGetApiKeyModal() {
 
 /**
  * Abre o modal para criar um novo lembrete ou editar um existente.
+ * @param {object|null} existingReminder - O lembrete em edição.
+ * @param {{initialTitle?: string, initialDescription?: string, url?: string, ticketId?: string,
+ *   ticketLastTramite?: string}} options - Valores iniciais de um novo lembrete. initialTitle
+ *   já tem a data escrita nele interpretada (ex: comando de voz); ticketId vincula o lembrete
+ *   ao chamado (syncTicketReminders) e url já vem incluída.
+ * @returns {HTMLElement} O modal.
  */
-function openNewReminderModal(existingReminder = null) {
+function openNewReminderModal(existingReminder = null, options = {}) {
   const isEditing = existingReminder !== null
 
   const now = new Date()
@@ -1063,21 +1151,48 @@ function openNewReminderModal(existingReminder = null) {
     defaultDateTime = getLocalDateTimeString(defaultTime)
   }
 
-  const titleValue = isEditing ? existingReminder.title : ''
-  const descriptionValue = isEditing ? existingReminder.description || '' : ''
+  const titleValue = isEditing ? existingReminder.title : options.initialTitle || ''
+  const descriptionValue = isEditing ? existingReminder.description || '' : options.initialDescription || ''
+  const ticketValue = isEditing ? existingReminder.ticketId || '' : options.ticketId || ''
   const recurrenceValue = isEditing
-    ? existingReminder.recurrence || 'none'
+    ? getRecurrencePresetKey(existingReminder.recurrence)
     : 'none'
+  // Valores iniciais do editor de regra personalizada (recurrence-service.js)
+  const customRule = (recurrenceValue === 'custom' &&
+    parseRecurrenceRule(normalizeRecurrenceRule(existingReminder.recurrence))) || {
+    freq: 'WEEKLY',
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    bySetPos: [],
+    count: null,
+    until: null,
+    skipHolidays: false
+  }
+  const customWeekdays = customRule.byDay
+    .filter(day => day.ordinal === null)
+    .map(day => day.weekday)
+  const customNthDay = customRule.byDay.find(day => day.ordinal !== null)
+  const customMonthlyMode = customNthDay
+    ? 'nth'
+    : customRule.bySetPos.includes(-1) && customWeekdays.length === 5
+      ? 'last-business-day'
+      : 'day'
+  const customEndMode = customRule.count ? 'count' : customRule.until ? 'until' : 'never'
   const priorityValue = isEditing ? existingReminder.priority || 'low' : 'low'
 
   const currentPageUrl = window.location.href
   let initialUrl = currentPageUrl
+  let appliedTitleParse = null // Última data interpretada do título (reminder-parser.js)
   let isUrlIncluded = false // Checkbox desmarcado por padrão para novos lembretes
 
   if (isEditing) {
     initialUrl = existingReminder.url || currentPageUrl
     // Marca a caixa apenas se um URL foi salvo anteriormente no lembrete
     isUrlIncluded = !!existingReminder.url
+  } else if (options.url) {
+    initialUrl = options.url
+    isUrlIncluded = true
   }
 
   const modal = createModal(
@@ -1085,9 +1200,13 @@ function openNewReminderModal(existingReminder = null) {
     `
      <div class="form-group">
         <label for="reminder-title">Título*</label>
-        <input type="text" id="reminder-title" placeholder="Ex: Retornar ligação do cliente X" value="${escapeHTML(
+        <div class="reminder-title-row">
+          <input type="text" id="reminder-title" placeholder="Ex: Retornar ligação do cliente X amanhã às 14h" value="${escapeHTML(
       titleValue
     )}" required>
+          ${SpeechRecognition ? '<button type="button" id="reminder-voice-btn" class="action-btn secondary-btn compact" title="Ditar o lembrete">🎤</button>' : ''}
+        </div>
+        <div id="reminder-nl-preview" class="reminder-nl-preview">Dica: escreva a data no título, como "amanhã às 9", "sexta 16h", "em 3 dias úteis" ou "todo dia 5".</div>
      </div>
      <div class="form-row">
        <div class="form-group">
@@ -1110,21 +1229,102 @@ function openNewReminderModal(existingReminder = null) {
           <select id="reminder-recurrence">
               <option value="none" ${recurrenceValue === 'none' ? 'selected' : ''
     }>Nunca</option>
-              <option value="daily" ${recurrenceValue === 'daily' ? 'selected' : ''
-    }>Diariamente</option>
-              <option value="weekly" ${recurrenceValue === 'weekly' ? 'selected' : ''
-    }>Semanalmente</option>
-              <option value="monthly" ${recurrenceValue === 'monthly' ? 'selected' : ''
-    }>Mensalmente</option>
+              ${Object.entries(RECURRENCE_PRESETS)
+      .map(
+        ([key, preset]) =>
+          `<option value="${key}" ${recurrenceValue === key ? 'selected' : ''}>${escapeHTML(preset.label)}</option>`
+      )
+      .join('')}
+              <option value="custom" ${recurrenceValue === 'custom' ? 'selected' : ''
+    }>Personalizar...</option>
           </select>
        </div>
       </div>
+     <div id="reminder-recurrence-custom" class="reminder-recurrence-custom" style="display: none;">
+        <div class="recurrence-line">
+          <label for="recurrence-interval">A cada</label>
+          <input type="number" id="recurrence-interval" min="1" max="99" value="${customRule.interval}">
+          <select id="recurrence-freq">
+            ${Object.entries(RECURRENCE_FREQUENCIES)
+      .map(
+        ([freq, frequency]) =>
+          `<option value="${freq}" ${customRule.freq === freq ? 'selected' : ''}>${frequency.unit}</option>`
+      )
+      .join('')}
+          </select>
+        </div>
+        <div class="recurrence-line" data-recurrence-freq="WEEKLY">
+          <span>Nos dias:</span>
+          ${['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+      .map(
+        weekday => `<label class="recurrence-weekday" title="${RECURRENCE_WEEKDAY_LABELS[weekday]}">
+            <input type="checkbox" value="${weekday}" ${customWeekdays.includes(weekday) ? 'checked' : ''}>
+            ${RECURRENCE_WEEKDAY_LABELS[weekday].slice(0, 3)}
+          </label>`
+      )
+      .join('')}
+        </div>
+        <div class="recurrence-line" data-recurrence-freq="MONTHLY">
+          <select id="recurrence-monthly-mode">
+            <option value="day" ${customMonthlyMode === 'day' ? 'selected' : ''}>No mesmo dia do mês</option>
+            <option value="nth" ${customMonthlyMode === 'nth' ? 'selected' : ''}>Em um dia da semana</option>
+            <option value="last-business-day" ${customMonthlyMode === 'last-business-day' ? 'selected' : ''
+    }>No último dia útil</option>
+          </select>
+          <select id="recurrence-nth-ordinal">
+            ${[
+      [1, 'Primeira'],
+      [2, 'Segunda'],
+      [3, 'Terceira'],
+      [4, 'Quarta'],
+      [-1, 'Última']
+    ]
+      .map(
+        ([ordinal, label]) =>
+          `<option value="${ordinal}" ${customNthDay && customNthDay.ordinal === ordinal ? 'selected' : ''}>${label}</option>`
+      )
+      .join('')}
+          </select>
+          <select id="recurrence-nth-weekday">
+            ${['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+      .map(
+        weekday =>
+          `<option value="${weekday}" ${customNthDay && customNthDay.weekday === weekday ? 'selected' : ''}>${RECURRENCE_WEEKDAY_LABELS[weekday]}</option>`
+      )
+      .join('')}
+          </select>
+        </div>
+        <div class="recurrence-line">
+          <span>Termina:</span>
+          <select id="recurrence-end-mode">
+            <option value="never" ${customEndMode === 'never' ? 'selected' : ''}>Nunca</option>
+            <option value="count" ${customEndMode === 'count' ? 'selected' : ''}>Após</option>
+            <option value="until" ${customEndMode === 'until' ? 'selected' : ''}>Em</option>
+          </select>
+          <input type="number" id="recurrence-count" min="1" max="999" value="${customRule.count || 10}">
+          <span id="recurrence-count-label">ocorrências</span>
+          <input type="date" id="recurrence-until" value="${customRule.until ? getLocalDateTimeString(customRule.until).slice(0, 10) : ''
+    }">
+        </div>
+        <div class="form-checkbox-group">
+          <input type="checkbox" id="recurrence-skip-holidays" ${customRule.skipHolidays ? 'checked' : ''}>
+          <label for="recurrence-skip-holidays">Pular feriados do calendário de expediente</label>
+        </div>
+     </div>
+     <div id="reminder-recurrence-summary" class="reminder-recurrence-summary" style="display: none;"></div>
      <div class="form-group">
         <label for="reminder-description">Descrição (Opcional)</label>
         <textarea id="reminder-description" placeholder="Detalhes sobre o lembrete..." rows="3" style="min-height: 80px;">${escapeHTML(
       descriptionValue
     )}</textarea>
      </div>
+     <div class="form-group">
+        <label for="reminder-ticket">Chamado vinculado (SSC/SS)</label>
+        <input type="text" id="reminder-ticket" placeholder="Ex: 123456 ou SS-123456" value="${escapeHTML(
+      ticketValue
+    )}">
+        <small>Concluído automaticamente quando o chamado sair da sua lista de pendências.</small>
+     </div>
      <div class="form-group url-group">
         <label for="reminder-url">Página atual</label>
         <input type="text" id="reminder-url" placeholder="https://sgd.dominiosistemas.com.br/..." value="${escapeHTML(
@@ -1138,23 +1338,37 @@ function openNewReminderModal(existingReminder = null) {
      </div>
     `,
     async (modalContent, closeModal) => {
-      const title = modalContent.querySelector('#reminder-title').value.trim()
       const dateTime = modalContent.querySelector('#reminder-datetime').value
+      // Se a data escrita no título foi a aplicada ao campo, o título fica só com o assunto
+      const typedTitle = modalContent.querySelector('#reminder-title').value.trim()
+      const title =
+        appliedTitleParse && dateTime === getLocalDateTimeString(appliedTitleParse.date)
+          ? appliedTitleParse.title || typedTitle
+          : typedTitle
       const description = modalContent
         .querySelector('#reminder-description')
         .value.trim()
-      const recurrence = modalContent.querySelector(
+      const recurrenceOption = modalContent.querySelector(
         '#reminder-recurrence'
       ).value
+      const recurrence =
+        recurrenceOption === 'custom' ? buildCustomRecurrenceRule() : recurrenceOption
       const priority = modalContent.querySelector('#reminder-priority').value
       const urlInput = modalContent.querySelector('#reminder-url')
       const url = urlInput.value.trim()
+      const ticketInput = modalContent.querySelector('#reminder-ticket').value.trim()
+      const ticketId = ticketInput ? normalizePendingTicketId(ticketInput) : ''
 
       if (!title || !dateTime) {
         showNotification('Título e Data/Hora são obrigatórios.', 'error')
         return
       }
 
+      if (ticketInput && !ticketId) {
+        showNotification('Informe o número do chamado vinculado (ex: 123456 ou SS-123456).', 'error')
+        return
+      }
+
       if (url && !isValidUrl(url)) {
         showNotification(
           'URL inválida ou insegura. Verifique o link do chamado.',
@@ -1169,12 +1383,15 @@ function openNewReminderModal(existingReminder = null) {
         description,
         recurrence,
         priority,
-        url
+        url,
+        ticketId
       }
 
       if (isEditing) {
         dataToSave.id = existingReminder.id
         dataToSave.createdAt = existingReminder.createdAt
+      } else if (ticketId && ticketId === options.ticketId) {
+        dataToSave.ticketLastTramite = options.ticketLastTramite
       }
 
       try {
@@ -1222,6 +1439,207 @@ function openNewReminderModal(existingReminder = null) {
   checkbox.addEventListener('change', toggleUrlField)
 
   toggleUrlField()
+
+  // Data em linguagem natural no título (reminder-parser.js)
+  const titleInput = modal.querySelector('#reminder-title')
+  const dateTimeInput = modal.querySelector('#reminder-datetime')
+  const recurrenceSelect = modal.querySelector('#reminder-recurrence')
+  const nlPreview = modal.querySelector('#reminder-nl-preview')
+  const nlHint = nlPreview.textContent
+
+  const updateNaturalLanguagePreview = () => {
+    const parsed = parseReminderText(titleInput.value)
+    appliedTitleParse = parsed
+    nlPreview.classList.toggle('is-parsed', !!parsed)
+    nlPreview.classList.remove('is-past')
+    if (!parsed) {
+      nlPreview.textContent = nlHint
+      return
+    }
+    dateTimeInput.value = getLocalDateTimeString(parsed.date)
+    if (parsed.recurrence !== 'none') recurrenceSelect.value = parsed.recurrence
+    updateRecurrenceSummary()
+    const isPast = parsed.date.getTime() <= Date.now()
+    nlPreview.classList.toggle('is-past', isPast)
+    nlPreview.textContent = `📅 ${describeParsedReminder(parsed)}${isPast ? ' (já passou)' : ''}`
+  }
+
+  titleInput.addEventListener('input', updateNaturalLanguagePreview)
+  // Dias úteis dependem do calendário de expediente
+  ensureBusinessCalendarLoaded().then(() => {
+    if (!isEditing && titleInput.value) updateNaturalLanguagePreview()
+    updateRecurrenceSummary()
+  })
+
+  // Regra de recorrência personalizada (recurrence-service.js)
+  const customPanel = modal.querySelector('#reminder-recurrence-custom')
+  const recurrenceSummary = modal.querySelector('#reminder-recurrence-summary')
+
+  const buildCustomRecurrenceRule = () => {
+    const freq = customPanel.querySelector('#recurrence-freq').value
+    const rule = {
+      freq,
+      interval: Math.max(1, parseInt(customPanel.querySelector('#recurrence-interval').value, 10) || 1),
+      byDay: [],
+      byMonthDay: [],
+      bySetPos: [],
+      count: null,
+      until: null,
+      skipHolidays: customPanel.querySelector('#recurrence-skip-holidays').checked
+    }
+    if (freq === 'WEEKLY') {
+      rule.byDay = [...customPanel.querySelectorAll('.recurrence-weekday input:checked')].map(input => ({
+        ordinal: null,
+        weekday: input.value
+      }))
+    } else if (freq === 'MONTHLY') {
+      const monthlyMode = customPanel.querySelector('#recurrence-monthly-mode').value
+      if (monthlyMode === 'nth') {
+        rule.byDay = [
+          {
+            ordinal: parseInt(customPanel.querySelector('#recurrence-nth-ordinal').value, 10),
+            weekday: customPanel.querySelector('#recurrence-nth-weekday').value
+          }
+        ]
+      } else if (monthlyMode === 'last-business-day') {
+        rule.byDay = ['MO', 'TU', 'WE', 'TH', 'FR'].map(weekday => ({ ordinal: null, weekday }))
+        rule.bySetPos = [-1]
+        rule.skipHolidays = true
+      }
+    }
+    const endMode = customPanel.querySelector('#recurrence-end-mode').value
+    if (endMode === 'count') {
+      rule.count = Math.max(1, parseInt(customPanel.querySelector('#recurrence-count').value, 10) || 1)
+    } else if (endMode === 'until') {
+      const [year, month, day] = customPanel.querySelector('#recurrence-until').value.split('-').map(Number)
+      if (year) rule.until = new Date(year, month - 1, day, 23, 59, 59)
+    }
+    return serializeRecurrenceRule(rule)
+  }
+
+  function updateRecurrenceSummary() {
+    const option = recurrenceSelect.value
+    const isCustom = option === 'custom'
+    customPanel.style.display = isCustom ? 'block' : 'none'
+    if (isCustom) {
+      const freq = customPanel.querySelector('#recurrence-freq').value
+      customPanel.querySelectorAll('[data-recurrence-freq]').forEach(line => {
+        line.style.display = line.dataset.recurrenceFreq === freq ? '' : 'none'
+      })
+      const isNth = customPanel.querySelector('#recurrence-monthly-mode').value === 'nth'
+      customPanel.querySelector('#recurrence-nth-ordinal').style.display = isNth ? '' : 'none'
+      customPanel.querySelector('#recurrence-nth-weekday').style.display = isNth ? '' : 'none'
+      const endMode = customPanel.querySelector('#recurrence-end-mode').value
+      customPanel.querySelector('#recurrence-count').style.display = endMode === 'count' ? '' : 'none'
+      customPanel.querySelector('#recurrence-count-label').style.display = endMode === 'count' ? '' : 'none'
+      customPanel.querySelector('#recurrence-until').style.display = endMode === 'until' ? '' : 'none'
+    }
+
+    const rule = isCustom ? buildCustomRecurrenceRule() : normalizeRecurrenceRule(option)
+    recurrenceSummary.style.display = rule ? 'block' : 'none'
+    if (!rule) return
+
+    // O primeiro alerta é sempre a data escolhida; as seguintes seguem a regra
+    const start = new Date(dateTimeInput.value)
+    const formatOccurrence = date =>
+      date.toLocaleString('pt-BR', {
+        weekday: 'short',
+        day: '2-digit',
+        month: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      })
+    const upcoming = isNaN(start.getTime()) ? [] : [start, ...listRecurrenceOccurrences(rule, start, start, 3)]
+    recurrenceSummary.innerHTML = `🔁 ${escapeHTML(describeRecurrenceRule(rule))}${upcoming.length > 0
+      ? `<br><small>Próximos: ${upcoming.map(date => escapeHTML(formatOccurrence(date))).join(' · ')}</small>`
+      : ''
+      }`
+  }
+
+  recurrenceSelect.addEventListener('change', updateRecurrenceSummary)
+  dateTimeInput.addEventListener('change', updateRecurrenceSummary)
+  customPanel.addEventListener('input', updateRecurrenceSummary)
+  customPanel.addEventListener('change', updateRecurrenceSummary)
+
+  const voiceBtn = modal.querySelector('#reminder-voice-btn')
+  voiceBtn?.addEventListener('click', async () => {
+    if (voiceBtn.classList.contains('active-mic')) return
+    voiceBtn.classList.add('active-mic')
+    try {
+      const transcript = await SpeechService.captureOnce()
+      if (transcript) {
+        titleInput.value = transcript
+        updateNaturalLanguagePreview()
+      }
+    } catch (error) {
+      showNotification(
+        error.message === 'POLICY_VIOLATION'
+          ? 'Esta página não permite o uso do microfone.'
+          : `Não foi possível usar o microfone: ${error.message}`,
+        'error'
+      )
+    } finally {
+      voiceBtn.classList.remove('active-mic')
+      titleInput.focus()
+    }
+  })
+
+  return modal
+}
+
+/**
+ * Abre o modal de novo lembrete vinculado ao chamado aberto na página.
+ */
+async function openTicketReminderModal() {
+  const ticketId = await _getRequestNumberLogic()
+  if (!ticketId) {
+    showNotification('Abra uma SSC/SS para criar um lembrete vinculado a ela.', 'warning')
+    return
+  }
+  const subject = document.getElementById('td:assunto')?.innerText.trim() || ''
+  openNewReminderModal(null, {
+    initialTitle: `Retomar chamado ${ticketId}`,
+    initialDescription: subject,
+    url: window.location.href,
+    ticketId
+  })
+}
+
+/**
+ * Exibe na página do chamado um selo flutuante com os lembretes ativos vinculados a ele.
+ * Fica fora da célula do número, que é lida por _getRequestNumberLogic. Chamado ao carregar
+ * a página e a cada alteração dos lembretes.
+ */
+async function renderTicketRemindersBadge() {
+  const ticketId = await _getRequestNumberLogic()
+  document.querySelector('.ticket-reminders-badge')?.remove()
+  if (!ticketId) return
+
+  const reminders = Object.values(await getReminders())
+    .filter(reminder => reminder.ticketId === ticketId && (reminder.isFired || !reminder.firedAt))
+    .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
+  if (reminders.length === 0) return
+
+  const hasAlert = reminders.some(reminder => reminder.isFired || reminder.ticketUpdatedAt)
+  const badge = document.createElement('button')
+  badge.type = 'button'
+  badge.className = `ticket-reminders-badge${hasAlert ? ' has-alert' : ''}`
+  badge.textContent = `⏰ ${reminders.length} lembrete(s) deste chamado`
+  badge.title = reminders
+    .map(reminder => {
+      const when = reminder.isFired
+        ? 'disparado'
+        : new Date(reminder.dateTime).toLocaleString('pt-BR', {
+          day: '2-digit',
+          month: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit'
+        })
+      return `${reminder.title} (${when})${reminder.ticketUpdatedAt ? ' · novo trâmite' : ''}`
+    })
+    .join('\n')
+  badge.addEventListener('click', () => openRemindersManagementModal())
+  document.body.appendChild(badge)
 }
 
 /**
@@ -1230,6 +1648,11 @@ function openNewReminderModal(existingReminder = null) {
 async function openRemindersManagementModal() {
   const settings = await getSettings()
   const retentionDays = settings.reminderRetentionDays
+  const preferences = settings.preferences || {}
+  const enabledSnoozePresets = getEnabledSnoozePresets(settings.snoozePresets)
+  const escalationChannel = preferences.reminderEscalationChannel || ''
+  const { warningChannels } = await chrome.storage.local.get('warningChannels')
+  const channels = warningChannels || WARNING_CHANNELS
 
   const modal = createModal(
     'Gerenciamento de Lembretes ⏳',
@@ -1247,6 +1670,49 @@ async function openRemindersManagementModal() {
                 <button type="button" id="save-retention-btn" class="action-btn save-cat-btn">Salvar</button>
             </div>
         </div>
+
+        <div class="management-section">
+             <div class="reminder-snooze-settings">
+                <span>Opções de "Adiar" (a sugestão automática aparece sempre em primeiro):</span>
+                <div class="reminder-snooze-presets">
+                  ${Object.entries(SNOOZE_PRESETS)
+      .map(
+        ([key, preset]) => `<label class="reminder-snooze-preset">
+                    <input type="checkbox" value="${key}" ${enabledSnoozePresets.includes(key) ? 'checked' : ''}> ${preset.label}
+                  </label>`
+      )
+      .join('')}
+                </div>
+                <div class="form-checkbox-group">
+                  <input type="checkbox" id="reminder-escalation-enabled" ${preferences.enableReminderEscalation !== false ? 'checked' : ''
+    }>
+                  <label for="reminder-escalation-enabled">Renotificar lembretes de prioridade alta sem resposta a cada</label>
+                  <input type="number" id="reminder-escalation-minutes" min="1" max="240" value="${preferences.reminderEscalationMinutes || 15
+    }">
+                  <span>min</span>
+                </div>
+                <div class="form-checkbox-group">
+                  <label for="reminder-escalation-channel">No último nível, avisar o canal da equipe:</label>
+                  <select id="reminder-escalation-channel">
+                    <option value="">Nenhum</option>
+                    ${channels.map(
+        channel =>
+          `<option value="${escapeHTML(channel)}" ${channel === escalationChannel ? 'selected' : ''}>${escapeHTML(channel)}</option>`
+      ).join('')}
+                  </select>
+                  <button type="button" id="save-snooze-settings-btn" class="action-btn save-cat-btn">Salvar</button>
+                </div>
+             </div>
+        </div>
+
+        <div class="management-section">
+             <div class="reminder-settings-form">
+                <span>Calendário (.ics), compatível com o Outlook:</span>
+                <button type="button" id="export-reminders-ics-btn" class="action-btn save-cat-btn">📤 Exportar</button>
+                <button type="button" id="import-reminders-ics-btn" class="action-btn save-cat-btn">📥 Importar</button>
+                <input type="file" id="import-reminders-ics-input" accept=".ics,text/calendar" style="display: none;">
+            </div>
+        </div>
         `,
     null,
     {
@@ -1309,6 +1775,336 @@ function setupReminderManagementListeners(modal) {
       }
     })
   }
+
+  // Opções de adiamento e escalonamento (snooze-service.js e service-worker.js)
+  modal
+    .querySelector('#save-snooze-settings-btn')
+    ?.addEventListener('click', async () => {
+      const snoozePresets = Array.from(
+        modal.querySelectorAll('.reminder-snooze-preset input:checked')
+      ).map(checkbox => checkbox.value)
+      const minutes = parseInt(modal.querySelector('#reminder-escalation-minutes').value, 10)
+
+      if (snoozePresets.length === 0) {
+        showNotification('Selecione pelo menos uma opção de adiamento.', 'error')
+        return
+      }
+      if (isNaN(minutes) || minutes < 1 || minutes > 240) {
+        showNotification('O intervalo de escalonamento deve ser de 1 a 240 minutos.', 'error')
+        return
+      }
+
+      try {
+        const currentSettings = await getSettings()
+        await saveSettings({
+          snoozePresets,
+          preferences: {
+            ...currentSettings.preferences,
+            enableReminderEscalation: modal.querySelector('#reminder-escalation-enabled').checked,
+            reminderEscalationMinutes: minutes,
+            reminderEscalationChannel: modal.querySelector('#reminder-escalation-channel').value
+          }
+        })
+        showNotification('Opções de adiamento e escalonamento salvas.', 'success')
+      } catch (error) {
+        showNotification(`Erro ao salvar configurações: ${error.message}`, 'error')
+      }
+    })
+
+  // Exportação e importação em iCalendar (reminder-ics.js)
+  modal
+    .querySelector('#export-reminders-ics-btn')
+    ?.addEventListener('click', () => openRemindersIcsExportModal())
+
+  const icsInput = modal.querySelector('#import-reminders-ics-input')
+  modal
+    .querySelector('#import-reminders-ics-btn')
+    ?.addEventListener('click', () => icsInput.click())
+  icsInput?.addEventListener('change', event => {
+    const file = event.target.files[0]
+    icsInput.value = ''
+    if (file) importRemindersIcsFile(file, () => renderRemindersList(modal))
+  })
+}
+
+/**
+ * Abre a seleção dos lembretes a exportar para o arquivo .ics. Os concluídos começam
+ * desmarcados.
+ */
+async function openRemindersIcsExportModal() {
+  const allReminders = Object.values(await getReminders()).sort(
+    (a, b) => new Date(a.dateTime) - new Date(b.dateTime)
+  )
+  if (allReminders.length === 0) {
+    showNotification('Nenhum lembrete para exportar.', 'info')
+    return
+  }
+
+  const isAcknowledged = reminder => !reminder.isFired && !!reminder.firedAt
+  const itemsHtml = allReminders
+    .map(
+      reminder => `
+        <label class="reminder-export-item">
+          <input type="checkbox" class="reminder-export-checkbox" value="${escapeHTML(reminder.id)}" ${isAcknowledged(reminder) ? '' : 'checked'
+        }>
+          <span class="reminder-export-title">${escapeHTML(reminder.title)}</span>
+          <small>${new Date(reminder.dateTime).toLocaleString('pt-BR', {
+          day: '2-digit',
+          month: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit'
+        })}${isRecurringReminder(reminder) ? ' 🔁' : ''}${isAcknowledged(reminder) ? ' · Concluído' : ''}</small>
+        </label>`
+    )
+    .join('')
+
+  const modal = createModal(
+    'Exportar Lembretes (.ics) 📤',
+    `
+      <div class="form-checkbox-group">
+        <input type="checkbox" id="reminder-export-select-all">
+        <label for="reminder-export-select-all">Selecionar todos</label>
+      </div>
+      <div class="reminder-export-list">${itemsHtml}</div>
+    `,
+    (modalContent, closeModal) => {
+      const selectedIds = Array.from(
+        modalContent.querySelectorAll('.reminder-export-checkbox:checked')
+      ).map(checkbox => checkbox.value)
+      const selected = allReminders.filter(reminder => selectedIds.includes(reminder.id))
+      if (selected.length === 0) {
+        showNotification('Nenhum lembrete selecionado para exportar.', 'info')
+        return
+      }
+
+      const blob = new Blob([buildRemindersIcs(selected)], {
+        type: 'text/calendar;charset=utf-8'
+      })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `lembretes_sgd_${new Date().toISOString().slice(0, 10)}.ics`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+
+      showNotification(`${selected.length} lembrete(s) exportado(s) com sucesso!`, 'success')
+      closeModal()
+    }
+  )
+  const saveBtn = modal.querySelector('#modal-save-btn')
+  if (saveBtn) saveBtn.textContent = 'Exportar'
+  document.body.appendChild(modal)
+
+  const selectAll = modal.querySelector('#reminder-export-select-all')
+  const checkboxes = Array.from(modal.querySelectorAll('.reminder-export-checkbox'))
+  const syncSelectAll = () => {
+    const checkedCount = checkboxes.filter(checkbox => checkbox.checked).length
+    selectAll.checked = checkedCount === checkboxes.length
+    selectAll.indeterminate = checkedCount > 0 && checkedCount < checkboxes.length
+  }
+  selectAll.addEventListener('change', () => {
+    checkboxes.forEach(checkbox => (checkbox.checked = selectAll.checked))
+  })
+  checkboxes.forEach(checkbox => checkbox.addEventListener('change', syncSelectAll))
+  syncSelectAll()
+}
+
+/**
+ * Abre o relatório do histórico de tempo: totais por chamado e por cliente, dia a dia, no
+ * período escolhido, com exportação CSV/JSON para a folha de horas.
+ */
+async function openTimeLedgerModal() {
+  const settings = await getSettings()
+  const periodOptions = Object.entries(TIME_LEDGER_PERIODS)
+    .map(([key, label]) => `<option value="${key}" ${key === 'week' ? 'selected' : ''}>${label}</option>`)
+    .join('')
+
+  const modal = createModal(
+    'Relatório de Tempo ⏱️',
+    `
+      <div class="time-ledger-toolbar">
+        <select id="time-ledger-period">${periodOptions}</select>
+        <button type="button" class="action-btn" data-export="csv">📤 CSV</button>
+        <button type="button" class="action-btn" data-export="json">📤 JSON</button>
+      </div>
+      <div class="form-checkbox-group">
+        <input type="checkbox" id="time-ledger-auto" ${settings.preferences?.enableAutoTimeTracking !== false ? 'checked' : ''}>
+        <label for="time-ledger-auto">Iniciar e pausar o cronômetro sozinho ao entrar e sair da aba do chamado</label>
+      </div>
+      <div id="time-ledger-summary" class="time-ledger-summary"></div>
+    `,
+    null,
+    { isManagementModal: true, showShareButton: false }
+  )
+  document.body.appendChild(modal)
+
+  const periodSelect = modal.querySelector('#time-ledger-period')
+  const getRange = () => getTimeLedgerPeriodRange(periodSelect.value)
+
+  const render = async () => {
+    const summary = summarizeTimeLedger(await getTimeLedgerEntries(), getRange())
+    const container = modal.querySelector('#time-ledger-summary')
+    if (summary.byTicket.length === 0) {
+      container.innerHTML = '<p class="time-ledger-empty">Nenhum tempo registrado no período.</p>'
+      return
+    }
+
+    // No mês, as colunas por dia não cabem: mostra só o total
+    const days = periodSelect.value === 'month' ? [] : summary.days
+    const dayHeaders = days
+      .map(day => {
+        const [year, month, dayOfMonth] = day.split('-').map(Number)
+        const label = new Date(year, month - 1, dayOfMonth).toLocaleDateString('pt-BR', {
+          weekday: 'short',
+          day: '2-digit'
+        })
+        return `<th>${escapeHTML(label)}</th>`
+      })
+      .join('')
+    const formatCell = milliseconds => (milliseconds ? formatTimeLedgerDuration(milliseconds) : '–')
+    const buildTable = (title, rows) => `
+      <h4>${title}</h4>
+      <table class="time-ledger-table">
+        <thead><tr><th></th>${dayHeaders}<th>Total</th></tr></thead>
+        <tbody>
+          ${rows
+        .map(
+          row => `
+            <tr>
+              <td class="time-ledger-label" title="${escapeHTML(row.detail)}">
+                ${escapeHTML(row.label)}${row.detail ? `<small>${escapeHTML(row.detail)}</small>` : ''}
+              </td>
+              ${days.map(day => `<td>${formatCell(row.byDay[day])}</td>`).join('')}
+              <td><strong>${formatCell(row.total)}</strong></td>
+            </tr>`
+        )
+        .join('')}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td>Total</td>
+            ${days.map(day => `<td>${formatCell(summary.totalsByDay[day])}</td>`).join('')}
+            <td><strong>${formatCell(summary.total)}</strong></td>
+          </tr>
+        </tfoot>
+      </table>`
+
+    container.innerHTML =
+      buildTable('🎫 Por chamado', summary.byTicket) + buildTable('🏢 Por cliente', summary.byClient)
+  }
+
+  periodSelect.addEventListener('change', render)
+
+  modal.querySelectorAll('[data-export]').forEach(button => {
+    button.addEventListener('click', async () => {
+      const range = getRange()
+      const entries = (await getTimeLedgerEntries()).filter(
+        entry => entry.date >= range.from && entry.date <= range.to
+      )
+      if (entries.length === 0) {
+        showNotification('Nenhum tempo registrado no período.', 'warning')
+        return
+      }
+
+      const isCsv = button.dataset.export === 'csv'
+      // BOM para o Excel reconhecer a acentuação
+      const blob = isCsv
+        ? new Blob(['\uFEFF' + buildTimeLedgerCsv(entries, range)], { type: 'text/csv;charset=utf-8' })
+        : new Blob([buildTimeLedgerJson(entries, range)], { type: 'application/json;charset=utf-8' })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `tempo_sgd_${range.from}_${range.to}.${isCsv ? 'csv' : 'json'}`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+    })
+  })
+
+  modal.querySelector('#time-ledger-auto').addEventListener('change', async event => {
+    const enabled = event.target.checked
+    try {
+      const currentSettings = await getSettings()
+      await saveSettings({
+        preferences: { ...currentSettings.preferences, enableAutoTimeTracking: enabled }
+      })
+      setStopwatchAutoTracking(enabled)
+    } catch (error) {
+      showNotification(`Erro ao salvar configurações: ${error.message}`, 'error')
+    }
+  })
+
+  render()
+}
+
+/**
+ * Importa os lembretes de um arquivo .ics. Eventos exportados pela própria extensão
+ * atualizam o lembrete de origem; eventos já passados (sem ocorrência futura) são ignorados.
+ * @param {File} file - O arquivo selecionado.
+ * @param {Function} onComplete - Chamado após a importação.
+ */
+function importRemindersIcsFile(file, onComplete) {
+  const reader = new FileReader()
+  reader.onload = async event => {
+    try {
+      const events = parseRemindersIcs(event.target.result)
+      if (events.length === 0) {
+        throw new Error('Nenhum evento encontrado no arquivo.')
+      }
+
+      // Feriados do calendário de expediente afetam as séries que os pulam
+      await ensureBusinessCalendarLoaded()
+      const existingReminders = await getReminders()
+      const remindersToSave = events
+        .map(icsEvent => buildReminderFromIcsEvent(icsEvent))
+        .filter(Boolean)
+      const skippedCount = events.length - remindersToSave.length
+      if (remindersToSave.length === 0) {
+        showNotification('Todos os eventos do arquivo já passaram.', 'warning')
+        return
+      }
+
+      const updatedCount = remindersToSave.filter(
+        reminderData => reminderData.id && existingReminders[reminderData.id]
+      ).length
+      const summary = [
+        `Importar ${remindersToSave.length} lembrete(s) de "${escapeHTML(file.name)}"?`,
+        updatedCount > 0 ? `${updatedCount} já existe(m) e será(ão) atualizado(s).` : '',
+        skippedCount > 0 ? `${skippedCount} evento(s) já passado(s) será(ão) ignorado(s).` : ''
+      ]
+        .filter(Boolean)
+        .join('<br>')
+
+      showConfirmDialog(summary, async () => {
+        let importedCount = 0
+        for (const reminderData of remindersToSave) {
+          const existing = reminderData.id && existingReminders[reminderData.id]
+          if (existing) reminderData.createdAt = existing.createdAt
+          try {
+            await saveReminder(reminderData)
+            importedCount++
+          } catch (error) {
+            console.warn('Erro ao importar lembrete:', reminderData.title, error)
+          }
+        }
+        showNotification(
+          `${importedCount} lembrete(s) importado(s) com sucesso!`,
+          importedCount === remindersToSave.length ? 'success' : 'warning'
+        )
+        if (onComplete) onComplete()
+      })
+    } catch (error) {
+      console.error('Erro ao importar arquivo .ics:', error)
+      showNotification(`Erro ao importar: ${error.message}`, 'error')
+    }
+  }
+  reader.onerror = () => {
+    showNotification('Não foi possível ler o arquivo selecionado.', 'error')
+  }
+  reader.readAsText(file)
 }
 
 /**
@@ -1403,24 +2199,19 @@ async function renderRemindersList(modal) {
           // Ação para resetar o flag de notificação
           chrome.runtime.sendMessage({ action: 'RESET_TOAST_FLAG', reminderId: reminderId });
 
-          reminderToComplete.isFired = false
-          reminderToComplete.firedAt = Date.now()
-
-          // Se for recorrente, agenda o próximo
-          if (
-            reminderToComplete.recurrence &&
-            reminderToComplete.recurrence !== 'none'
-          ) {
-            const nextDateTime = getNextRecurrenceDate(
-              new Date(reminderToComplete.dateTime),
-              reminderToComplete.recurrence
-            )
-            reminderToComplete.dateTime = nextDateTime.toISOString()
+          // Se for recorrente, o Service Worker agenda a próxima ocorrência
+          if (isRecurringReminder(reminderToComplete)) {
+            try {
+              await advanceRecurringReminder(reminderId)
+            } catch (error) {
+              showNotification(`Erro ao reagendar: ${error.message}`, 'error')
+            }
+          } else {
             reminderToComplete.isFired = false
-            reminderToComplete.firedAt = null
+            reminderToComplete.firedAt = Date.now()
+            await saveAllReminders(reminders)
           }
 
-          await saveAllReminders(reminders)
           chrome.runtime.sendMessage({ action: 'UPDATE_NOTIFICATION_BADGE' })
           renderRemindersList(modal) // Re-renderiza a lista
         }
@@ -1599,9 +2390,89 @@ function createEmojiPicker(pickerElement, onEmojiSelect) {
 
 // --- PAINEL DE ANOTAÇÕES (SISTEMA DE BLOCOS) ---
 
+/**
+ * Remove acentos e coloca em minúsculas mantendo o tamanho do texto, para que a posição
+ * encontrada na busca valha também no texto original (trecho exibido no resultado).
+ * @param {string} text - O texto.
+ * @returns {string} O texto normalizado.
+ */
+function _normalizeNotesText(text) {
+  return Array.from(String(text || ''), char => {
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    return base.length === 1 ? base.toLowerCase() : char
+  }).join('')
+}
+
+/**
+ * Indica se o bloco pertence ao chamado aberto (pelo número ou, nos blocos antigos, pela URL).
+ * @param {object} block - O bloco de anotações.
+ * @returns {boolean}
+ */
+function isNoteBlockForCurrentTicket(block) {
+  if (currentNotesTicketId && block.ticketId) return block.ticketId === currentNotesTicketId
+  return !!block.associatedUrl && block.associatedUrl === window.location.href
+}
+
+/**
+ * Renderiza o conteúdo de um bloco em Markdown para a visualização no painel. As linhas de
+ * lista de tarefas ("- [ ]" / "- [x]") viram caixas de seleção que alteram o texto do bloco.
+ * @param {string} content - O conteúdo do bloco.
+ * @returns {string} O HTML.
+ */
+function renderNoteMarkdown(content) {
+  const lines = String(content || '').split('\n')
+  const output = []
+  let textLines = []
+  // Trechos sem tarefas vão juntos para o conversor, que precisa das linhas vizinhas (tabelas)
+  const flushText = () => {
+    if (textLines.length === 0) return
+    const html = markdownToSgdHtml(escapeHTML(textLines.join('\n')))
+      .replace(/\n/g, '<br>')
+      // Links da anotação só abrem endereços web
+      .replace(/href="(?!https?:)[^"]*"/gi, 'href="#"')
+    output.push(html)
+    textLines = []
+  }
+
+  lines.forEach((line, index) => {
+    const task = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/)
+    if (!task) {
+      textLines.push(line)
+      return
+    }
+    flushText()
+    const isChecked = task[2] !== ' '
+    output.push(
+      `<label class="note-task${isChecked ? ' done' : ''}" style="margin-left: ${Math.floor(task[1].length / 2) * 16}px;">
+        <input type="checkbox" data-line="${index}" ${isChecked ? 'checked' : ''}>
+        <span>${_markdownInlineToHtml(escapeHTML(task[3]))}</span>
+      </label>`
+    )
+  })
+  flushText()
+  return output.join('') || '<p class="note-preview-empty">Bloco vazio.</p>'
+}
+
+/**
+ * Trecho do conteúdo em torno da primeira ocorrência da busca.
+ * @param {string} content - O conteúdo do bloco.
+ * @param {number} index - A posição encontrada.
+ * @param {number} length - O tamanho do termo buscado.
+ * @returns {string} O HTML do trecho com o termo destacado.
+ */
+function _buildNoteSearchSnippet(content, index, length) {
+  const start = Math.max(0, index - 40)
+  const end = Math.min(content.length, index + length + 60)
+  return `${start > 0 ? '...' : ''}${escapeHTML(content.slice(start, index))}<mark>${escapeHTML(
+    content.slice(index, index + length)
+  )}</mark>${escapeHTML(content.slice(index + length, end))}${end < content.length ? '...' : ''}`
+}
+
 /**
  * Renderiza todos os blocos de anotações na UI.
- * Adicionado um botão de edição (lápis) ao lado do título.
+ * Os blocos do chamado aberto vêm primeiro, seguidos dos fixados. Com uma busca ativa,
+ * exibe só os blocos que contêm o termo (título, conteúdo ou número do chamado).
+ * @returns {boolean} Se algum bloco pertence ao chamado aberto.
  */
 function renderNotesBlocks() {
   const container = document.getElementById('notes-list-container')
@@ -1609,44 +2480,91 @@ function renderNotesBlocks() {
 
   container.innerHTML = ''
   const fragment = document.createDocumentFragment()
-  const currentPageUrl = window.location.href
+  const query = _normalizeNotesText(notesSearchQuery.trim())
+  const canExport = !!getTargetTextArea()
   let hasMatch = false
 
-  notesDataCache.blocks.forEach(block => {
+  const rank = block => (isNoteBlockForCurrentTicket(block) ? 0 : block.pinned ? 1 : 2)
+  const blocks = notesDataCache.blocks
+    .map((block, order) => ({ block, order }))
+    .sort((a, b) => rank(a.block) - rank(b.block) || a.order - b.order)
+    .map(({ block }) => block)
+
+  blocks.forEach(block => {
+    let snippetHtml = ''
+    if (query) {
+      const contentIndex = _normalizeNotesText(block.content).indexOf(query)
+      const matchesHeader =
+        _normalizeNotesText(block.title).includes(query) || (block.ticketId || '').includes(query)
+      if (contentIndex === -1 && !matchesHeader) return
+      if (contentIndex > -1) {
+        snippetHtml = `<div class="note-search-snippet">${_buildNoteSearchSnippet(
+          block.content,
+          contentIndex,
+          query.length
+        )}</div>`
+      }
+    }
+
     const blockEl = document.createElement('div')
     blockEl.className = 'note-block'
     blockEl.dataset.blockId = block.id
 
-    if (block.associatedUrl && block.associatedUrl === currentPageUrl) {
-      blockEl.classList.add('active', 'context-match')
-      notesDataCache.activeBlockId = block.id
+    if (isNoteBlockForCurrentTicket(block)) {
+      blockEl.classList.add('context-match')
+      // Só o primeiro bloco do chamado abre expandido
+      if (!hasMatch) {
+        blockEl.classList.add('active')
+        notesDataCache.activeBlockId = block.id
+      }
       hasMatch = true
     } else if (block.id === notesDataCache.activeBlockId) {
       blockEl.classList.add('active')
     }
+    if (block.pinned) blockEl.classList.add('pinned')
+    if (notesPreviewBlockIds.has(block.id)) blockEl.classList.add('previewing')
 
     const openLinkBtn = block.associatedUrl
       ? `<button type="button" class="open-link-btn-note" title="Abrir chamado vinculado">↗️</button>`
       : ''
+    const ticketHtml = block.ticketId
+      ? `<span class="note-ticket" title="Chamado vinculado">🎫 ${escapeHTML(block.ticketId)}</span>`
+      : ''
+    const exportBtn = canExport
+      ? `<button type="button" class="export-note-btn" title="${block.ticketId ? 'Inserir as anotações deste chamado no trâmite' : 'Inserir o bloco no trâmite'
+      }">📤</button>`
+      : ''
 
     blockEl.innerHTML = `
             <div class="note-block-header" title="Clique para expandir, clique duplo no título para renomear.">
                 <span class="note-title">${escapeHTML(block.title)}</span>
+                ${ticketHtml}
                 <div class="note-block-actions">
+                    <button type="button" class="pin-note-btn" title="${block.pinned ? 'Desafixar' : 'Fixar no topo'}">📌</button>
+                    <button type="button" class="preview-note-btn" title="Alternar entre edição e visualização (Markdown)">👁️</button>
+                    ${exportBtn}
                     ${openLinkBtn}
                     <button type="button" class="link-note-btn" title="Vincular/desvincular anotação a este chamado">🔗</button>
                     <button type="button" class="edit-title-btn" title="Editar Título">✏️</button>
                     <button type="button" class="delete-note-btn" title="Excluir Bloco">&times;</button>
                 </div>
             </div>
+            ${snippetHtml}
             <div class="note-block-content">
-                <textarea placeholder="Conteúdo do bloco...">${escapeHTML(
+                <textarea placeholder="Conteúdo do bloco (aceita Markdown e tarefas: - [ ] item)...">${escapeHTML(
       block.content
     )}</textarea>
+                <div class="note-markdown-preview">${notesPreviewBlockIds.has(block.id) ? renderNoteMarkdown(block.content) : ''
+      }</div>
             </div>
         `
     fragment.appendChild(blockEl)
   })
+
+  if (query && fragment.childNodes.length === 0) {
+    container.innerHTML = '<p class="notes-search-empty">Nenhuma anotação encontrada.</p>'
+    return hasMatch
+  }
   container.appendChild(fragment)
   return hasMatch
 }
@@ -1664,6 +2582,9 @@ function createNotesPanel() {
             <h4>Anotações Rápidas</h4>
             <button type="button" class="notes-panel-close-btn" title="Fechar Painel">&times;</button>
         </div>
+        <div class="notes-panel-search">
+            <input type="search" id="notes-search-input" placeholder="Buscar em todas as anotações...">
+        </div>
         <div class="notes-panel-body" id="notes-list-container"></div>
         <div class="notes-panel-footer">
             <button type="button" id="add-note-block-btn" class="action-btn">Adicionar Bloco</button>
@@ -1679,9 +2600,19 @@ function createNotesPanel() {
     .getElementById('add-note-block-btn')
     .addEventListener('click', handleAddNoteBlock)
 
+  let searchTimeout
+  document.getElementById('notes-search-input').addEventListener('input', e => {
+    clearTimeout(searchTimeout)
+    searchTimeout = setTimeout(() => {
+      notesSearchQuery = e.target.value
+      renderNotesBlocks()
+    }, 200)
+  })
+
   const listContainer = document.getElementById('notes-list-container')
   listContainer.addEventListener('input', handleAutoSave)
   listContainer.addEventListener('click', handleBlockClick)
+  listContainer.addEventListener('change', handleNoteTaskToggle)
   listContainer.addEventListener('dblclick', handleTitleRenameStart)
 }
 
@@ -1746,11 +2677,68 @@ function handleAutoSave(e) {
     const block = notesDataCache.blocks.find(b => b.id === blockId)
     if (block && block.content !== newContent) {
       block.content = newContent
+      block.updatedAt = Date.now()
       saveNotes(notesDataCache)
     }
   }, 750)
 }
 
+/**
+ * Marca/desmarca uma tarefa na visualização em Markdown, alterando a linha no conteúdo.
+ */
+function handleNoteTaskToggle(e) {
+  const checkbox = e.target.closest('.note-markdown-preview input[type="checkbox"]')
+  if (!checkbox || !notesDataCache) return
+
+  const blockEl = checkbox.closest('.note-block')
+  const block = notesDataCache.blocks.find(b => b.id === blockEl.dataset.blockId)
+  if (!block) return
+
+  const lines = block.content.split('\n')
+  const lineIndex = parseInt(checkbox.dataset.line, 10)
+  lines[lineIndex] = lines[lineIndex].replace(/\[([ xX])\]/, checkbox.checked ? '[x]' : '[ ]')
+  block.content = lines.join('\n')
+  block.updatedAt = Date.now()
+  saveNotes(notesDataCache)
+
+  blockEl.querySelector('textarea').value = block.content
+  checkbox.closest('.note-task').classList.toggle('done', checkbox.checked)
+}
+
+/**
+ * Insere no trâmite as anotações do chamado do bloco (ou só o bloco, se não vinculado).
+ * O Markdown é convertido para o HTML do SGD, exceto com o modo Markdown do editor ligado.
+ * @param {string} blockId - O ID do bloco.
+ */
+function handleExportNotesToTramite(blockId) {
+  const block = notesDataCache.blocks.find(b => b.id === blockId)
+  const textArea = getTargetTextArea()
+  if (!block || !textArea) {
+    showNotification('Abra o campo de trâmite para inserir as anotações.', 'warning')
+    return
+  }
+
+  const blocks = block.ticketId
+    ? notesDataCache.blocks.filter(b => b.ticketId === block.ticketId && b.content.trim())
+    : [block]
+  const markdown = blocks
+    .map(b => (blocks.length > 1 ? `**${b.title}**\n${b.content.trim()}` : b.content.trim()))
+    .join('\n\n')
+  if (!markdown) {
+    showNotification('Não há anotações para inserir.', 'info')
+    return
+  }
+
+  markEditorHistoryOperation(textArea, 'Inserir anotações')
+  insertAtCursor(
+    textArea,
+    textArea.dataset.markdownMode === 'true' ? markdown : markdownToSgdHtml(markdown),
+    { prefixNewLine: true }
+  )
+  toggleNotesPanel()
+  showNotification('Anotações inseridas no trâmite.', 'success')
+}
+
 /**
  * Adiciona um novo bloco de anotações.
  */
@@ -1762,7 +2750,15 @@ async function handleAddNoteBlock() {
   const newBlock = {
     id: newBlockId,
     title: `Novo Bloco ${notesDataCache.blocks.length + 1}`,
-    content: ''
+    content: '',
+    updatedAt: Date.now()
+  }
+  // Na página de um chamado, o bloco já nasce vinculado a ele
+  if (currentNotesTicketId) {
+    const ticketBlocks = notesDataCache.blocks.filter(b => b.ticketId === currentNotesTicketId).length
+    newBlock.title = `Chamado ${currentNotesTicketId}${ticketBlocks > 0 ? ` (${ticketBlocks + 1})` : ''}`
+    newBlock.ticketId = currentNotesTicketId
+    newBlock.associatedUrl = window.location.href
   }
 
   notesDataCache.blocks.push(newBlock)
@@ -1777,13 +2773,45 @@ async function handleAddNoteBlock() {
  * Agora também verifica cliques no novo botão de editar.
  */
 function handleBlockClick(e) {
+  const pinBtn = e.target.closest('.pin-note-btn')
+  const previewBtn = e.target.closest('.preview-note-btn')
+  const exportBtn = e.target.closest('.export-note-btn')
   const openLinkBtn = e.target.closest('.open-link-btn-note')
   const linkBtn = e.target.closest('.link-note-btn')
   const editBtn = e.target.closest('.edit-title-btn')
   const deleteBtn = e.target.closest('.delete-note-btn')
   const header = e.target.closest('.note-block-header')
 
-  if (openLinkBtn) {
+  if (pinBtn) {
+    e.stopPropagation()
+    const block = notesDataCache.blocks.find(
+      b => b.id === pinBtn.closest('.note-block').dataset.blockId
+    )
+    if (block) {
+      block.pinned = !block.pinned
+      saveNotes(notesDataCache)
+      renderNotesBlocks()
+    }
+  } else if (previewBtn) {
+    e.stopPropagation()
+    const blockEl = previewBtn.closest('.note-block')
+    const blockId = blockEl.dataset.blockId
+    const block = notesDataCache.blocks.find(b => b.id === blockId)
+    if (!block) return
+    if (notesPreviewBlockIds.has(blockId)) {
+      notesPreviewBlockIds.delete(blockId)
+    } else {
+      notesPreviewBlockIds.add(blockId)
+      // O conteúdo pode ter mudado desde a renderização (autosave com atraso)
+      block.content = blockEl.querySelector('textarea').value
+      blockEl.querySelector('.note-markdown-preview').innerHTML = renderNoteMarkdown(block.content)
+    }
+    blockEl.classList.toggle('previewing', notesPreviewBlockIds.has(blockId))
+    blockEl.classList.add('active')
+  } else if (exportBtn) {
+    e.stopPropagation()
+    handleExportNotesToTramite(exportBtn.closest('.note-block').dataset.blockId)
+  } else if (openLinkBtn) {
     e.stopPropagation()
     const blockEl = openLinkBtn.closest('.note-block')
     const block = notesDataCache.blocks.find(
@@ -1934,7 +2962,7 @@ function _exitAllTitleEditModes() {
 }
 
 /**
- * Função auxiliar para garantir que todos os modos de edição de título sejam finalizados.
+ * Vincula ou desvincula o bloco do chamado aberto (pelo número; sem número, pela URL).
  */
 async function handleLinkNoteToggle(blockId) {
   if (!notesDataCache) return
@@ -1942,11 +2970,13 @@ async function handleLinkNoteToggle(blockId) {
   if (!block) return
   const currentPageUrl = window.location.href
 
-  if (block.associatedUrl === currentPageUrl) {
+  if (isNoteBlockForCurrentTicket(block)) {
     block.associatedUrl = null
+    block.ticketId = null
     showNotification('Anotação desvinculada deste chamado.', 'info')
   } else {
     block.associatedUrl = currentPageUrl
+    block.ticketId = currentNotesTicketId || null
     showNotification('Anotação vinculada a este chamado.', 'success')
   }
   await saveNotes(notesDataCache)
@@ -1959,6 +2989,17 @@ async function handleLinkNoteToggle(blockId) {
 async function initializeNotesPanel() {
   createNotesPanel()
   notesDataCache = await getSavedNotes()
+  currentNotesTicketId = await _getRequestNumberLogic()
+
+  // Blocos antigos vinculados só pela URL passam a usar o número do chamado
+  if (currentNotesTicketId) {
+    const legacyBlocks = notesDataCache.blocks.filter(
+      block => !block.ticketId && block.associatedUrl === window.location.href
+    )
+    legacyBlocks.forEach(block => (block.ticketId = currentNotesTicketId))
+    if (legacyBlocks.length > 0) await saveNotes(notesDataCache)
+  }
+
   const hasMatch = renderNotesBlocks()
 
   if (hasMatch) {
@@ -2153,13 +3194,21 @@ function showInPageNotification(reminder) {
   }
 
   const notificationId = `in-page-notification-${reminder.id}`
-  if (document.getElementById(notificationId)) return
+  const escalationLevel = reminder.escalationLevel || 0
+  const existingNotification = document.getElementById(notificationId)
+  if (existingNotification) {
+    // Um novo nível de escalonamento (service-worker.js) substitui o aviso já exibido
+    if (escalationLevel <= Number(existingNotification.dataset.escalationLevel || 0)) return
+    existingNotification.remove()
+  }
 
   const notification = document.createElement('div')
   notification.id = notificationId
   notification.className = 'in-page-notification'
+  notification.dataset.escalationLevel = escalationLevel
   // Adiciona a classe de prioridade para a estilização da borda colorida
   notification.classList.add(`priority-${reminder.priority || 'medium'}`)
+  if (escalationLevel > 0) notification.classList.add('escalated')
   applyCurrentTheme(notification)
 
   const hasUrl = reminder.url && reminder.url.startsWith('http')
@@ -2169,11 +3218,14 @@ function showInPageNotification(reminder) {
 
   notification.innerHTML = `
     <div class="in-page-notification-header">
-      <span class="notification-icon">⏰</span>
+      <span class="notification-icon">${escalationLevel > 0 ? '🚨' : '⏰'}</span>
       <h5 class="in-page-notification-title">${escapeHTML(reminder.title)}</h5>
       <button type="button" class="dismiss-btn" title="Dispensar">&times;</button>
     </div>
-    <div class="in-page-notification-body">${reminder.description ? `<p>${escapeHTML(reminder.description)}</p>` : ''
+    <div class="in-page-notification-body">${escalationLevel > 0
+      ? `<p class="escalation-note">Sem resposta há ${Math.round((Date.now() - reminder.firedAt) / 60000)} min</p>`
+      : ''
+    }${reminder.description ? `<p>${escapeHTML(reminder.description)}</p>` : ''
     }</div>
     <div class="in-page-notification-actions">
       ${openUrlButtonHtml}
@@ -2246,24 +3298,18 @@ function showInPageNotification(reminder) {
           // Ação para resetar o flag de notificação
           chrome.runtime.sendMessage({ action: 'RESET_TOAST_FLAG', reminderId: reminder.id });
 
-          reminderToComplete.isFired = false
-          reminderToComplete.firedAt = Date.now()
-
-          // Se for recorrente, agenda o próximo
-          if (
-            reminderToComplete.recurrence &&
-            reminderToComplete.recurrence !== 'none'
-          ) {
-            const nextDateTime = getNextRecurrenceDate(
-              new Date(reminderToComplete.dateTime),
-              reminderToComplete.recurrence
-            )
-            reminderToComplete.dateTime = nextDateTime.toISOString()
+          // Se for recorrente, o Service Worker agenda a próxima ocorrência
+          if (isRecurringReminder(reminderToComplete)) {
+            try {
+              await advanceRecurringReminder(reminder.id)
+            } catch (error) {
+              showNotification(`Erro ao reagendar: ${error.message}`, 'error')
+            }
+          } else {
             reminderToComplete.isFired = false
-            reminderToComplete.firedAt = null
+            reminderToComplete.firedAt = Date.now()
+            await saveAllReminders(reminders)
           }
-
-          await saveAllReminders(reminders)
           chrome.runtime.sendMessage({ action: 'UPDATE_NOTIFICATION_BADGE' })
         }
       })
@@ -2322,10 +3368,10 @@ async function openFiredRemindersPanel() {
   // cachedWarnings é um array direto (não um objeto com .data)
   const rawWarnings = Array.isArray(data.cachedWarnings) ? data.cachedWarnings : []
 
-  // Filtra: expirados (>7 dias), avisos de teste (exceto em developerMode), ignorados e canais não assinados
-  const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000
+  // Filtra: fora do ar (agendados, expirados ou fora da janela), avisos de teste (exceto em
+  // developerMode), ignorados, canais não assinados e de outro público (warning-rules.js)
   const nowMs = Date.now()
-  const nowIso = new Date().toISOString()
+  const schedules = new Map(rawWarnings.map(w => [w.id, getWarningScheduleState(w, nowMs)]))
   const visibleWarnings = rawWarnings.filter(w => {
     if (w.isTest && !data.infoDevMode && !w.onlySelf) return false
     if (ignoredIds.includes(w.id)) return false
@@ -2333,13 +3379,14 @@ async function openFiredRemindersPanel() {
     if (!subscribed.includes(wChannel)) return false
     
     if (w.archived) return false
-    if (w.publishedAt && nowIso < w.publishedAt) return false
-    
-    if (w.expiresAt) {
-      if (nowMs > new Date(w.expiresAt).getTime()) return false
-    } else if (w.date) {
-      if (nowMs - new Date(w.date).getTime() >= SEVEN_DAYS_MS) return false
+    if (schedules.get(w.id).state !== 'live') return false
+
+    const audience = {
+      currentUser: window.sgdPermissions?.currentUser,
+      region: window.sgdPermissions?.region,
+      isEditor: !!window.sgdPermissions?.isEditor
     }
+    if (!matchesWarningAudience(w, audience)) return false
 
     // Se for apenas para o autor, valida se o usuário atual é o autor
     if (w.onlySelf) {
@@ -2355,11 +3402,11 @@ async function openFiredRemindersPanel() {
   const lastReadTime = data.warningsLastReadTime || 0
   const unreadWarnings = visibleWarnings.filter(w => {
     if (!w.date) return false
-    return new Date(w.date).getTime() > lastReadTime && !readWarningIds.includes(w.id)
+    return schedules.get(w.id).liveSince > lastReadTime && !readWarningIds.includes(w.id)
   })
   const readWarnings = visibleWarnings.filter(w => {
     if (!w.date) return true
-    return new Date(w.date).getTime() <= lastReadTime || readWarningIds.includes(w.id)
+    return schedules.get(w.id).liveSince <= lastReadTime || readWarningIds.includes(w.id)
   })
   const hasUnreadWarning = unreadWarnings.length > 0
 
@@ -2653,21 +3700,12 @@ async function openFiredRemindersPanel() {
           // Ação para resetar o flag de notificação
           chrome.runtime.sendMessage({ action: 'RESET_TOAST_FLAG', reminderId: reminderId });
 
-          if (
-            reminderToComplete.recurrence &&
-            reminderToComplete.recurrence !== 'none'
-          ) {
-            const nextDate = getNextRecurrenceDate(
-              new Date(reminderToComplete.dateTime),
-              reminderToComplete.recurrence
-            )
-            if (nextDate) {
-              reminderToComplete.dateTime = nextDate.toISOString()
-              reminderToComplete.isFired = false
-              reminderToComplete.firedAt = null
-              await saveReminder(reminderToComplete)
-            } else {
-              await deleteReminder(reminderId)
+          if (isRecurringReminder(reminderToComplete)) {
+            // O Service Worker agenda a próxima ocorrência (ou encerra a série)
+            try {
+              await advanceRecurringReminder(reminderId)
+            } catch (error) {
+              showNotification(`Erro ao reagendar: ${error.message}`, 'error')
             }
           } else {
             reminderToComplete.isFired = false
@@ -2687,35 +3725,40 @@ async function openFiredRemindersPanel() {
  * @param {object} reminder - O lembrete a ser adiado.
  * @param {function} onComplete - Callback a ser chamado após a ação.
  */
-function openSnoozeModal(reminder, onComplete) {
-  const calculateSnoozeTime = minutes =>
-    new Date(Date.now() + minutes * 60 * 1000).toISOString()
-
-  const snoozeOptions = [
-    { label: '15 Minutos', time: calculateSnoozeTime(15) },
-    { label: '1 Hora', time: calculateSnoozeTime(60) },
-    {
-      label: 'Amanhã (9:00)',
-      time: (() => {
-        const d = new Date()
-        d.setDate(d.getDate() + 1)
-        d.setHours(9, 0, 0, 0)
-        return d.toISOString()
-      })()
-    }
+async function openSnoozeModal(reminder, onComplete) {
+  const settings = await getSettings()
+  // As opções em horário útil dependem do calendário de expediente
+  await ensureBusinessCalendarLoaded()
+
+  // Opções configuradas (snooze-service.js), com a sugestão automática em primeiro lugar
+  const suggestion = getSmartSnoozeSuggestion(reminder)
+  const presetKeys = [
+    suggestion.key,
+    ...getEnabledSnoozePresets(settings.snoozePresets).filter(key => key !== suggestion.key)
   ]
+  const formatPresetTime = key =>
+    getSnoozePresetDate(key).toLocaleString('pt-BR', {
+      weekday: 'short',
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
 
-  let buttonsHtml = snoozeOptions
+  let buttonsHtml = presetKeys
     .map(
-      opt =>
-        `<button type="button" class="action-btn" data-time="${opt.time}">${opt.label}</button>`
+      key =>
+        `<button type="button" class="action-btn${key === suggestion.key ? ' snooze-suggested-btn' : ''}" data-preset="${key}" title="${formatPresetTime(key)}">${key === suggestion.key ? '⭐ ' : ''}${SNOOZE_PRESETS[key].label}</button>`
     )
     .join('')
   buttonsHtml += `<button type="button" class="action-btn define-btn">Definir...</button>` // Novo botão "Definir"
 
   const modal = createModal(
     'Adiar Lembrete',
-    `<p>Adiar "${escapeHTML(reminder.title)}" para:</p>`,
+    `<p>Adiar "${escapeHTML(reminder.title)}" para:</p>
+     <p class="snooze-suggestion">⭐ Sugestão: <strong>${SNOOZE_PRESETS[suggestion.key].label}</strong> (${formatPresetTime(
+      suggestion.key
+    )}) · ${escapeHTML(suggestion.reason)}</p>`,
     null,
     { isManagementModal: true }
   )
@@ -2739,12 +3782,13 @@ function openSnoozeModal(reminder, onComplete) {
             const resetResult = await chrome.runtime.sendMessage({ action: 'RESET_TOAST_FLAG', reminderId: reminder.id });
             console.log('Resultado do reset do flag:', resetResult);
 
-            reminderToSnooze.dateTime = btn.dataset.time
+            // Calculado no clique, para não usar o horário de quando o modal foi aberto
+            reminderToSnooze.dateTime = getSnoozePresetDate(btn.dataset.preset).toISOString()
             reminderToSnooze.isFired = false
             reminderToSnooze.isSnoozed = true
             await saveReminder(reminderToSnooze)
 
-            showNotification(`Lembrete adiado (${btn.textContent})`, 'success')
+            showNotification(`Lembrete adiado (${SNOOZE_PRESETS[btn.dataset.preset].label})`, 'success')
 
             chrome.runtime.sendMessage({ action: 'UPDATE_NOTIFICATION_BADGE' })
             modal.querySelector('.se-close-modal-btn').click()
@@ -2794,6 +3838,7 @@ function createSpeechCommandHint() {
             <li>Apagar<span>⌫</span></li>
             <li>Limpar<span>🗑</span></li>
             <li>Parar<span>⏹</span></li>
+            <li>Criar lembrete ...<span>📅</span></li>
           </ul>
         </div>
     </div>
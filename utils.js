@@ -250,27 +250,15 @@ function simpleHash(str) {
 /**
  * Calcula a próxima data de um alarme recorrente.
  * @param {Date} lastDate A última data do alarme.
- * @param {string} recurrence A regra ('daily', 'weekly', 'monthly').
- * @returns {Date | null} A nova data ou null se a recorrência for 'none'.
+ * @param {string} recurrence A regra RRULE (ver recurrence-service.js) ou os valores
+ *   antigos ('daily', 'weekly', 'monthly').
+ * @param {Date|string} recurrenceStart Início da série (para INTERVAL, COUNT e BYSETPOS).
+ * @returns {Date | null} A nova data ou null se não repete ou a série terminou.
  */
-function getNextRecurrenceDate(lastDate, recurrence) {
-  if (!recurrence || recurrence === 'none') return null
-
-  const nextDate = new Date(lastDate.getTime())
-  switch (recurrence) {
-    case 'daily':
-      nextDate.setDate(nextDate.getDate() + 1)
-      break
-    case 'weekly':
-      nextDate.setDate(nextDate.getDate() + 7)
-      break
-    case 'monthly':
-      nextDate.setMonth(nextDate.getMonth() + 1)
-      break
-    default:
-      return null
-  }
-  return nextDate
+function getNextRecurrenceDate(lastDate, recurrence, recurrenceStart = lastDate) {
+  const rule = normalizeRecurrenceRule(recurrence)
+  if (!rule) return null
+  return getRecurrenceOccurrenceAfter(rule, recurrenceStart, lastDate)
 }
 
 /**
@@ -385,11 +373,88 @@ function isUserRecipient(w, currentUser) {
     }
   }
 
-  // 2. Colaboradores específicos
-  if (w.targetUsers && Array.isArray(w.targetUsers) && w.targetUsers.length > 0) {
-    const normCurrentUser = normalizeName(currentUser)
-    return w.targetUsers.some(u => normalizeName(u) === normCurrentUser)
+  // 2. Colaboradores específicos, região e perfil (warning-rules.js)
+  return matchesWarningAudience(w, {
+    currentUser,
+    region: window.sgdPermissions?.region,
+    isEditor: !!window.sgdPermissions?.isEditor
+  })
+}
+
+/**
+ * Calcula a diferença linha a linha entre dois textos (LCS).
+ * @param {string} oldText - Texto original.
+ * @param {string} newText - Texto novo.
+ * @returns {Array<{type: 'equal'|'added'|'removed', text: string}>} As linhas da diferença.
+ */
+function computeLineDiff(oldText, newText) {
+  const a = (oldText || '').split('\n')
+  const b = (newText || '').split('\n')
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  )
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const result = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'equal', text: a[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: a[i++] })
+    } else {
+      result.push({ type: 'added', text: b[j++] })
+    }
   }
+  while (i < a.length) result.push({ type: 'removed', text: a[i++] })
+  while (j < b.length) result.push({ type: 'added', text: b[j++] })
+  return result
+}
+
+/**
+ * Pontua a correspondência aproximada (fuzzy) entre uma busca e um texto.
+ * Cada termo da busca precisa aparecer no texto, como trecho contínuo (pontuação maior)
+ * ou como subsequência de letras. Acentos e maiúsculas são ignorados.
+ * @param {string} query - O texto digitado pelo usuário.
+ * @param {string} text - O texto a ser comparado.
+ * @returns {number} 0 se não houver correspondência; quanto maior, melhor.
+ */
+function fuzzyMatchScore(query, text) {
+  const terms = normalizeName(query).split(' ').filter(Boolean)
+  const target = normalizeName(text)
+  if (terms.length === 0 || !target) return 0
+
+  let total = 0
+  for (const term of terms) {
+    const index = target.indexOf(term)
+    if (index !== -1) {
+      const atWordStart = index === 0 || target[index - 1] === ' '
+      total += 10 * term.length + (atWordStart ? 20 : 0) - Math.min(index, 20) / 4
+      continue
+    }
 
-  return true
-}
\ No newline at end of file
+    let score = 0
+    let position = 0
+    let consecutive = 0
+    for (const char of term) {
+      const found = target.indexOf(char, position)
+      if (found === -1) return 0
+      consecutive = found === position ? consecutive + 1 : 0
+      score += 1 + consecutive * 2 + (found === 0 || target[found - 1] === ' ' ? 3 : 0)
+      position = found + 1
+    }
+    total += score
+  }
+  return total
+}
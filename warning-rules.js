@@ -0,0 +1,200 @@
+/**
+ * @file warning-rules.js
+ * Regras de agendamento e de público dos avisos da Central de Informações: publicação e
+ * expiração, janelas recorrentes (ex: manutenção toda quinta-feira das 19h às 21h) e
+ * público por região, perfil (editor/leitor) e lista de colaboradores. O canal continua
+ * sendo filtrado pela inscrição e permissão de cada analista.
+ *
+ * Campos do aviso:
+ * - publishedAt / expiresAt: ISO. Sem expiração, o aviso comum sai do ar 7 dias após a
+ *   publicação; o recorrente segue até o fim da regra (COUNT/UNTIL).
+ * - recurrence: regra RRULE (recurrence-service.js), a partir de publishedAt; cada ocorrência
+ *   fica no ar por recurrenceDurationMinutes.
+ * - targetUsers, targetRegions ('sul'|'sudeste'), targetRoles ('editor'|'viewer'): vazios =
+ *   todos. Os critérios preenchidos precisam ser todos atendidos.
+ *
+ * Carregado como content script (lista, sininho e editor de avisos) e pelo Service Worker via
+ * importScripts (checkWarningsAndNotify).
+ */
+
+const WARNING_DEFAULT_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000
+
+const WARNING_DEFAULT_WINDOW_MINUTES = 60
+
+const WARNING_REGIONS = {
+  sul: 'Sul',
+  sudeste: 'Sudeste'
+}
+
+const WARNING_ROLES = {
+  editor: 'Editores',
+  viewer: 'Leitores'
+}
+
+/**
+ * Estados de agendamento exibidos aos editores no card do aviso.
+ */
+const WARNING_SCHEDULE_STATES = {
+  scheduled: { icon: '📅', label: 'Agendado' },
+  live: { icon: '🟢', label: 'No ar' },
+  waiting: { icon: '🔁', label: 'Fora da janela' },
+  expired: { icon: '⏳', label: 'Expirado' }
+}
+
+/**
+ * Verifica se o aviso tem uma recorrência válida.
+ * @param {object} warning - O aviso.
+ * @returns {boolean}
+ */
+function isRecurringWarning(warning) {
+  return !!(warning && normalizeRecurrenceRule(warning.recurrence))
+}
+
+/**
+ * Calcula o estado de agendamento do aviso.
+ * @param {object} warning - O aviso.
+ * @param {Date|number} now - Referência (padrão: agora).
+ * @returns {{state: string, liveSince: number|null, liveUntil: number|null,
+ *   nextStart: number|null}} state é uma chave de WARNING_SCHEDULE_STATES; liveSince é o
+ *   início da publicação (ou da ocorrência atual, nos recorrentes) e nextStart, a próxima
+ *   entrada no ar.
+ */
+function getWarningScheduleState(warning, now = Date.now()) {
+  const nowMs = new Date(now).getTime()
+  const toMs = value => (value ? new Date(value).getTime() : null)
+  const publishMs = toMs(warning.publishedAt)
+  const expireMs = toMs(warning.expiresAt)
+  const startMs = publishMs || toMs(warning.date) || 0
+
+  if (isRecurringWarning(warning)) {
+    const durationMs = (warning.recurrenceDurationMinutes || WARNING_DEFAULT_WINDOW_MINUTES) * 60 * 1000
+    // Primeira ocorrência cuja janela ainda não terminou
+    const occurrence = getRecurrenceOccurrenceAfter(warning.recurrence, startMs, nowMs - durationMs)
+    const occurrenceMs = occurrence ? occurrence.getTime() : null
+
+    if (occurrenceMs === null || (expireMs && occurrenceMs >= expireMs)) {
+      return { state: 'expired', liveSince: null, liveUntil: null, nextStart: null }
+    }
+    if (occurrenceMs <= nowMs) {
+      const windowEnd = occurrenceMs + durationMs
+      return {
+        state: 'live',
+        liveSince: occurrenceMs,
+        liveUntil: expireMs ? Math.min(windowEnd, expireMs) : windowEnd,
+        nextStart: null
+      }
+    }
+    return {
+      state: nowMs < startMs ? 'scheduled' : 'waiting',
+      liveSince: null,
+      liveUntil: null,
+      nextStart: occurrenceMs
+    }
+  }
+
+  // Sem expiração, conta a partir do último envio (reenviar o aviso renova o prazo)
+  const endMs = expireMs || Math.max(startMs, toMs(warning.date) || 0) + WARNING_DEFAULT_LIFETIME_MS
+  if (nowMs < startMs) {
+    return { state: 'scheduled', liveSince: null, liveUntil: null, nextStart: startMs }
+  }
+  if (nowMs > endMs) {
+    return { state: 'expired', liveSince: null, liveUntil: null, nextStart: null }
+  }
+  return { state: 'live', liveSince: startMs, liveUntil: endMs, nextStart: null }
+}
+
+/**
+ * Chave da notificação do aviso: muda quando o aviso é reenviado (nova data) e a cada
+ * ocorrência de um aviso recorrente, para que cada janela seja notificada uma vez.
+ * @param {object} warning - O aviso.
+ * @param {{liveSince: number|null}} schedule - O resultado de getWarningScheduleState.
+ * @returns {string}
+ */
+function getWarningNotificationKey(warning, schedule) {
+  if (!isRecurringWarning(warning) || !schedule.liveSince) return warning.date
+  return `${warning.date}#${new Date(schedule.liveSince).toISOString()}`
+}
+
+/**
+ * Normaliza um nome para comparação (sem acentos, minúsculo, espaços simples).
+ * @param {string} name - O nome.
+ * @returns {string}
+ */
+function _normalizeWarningAudienceName(name) {
+  if (!name) return ''
+  return name
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+}
+
+/**
+ * Verifica se o analista faz parte do público do aviso (colaboradores, região e perfil).
+ * @param {object} warning - O aviso.
+ * @param {{currentUser: string, region: string, isEditor: boolean}} audience - O analista.
+ * @returns {boolean}
+ */
+function matchesWarningAudience(warning, audience) {
+  const hasRule = list => Array.isArray(list) && list.length > 0
+
+  if (hasRule(warning.targetUsers)) {
+    const currentUser = _normalizeWarningAudienceName(audience.currentUser)
+    if (!currentUser || !warning.targetUsers.some(user => _normalizeWarningAudienceName(user) === currentUser)) {
+      return false
+    }
+  }
+  if (hasRule(warning.targetRegions) && !warning.targetRegions.includes(audience.region)) {
+    return false
+  }
+  if (hasRule(warning.targetRoles) && !warning.targetRoles.includes(audience.isEditor ? 'editor' : 'viewer')) {
+    return false
+  }
+  return true
+}
+
+/**
+ * Valida as regras de agendamento antes de salvar o aviso.
+ * @param {object} warning - Os dados do aviso.
+ * @returns {string|null} A mensagem de erro, ou null se as regras são válidas.
+ */
+function validateWarningRules(warning) {
+  const publishMs = warning.publishedAt ? new Date(warning.publishedAt).getTime() : null
+  const expireMs = warning.expiresAt ? new Date(warning.expiresAt).getTime() : null
+
+  if (publishMs && expireMs && expireMs <= publishMs) {
+    return 'A expiração deve ser posterior à publicação.'
+  }
+  if (warning.recurrence && warning.recurrence !== 'none') {
+    if (!normalizeRecurrenceRule(warning.recurrence)) return 'Regra de recorrência inválida.'
+    if (!publishMs) return 'Avisos recorrentes precisam da data de publicação (início da primeira janela).'
+    if (!(warning.recurrenceDurationMinutes > 0)) return 'Informe a duração da janela do aviso recorrente.'
+  }
+  if ((warning.targetRegions || []).some(region => !WARNING_REGIONS[region])) {
+    return 'Região inválida no público do aviso.'
+  }
+  if ((warning.targetRoles || []).some(role => !WARNING_ROLES[role])) {
+    return 'Perfil inválido no público do aviso.'
+  }
+  return null
+}
+
+/**
+ * Descreve o público do aviso (ex: "Região Sul · Leitores · 3 colaboradores").
+ * @param {object} warning - O aviso.
+ * @returns {string} A descrição, ou '' quando o aviso é para todos do canal.
+ */
+function describeWarningAudience(warning) {
+  const parts = []
+  if (Array.isArray(warning.targetRegions) && warning.targetRegions.length > 0) {
+    parts.push(`Região ${warning.targetRegions.map(region => WARNING_REGIONS[region] || region).join('/')}`)
+  }
+  if (Array.isArray(warning.targetRoles) && warning.targetRoles.length > 0) {
+    parts.push(warning.targetRoles.map(role => WARNING_ROLES[role] || role).join(' e '))
+  }
+  if (Array.isArray(warning.targetUsers) && warning.targetUsers.length > 0) {
+    parts.push(`${warning.targetUsers.length} colaborador(es)`)
+  }
+  return parts.join(' · ')
+}
@@ -36,7 +36,8 @@ async function getWarnings(forceRefresh = false) {
       'warningChannels',
       'allowedChannels',
       'currentUser',
-      'isCurrentUserEditor'
+      'isCurrentUserEditor',
+      'currentUserRegion'
     ]);
     let cachedData = storage.cachedWarnings || [];
     const localSignature = storage.warningsMetaSignature;
@@ -134,14 +135,14 @@ async function getWarnings(forceRefresh = false) {
     warnings.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
 
     const isEditor = !!(storage.infoDevMode || storage.isCurrentUserEditor || window.sgdPermissions?.isEditor);
+    // Público do aviso: colaboradores, região e perfil (warning-rules.js)
     const filteredWarnings = warnings.filter(w => {
       if (isEditor) return true;
-      if (w.targetUsers && Array.isArray(w.targetUsers) && w.targetUsers.length > 0) {
-        if (!currentUser) return false;
-        const normCurrentUser = normalizeName(currentUser);
-        return w.targetUsers.some(u => normalizeName(u) === normCurrentUser);
-      }
-      return true;
+      return matchesWarningAudience(w, {
+        currentUser,
+        region: storage.currentUserRegion || window.sgdPermissions?.region,
+        isEditor: false
+      });
     });
 
     await chrome.storage.local.set({
@@ -157,8 +158,18 @@ async function getWarnings(forceRefresh = false) {
   }
 }
 
+/**
+ * Cria um aviso. O agendamento (publishedAt/expiresAt/recurrence) e o público
+ * (targetUsers/targetRegions/targetRoles) são validados por warning-rules.js; a entrega
+ * respeita essas regras em checkWarningsAndNotify (service-worker.js).
+ * @param {object} warningData - Os dados do aviso.
+ * @returns {Promise<boolean>}
+ */
 async function createWarning(warningData) {
   try {
+    const rulesError = validateWarningRules(warningData);
+    if (rulesError) throw new Error(rulesError);
+
     try {
       const swResponse = await chrome.runtime.sendMessage({
         action: 'WRITE_WARNING_ACTION',
@@ -254,6 +265,9 @@ async function deleteWarning(id) {
 
 async function updateWarning(id, updates) {
   try {
+    const rulesError = validateWarningRules(updates);
+    if (rulesError) throw new Error(rulesError);
+
     let oldDoc = null;
     try {
       const swRead = await chrome.runtime.sendMessage({ 